@@ -0,0 +1,141 @@
+// Author: Daniel
+
+/* How the todo list scales with its length: "npm run bench" (or "node Test/benchmark.js 1000 10000 50000")
+ *
+ * For a list of each size (one todo in ten with a subtask) it times, in milliseconds (median of a few runs):
+ *  - store: getTodos of the whole list against the first page (PAGE_SIZE top-level todos) and countTodos,
+ *    on an in-memory SQLite database with the real migrations (Test/helpers/database.js);
+ *  - view: renderTodos of the whole list with every row drawn (as before the list was windowed) against
+ *    drawing only the rows in or near the window, and drawing it again after one todo changed.
+ *    The View runs on index.html under jsdom, which has no layout, so every row is taken to be ROW_HEIGHT high.
+ * Drawing every row is skipped above FULL_RENDER_LIMIT todos, jsdom would need gigabytes for it.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { performance } = require('node:perf_hooks');
+const { JSDOM } = require('jsdom');
+const { openTestStore } = require('./helpers/database');
+const { INBOX_LIST_ID } = require('../migrations');
+
+const ROOT = path.join(__dirname, '..');
+const SCRIPTS = ['limits.js', 'search.js', 'recurrence.js', 'storage.js', 'markdown.js', 'mvc.js'];
+const SIZES = process.argv.slice(2).map(Number).filter(size => size > 0);
+const RUNS = 5; // Runs per measurement, the median is shown
+const FULL_RENDER_LIMIT = 10000;
+
+// Median time of fn in milliseconds
+async function time(fn, runs = RUNS) {
+    const times = [];
+    for (let run = 0; run < runs; run++) {
+        const started = performance.now();
+        await fn(run);
+        times.push(performance.now() - started);
+    }
+    times.sort((a, b) => a - b);
+    return times[Math.floor(times.length / 2)];
+}
+
+// size top-level todos in the Inbox, and a subtask under every tenth one, inserted in one statement each
+async function fillStore(db, size) {
+    const run = sql => new Promise((resolve, reject) => db.run(sql, err => (err ? reject(err) : resolve())));
+    await run(`
+        WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < ${size})
+        INSERT INTO todos (text, completed, list_id, position, created_at, updated_at)
+        SELECT 'Todo ' || i, i % 3 = 0, ${INBOX_LIST_ID}, i, 0, 0 FROM n
+    `);
+    await run(`
+        INSERT INTO todos (text, completed, list_id, parent_id, position, created_at, updated_at)
+        SELECT 'Subtask of ' || text, 0, list_id, id, 1, 0, 0 FROM todos WHERE id % 10 = 0
+    `);
+}
+
+// index.html with its scripts, without the app (a View is made for each size instead)
+function openPage() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8').replace(/<script\b[^>]*>[\s\S]*?<\/script>/g, '');
+    const { window } = new JSDOM(html, { runScripts: 'dangerously', pretendToBeVisual: true });
+    SCRIPTS.forEach((file) => { // Inline <script>s, so their top-level classes and constants share the global scope like in the page
+        const script = window.document.createElement('script');
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        script.textContent = file === 'mvc.js' ? source.replace(/^const app = new Controller\(.*$/m, '') : source;
+        window.document.head.appendChild(script);
+    });
+    return window;
+}
+
+async function benchStore(size, pageSize) {
+    const log = console.log;
+    console.log = () => {}; // migrate() reports every migration it applies
+    const { db, store, close } = await openTestStore().finally(() => { console.log = log; });
+    try {
+        await fillStore(db, size);
+        const full = await time(() => store.getTodos(INBOX_LIST_ID));
+        const page = await time(() => store.getTodos(INBOX_LIST_ID, 0, pageSize));
+        const lastPage = await time(() => store.getTodos(INBOX_LIST_ID, Math.max(0, size - pageSize), pageSize));
+        const count = await time(() => store.countTodos(INBOX_LIST_ID));
+        return { full, page, lastPage, count };
+    } finally {
+        await close();
+    }
+}
+
+// The todos as the store returns them, without asking it
+function makeTodos(size) {
+    const todos = [];
+    for (let i = 1; i <= size; i++) {
+        todos.push({ id: i, text: `Todo ${i}`, completed: i % 3 === 0 ? 1 : 0, list_id: INBOX_LIST_ID, parent_id: null, position: i, priority: i % 5, tags: [] });
+        if (i % 10 === 0) {
+            todos.push({ id: size + i, text: `Subtask of Todo ${i}`, completed: 0, list_id: INBOX_LIST_ID, parent_id: i, position: 1, priority: 0, tags: [] });
+        }
+    }
+    return todos;
+}
+
+async function benchView(window, size) {
+    const todos = makeTodos(size);
+    const fresh = () => {
+        window.document.querySelector('#myUL').replaceChildren();
+        return window.eval('new View()');
+    };
+
+    let full = null;
+    if (size <= FULL_RENDER_LIMIT) {
+        full = await time(() => {
+            const view = fresh();
+            view.windowRange = () => ({ first: 0, last: view.rows.length, offsets: new Array(view.total + 1).fill(0) });
+            view.renderTodos(todos);
+        }, 1);
+    }
+    const windowed = await time(() => fresh().renderTodos(todos));
+
+    const view = fresh();
+    view.renderTodos(todos);
+    const patch = await time((run) => {
+        const changed = todos.slice();
+        changed[0] = { ...todos[0], text: `Todo 1 (edited ${run})` };
+        view.renderTodos(changed);
+    });
+    return { full, windowed, patch, items: window.document.querySelectorAll('#myUL > li').length };
+}
+
+async function main() {
+    const sizes = SIZES.length ? SIZES : [1000, 10000, 50000];
+    const window = openPage();
+    const ms = value => (value === null ? 'skipped' : `${value.toFixed(1)} ms`);
+    try {
+        for (const size of sizes) {
+            const store = await benchStore(size, window.eval('PAGE_SIZE'));
+            const view = await benchView(window, size);
+            console.log(`\n${size} todos`);
+            console.log(`  store  getTodos whole list ${ms(store.full)} | first page ${ms(store.page)} | last page ${ms(store.lastPage)} | countTodos ${ms(store.count)}`);
+            console.log(`  view   every row drawn ${ms(view.full)} | window only ${ms(view.windowed)} (${view.items} items) | one todo changed ${ms(view.patch)}`);
+        }
+    } finally {
+        window.close();
+    }
+}
+
+main().catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+});
@@ -0,0 +1,119 @@
+// Author: Daniel
+
+/* End-to-end: the real app, started with Playwright's Electron support, walks through the scenarios of
+ * "Test/System Test.md". Every run gets a fresh data folder (TODO_DATA_DIR), so the todos of the user are never touched.
+ * Needs a display: on Linux without one run it as  xvfb-run -a npm run test:e2e
+ */
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { _electron: electron } = require('playwright');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+jest.setTimeout(60 * 1000); // Starting Electron takes a while
+
+let dataDir;
+let app;
+let page;
+
+// Start the app on dataDir and wait for its todo window (DevTools may open next to it)
+async function launch() {
+    app = await electron.launch({ args: ['.'], cwd: ROOT, env: { ...process.env, TODO_DATA_DIR: dataDir } });
+    page = await app.firstWindow();
+    if (!page.url().endsWith('index.html')) {
+        page = await app.waitForEvent('window', { predicate: win => win.url().endsWith('index.html') });
+    }
+    await page.waitForSelector('#myLists li'); // The lists are there once the database has answered
+}
+
+// The list item of the todo with this text
+const todoItem = text => page.locator('#myUL li', { hasText: text }).first();
+
+beforeAll(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-e2e-'));
+    await launch();
+});
+
+afterAll(async () => {
+    if (app) await app.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('adds a todo', async () => {
+    await page.fill('#myInput', 'Buy milk #home');
+    await page.click('.addBtn');
+    await expect(todoItem('Buy milk').locator('.tag').textContent()).resolves.toBe('#home');
+    await expect(page.inputValue('#myInput')).resolves.toBe('');
+});
+
+test('an empty todo is refused', async () => {
+    const dialog = page.waitForEvent('dialog');
+    await page.fill('#myInput', '   ');
+    await page.click('.addBtn');
+    const alert = await dialog;
+    expect(alert.message()).toBe('You must write something!');
+    await alert.accept();
+});
+
+test('clicking a todo checks it off and clicking again re-opens it', async () => {
+    await todoItem('Buy milk').click({ position: { x: 10, y: 10 } });
+    await page.waitForSelector('#myUL li.checked >> text=Buy milk');
+    await todoItem('Buy milk').click({ position: { x: 10, y: 10 } });
+    await page.waitForSelector('#myUL li:not(.checked) >> text=Buy milk');
+});
+
+test('deletes a todo and undoes it from the toast', async () => {
+    await todoItem('Buy milk').locator('.close').click();
+    await page.waitForSelector('#toast.visible >> text=Deleted "Buy milk"');
+    await expect(todoItem('Buy milk').count()).resolves.toBe(0);
+    await page.click('#toast button');
+    await todoItem('Buy milk').waitFor();
+});
+
+test('the keyboard alone adds, checks off and deletes a todo', async () => {
+    await page.focus('#myInput');
+    await page.keyboard.type('Keyboard only');
+    await page.keyboard.press('Enter');
+    await todoItem('Keyboard only').waitFor();
+    await todoItem('Keyboard only').focus();
+    await page.keyboard.press('Space');
+    await page.waitForSelector('#myUL li.checked[aria-checked="true"] >> text=Keyboard only');
+    await page.keyboard.press('Delete');
+    await page.waitForSelector('#toast.visible >> text=Deleted "Keyboard only"');
+    await expect(todoItem('Keyboard only').count()).resolves.toBe(0);
+});
+
+test('notes written in the detail pane are saved and rendered', async () => {
+    await todoItem('Buy milk').focus();
+    await page.keyboard.press('o');
+    await page.waitForSelector('#detailPane:not([hidden]) >> text=Buy milk');
+    await page.keyboard.type('**Oat** milk, <b>not</b> cow');
+    await page.keyboard.press('Control+Enter');
+    await expect(page.locator('#notesPreview strong').textContent()).resolves.toBe('Oat');
+    await expect(page.locator('#notesPreview b').count()).resolves.toBe(0); // HTML in the notes is text
+    await page.keyboard.press('Escape');
+    await page.waitForSelector('#detailPane', { state: 'hidden' });
+    await expect(todoItem('Buy milk').locator('.openDetails.empty').count()).resolves.toBe(0);
+});
+
+test('a timer started with "w" runs in the main process and adds its time to the todo', async () => {
+    await todoItem('Buy milk').focus();
+    await page.keyboard.press('w');
+    await page.waitForSelector('#timerBar:not([hidden]) >> text=Buy milk');
+    await todoItem('Buy milk').locator('.timer.running').waitFor();
+    await page.click('#stopTimer');
+    await page.waitForSelector('#timerBar', { state: 'hidden' });
+    await expect(todoItem('Buy milk').locator('.timer').textContent()).resolves.toBe('\u25B6 < 1 min');
+});
+
+test('the todos are still there after a restart', async () => {
+    await page.fill('#myInput', 'Survives a restart');
+    await page.click('.addBtn');
+    await todoItem('Survives a restart').waitFor();
+    await app.close();
+    await launch();
+    await todoItem('Survives a restart').waitFor();
+    await todoItem('Buy milk').waitFor();
+});
@@ -0,0 +1,29 @@
+// Author: Daniel
+
+/* A fresh todo database for one test: an in-memory SQLite database with every migration applied
+ * and foreign keys on, like main.js opens todos.db, wrapped in createTodoStore (see todo_store.js).
+ *
+ *   const { store, close } = await openTestStore();
+ *   const id = await store.addTodo('Buy milk #home');
+ *   ...
+ *   await close();
+ */
+
+const sqlite3 = require('sqlite3');
+const { migrate } = require('../../migrations');
+const { createTodoStore } = require('../../todo_store');
+
+async function openTestStore() {
+    const db = await new Promise((resolve, reject) => {
+        const opened = new sqlite3.Database(':memory:', err => (err ? reject(err) : resolve(opened)));
+    });
+    await new Promise((resolve, reject) => db.run('PRAGMA foreign_keys = ON', err => (err ? reject(err) : resolve())));
+    await migrate(db);
+    return {
+        db,
+        store: createTodoStore(db),
+        close: () => new Promise(resolve => db.close(() => resolve()))
+    };
+}
+
+module.exports = { openTestStore };
@@ -0,0 +1,62 @@
+// Author: Daniel
+
+/* The .ics export and import of icalendar.js (the database part is in todo_store.test.js)
+ * Dates are built in local time where the file has local time, so the tests pass in any time zone.
+ */
+
+const { exportCalendar, parseCalendar } = require('../../icalendar');
+const { ImportError } = require('../../import_export');
+
+// A calendar file with these lines between BEGIN:VCALENDAR and END:VCALENDAR
+const calendar = lines => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+const todo = {
+    id: 1, ical_uid: 'a@todo-list', text: 'Call Ann, then Bob; today', notes: 'Line one\nLine two', completed: 0, list: 'Home',
+    tags: ['phone'], due_at: new Date(2025, 2, 1, 23, 59).getTime(), priority: 3, recurrence: 'FREQ=MONTHLY', created_at: 0, updated_at: 0
+};
+
+describe('exportCalendar', () => {
+    test('writes the todos with a due date as tasks, escaped and folded', () => {
+        const text = exportCalendar([todo, { ...todo, ical_uid: 'b@todo-list', due_at: null }, { ...todo, ical_uid: 'c@todo-list', text: 'x'.repeat(100) }], { now: 0 });
+        const lines = text.split('\r\n');
+        expect(lines).toEqual(expect.arrayContaining([
+            'BEGIN:VTODO', 'UID:a@todo-list', 'SUMMARY:Call Ann\\, then Bob\\; today', 'DUE;VALUE=DATE:20250301', 'DTSTART;VALUE=DATE:20250301',
+            'RRULE:FREQ=MONTHLY', 'PRIORITY:3', 'STATUS:NEEDS-ACTION', 'DESCRIPTION:Line one\\nLine two', 'CATEGORIES:phone', 'X-TODO-LIST:Home'
+        ]));
+        expect(text).not.toContain('b@todo-list');
+        expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+        expect(parseCalendar(text).map(task => task.text)).toEqual(['Call Ann, then Bob; today', 'x'.repeat(100)]);
+    });
+
+    test('events last a whole day, or half an hour from the due time; a completed one is ticked', () => {
+        const dueAt = Date.UTC(2025, 2, 1, 9, 30);
+        const lines = exportCalendar([{ ...todo, completed: 1, due_at: dueAt }], { kind: 'VEVENT', now: 0 }).split('\r\n');
+        expect(lines).toEqual(expect.arrayContaining(['BEGIN:VEVENT', 'SUMMARY:✓ Call Ann\\, then Bob\\; today', 'DTSTART:20250301T093000Z', 'DTEND:20250301T100000Z']));
+        expect(exportCalendar([todo], { kind: 'VEVENT' })).toContain('DTEND;VALUE=DATE:20250302');
+    });
+});
+
+describe('parseCalendar', () => {
+    test('reads tasks: dates in UTC, a time zone or local time, state, priority and categories', () => {
+        const tasks = parseCalendar(calendar([
+            'BEGIN:VTODO', 'UID:1', 'SUMMARY:Utc', 'DUE:20250301T090000Z', 'STATUS:COMPLETED', 'PRIORITY:1', 'CATEGORIES:Home office,a\\,b', 'END:VTODO',
+            'BEGIN:VTODO', 'UID:2', 'SUMMARY:Tokyo', 'DUE;TZID=Asia/Tokyo:20250301T090000', 'RRULE:FREQ=WEEKLY;WKST=MO;BYDAY=FR', 'END:VTODO',
+            'BEGIN:VTODO', 'UID:3', 'SUMMARY:Floating and fol', ' ded', 'DTSTART:20250301T090000', 'RRULE:FREQ=YEARLY', 'END:VTODO',
+            'BEGIN:VTODO', 'SUMMARY:Day', 'DUE;VALUE=DATE:20250301', 'BEGIN:VALARM', 'SUMMARY:Alarm', 'END:VALARM', 'END:VTODO',
+            'BEGIN:VEVENT', 'SUMMARY:Not a task', 'END:VEVENT',
+            'BEGIN:VTODO', 'SUMMARY:', 'END:VTODO'
+        ]));
+        expect(tasks).toMatchObject([
+            { uid: '1', text: 'Utc', due_at: Date.UTC(2025, 2, 1, 9), completed: true, priority: 4, tags: ['Home-office', 'ab'] },
+            { uid: '2', text: 'Tokyo', due_at: Date.UTC(2025, 2, 1, 0), completed: false, recurrence: 'FREQ=WEEKLY;BYDAY=FR' },
+            { uid: '3', text: 'Floating and folded', due_at: new Date(2025, 2, 1, 9).getTime(), recurrence: null }, // Once a year cannot be repeated
+            { uid: null, text: 'Day', due_at: new Date(2025, 2, 1, 23, 59).getTime(), priority: 0 }
+        ]);
+    });
+
+    test('refuses what is not a calendar', () => {
+        expect(() => parseCalendar('BEGIN:VTODO\r\nEND:VTODO')).toThrow(ImportError);
+        expect(() => parseCalendar(calendar(['BEGIN:VTODO', 'SUMMARY:x', 'DUE:tomorrow', 'END:VTODO']))).toThrow('Task 1: "tomorrow" is not a valid date for DUE');
+        expect(() => parseCalendar(calendar(['no colon here']))).toThrow('Line 3 is not an iCalendar property');
+    });
+});
@@ -0,0 +1,97 @@
+// Author: Daniel
+
+/* The file formats of import_export.js: CSV and Markdown read into todos, and exports read back */
+
+const { exportTodos, parseTodos, findDuplicates, formatFromPath, ImportError } = require('../../import_export');
+
+// A parsed todo with the fields a file did not set
+const parsed = fields => ({
+    completed: false, list: null, tags: [], due_at: null, priority: 0, created_at: null, updated_at: null, remind_at: null, recurrence: null, notes: null,
+    ...fields
+});
+
+describe('parseTodos from CSV', () => {
+    test('reads the columns by name, in any order and case, with quoted commas, quotes and line breaks', () => {
+        const csv = '\uFEFFPriority,Text,tags,completed,due_at,list\r\n'
+            + '3,"Call the bank, then ""the"" shop",#money home,1,2025-03-01T09:00:00.000Z,Errands\r\n'
+            + '\r\n'
+            + ',"Two\nlines",,no,,\n';
+        expect(parseTodos(csv, 'csv')).toEqual([
+            parsed({ text: 'Call the bank, then "the" shop', completed: true, list: 'Errands', tags: ['money', 'home'], due_at: Date.UTC(2025, 2, 1, 9), priority: 3 }),
+            parsed({ text: 'Two\nlines' })
+        ]);
+    });
+
+    test('reads the reminder, repeat rule and notes, and drops what is not a tag or a priority', () => {
+        const csv = 'text,tags,priority,remind_at,recurrence,notes\nRent,ok bad! #fine,7,2025-03-01T08:00:00.000Z, FREQ=MONTHLY ,"- pay\n- file"\n';
+        expect(parseTodos(csv, 'csv')).toEqual([
+            parsed({ text: 'Rent', tags: ['ok', 'fine'], remind_at: Date.UTC(2025, 2, 1, 8), recurrence: 'FREQ=MONTHLY', notes: '- pay\n- file' })
+        ]);
+    });
+
+    test('refuses a file without a text column, a row without text, a date it cannot read and an open quote', () => {
+        expect(() => parseTodos('title\nx\n', 'csv')).toThrow('The CSV file needs a "text" column');
+        expect(() => parseTodos('text,list\n,Work\n', 'csv')).toThrow('Row 2: a todo needs a text');
+        expect(() => parseTodos('text,due_at\nx,someday\n', 'csv')).toThrow('Row 2: "someday" is not a valid date for due_at');
+        expect(() => parseTodos('text\n"open\n', 'csv')).toThrow(ImportError);
+        expect(parseTodos('', 'csv')).toEqual([]);
+    });
+});
+
+describe('parseTodos from Markdown', () => {
+    test('reads the tasks under each heading into that list, with their tags and due day', () => {
+        const markdown = [
+            'Some notes, not a task',
+            '- [ ] Inbox task',
+            '## Work ##',
+            '',
+            '- [x] Send the report #work #q1 📅 2025-03-01',
+            '  * [X] Fix issue#42',
+            '+ [ ]    ',
+            '- [] not a task either',
+            '# Home',
+            '- [ ] Water the plants #home'
+        ].join('\r\n');
+        expect(parseTodos(markdown, 'md')).toEqual([
+            parsed({ text: 'Inbox task' }),
+            parsed({ text: 'Send the report', completed: true, list: 'Work', tags: ['work', 'q1'], due_at: new Date(2025, 2, 1).getTime() }),
+            parsed({ text: 'Fix issue#42', completed: true, list: 'Work' }),
+            parsed({ text: 'Water the plants', list: 'Home', tags: ['home'] })
+        ]);
+    });
+});
+
+describe('export and import again', () => {
+    const todos = [
+        {
+            text: 'Pay the rent', completed: 0, list: 'Home', tags: ['money'], due_at: Date.UTC(2025, 0, 31, 9), priority: 2,
+            created_at: Date.UTC(2025, 0, 1), updated_at: Date.UTC(2025, 0, 2), remind_at: Date.UTC(2025, 0, 31, 8),
+            recurrence: 'FREQ=MONTHLY;BYMONTHDAY=31', notes: 'Account 42, "standing order"\nsecond line'
+        },
+        { text: 'Inbox, no date', completed: 1, list: 'Inbox', tags: [], due_at: null, priority: 0, created_at: 0, updated_at: 0, remind_at: null, recurrence: null, notes: null }
+    ];
+    const expected = todos.map(todo => parsed({ ...todo, completed: Boolean(todo.completed) }));
+
+    test('JSON and CSV keep every exported field', () => {
+        expect(parseTodos(exportTodos(todos, 'json'), 'json')).toEqual(expected);
+        expect(parseTodos(exportTodos(todos, 'csv'), 'csv')).toEqual(expected);
+    });
+
+    test('Markdown keeps the text, state, list, tags and due day', () => {
+        const markdown = exportTodos(todos, 'md');
+        expect(markdown).toBe('## Home\n\n- [ ] Pay the rent #money 📅 2025-01-31\n\n## Inbox\n\n- [x] Inbox, no date\n');
+        expect(parseTodos(markdown, 'md')).toEqual([
+            parsed({ text: 'Pay the rent', list: 'Home', tags: ['money'], due_at: new Date(2025, 0, 31).getTime() }),
+            parsed({ text: 'Inbox, no date', completed: true, list: 'Inbox' })
+        ]);
+    });
+});
+
+test('findDuplicates compares texts within a list, ignoring case, and formatFromPath knows the extensions', () => {
+    const { fresh, duplicates } = findDuplicates(
+        [parsed({ text: 'Milk ' }), parsed({ text: 'milk', list: 'Shopping' }), parsed({ text: 'Bread' }), parsed({ text: 'bread' })],
+        [{ text: 'milk', list: 'Inbox' }], 'Inbox');
+    expect(fresh.map(todo => todo.text)).toEqual(['milk', 'Bread']);
+    expect(duplicates.map(todo => todo.text)).toEqual(['Milk ', 'bread']);
+    expect(['a.JSON', 'b.markdown', 'c.ics', 'd'].map(formatFromPath)).toEqual(['json', 'md', null, null]);
+});
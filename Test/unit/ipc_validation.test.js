@@ -0,0 +1,164 @@
+// Author: Daniel
+
+/* The checks every IPC handler in main.js runs on its sender and arguments (ipc_validation.js) */
+
+const { pathToFileURL } = require('node:url');
+const {
+    IpcValidationError, assertTrustedSender, toId, toIdList, toText, toTimestamp, toTagNames, toListName,
+    toPriority, toChoice, toPage, toNotes, toLink, toTodoFields, toTodoRecord, MAX_TEXT_LENGTH, MAX_NOTES_LENGTH, TRUSTED_PAGES
+} = require('../../ipc_validation');
+
+// An ipcMain event as sent by a frame showing url
+function eventFrom(url, { topFrame = true } = {}) {
+    const mainFrame = { url };
+    return { sender: { mainFrame }, senderFrame: topFrame ? mainFrame : { url } };
+}
+
+describe('assertTrustedSender', () => {
+    test('accepts the top frame of our own pages, with or without a query string', () => {
+        expect(() => assertTrustedSender(eventFrom(pathToFileURL(TRUSTED_PAGES[0]).href))).not.toThrow();
+        expect(() => assertTrustedSender(eventFrom(`${pathToFileURL(TRUSTED_PAGES[0]).href}?storage=memory`))).not.toThrow();
+    });
+
+    test('refuses other pages, iframes and frames that are gone', () => {
+        expect(() => assertTrustedSender(eventFrom('https://example.com/'))).toThrow(IpcValidationError);
+        expect(() => assertTrustedSender(eventFrom('file:///tmp/index.html'))).toThrow('not accepted from file:///tmp/index.html');
+        expect(() => assertTrustedSender(eventFrom(pathToFileURL(TRUSTED_PAGES[0]).href, { topFrame: false }))).toThrow('main frame');
+        expect(() => assertTrustedSender({ sender: { mainFrame: null }, senderFrame: null })).toThrow(IpcValidationError);
+    });
+});
+
+describe('ids', () => {
+    test('toId accepts positive integers only', () => {
+        expect(toId(3)).toBe(3);
+        [0, -1, 1.5, '3', null, undefined, NaN].forEach(value => expect(() => toId(value, 'todo id')).toThrow(`Invalid todo id: ${value}`));
+    });
+
+    test('toIdList refuses repeated ids and non-arrays', () => {
+        expect(toIdList([1, 2, 3])).toEqual([1, 2, 3]);
+        expect(() => toIdList([1, 1], 'ids')).toThrow('the same id appears twice');
+        expect(() => toIdList('1,2', 'ids')).toThrow('expected an array of ids');
+        expect(() => toIdList([1, 'x'], 'ids')).toThrow('Invalid id: x');
+    });
+});
+
+describe('texts and names', () => {
+    test('toText trims and refuses empty or too long texts', () => {
+        expect(toText('  Buy milk  ')).toBe('Buy milk');
+        expect(() => toText('   ')).toThrow('You must write something!');
+        expect(() => toText(42)).toThrow('must be a string');
+        expect(() => toText('x'.repeat(MAX_TEXT_LENGTH + 1))).toThrow(`at most ${MAX_TEXT_LENGTH} characters`);
+    });
+
+    test('toListName and toTagNames', () => {
+        expect(toListName(' Work ')).toBe('Work');
+        expect(() => toListName('')).toThrow('A list needs a name');
+        expect(toTagNames(['#home', 'büro_2'])).toEqual(['home', 'büro_2']);
+        expect(() => toTagNames(['two words'])).toThrow('Invalid tag name: two words');
+        expect(() => toTagNames(['x'.repeat(101)])).toThrow('Invalid tag name');
+        expect(() => toTagNames('home')).toThrow('must be an array');
+    });
+});
+
+describe('values', () => {
+    test('toTimestamp rounds numbers and keeps null', () => {
+        expect(toTimestamp(1000.4)).toBe(1000);
+        expect(toTimestamp(undefined)).toBeNull();
+        expect(() => toTimestamp('tomorrow')).toThrow('Invalid timestamp');
+    });
+
+    test('toPriority accepts 0 to 4', () => {
+        [0, 4].forEach(value => expect(toPriority(value)).toBe(value));
+        [5, -1, 2.5, '2'].forEach(value => expect(() => toPriority(value)).toThrow('Invalid priority'));
+    });
+
+    test('toPage accepts an offset from 0 and a limit from 1', () => {
+        expect(toPage(0, 200)).toEqual({ offset: 0, limit: 200 });
+        expect(() => toPage(-1, 10)).toThrow('Invalid offset: -1');
+        expect(() => toPage(0, 0)).toThrow('Invalid limit: 0');
+        expect(() => toPage(0, '10')).toThrow('Invalid limit: 10');
+    });
+
+    test('toChoice', () => {
+        expect(toChoice('move', ['move', 'cascade'], 'delete mode')).toBe('move');
+        expect(() => toChoice('drop', ['move', 'cascade'], 'delete mode')).toThrow('Unknown delete mode: drop');
+    });
+});
+
+describe('notes and links', () => {
+    test('toNotes keeps the notes as written, empty notes are null', () => {
+        expect(toNotes('  # Title\n\n- item\n')).toBe('  # Title\n\n- item\n');
+        expect(toNotes(' \n ')).toBeNull();
+        expect(toNotes(null)).toBeNull();
+        expect(toNotes('x'.repeat(MAX_TEXT_LENGTH + 1))).toHaveLength(MAX_TEXT_LENGTH + 1); // Longer than a todo text
+        expect(() => toNotes('x'.repeat(MAX_NOTES_LENGTH + 1))).toThrow(IpcValidationError);
+        expect(() => toNotes(42)).toThrow(IpcValidationError);
+    });
+
+    test('toLink only accepts web and mail links', () => {
+        expect(toLink('https://example.com/a b')).toBe('https://example.com/a%20b');
+        expect(toLink('mailto:someone@example.com')).toBe('mailto:someone@example.com');
+        ['javascript:alert(1)', 'file:///etc/passwd', 'C:\\Windows\\calc.exe', '/relative', 42].forEach((link) => {
+            expect(() => toLink(link)).toThrow('Only web and mail links');
+        });
+    });
+});
+
+describe('toTodoFields', () => {
+    test('converts the known fields to column values', () => {
+        expect(toTodoFields({ text: ' New ', completed: true, due_at: 5.6, priority: 2, recurrence: null, notes: '' }))
+            .toEqual({ text: 'New', completed: 1, due_at: 6, priority: 2, recurrence: null, notes: null });
+    });
+
+    test('refuses unknown fields', () => {
+        expect(() => toTodoFields({ list_id: 2 })).toThrow('Unknown todo field: list_id');
+        expect(() => toTodoFields([])).toThrow('expected an object');
+    });
+});
+
+describe('toTodoRecord', () => {
+    test('checks a removed todo with its subtasks and history', () => {
+        const record = toTodoRecord({
+            id: 4, text: 'Parent', tags: ['#a'], completed: true, created_at: 10, list_id: 1, parent_id: null,
+            subtasks: [{ id: 5, text: 'Child', parent_id: 4 }],
+            history: [{ due_at: 1, remind_at: null, reminded_at: null, completed_at: 2 }]
+        });
+        expect(record).toMatchObject({ id: 4, tags: ['a'], completed: 1, subtasks: [{ id: 5, tags: [], subtasks: [], history: [] }] });
+        expect(record.history).toEqual([{ due_at: 1, remind_at: null, reminded_at: null, completed_at: 2 }]);
+    });
+
+    test('refuses values that are not plain', () => {
+        expect(() => toTodoRecord({ id: 1, text: 'x', sort_key: { evil: true } })).toThrow('Invalid value for sort_key');
+        expect(() => toTodoRecord({ id: 1, text: 'x', history: [{ due_at: 1 }] })).toThrow('it needs completed_at');
+        expect(() => toTodoRecord({ id: 1, text: 'x', subtasks: 'none' })).toThrow('Invalid subtasks');
+    });
+
+    test('checks the priority, position and calendar UID', () => {
+        expect(toTodoRecord({ id: 1, text: 'x', priority: 4, position: -2, ical_uid: 'abc@todo-list' })).toMatchObject({ priority: 4, position: -2, ical_uid: 'abc@todo-list' });
+        expect(toTodoRecord({ id: 1, text: 'x', ical_uid: null }).ical_uid).toBeNull();
+        expect(() => toTodoRecord({ id: 1, text: 'x', priority: 9 })).toThrow('Invalid priority: 9');
+        expect(() => toTodoRecord({ id: 1, text: 'x', priority: null })).toThrow('Invalid priority');
+        expect(() => toTodoRecord({ id: 1, text: 'x', position: 1.5 })).toThrow('Invalid position: 1.5');
+        expect(() => toTodoRecord({ id: 1, text: 'x', position: '1' })).toThrow('Invalid position');
+        expect(() => toTodoRecord({ id: 1, text: 'x', ical_uid: 'x'.repeat(256) })).toThrow('Invalid calendar UID');
+        expect(() => toTodoRecord({ id: 1, text: 'x', ical_uid: 42 })).toThrow('Invalid calendar UID');
+    });
+
+    test('checks the attachments, whose copies must be in the attachments folder', () => {
+        const file = '3b241101-e2bb-4255-8caf-4136c566a962.pdf';
+        expect(toTodoRecord({ id: 1, text: 'x', notes: 'n'.repeat(5000), attachments: [{ id: 2, name: 'a.pdf', file, size: 3, added_at: 4 }] }))
+            .toMatchObject({ notes: 'n'.repeat(5000), attachments: [{ id: 2, name: 'a.pdf', file, size: 3, added_at: 4 }] });
+        ['../todos.db', '/etc/passwd', 'C:\\evil.exe', 'notes.txt'].forEach((path) => {
+            expect(() => toTodoRecord({ id: 1, text: 'x', attachments: [{ id: 2, name: 'a', file: path }] })).toThrow('Invalid attachment file');
+        });
+        expect(() => toTodoRecord({ id: 1, text: 'x', attachments: 'none' })).toThrow('Invalid attachments');
+    });
+
+    test('checks the time entries, which must have ended', () => {
+        expect(toTodoRecord({ id: 1, text: 'x', time_entries: [{ id: 3, kind: 'pomodoro', started_at: 1000, ended_at: 2000.4 }] }))
+            .toMatchObject({ time_entries: [{ id: 3, kind: 'pomodoro', started_at: 1000, ended_at: 2000 }] });
+        expect(() => toTodoRecord({ id: 1, text: 'x', time_entries: [{ id: 3, kind: 'timer', started_at: 1000, ended_at: null }] })).toThrow('Invalid time entry');
+        expect(() => toTodoRecord({ id: 1, text: 'x', time_entries: [{ id: 3, kind: 'timer', started_at: 2000, ended_at: 1000 }] })).toThrow('Invalid time entry');
+        expect(() => toTodoRecord({ id: 1, text: 'x', time_entries: [{ id: 3, kind: 'lap', started_at: 1, ended_at: 2 }] })).toThrow();
+    });
+});
@@ -0,0 +1,62 @@
+/**
+ * @jest-environment jsdom
+ */
+// Author: Daniel
+
+/* The Markdown of the notes (markdown.js) under jsdom
+ * What matters most: whatever the notes say, they come out as elements and text, never as HTML or a script link.
+ */
+
+const { renderMarkdown, safeLink } = require('../../markdown');
+
+// The notes rendered into a <div>, for its innerHTML
+function render(source) {
+    const div = document.createElement('div');
+    div.appendChild(renderMarkdown(source));
+    return div;
+}
+
+describe('renderMarkdown', () => {
+    test('headings, paragraphs, emphasis and code', () => {
+        expect(render('## Plan ##\n\nFirst **bold** and *italic*,\nthen `a < b` and snake_case_name').innerHTML)
+            .toBe('<h2>Plan</h2><p>First <strong>bold</strong> and <em>italic</em>,<br>then <code>a &lt; b</code> and snake_case_name</p>');
+        expect(render('```\n<b>as is</b>\n**too**\n```').innerHTML).toBe('<pre><code>&lt;b&gt;as is&lt;/b&gt;\n**too**</code></pre>');
+        expect(render('\\*not italic\\*').innerHTML).toBe('<p>*not italic*</p>');
+    });
+
+    test('lists, checklists and quotes', () => {
+        expect(render('- one\n- two\n\n3. three\n4. four').innerHTML)
+            .toBe('<ul><li>one</li><li>two</li></ul><ol start="3"><li>three</li><li>four</li></ol>');
+        const tasks = render('- [x] packed\n- [ ] tickets').querySelectorAll('li.task input');
+        expect([...tasks].map(box => [box.checked, box.disabled])).toEqual([[true, true], [false, true]]);
+        expect(render('> quoted\n> - item').innerHTML).toBe('<blockquote><p>quoted</p><ul><li>item</li></ul></blockquote>');
+    });
+
+    test('HTML in the notes is text', () => {
+        const div = render('<script>alert(1)</script> <img src=x onerror="alert(1)">');
+        expect(div.querySelector('script, img')).toBeNull();
+        expect(div.textContent).toBe('<script>alert(1)</script> <img src=x onerror="alert(1)">');
+    });
+
+    test('only web and mail addresses become links', () => {
+        const links = [...render('[site](https://example.com/a), <mailto:me@example.com> and https://example.com/b.').querySelectorAll('a')];
+        expect(links.map(link => [link.textContent, link.getAttribute('href'), link.rel])).toEqual([
+            ['site', 'https://example.com/a', 'noopener noreferrer'],
+            ['mailto:me@example.com', 'mailto:me@example.com', 'noopener noreferrer'],
+            ['https://example.com/b', 'https://example.com/b', 'noopener noreferrer'] // Without the full stop after it
+        ]);
+        const div = render('[click](javascript:alert(1)) [file](file:///etc/passwd) [page](notes.html)');
+        expect(div.querySelector('a')).toBeNull();
+        expect(div.textContent).toBe('[click](javascript:alert(1)) [file](file:///etc/passwd) [page](notes.html)');
+    });
+});
+
+describe('safeLink', () => {
+    test('keeps absolute http, https and mailto links', () => {
+        expect(safeLink('HTTPS://Example.com')).toBe('https://example.com/');
+        expect(safeLink('mailto:me@example.com')).toBe('mailto:me@example.com');
+        ['javascript:alert(1)', 'data:text/html,x', 'file:///etc/passwd', '//example.com', 'notes.html'].forEach((href) => {
+            expect(safeLink(href)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,542 @@
+/**
+ * @jest-environment jsdom
+ */
+// Author: Daniel
+
+/* The renderer's Model / View / Controller (storage.js and mvc.js) on index.html under jsdom
+ *
+ * The page scripts are classic scripts, so they run in the window the way index.html loads them.
+ * preload.js runs against a mocked electron whose ipcRenderer answers every invoke from a MemoryStorage,
+ * standing in for the handlers of main.js (which run the same rules in todo_store.js, see todo_store.test.js).
+ * Results are copied through JSON and errors get Electron's "Error invoking remote method" prefix, as over real IPC.
+ * The channels that change something answer { result, change } with the change the MemoryStorage reported (see Changed in main.js).
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { MemoryStorage } = require('../../storage');
+
+const ROOT = path.join(__dirname, '..', '..');
+const PAGE = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8').replace(/<script\b[^>]*>[\s\S]*?<\/script>/g, '');
+const SCRIPTS = ['limits.js', 'search.js', 'recurrence.js', 'storage.js', 'markdown.js', 'mvc.js'];
+
+let backend; // What the main process would hold, fresh for every test
+let listeners; // ipcRenderer.on listeners, by channel
+let lastChange; // The change the backend reported last
+
+// The handlers of main.js that answer with the change they made
+const CHANGING = new Set([
+    'addTodo', 'toggleTodo', 'removeTodo', 'updateTodo', 'restoreTodo', 'reopenOccurrence', 'setTodoDue', 'setTodoTags', 'moveTodo',
+    'reorderTodos', 'clearCompleted', 'restoreArchivedTodos', 'createList', 'renameList', 'deleteList', 'setSetting',
+    'addAttachments', 'removeAttachment', 'startTimer', 'stopTimer'
+]);
+const NO_CHANGE = { todos: [], removed: [], lists: false, settings: null, all: false };
+
+// A fresh backend, with its changes recorded for the answers
+function newBackend() {
+    backend = new MemoryStorage();
+    backend.onTodosChanged((change) => { lastChange = change; });
+    backend.onTimerChanged(timer => emit('timer-changed', JSON.parse(JSON.stringify(timer)))); // As main.js tells every window
+}
+
+// ipcRenderer as preload.js sees it
+const mockIpcRenderer = {
+    invoke: jest.fn(async (channel, ...args) => {
+        if (channel === 'importLegacyTodos') return { imported: 0, skipped: 0, alreadyDone: true };
+        try {
+            lastChange = NO_CHANGE;
+            const result = await backend[channel](...JSON.parse(JSON.stringify(args)));
+            const answer = CHANGING.has(channel) ? { result, change: lastChange } : result;
+            return answer === undefined ? undefined : JSON.parse(JSON.stringify(answer));
+        } catch (err) {
+            throw new Error(`Error invoking remote method '${channel}': Error: ${err.message}`);
+        }
+    }),
+    on(channel, listener) {
+        (listeners[channel] = listeners[channel] || []).push(listener);
+    }
+};
+
+jest.mock('electron', () => ({
+    contextBridge: { exposeInMainWorld: (key, value) => { globalThis[key] = value; } },
+    ipcRenderer: mockIpcRenderer
+}), { virtual: true });
+
+// A message from the main process (e.g. 'todos-changed' after another window changed something)
+function emit(channel, ...args) {
+    (listeners[channel] || []).forEach(listener => listener({}, ...args));
+}
+
+// Retry an assertion until it passes (the handlers run over several promises), for at most a second
+async function waitFor(assertion) {
+    const started = Date.now();
+    for (;;) {
+        try {
+            return assertion();
+        } catch (err) {
+            if (Date.now() - started > 1000) throw err;
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    }
+}
+
+// The text of a todo's list item (a todo with subtasks starts with its collapse arrow)
+function todoText(li) {
+    return [...li.childNodes].find(node => node.nodeType === Node.TEXT_NODE).textContent;
+}
+
+// Press a key on the element with the focus
+function press(key, options = {}) {
+    (document.activeElement || document.body).dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options }));
+}
+
+// The texts of the todos on screen, "text*" for completed ones
+function shownTodos() {
+    return [...document.querySelectorAll('#myUL li')].map(li => `${todoText(li)}${li.classList.contains('checked') ? '*' : ''}`);
+}
+
+function showPage() {
+    document.head.innerHTML = /<head>([\s\S]*)<\/head>/.exec(PAGE)[1];
+    document.body.innerHTML = /<body>([\s\S]*)<\/body>/.exec(PAGE)[1];
+}
+
+// The classes of the page scripts (declared in the window's global scope, not on window)
+const pageGlobal = name => window.eval(name);
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    HTMLDialogElement.prototype.showModal = function showModal() { this.open = true; }; // Not in jsdom yet
+    listeners = {};
+    newBackend();
+    jest.isolateModules(() => require('../../preload'));
+    showPage();
+    SCRIPTS.forEach((file) => { // Inline <script>s, so their top-level classes and constants share the global scope like in the page
+        const script = document.createElement('script');
+        script.textContent = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        document.head.appendChild(script);
+    });
+});
+
+beforeEach(() => {
+    listeners = {}; // Forget the listeners of the controllers of earlier tests
+    newBackend();
+    localStorage.clear();
+    window.alert = jest.fn();
+    window.scrollTo = jest.fn(); // Not in jsdom either
+    mockIpcRenderer.invoke.mockClear();
+    showPage();
+});
+
+describe('Model (IpcStorage over window.api)', () => {
+    let model;
+
+    beforeEach(() => {
+        const IpcStorage = pageGlobal('IpcStorage');
+        model = new IpcStorage(window.api);
+    });
+
+    test('each method invokes its channel with its arguments', async () => {
+        const { id } = await model.addTodo('Buy milk #home', { listId: 1 });
+        await model.toggleTodo(id);
+        await model.updateTodo(id, { text: 'Buy oat milk' });
+        await model.reorderTodos(1, [id]);
+        await model.searchTodos('milk');
+        expect(mockIpcRenderer.invoke.mock.calls).toEqual([
+            ['addTodo', 'Buy milk #home', { listId: 1 }],
+            ['toggleTodo', id],
+            ['updateTodo', id, { text: 'Buy oat milk' }],
+            ['reorderTodos', 1, [id]],
+            ['searchTodos', 'milk']
+        ]);
+        expect(await model.getTodos(1)).toMatchObject([{ id, text: 'Buy oat milk', completed: 1, tags: ['home'] }]);
+    });
+
+    test('errors of the main process come back as rejected promises', async () => {
+        await expect(model.createList('Inbox')).rejects.toThrow(/^Error invoking remote method 'createList': Error: A list named "Inbox" already exists/);
+    });
+
+    test('messages of the main process reach the callbacks', () => {
+        const changed = jest.fn();
+        const imported = jest.fn();
+        model.onTodosChanged(changed);
+        model.onTodosImported(imported);
+        emit('todos-changed', { todos: [], removed: [3] });
+        emit('todos-imported', 4);
+        expect(changed).toHaveBeenCalledWith({ todos: [], removed: [3] });
+        expect(imported).toHaveBeenCalledWith(4);
+    });
+});
+
+describe('View', () => {
+    let view;
+
+    beforeEach(() => {
+        const View = pageGlobal('View');
+        view = new View();
+    });
+
+    test('renders todos with their state, tags and subtasks', () => {
+        view.renderTodos([
+            { id: 1, text: 'Trip', completed: 0, tags: ['travel'], parent_id: null },
+            { id: 2, text: 'Pack', completed: 1, tags: [], parent_id: 1 }
+        ]);
+        expect(shownTodos()).toEqual(['Trip', 'Pack*']);
+        const trip = document.querySelector('#myUL li[data-id="1"]');
+        expect(trip.querySelector('.tag').textContent).toBe('#travel');
+        expect(trip.querySelector('li[data-id="2"]')).not.toBeNull();
+        expect(trip.querySelector('.close')).not.toBeNull();
+    });
+
+    test('renders the lists with their open counts; the Inbox cannot be deleted', () => {
+        view.renderLists([{ id: 1, name: 'Inbox', open_count: 2 }, { id: 5, name: 'Work', open_count: 0 }], 5, 1);
+        const items = [...document.querySelectorAll('#myLists li')];
+        expect(items.map(li => li.querySelector('.listName').textContent)).toEqual(['Inbox', 'Work']);
+        expect(items.map(li => li.querySelector('.count').textContent)).toEqual(['2', '']);
+        expect(items.map(li => Boolean(li.querySelector('.deleteList')))).toEqual([false, true]);
+        expect(items[1].classList.contains('selected')).toBe(true);
+    });
+
+    test('a toast runs its action once and hides', () => {
+        const undo = jest.fn();
+        view.showToast('Deleted "x"', 'Undo', undo);
+        const toast = document.querySelector('#toast');
+        expect(toast.classList.contains('visible')).toBe(true);
+        toast.querySelector('button').click();
+        expect(undo).toHaveBeenCalledTimes(1);
+        expect(toast.classList.contains('visible')).toBe(false);
+    });
+
+    test('shows the priority as a marker', () => {
+        view.renderTodos([
+            { id: 1, text: 'Urgent', completed: 0, priority: 4, tags: [], parent_id: null },
+            { id: 2, text: 'None', completed: 0, priority: 0, tags: [], parent_id: null }
+        ]);
+        const markers = [...document.querySelectorAll('#myUL .priority')];
+        expect(markers.map(marker => marker.className)).toEqual(['priority p4', 'priority empty']);
+        expect(markers[0].title).toBe('Urgent priority');
+    });
+
+    test('a todo that did not change keeps its list item, a changed one is drawn again', () => {
+        const todos = [
+            { id: 1, text: 'One', completed: 0, tags: [], parent_id: null },
+            { id: 2, text: 'Two', completed: 0, tags: [], parent_id: null }
+        ];
+        view.renderTodos(todos);
+        const [one, two] = document.querySelectorAll('#myUL > li');
+        view.renderTodos([todos[0], { ...todos[1], completed: 1 }]);
+        const [oneAgain, twoAgain] = document.querySelectorAll('#myUL > li');
+        expect(oneAgain).toBe(one);
+        expect(twoAgain).not.toBe(two);
+        expect(shownTodos()).toEqual(['One', 'Two*']);
+    });
+
+    test('only the todos in or near the window get a list item', async () => {
+        const ROW_HEIGHT = pageGlobal('ROW_HEIGHT');
+        const list = document.querySelector('#myUL');
+        view.renderTodos(Array.from({ length: 1000 }, (_, index) => ({ id: index + 1, text: `Todo ${index + 1}`, completed: 0, tags: [], parent_id: null })));
+        const items = document.querySelectorAll('#myUL > li');
+        expect(items.length).toBeLessThan(50);
+        expect(todoText(items[0])).toBe('Todo 1');
+        expect(list.style.paddingBottom).toBe(`${(1000 - items.length) * ROW_HEIGHT}px`);
+
+        list.getBoundingClientRect = () => ({ top: -500 * ROW_HEIGHT }); // Scrolled down to the 501st todo
+        window.dispatchEvent(new Event('scroll'));
+        await waitFor(() => expect(todoText(document.querySelector('#myUL > li'))).toBe('Todo 491')); // With the todos just above it
+        expect(list.style.paddingTop).toBe(`${490 * ROW_HEIGHT}px`);
+    });
+
+    test('a todo is a checkbox named after what it shows, not after its buttons', () => {
+        view.renderTodos([
+            { id: 1, text: 'Trip', completed: 1, priority: 3, tags: ['travel'], parent_id: null },
+            { id: 2, text: 'Pack', completed: 0, tags: [], parent_id: 1 }
+        ]);
+        const trip = document.querySelector('#myUL li[data-id="1"]');
+        expect(trip.getAttribute('role')).toBe('checkbox');
+        expect(trip.getAttribute('aria-checked')).toBe('true');
+        expect(trip.getAttribute('aria-label')).toBe('Trip, High priority, #travel, 0 of 1 subtasks done');
+        expect(trip.querySelector('li').getAttribute('aria-checked')).toBe('false');
+    });
+
+    test('"?" opens the keyboard shortcuts, "/" goes to the search box', () => {
+        press('?');
+        expect(document.querySelector('#shortcutsDialog').open).toBe(true);
+        document.querySelector('#shortcutsDialog').open = false;
+        press('/');
+        expect(document.activeElement).toBe(document.querySelector('#mySearch'));
+        press('?'); // Typed into the search box
+        expect(document.querySelector('#shortcutsDialog').open).toBe(false);
+    });
+
+    test('the add button refuses an empty todo', () => {
+        const handler = jest.fn();
+        view.bindAddTodo(handler);
+        document.querySelector('#myInput').value = '   ';
+        document.querySelector('.addBtn').click();
+        expect(handler).not.toHaveBeenCalled();
+        expect(window.alert).toHaveBeenCalledWith('You must write something!');
+    });
+});
+
+describe('Controller', () => {
+    let controller;
+
+    beforeEach(async () => {
+        const [IpcStorage, View, Controller] = ['IpcStorage', 'View', 'Controller'].map(pageGlobal);
+        await backend.addTodo('Existing');
+        controller = new Controller(new IpcStorage(window.api), new View());
+        await waitFor(() => expect(shownTodos()).toEqual(['Existing']));
+    });
+
+    // Type a todo into the form and click "Add"
+    function addTodo(text) {
+        document.querySelector('#myInput').value = text;
+        document.querySelector('.addBtn').click();
+    }
+
+    // The list item of the todo with this text
+    function todoItem(text) {
+        return [...document.querySelectorAll('#myUL li')].find(li => todoText(li) === text);
+    }
+
+    test('shows the Inbox and its open count on start', async () => {
+        await waitFor(() => expect(document.querySelector('#myLists li .count').textContent).toBe('1'));
+        expect(document.querySelector('#myDIV h2').textContent).toBe('Inbox');
+    });
+
+    test('adds a todo from the form', async () => {
+        addTodo('Buy milk #home');
+        await waitFor(() => expect(shownTodos()).toEqual(['Existing', 'Buy milk']));
+        expect(document.querySelector('#myInput').value).toBe('');
+        expect(await backend.getTodos(1)).toMatchObject([{ text: 'Existing' }, { text: 'Buy milk', tags: ['home'] }]);
+    });
+
+    test('clicking a todo checks it off, clicking it again re-opens it', async () => {
+        todoItem('Existing').click(); // detail 0, like a keyboard click: no double-click delay
+        await waitFor(() => expect(shownTodos()).toEqual(['Existing*']));
+        expect((await backend.getTodos(1))[0].completed).toBe(1);
+        todoItem('Existing').click();
+        await waitFor(() => expect(shownTodos()).toEqual(['Existing']));
+    });
+
+    test('deleting a todo offers to undo it', async () => {
+        todoItem('Existing').querySelector('.close').click();
+        await waitFor(() => expect(shownTodos()).toEqual([]));
+        const toast = document.querySelector('#toast');
+        expect(toast.querySelector('span').textContent).toBe('Deleted "Existing"');
+        toast.querySelector('button').click();
+        await waitFor(() => expect(shownTodos()).toEqual(['Existing']));
+        expect(mockIpcRenderer.invoke).toHaveBeenCalledWith('restoreTodo', expect.objectContaining({ text: 'Existing' }));
+    });
+
+    test('adds a todo with the chosen priority and changes it from its marker', async () => {
+        document.querySelector('#myPriority').value = '3';
+        addTodo('Call the bank');
+        await waitFor(() => expect(todoItem('Call the bank').querySelector('.priority').className).toBe('priority p3'));
+        expect(document.querySelector('#myPriority').value).toBe('0');
+
+        todoItem('Call the bank').querySelector('.priority').click();
+        const editor = todoItem('Call the bank').querySelector('.priorityEditor');
+        editor.value = '1';
+        editor.dispatchEvent(new Event('change'));
+        await waitFor(() => expect(todoItem('Call the bank').querySelector('.priority').className).toBe('priority p1'));
+        expect(mockIpcRenderer.invoke).toHaveBeenCalledWith('updateTodo', expect.any(Number), { priority: 1 });
+    });
+
+    test('the Today view shows what the model picked from every list', async () => {
+        const { id: listId } = await backend.createList('Work');
+        await backend.addTodo('Urgent work', { listId, priority: 4 });
+        await backend.addTodo('Overdue', { dueAt: Date.now() - 1000 });
+        document.querySelector('#showToday').click();
+        await waitFor(() => expect(shownTodos()).toEqual(['Overdue', 'Urgent work']));
+        expect(mockIpcRenderer.invoke).toHaveBeenCalledWith('getTodayTodos');
+        expect(document.querySelector('#myDIV h2').textContent).toBe('Today');
+        expect(document.querySelector('#showToday').classList.contains('selected')).toBe(true);
+        expect(todoItem('Urgent work').querySelector('.listBadge').textContent).toBe('Work');
+
+        todoItem('Overdue').click(); // Completed todos leave the Today view
+        await waitFor(() => expect(shownTodos()).toEqual(['Urgent work']));
+        document.querySelector('#myLists li').click();
+        await waitFor(() => expect(shownTodos()).toEqual(['Existing', 'Overdue*']));
+        expect(document.querySelector('#showToday').classList.contains('selected')).toBe(false);
+    });
+
+    test('Enter in the new todo field adds it, and screen readers are told', async () => {
+        const input = document.querySelector('#myInput');
+        input.value = 'Buy milk';
+        input.focus();
+        press('Enter');
+        await waitFor(() => expect(shownTodos()).toEqual(['Existing', 'Buy milk']));
+        expect(document.querySelector('#announcer').textContent).toBe('Added "Buy milk"');
+    });
+
+    test('the todos can be gone through, checked off and deleted with the keyboard', async () => {
+        addTodo('Second');
+        addTodo('Third');
+        await waitFor(() => expect(shownTodos()).toEqual(['Existing', 'Second', 'Third']));
+        todoItem('Existing').focus();
+        press('ArrowDown');
+        expect(document.activeElement).toBe(todoItem('Second'));
+        press('End');
+        expect(document.activeElement).toBe(todoItem('Third'));
+        press('Home');
+        expect(document.activeElement).toBe(todoItem('Existing'));
+
+        press(' ');
+        await waitFor(() => expect(shownTodos()).toEqual(['Existing*', 'Second', 'Third']));
+        expect(document.activeElement).toBe(todoItem('Existing')); // Drawn again, and focused again
+        expect(document.activeElement.getAttribute('aria-checked')).toBe('true');
+        expect(document.querySelector('#announcer').textContent).toBe('Completed "Existing"');
+
+        press('Delete');
+        expect(document.activeElement).toBe(todoItem('Second'));
+        await waitFor(() => expect(shownTodos()).toEqual(['Second', 'Third']));
+        expect(document.querySelector('#toast span').textContent).toBe('Deleted "Existing"');
+        press('z', { ctrlKey: true });
+        await waitFor(() => expect(shownTodos()).toEqual(['Existing*', 'Second', 'Third']));
+    });
+
+    test('the keys of a todo open its editors, Escape comes back to the todo', async () => {
+        todoItem('Existing').focus();
+        press('t');
+        expect(document.activeElement.className).toBe('tagEditor');
+        press('Escape');
+        expect(document.activeElement).toBe(todoItem('Existing'));
+
+        press('Enter');
+        const editor = document.activeElement;
+        expect(editor.className).toBe('textEditor');
+        editor.value = 'Renamed';
+        press('Enter');
+        await waitFor(() => expect(shownTodos()).toEqual(['Renamed']));
+        expect(document.activeElement).toBe(todoItem('Renamed'));
+    });
+
+    test('the lists in the sidebar are reached with the keyboard', async () => {
+        await backend.createList('Work');
+        controller.refreshLists();
+        await waitFor(() => expect(document.querySelectorAll('#myLists li')).toHaveLength(2));
+        const work = document.querySelectorAll('#myLists li')[1];
+        expect(work.tabIndex).toBe(0);
+        work.focus();
+        press('Enter');
+        await waitFor(() => expect(document.querySelector('#myDIV h2').textContent).toBe('Work'));
+        expect(document.querySelector('#myLists li[aria-current="true"]').dataset.id).toBe(work.dataset.id);
+        expect(document.activeElement.dataset.id).toBe(work.dataset.id); // Drawn again, and focused again
+    });
+
+    test('errors are shown without the IPC prefix', async () => {
+        await controller.handleCreateList('inbox');
+        await waitFor(() => expect(window.alert).toHaveBeenCalledWith('A list named "inbox" already exists'));
+    });
+
+    test('a change draws just the todo it touched again, without fetching the list', async () => {
+        addTodo('Second');
+        await waitFor(() => expect(shownTodos()).toEqual(['Existing', 'Second']));
+        const existing = todoItem('Existing');
+        mockIpcRenderer.invoke.mockClear();
+        todoItem('Second').click();
+        await waitFor(() => expect(shownTodos()).toEqual(['Existing', 'Second*']));
+        expect(todoItem('Existing')).toBe(existing);
+        expect(mockIpcRenderer.invoke.mock.calls.map(([channel]) => channel)).toEqual(['toggleTodo', 'getLists']);
+    });
+
+    test('a long list is loaded a page at a time as it is scrolled, and whole to sort it', async () => {
+        const ROW_HEIGHT = pageGlobal('ROW_HEIGHT');
+        for (let number = 1; number <= 450; number++) await backend.addTodo(`Todo ${number}`);
+        controller.handleSelectList(1);
+        await waitFor(() => expect(controller.todos).toHaveLength(200));
+        expect(mockIpcRenderer.invoke).toHaveBeenCalledWith('getTodos', 1, 0, 200);
+        expect(mockIpcRenderer.invoke).toHaveBeenCalledWith('countTodos', 1);
+
+        document.querySelector('#myUL').getBoundingClientRect = () => ({ top: -300 * ROW_HEIGHT });
+        window.dispatchEvent(new Event('scroll'));
+        await waitFor(() => expect(controller.todos).toHaveLength(400));
+        expect(mockIpcRenderer.invoke).toHaveBeenCalledWith('getTodos', 1, 200, 200);
+        expect(shownTodos()).toContain('Todo 300');
+
+        controller.handleSetSort('text');
+        await waitFor(() => expect(controller.todos).toHaveLength(451));
+    });
+
+    test('"o" opens the notes of a todo; they are saved when left, rendered, and undone like any change', async () => {
+        todoItem('Existing').focus();
+        press('o');
+        const pane = document.querySelector('#detailPane');
+        expect(pane.hidden).toBe(false);
+        expect(document.querySelector('#detailTitle').textContent).toBe('Existing');
+        const field = document.querySelector('#notesField');
+        expect(document.activeElement).toBe(field); // No notes yet: straight to writing them
+
+        field.value = '# Call\nAsk about **Friday**, see https://example.com/plan';
+        press('Enter', { ctrlKey: true }); // Saves and shows them rendered
+        await waitFor(() => expect(backend.todos[0].notes).toBe(field.value));
+        const preview = document.querySelector('#notesPreview');
+        expect(preview.hidden).toBe(false);
+        expect(preview.querySelector('h1').textContent).toBe('Call');
+        expect(preview.querySelector('strong').textContent).toBe('Friday');
+        expect(todoItem('Existing').querySelector('.openDetails').classList.contains('empty')).toBe(false);
+
+        window.open = jest.fn(); // MemoryStorage opens links in a new window, the desktop app in the browser
+        preview.querySelector('a').click();
+        await waitFor(() => expect(window.open).toHaveBeenCalledWith('https://example.com/plan', '_blank', 'noopener'));
+
+        press('Escape');
+        expect(pane.hidden).toBe(true);
+        expect(document.activeElement).toBe(todoItem('Existing'));
+        press('z', { ctrlKey: true });
+        await waitFor(() => expect(backend.todos[0].notes).toBeNull());
+    });
+
+    test('the detail pane lists the attachments, opens them and removes them after asking', async () => {
+        const [todo] = backend.todos;
+        jest.spyOn(backend, 'getAttachments').mockResolvedValue([{ id: 7, todo_id: todo.id, name: 'plan.pdf', size: 2048, added_at: 0 }]);
+        const openAttachment = jest.spyOn(backend, 'openAttachment').mockResolvedValue();
+        const removeAttachment = jest.spyOn(backend, 'removeAttachment').mockResolvedValue({ id: 7, todo_id: todo.id, name: 'plan.pdf' });
+        todoItem('Existing').querySelector('.openDetails').click();
+        await waitFor(() => expect(document.querySelector('#attachmentList .attachmentName').textContent).toBe('plan.pdf'));
+        expect(document.querySelector('#attachmentList .attachmentSize').textContent).toBe('2.0 KB');
+
+        document.querySelector('#attachmentList .attachmentName').click();
+        await waitFor(() => expect(openAttachment).toHaveBeenCalledWith(7));
+        window.confirm = jest.fn(() => false);
+        document.querySelector('#attachmentList .removeAttachment').click();
+        expect(window.confirm.mock.calls[0][0]).toMatch(/^Remove "plan.pdf" from this todo\?/);
+        expect(removeAttachment).not.toHaveBeenCalled();
+        window.confirm = jest.fn(() => true);
+        document.querySelector('#attachmentList .removeAttachment').click();
+        await waitFor(() => expect(removeAttachment).toHaveBeenCalledWith(7));
+
+        document.querySelector('#addAttachments').click(); // The browser version cannot attach files
+        await waitFor(() => expect(window.alert).toHaveBeenCalledWith('Attaching files needs the desktop app (SQLite storage)'));
+    });
+
+    test('"w" starts a timer on a todo and stops it, the time it ran is shown with the todo', async () => {
+        todoItem('Existing').focus();
+        press('w');
+        await waitFor(() => expect(document.querySelector('#timerBar').hidden).toBe(false));
+        expect(document.querySelector('#timerLabel').textContent).toBe('Existing');
+        expect(document.querySelector('#timerClock').textContent).toBe('00:00');
+        expect(todoItem('Existing').querySelector('.timer').className).toBe('timer running');
+        expect(todoItem('Existing').getAttribute('aria-label')).toBe('Existing, timer running');
+
+        backend.timer.startedAt -= 90 * 60 * 1000; // As if it had run for an hour and a half
+        document.querySelector('#stopTimer').click();
+        await waitFor(() => expect(document.querySelector('#timerBar').hidden).toBe(true));
+        await waitFor(() => expect(todoItem('Existing').querySelector('.timer').textContent).toBe('\u25B6 1 h 30 min'));
+        expect(document.querySelector('#announcer').textContent).toBe('Stopped the timer on "Existing"');
+
+        todoItem('Existing').querySelector('.openDetails').click();
+        expect(document.querySelector('#trackedTime').textContent).toBe('1 h 30 min tracked');
+        document.querySelector('#timerButtons button[value="pomodoro"]').click(); // The Pomodoro runs in the main process
+        await waitFor(() => expect(window.alert).toHaveBeenCalledWith('The Pomodoro timer needs the desktop app (SQLite storage)'));
+    });
+
+    test('shows what another window changed', async () => {
+        const { id } = await backend.addTodo('From the other window');
+        const [todo] = (await backend.getTodos(1)).filter(item => item.id === id);
+        emit('todos-changed', { todos: [todo], removed: [], lists: true });
+        await waitFor(() => expect(shownTodos()).toEqual(['Existing', 'From the other window']));
+        emit('todos-changed', { todos: [], removed: [id] });
+        await waitFor(() => expect(shownTodos()).toEqual(['Existing']));
+    });
+});
@@ -0,0 +1,39 @@
+// Author: Daniel
+
+/* The tokens of the quick add window (quick_add.js), from a fixed "now": Wednesday 5 March 2025, 10:00 local time */
+
+const { parseQuickAdd } = require('../../quick_add');
+
+const NOW = new Date(2025, 2, 5, 10, 0).getTime();
+const at = (day, hours = 23, minutes = 59) => new Date(2025, 2, day, hours, minutes).getTime();
+
+test('takes the day, time and priority out of the text and leaves the tags in', () => {
+    expect(parseQuickAdd('Call the bank tomorrow 9:30 !high #money', NOW)).toEqual({ text: 'Call the bank #money', dueAt: at(6, 9, 30), priority: 3 });
+    expect(parseQuickAdd('Water the plants today', NOW)).toEqual({ text: 'Water the plants', dueAt: at(5), priority: 0 });
+    expect(parseQuickAdd('Pay the rent !URGENT', NOW)).toEqual({ text: 'Pay the rent', dueAt: null, priority: 4 });
+});
+
+test('a time that has passed today is tomorrow', () => {
+    expect(parseQuickAdd('Lunch 12:00', NOW).dueAt).toBe(at(5, 12, 0));
+    expect(parseQuickAdd('Stand-up 9:30', NOW).dueAt).toBe(at(6, 9, 30));
+});
+
+test('a weekday at the end is the next one to come, never today', () => {
+    expect(parseQuickAdd('Prepare the meeting agenda monday', NOW)).toEqual({ text: 'Prepare the meeting agenda', dueAt: at(10), priority: 0 });
+    expect(parseQuickAdd('Stand-up Wednesday 9:00 #work ', NOW)).toEqual({ text: 'Stand-up #work', dueAt: at(12, 9, 0), priority: 0 });
+});
+
+test('a day, time or priority in the sentence stays in the text', () => {
+    expect(parseQuickAdd('Prepare the Monday meeting agenda', NOW)).toEqual({ text: 'Prepare the Monday meeting agenda', dueAt: null, priority: 0 });
+    expect(parseQuickAdd('Move the Friday call friday', NOW)).toEqual({ text: 'Move the Friday call', dueAt: at(7), priority: 0 });
+    expect(parseQuickAdd('Prepare the 10:00 standup slides', NOW)).toEqual({ text: 'Prepare the 10:00 standup slides', dueAt: null, priority: 0 });
+    expect(parseQuickAdd('Ask Bob what he did today', NOW)).toEqual({ text: 'Ask Bob what he did', dueAt: at(5), priority: 0 });
+    expect(parseQuickAdd('Ask Bob what he did today about it', NOW)).toEqual({ text: 'Ask Bob what he did today about it', dueAt: null, priority: 0 });
+    expect(parseQuickAdd('Read chapter !high of the book', NOW)).toEqual({ text: 'Read chapter !high of the book', dueAt: null, priority: 0 });
+    expect(parseQuickAdd('Plan tomorrow with Ann 9:00 #work', NOW)).toEqual({ text: 'Plan tomorrow with Ann #work', dueAt: at(6, 9, 0), priority: 0 });
+});
+
+test('a text made only of tokens is kept as it is', () => {
+    expect(parseQuickAdd('  tomorrow  ', NOW)).toEqual({ text: 'tomorrow', dueAt: at(6), priority: 0 });
+    expect(parseQuickAdd('', NOW)).toEqual({ text: '', dueAt: null, priority: 0 });
+});
@@ -0,0 +1,125 @@
+// Author: Daniel
+
+/* The repeat rules of recurrence.js: parsing, the standard form, and the occurrences they give.
+ * Dates are made in local time, as the rules work in local time.
+ */
+
+const {
+    parseRecurrence, normalizeRecurrence, describeRecurrence, nextOccurrence, nextDueDate, RecurrenceError
+} = require('../../recurrence');
+
+// A local date at 09:00 (month 1 is January)
+const at = (year, month, day, hours = 9) => new Date(year, month - 1, day, hours, 0).getTime();
+
+// The next few occurrences of a rule after from
+function occurrences(rule, from, count) {
+    const dates = [];
+    for (let next = from; dates.length < count;) {
+        next = nextOccurrence(rule, next);
+        dates.push(next);
+    }
+    return dates;
+}
+
+describe('parseRecurrence', () => {
+    test('reads the parts in any case and order, with an RRULE: prefix', () => {
+        expect(parseRecurrence('rrule:byday=fr,mo; interval=2; freq=weekly')).toEqual({ freq: 'WEEKLY', interval: 2, byDay: ['MO', 'FR'], byMonthDay: null });
+        expect(parseRecurrence('FREQ=MONTHLY;BYMONTHDAY=-1')).toEqual({ freq: 'MONTHLY', interval: 1, byDay: [], byMonthDay: -1 });
+    });
+
+    test('refuses what it cannot repeat, with a message for the user', () => {
+        [
+            [null, /short text/],
+            ['x'.repeat(201), /short text/],
+            ['FREQ=YEARLY', /Unsupported repeat frequency: YEARLY/],
+            ['INTERVAL=2', /needs a FREQ/],
+            ['FREQ=DAILY;INTERVAL=0', /INTERVAL must be a whole number/],
+            ['FREQ=DAILY;INTERVAL=1.5', /INTERVAL must be a whole number/],
+            ['FREQ=WEEKLY;BYDAY=MO,XX', /Unknown weekday in repeat rule: XX/],
+            ['FREQ=MONTHLY;BYMONTHDAY=0', /BYMONTHDAY must be a day of the month/],
+            ['FREQ=MONTHLY;BYMONTHDAY=32', /BYMONTHDAY must be a day of the month/],
+            ['FREQ=DAILY;BYDAY=MO', /BYDAY only works with FREQ=WEEKLY/],
+            ['FREQ=WEEKLY;BYMONTHDAY=1', /BYMONTHDAY only works with FREQ=MONTHLY/],
+            ['FREQ=DAILY;COUNT=3', /Unsupported part in repeat rule: COUNT/]
+        ].forEach(([rule, message]) => {
+            expect(() => parseRecurrence(rule)).toThrow(RecurrenceError);
+            expect(() => parseRecurrence(rule)).toThrow(message);
+        });
+    });
+});
+
+describe('normalizeRecurrence', () => {
+    test('writes the same rule the same way, and empty rules as null', () => {
+        expect(normalizeRecurrence('freq=weekly;interval=1;byday=fr,mo,fr')).toBe('FREQ=WEEKLY;BYDAY=MO,FR');
+        expect(normalizeRecurrence('FREQ=DAILY;INTERVAL=3')).toBe('FREQ=DAILY;INTERVAL=3');
+        expect(normalizeRecurrence('')).toBeNull();
+        expect(normalizeRecurrence(null, at(2025, 1, 31))).toBeNull();
+    });
+
+    test('a monthly rule takes the day of the month of the due date, unless it has one', () => {
+        expect(normalizeRecurrence('FREQ=MONTHLY', at(2025, 1, 31))).toBe('FREQ=MONTHLY;BYMONTHDAY=31');
+        expect(normalizeRecurrence('FREQ=MONTHLY;INTERVAL=2', at(2025, 3, 15))).toBe('FREQ=MONTHLY;INTERVAL=2;BYMONTHDAY=15');
+        expect(normalizeRecurrence('FREQ=MONTHLY;BYMONTHDAY=1', at(2025, 1, 31))).toBe('FREQ=MONTHLY;BYMONTHDAY=1');
+        expect(normalizeRecurrence('FREQ=MONTHLY')).toBe('FREQ=MONTHLY'); // No due date yet
+        expect(normalizeRecurrence('FREQ=WEEKLY', at(2025, 1, 31))).toBe('FREQ=WEEKLY');
+    });
+});
+
+test('describeRecurrence names the presets and puts other rules in words', () => {
+    expect(describeRecurrence('freq=weekly;byday=mo,tu,we,th,fr')).toBe('Every weekday');
+    expect(describeRecurrence('FREQ=WEEKLY;INTERVAL=2;BYDAY=FR')).toBe('Every 2 weeks on Fri');
+    expect(describeRecurrence('FREQ=MONTHLY;BYMONTHDAY=-1')).toBe('Every month on the last day');
+    expect(describeRecurrence('FREQ=MONTHLY;BYMONTHDAY=22')).toBe('Every month on the 22nd');
+});
+
+describe('nextOccurrence', () => {
+    test('daily and plain weekly rules move on by INTERVAL days or weeks, at the same time of day', () => {
+        expect(nextOccurrence('FREQ=DAILY;INTERVAL=3', at(2025, 2, 27))).toBe(at(2025, 3, 2));
+        expect(nextOccurrence('FREQ=WEEKLY;INTERVAL=2', at(2025, 3, 3))).toBe(at(2025, 3, 17));
+    });
+
+    test('a weekly rule with BYDAY goes through the listed days, then skips to the week INTERVAL weeks on', () => {
+        // Monday 3 March 2025, every other week on Monday and Friday
+        expect(occurrences('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR', at(2025, 3, 3), 4)).toEqual([
+            at(2025, 3, 7), at(2025, 3, 17), at(2025, 3, 21), at(2025, 3, 31)
+        ]);
+        // From a Saturday, the weekdays of the next week
+        expect(occurrences('FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR', at(2025, 3, 8), 2)).toEqual([at(2025, 3, 10), at(2025, 3, 11)]);
+    });
+
+    test('BYMONTHDAY may still be ahead this month, -1 is the last day of each month', () => {
+        expect(nextOccurrence('FREQ=MONTHLY;BYMONTHDAY=20', at(2025, 1, 15))).toBe(at(2025, 1, 20));
+        expect(nextOccurrence('FREQ=MONTHLY;BYMONTHDAY=1', at(2025, 1, 15))).toBe(at(2025, 2, 1));
+        expect(occurrences('FREQ=MONTHLY;BYMONTHDAY=-1', at(2024, 1, 15), 4)).toEqual([
+            at(2024, 1, 31), at(2024, 2, 29), at(2024, 3, 31), at(2024, 4, 30)
+        ]);
+    });
+
+    test('a day a month does not have is its last day, in that month only', () => {
+        expect(occurrences('FREQ=MONTHLY;BYMONTHDAY=31', at(2025, 1, 31), 4)).toEqual([
+            at(2025, 2, 28), at(2025, 3, 31), at(2025, 4, 30), at(2025, 5, 31)
+        ]);
+    });
+});
+
+describe('nextDueDate', () => {
+    test('a monthly todo due on the 31st comes back to the 31st after a short month', () => {
+        // Regression: the day used to be taken from the previous due date, so it stayed on the 28th after February
+        const rule = normalizeRecurrence('FREQ=MONTHLY', at(2025, 1, 31));
+        const dates = [];
+        for (let dueAt = at(2025, 1, 31); dates.length < 4;) {
+            dueAt = nextDueDate(rule, dueAt, at(2025, 1, 1));
+            dates.push(dueAt);
+        }
+        expect(dates).toEqual([at(2025, 2, 28), at(2025, 3, 31), at(2025, 4, 30), at(2025, 5, 31)]);
+    });
+
+    test('an overdue todo catches up to the first occurrence that is not over yet', () => {
+        expect(nextDueDate('FREQ=DAILY', at(2025, 3, 1), at(2025, 3, 5, 12))).toBe(at(2025, 3, 6));
+        expect(nextDueDate('FREQ=WEEKLY;BYDAY=MO', at(2025, 3, 3), at(2025, 3, 20, 12))).toBe(at(2025, 3, 24));
+    });
+
+    test('a todo without a due date counts from now', () => {
+        expect(nextDueDate('FREQ=DAILY', null, at(2025, 3, 5, 12))).toBe(at(2025, 3, 6, 12));
+    });
+});
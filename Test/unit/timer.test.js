@@ -0,0 +1,96 @@
+// Author: Daniel
+
+/* The timer and Pomodoro of timer.js on top of a real todo store (in-memory SQLite), with a fake clock */
+
+const { openTestStore } = require('../helpers/database');
+const { TodoTimer } = require('../../timer');
+
+const MINUTE = 60 * 1000;
+const START = new Date(2025, 2, 3, 9, 0).getTime();
+
+let store;
+let close;
+let notifications;
+let changes;
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {}); // The migrations log every step
+});
+
+beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'], now: START }); // SQLite answers through setImmediate
+    ({ store, close } = await openTestStore());
+    notifications = [];
+    changes = [];
+});
+
+afterEach(async () => {
+    jest.useRealTimers();
+    await close();
+});
+
+function createTimer() {
+    return new TodoTimer(store, {
+        lengths: async () => ({ work: 25, pause: 5 }),
+        notify: (title, body) => notifications.push(title),
+        onChange: (state, ids) => changes.push({ phase: state && state.phase, ids })
+    });
+}
+
+// Let the clock run on, then wait for what the timer did at the end of a session
+async function advance(timer, ms) {
+    jest.advanceTimersByTime(ms);
+    await timer.queue;
+}
+
+test('a Pomodoro records the work sessions, not the breaks, and says when each ends', async () => {
+    const id = await store.addTodo('Write the report');
+    const timer = createTimer();
+    const { state } = await timer.start(id, 'pomodoro');
+    expect(state).toMatchObject({ todoId: id, text: 'Write the report', mode: 'pomodoro', phase: 'work', endsAt: START + 25 * MINUTE, cycle: 1 });
+
+    await advance(timer, 25 * MINUTE);
+    expect(timer.getState()).toMatchObject({ phase: 'break', endsAt: START + 30 * MINUTE });
+    expect(notifications).toEqual(['Pomodoro done']);
+    expect(changes.pop()).toEqual({ phase: 'break', ids: [id] }); // Its tracked time grew
+    expect(await store.getRunningTimeEntry()).toBeNull();
+
+    await advance(timer, 5 * MINUTE);
+    expect(timer.getState()).toMatchObject({ phase: 'work', cycle: 2 });
+    expect(notifications).toEqual(['Pomodoro done', 'Break over']);
+
+    await advance(timer, 10 * MINUTE);
+    await timer.stop();
+    expect(timer.getState()).toBeNull();
+    expect((await store.getTimeEntries()).map(entry => (entry.ended_at - entry.started_at) / MINUTE)).toEqual([25, 10]);
+    timer.close();
+});
+
+test('starting a timer stops the one that ran, and completing its todo stops it', async () => {
+    const reportId = await store.addTodo('Write the report');
+    const mailId = await store.addTodo('Answer mail');
+    const timer = createTimer();
+    await timer.start(reportId, 'timer');
+    await advance(timer, 3 * MINUTE);
+    expect(await timer.start(mailId, 'timer')).toMatchObject({ state: { todoId: mailId, endsAt: null }, ids: [reportId] });
+
+    await store.toggleTodo(mailId);
+    await timer.sync();
+    expect(timer.getState()).toBeNull();
+    expect(changes.pop()).toEqual({ phase: null, ids: [mailId] });
+    expect(await store.getTodosById([reportId])).toMatchObject([{ tracked_ms: 3 * MINUTE }]);
+});
+
+test('resume picks up a timer that ran when the app was closed, and ends a Pomodoro session that is over', async () => {
+    const id = await store.addTodo('Write the report');
+    await store.startTimeEntry(id, 'timer', START - 10 * MINUTE);
+    const timer = createTimer();
+    await timer.resume();
+    expect(timer.getState()).toMatchObject({ todoId: id, mode: 'timer', startedAt: START - 10 * MINUTE });
+
+    await timer.stop();
+    await store.startTimeEntry(id, 'pomodoro', START - 40 * MINUTE);
+    await timer.resume();
+    expect(timer.getState()).toBeNull();
+    expect(await store.getTimeEntries()).toMatchObject([{ kind: 'pomodoro', ended_at: START - 15 * MINUTE }, { kind: 'timer', ended_at: START }]);
+});
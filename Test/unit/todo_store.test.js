@@ -0,0 +1,494 @@
+// Author: Daniel
+
+/* The database layer (todo_store.js) against an in-memory SQLite database with the real migrations */
+
+const { openTestStore } = require('../helpers/database');
+const { NotFoundError } = require('../../todo_store');
+const { INBOX_LIST_ID } = require('../../migrations');
+const { exportCalendar, parseCalendar } = require('../../icalendar');
+const { exportTodos, parseTodos } = require('../../import_export');
+
+let store;
+let close;
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {}); // The migrations log every step
+});
+
+beforeEach(async () => {
+    ({ store, close } = await openTestStore());
+});
+
+afterEach(() => close());
+
+// The todos of a list as "text" / "text*" (completed), in list order
+async function texts(listId = INBOX_LIST_ID) {
+    return (await store.getTodos(listId)).map(todo => `${todo.text}${todo.completed ? '*' : ''}`);
+}
+
+describe('addTodo and getTodos', () => {
+    test('adds to the bottom of the Inbox, with the #tags taken out of the text', async () => {
+        await store.addTodo('Buy milk #home #errands');
+        const id = await store.addTodo('Call the bank', { priority: 3, dueAt: 1000, remindAt: 500 });
+        const todos = await store.getTodos(INBOX_LIST_ID);
+        expect(todos.map(todo => todo.text)).toEqual(['Buy milk', 'Call the bank']);
+        expect(todos[0].tags.sort()).toEqual(['errands', 'home']);
+        expect(todos[1]).toMatchObject({ id, priority: 3, due_at: 1000, remind_at: 500, completed: 0, list_id: INBOX_LIST_ID });
+    });
+
+    test('keeps a text made only of tags', async () => {
+        await store.addTodo('#someday');
+        expect(await store.getTodos(INBOX_LIST_ID)).toMatchObject([{ text: '#someday', tags: ['someday'] }]);
+    });
+
+    test('leaves a "#" inside a word and a name too long for a tag in the text', async () => {
+        const long = 'x'.repeat(101);
+        await store.addTodo(`Fix issue#42 #bug #${long}`);
+        expect(await store.getTodos(INBOX_LIST_ID)).toMatchObject([{ text: `Fix issue#42 #${long}`, tags: ['bug'] }]);
+    });
+
+    test('puts new todos at the top with the newTodoPosition setting', async () => {
+        await store.addTodo('first');
+        await store.setSetting('newTodoPosition', 'top');
+        await store.addTodo('second');
+        expect(await texts()).toEqual(['second', 'first']);
+    });
+
+    test('puts a subtask in the list of its parent', async () => {
+        const listId = await store.createList('Work');
+        const parentId = await store.addTodo('Report', { listId });
+        const subtaskId = await store.addTodo('Charts', { parentId });
+        expect(await store.getTodos(listId)).toMatchObject([{ id: parentId }, { id: subtaskId, parent_id: parentId, list_id: listId }]);
+        await expect(store.addTodo('Orphan', { parentId: 999 })).rejects.toThrow(NotFoundError);
+    });
+});
+
+describe('getTodos a page at a time', () => {
+    test('pages through the top-level todos, each with all its subtasks, and countTodos counts them', async () => {
+        const ids = [];
+        for (const text of ['a', 'b', 'c', 'd']) ids.push(await store.addTodo(text));
+        const subtaskId = await store.addTodo('b1', { parentId: ids[1] });
+        await store.addTodo('b1x', { parentId: subtaskId });
+        expect((await store.getTodos(INBOX_LIST_ID, 1, 2)).map(todo => todo.text)).toEqual(['b', 'c', 'b1', 'b1x']);
+        expect(await store.getTodos(INBOX_LIST_ID, 4, 2)).toEqual([]);
+        expect(await store.countTodos(INBOX_LIST_ID)).toBe(4);
+        expect(await store.getTodos(INBOX_LIST_ID)).toHaveLength(6); // Without a limit the whole list
+    });
+});
+
+describe('toggleTodo', () => {
+    test('completes a todo with its subtasks and resolves with their previous states', async () => {
+        const parentId = await store.addTodo('Parent');
+        const subtaskId = await store.addTodo('Child', { parentId });
+        const previous = await store.toggleTodo(parentId);
+        expect(previous).toEqual(expect.arrayContaining([{ id: parentId, completed: 0 }, { id: subtaskId, completed: 0 }]));
+        expect(await texts()).toEqual(['Parent*', 'Child*']);
+    });
+
+    test('re-opening a subtask re-opens its parent', async () => {
+        const parentId = await store.addTodo('Parent');
+        const subtaskId = await store.addTodo('Child', { parentId });
+        await store.toggleTodo(parentId);
+        await store.toggleTodo(subtaskId);
+        expect(await texts()).toEqual(['Parent', 'Child']);
+    });
+
+    test('completes the parent with its last subtask when autoCompleteParent is on', async () => {
+        await store.setSetting('autoCompleteParent', true);
+        const parentId = await store.addTodo('Parent');
+        const first = await store.addTodo('One', { parentId });
+        const second = await store.addTodo('Two', { parentId });
+        await store.toggleTodo(first);
+        expect(await texts()).toEqual(['Parent', 'One*', 'Two']);
+        await store.toggleTodo(second);
+        expect(await texts()).toEqual(['Parent*', 'One*', 'Two*']);
+    });
+
+    test('moves a recurring todo on to its next occurrence, and reopenOccurrence takes it back', async () => {
+        const dueAt = new Date(2025, 2, 3, 9, 0).getTime();
+        const id = await store.addTodo('Stand-up', { dueAt, recurrence: 'FREQ=DAILY' });
+        expect(await store.toggleTodo(id)).toEqual([{ id, completed: 0, recurred: true }]);
+        const [moved] = await store.getTodos(INBOX_LIST_ID);
+        expect(moved).toMatchObject({ completed: 0, completed_count: 1 });
+        expect(moved.due_at).toBeGreaterThan(dueAt);
+
+        await store.reopenOccurrence(id);
+        expect((await store.getTodos(INBOX_LIST_ID))[0]).toMatchObject({ due_at: dueAt, completed_count: 0 });
+        await expect(store.reopenOccurrence(id)).rejects.toThrow(NotFoundError);
+    });
+
+    test('keeps a monthly todo on the day of the month it was due, after a short month too', async () => {
+        const dueAt = new Date(2099, 0, 31, 9, 0).getTime();
+        const id = await store.addTodo('Pay the rent', { dueAt, recurrence: 'FREQ=MONTHLY' });
+        const dueDates = [];
+        for (let i = 0; i < 3; i++) {
+            await store.toggleTodo(id);
+            dueDates.push(new Date((await store.getTodos(INBOX_LIST_ID))[0].due_at).getDate());
+        }
+        expect(dueDates).toEqual([28, 31, 30]);
+        expect((await store.getTodos(INBOX_LIST_ID))[0].recurrence).toBe('FREQ=MONTHLY;BYMONTHDAY=31');
+
+        await store.setTodoDue(id, new Date(2099, 4, 15, 9, 0).getTime(), null);
+        expect((await store.getTodos(INBOX_LIST_ID))[0].recurrence).toBe('FREQ=MONTHLY;BYMONTHDAY=31'); // A day it has is kept
+    });
+
+    test('rejects an unknown todo', async () => {
+        await expect(store.toggleTodo(999)).rejects.toThrow(NotFoundError);
+    });
+});
+
+describe('removeTodo and restoreTodo', () => {
+    test('a removed todo comes back with the same id, tags and subtasks', async () => {
+        const parentId = await store.addTodo('Trip #travel');
+        await store.addTodo('Pack', { parentId });
+        const removed = await store.removeTodo(parentId);
+        expect(removed).toMatchObject({ id: parentId, text: 'Trip', tags: ['travel'], subtasks: [{ text: 'Pack' }] });
+        expect(await texts()).toEqual([]);
+
+        await store.restoreTodo(removed);
+        expect(await store.getTodos(INBOX_LIST_ID)).toMatchObject([{ id: parentId, tags: ['travel'] }, { text: 'Pack', parent_id: parentId }]);
+    });
+
+    test('removing an unknown todo resolves with null', async () => {
+        expect(await store.removeTodo(999)).toBeNull();
+    });
+
+    test('a todo whose list is gone comes back to the Inbox', async () => {
+        const listId = await store.createList('Temp');
+        const id = await store.addTodo('Keep me', { listId });
+        const removed = await store.removeTodo(id);
+        await store.deleteList(listId, 'cascade');
+        await store.restoreTodo(removed);
+        expect(await texts()).toEqual(['Keep me']);
+    });
+});
+
+describe('updateTodo', () => {
+    test('changes the fields, adds #tags from a new text and lets a moved reminder fire again', async () => {
+        const id = await store.addTodo('Old #a', { dueAt: 1000, remindAt: 1000 });
+        const updated = await store.updateTodo(id, { text: 'New #b', due_at: 2000, priority: 2 });
+        expect(updated).toMatchObject({ id, text: 'New', due_at: 2000, priority: 2, reminded_at: null });
+        expect(updated.tags.sort()).toEqual(['a', 'b']);
+    });
+
+    test('rejects an unknown todo', async () => {
+        await expect(store.updateTodo(999, { text: 'x' })).rejects.toThrow(NotFoundError);
+    });
+
+    test('setTodoTags replaces the tags and setTodoDue the dates', async () => {
+        const id = await store.addTodo('Todo #old');
+        await store.setTodoTags(id, ['new', 'other']);
+        await store.setTodoDue(id, 5000, 4000);
+        const [todo] = await store.getTodos(INBOX_LIST_ID);
+        expect(todo.tags.sort()).toEqual(['new', 'other']);
+        expect(todo).toMatchObject({ due_at: 5000, remind_at: 4000, reminded_at: null });
+    });
+});
+
+describe('lists', () => {
+    test('lists come Inbox first, then by name, with their open todos counted', async () => {
+        const work = await store.createList('work');
+        await store.createList('Errands');
+        await store.addTodo('open', { listId: work });
+        const done = await store.addTodo('done', { listId: work });
+        await store.toggleTodo(done);
+        expect(await store.getLists()).toEqual([
+            { id: INBOX_LIST_ID, name: 'Inbox', open_count: 0 },
+            { id: expect.any(Number), name: 'Errands', open_count: 0 },
+            { id: work, name: 'work', open_count: 1 }
+        ]);
+    });
+
+    test('list names are unique, whatever their case', async () => {
+        const id = await store.createList('Work');
+        await expect(store.createList('WORK')).rejects.toThrow('A list named "WORK" already exists');
+        await expect(store.renameList(INBOX_LIST_ID, 'work')).rejects.toThrow('already exists');
+        await store.renameList(id, 'Work stuff');
+        expect((await store.getList(id)).name).toBe('Work stuff');
+        await expect(store.renameList(999, 'Other')).rejects.toThrow(NotFoundError);
+    });
+
+    test('deleting a list moves its todos below the Inbox ones, or deletes them', async () => {
+        await store.addTodo('inbox todo');
+        const moved = await store.createList('Moved');
+        await store.addTodo('moved todo', { listId: moved });
+        await store.deleteList(moved, 'move');
+        expect(await texts()).toEqual(['inbox todo', 'moved todo']);
+
+        const deleted = await store.createList('Deleted');
+        await store.addTodo('deleted todo', { listId: deleted });
+        await store.deleteList(deleted, 'cascade');
+        expect(await texts()).toEqual(['inbox todo', 'moved todo']);
+        await expect(store.deleteList(INBOX_LIST_ID, 'cascade')).rejects.toThrow('The Inbox cannot be deleted');
+    });
+
+    test('moveTodo takes the subtasks along and reorderTodos swaps only the given todos', async () => {
+        const listId = await store.createList('Other');
+        const parentId = await store.addTodo('parent');
+        const subtaskId = await store.addTodo('child', { parentId });
+        expect((await store.moveTodo(parentId, listId)).sort()).toEqual([parentId, subtaskId].sort());
+        expect(await texts(listId)).toEqual(['parent', 'child']);
+        await expect(store.moveTodo(parentId, 999)).rejects.toThrow(NotFoundError);
+
+        const [a, b, c] = [await store.addTodo('a'), await store.addTodo('b'), await store.addTodo('c')];
+        expect(await store.reorderTodos(INBOX_LIST_ID, [c, a])).toEqual([c, b, a]);
+        expect(await texts()).toEqual(['c', 'b', 'a']);
+        await expect(store.reorderTodos(INBOX_LIST_ID, [parentId])).rejects.toThrow('no longer in this list');
+    });
+});
+
+describe('archive', () => {
+    test('clearCompleted archives completed todos with their subtasks, restoreArchivedTodos brings them back', async () => {
+        await store.addTodo('open');
+        const doneId = await store.addTodo('done #x');
+        await store.addTodo('done child', { parentId: doneId });
+        await store.toggleTodo(doneId);
+
+        const archived = await store.clearCompleted(INBOX_LIST_ID);
+        expect(archived.map(todo => todo.id)).toEqual([doneId]);
+        expect(await texts()).toEqual(['open']);
+        expect(await store.getArchivedTodos()).toMatchObject([{ id: doneId, text: 'done', list_id: INBOX_LIST_ID, list_name: 'Inbox' }]);
+
+        await store.restoreArchivedTodos([doneId]);
+        expect(await texts()).toEqual(['open', 'done*', 'done child*']);
+        expect(await store.getArchivedTodos()).toEqual([]);
+        await expect(store.restoreArchivedTodos([doneId])).rejects.toThrow(NotFoundError);
+    });
+});
+
+describe('notes and attachments', () => {
+    // Names of copies as attachments.js makes them
+    const PDF = '3b241101-e2bb-4255-8caf-4136c566a962.pdf';
+    const PNG = '0c0f3a5e-7d4b-4c2a-9e1f-2b6d8a9c0e11.png';
+
+    test('notes are a todo field and attachments are counted with the todos', async () => {
+        const id = await store.addTodo('Plan trip');
+        expect(await store.updateTodo(id, { notes: '# Packing\n- passport' })).toMatchObject({ notes: '# Packing\n- passport' });
+        const added = await store.addAttachments(id, [{ name: 'tickets.pdf', file: PDF, size: 2048 }, { name: 'map.png', file: PNG, size: 10 }]);
+        expect(added).toMatchObject([{ todo_id: id, name: 'tickets.pdf', size: 2048 }, { todo_id: id, name: 'map.png' }]);
+        expect(added[0]).not.toHaveProperty('file'); // The name of the copy stays in the main process
+        expect(await store.getAttachments(id)).toEqual(added);
+        expect(await store.getTodos(INBOX_LIST_ID)).toMatchObject([{ id, attachment_count: 2, notes: '# Packing\n- passport' }]);
+        expect(await store.getAttachment(added[0].id)).toMatchObject({ name: 'tickets.pdf', file: PDF });
+
+        expect(await store.removeAttachment(added[1].id)).toMatchObject({ name: 'map.png', file: PNG });
+        expect(await store.getTodosById([id])).toMatchObject([{ attachment_count: 1 }]);
+        await expect(store.removeAttachment(added[1].id)).rejects.toThrow(NotFoundError);
+        await expect(store.addAttachments(999, [{ name: 'x', file: PNG, size: 1 }])).rejects.toThrow(NotFoundError);
+    });
+
+    test('a removed todo takes its notes and attachments along, and brings them back', async () => {
+        const parentId = await store.addTodo('Trip');
+        const childId = await store.addTodo('Visa', { parentId });
+        await store.updateTodo(childId, { notes: 'Embassy opens at 9' });
+        const [attachment] = await store.addAttachments(childId, [{ name: 'form.pdf', file: PDF, size: 5 }]);
+
+        const removed = await store.removeTodo(parentId);
+        expect(removed.subtasks[0]).toMatchObject({ notes: 'Embassy opens at 9', attachments: [{ id: attachment.id, name: 'form.pdf', file: PDF }] });
+        expect(await store.getAttachmentFiles()).toEqual(new Set());
+
+        await store.restoreTodo(removed);
+        expect(await store.getAttachments(childId)).toEqual([attachment]);
+        expect(await store.getTodosById([childId])).toMatchObject([{ notes: 'Embassy opens at 9', attachment_count: 1 }]);
+    });
+
+    test('getAttachmentFiles names the copies of the attachments and of the archived todos', async () => {
+        const doneId = await store.addTodo('Done');
+        const openId = await store.addTodo('Open');
+        await store.addAttachments(doneId, [{ name: 'a.pdf', file: PDF, size: 1 }]);
+        await store.addAttachments(openId, [{ name: 'b.png', file: PNG, size: 1 }]);
+        await store.toggleTodo(doneId);
+        await store.clearCompleted(INBOX_LIST_ID);
+        expect(await store.getAttachmentFiles()).toEqual(new Set([PDF, PNG]));
+
+        await store.restoreArchivedTodos([doneId]);
+        expect(await store.getAttachments(doneId)).toMatchObject([{ name: 'a.pdf' }]);
+    });
+});
+
+describe('time entries', () => {
+    test('one entry runs at a time and the finished ones add up to tracked_ms', async () => {
+        const listId = await store.createList('Work');
+        const reportId = await store.addTodo('Write the report', { listId });
+        const mailId = await store.addTodo('Answer mail');
+        expect(await store.getRunningTimeEntry()).toBeNull();
+
+        const { entry, ended } = await store.startTimeEntry(reportId, 'pomodoro', 1000);
+        expect(entry).toMatchObject({ todo_id: reportId, kind: 'pomodoro', started_at: 1000, ended_at: null, text: 'Write the report' });
+        expect(ended).toEqual([]);
+        expect(await store.getRunningTimeEntry()).toMatchObject({ id: entry.id, text: 'Write the report' });
+
+        const next = await store.startTimeEntry(mailId, 'timer', 61000); // Ends the Pomodoro session
+        expect(next.ended).toMatchObject([{ id: entry.id, todo_id: reportId, ended_at: 61000 }]);
+        expect(await store.stopTimeEntry(181000)).toMatchObject([{ todo_id: mailId, started_at: 61000, ended_at: 181000 }]);
+        expect(await store.stopTimeEntry(200000)).toEqual([]);
+
+        expect(await store.getTodosById([reportId, mailId])).toMatchObject([{ tracked_ms: 60000 }, { tracked_ms: 120000 }]);
+        expect(await store.getTimeEntries()).toMatchObject([
+            { text: 'Write the report', list: 'Work', kind: 'pomodoro', started_at: 1000, ended_at: 61000 },
+            { text: 'Answer mail', list: 'Inbox', kind: 'timer', started_at: 61000, ended_at: 181000 }
+        ]);
+        expect(await store.getTimeEntries(listId)).toHaveLength(1);
+        await expect(store.startTimeEntry(999, 'timer')).rejects.toThrow(NotFoundError);
+    });
+
+    test('a removed todo ends its running entry and brings its entries back', async () => {
+        const id = await store.addTodo('Write the report');
+        await store.startTimeEntry(id, 'timer', 1000);
+        const removed = await store.removeTodo(id);
+        expect(removed.time_entries).toMatchObject([{ kind: 'timer', started_at: 1000 }]);
+        expect(removed.time_entries[0].ended_at).toBeGreaterThan(1000);
+        expect(await store.getRunningTimeEntry()).toBeNull();
+
+        await store.restoreTodo(removed);
+        expect(await store.getRunningTimeEntry()).toBeNull(); // It does not start running again
+        expect(await store.getTimeEntries()).toMatchObject([{ todo_id: id, started_at: 1000 }]);
+        expect((await store.getTodosById([id]))[0].tracked_ms).toBe(removed.time_entries[0].ended_at - 1000);
+    });
+});
+
+describe('searchTodos', () => {
+    test('finds todos in every list by word prefix, #tag and is:open', async () => {
+        const listId = await store.createList('Work');
+        await store.addTodo('Write the report #work', { listId });
+        const doneId = await store.addTodo('Read a book');
+        await store.addTodo('Repair the bike');
+        await store.toggleTodo(doneId);
+
+        const words = await store.searchTodos('re');
+        expect(words.todos.map(todo => todo.text).sort()).toEqual(['Read a book', 'Repair the bike', 'Write the report']);
+        expect((await store.searchTodos('#work')).todos.map(todo => todo.text)).toEqual(['Write the report']);
+        expect((await store.searchTodos('re is:open')).todos.map(todo => todo.text).sort()).toEqual(['Repair the bike', 'Write the report']);
+    });
+});
+
+describe('getDueToday', () => {
+    test('counts the open and overdue todos and lists the ones due by the end of today', async () => {
+        const now = new Date(2025, 2, 3, 12, 0).getTime();
+        await store.addTodo('overdue', { dueAt: now - 60 * 60 * 1000 });
+        await store.addTodo('tonight', { dueAt: new Date(2025, 2, 3, 20, 0).getTime() });
+        await store.addTodo('tomorrow', { dueAt: new Date(2025, 2, 4, 9, 0).getTime() });
+        await store.addTodo('no date');
+        const doneId = await store.addTodo('done', { dueAt: now - 1000 });
+        await store.toggleTodo(doneId);
+
+        const { open, overdue, todos } = await store.getDueToday(now);
+        expect({ open, overdue }).toEqual({ open: 4, overdue: 1 });
+        expect(todos.map(todo => todo.text)).toEqual(['overdue', 'tonight']);
+    });
+});
+
+describe('getTodayTodos', () => {
+    test('ranks the overdue, due today and high priority open todos of every list', async () => {
+        const now = new Date(2025, 2, 3, 12, 0).getTime();
+        const work = await store.createList('Work');
+        await store.addTodo('urgent, no date', { priority: 4 });
+        await store.addTodo('tonight', { dueAt: new Date(2025, 2, 3, 20, 0).getTime(), listId: work });
+        await store.addTodo('overdue', { dueAt: now - 60 * 60 * 1000 });
+        await store.addTodo('overdue and high', { dueAt: now - 1000, priority: 3 });
+        await store.addTodo('high, next week', { dueAt: new Date(2025, 2, 10, 9, 0).getTime(), priority: 3 });
+        await store.addTodo('medium, no date', { priority: 2 });
+        await store.addTodo('tomorrow', { dueAt: new Date(2025, 2, 4, 9, 0).getTime() });
+        const doneId = await store.addTodo('done and urgent', { priority: 4 });
+        await store.toggleTodo(doneId);
+
+        const todos = await store.getTodayTodos(now);
+        expect(todos.map(todo => todo.text)).toEqual(['overdue and high', 'overdue', 'tonight', 'urgent, no date', 'high, next week']);
+        expect(todos[2]).toMatchObject({ list_name: 'Work', tags: [] });
+    });
+});
+
+describe('import', () => {
+    test('importTodos creates the lists named in the file', async () => {
+        const count = await store.importTodos([
+            { text: 'from file', completed: true, list: 'Imported', tags: ['t'], due_at: null, priority: 0 },
+            { text: 'to the inbox', completed: false, list: null, tags: [], due_at: 1000, priority: 1 }
+        ]);
+        expect(count).toBe(2);
+        const list = (await store.getLists()).find(item => item.name === 'Imported');
+        expect(await store.getTodos(list.id)).toMatchObject([{ text: 'from file', completed: 1, tags: ['t'] }]);
+        expect(await texts()).toEqual(['to the inbox']);
+        expect(await store.getTodoTexts()).toEqual(expect.arrayContaining([{ text: 'from file', list: 'Imported' }]));
+    });
+
+    test('a JSON or CSV export imported again keeps the reminder, repeat rule and notes', async () => {
+        const dueAt = new Date(2099, 0, 31, 9, 0).getTime();
+        const id = await store.addTodo('Pay the rent #home', { dueAt, remindAt: dueAt - 3600000, recurrence: 'FREQ=MONTHLY', priority: 2 });
+        await store.updateTodo(id, { notes: 'Account 42,\n"standing order"' });
+        const exported = await store.getExportTodos();
+        for (const format of ['json', 'csv']) {
+            await store.importTodos(parseTodos(exportTodos(exported, format), format));
+        }
+        const todos = await store.getTodos(INBOX_LIST_ID);
+        expect(todos).toHaveLength(3);
+        todos.forEach(todo => expect(todo).toMatchObject({
+            text: 'Pay the rent', tags: ['home'], due_at: dueAt, remind_at: dueAt - 3600000, priority: 2,
+            recurrence: 'FREQ=MONTHLY;BYMONTHDAY=31', notes: 'Account 42,\n"standing order"'
+        }));
+    });
+
+    test('importLegacyTodos only runs once and skips unusable items', async () => {
+        const first = await store.importLegacyTodos([{ text: ' old ', completed: true }, { text: '' }, null]);
+        expect(first).toEqual({ imported: 1, skipped: 2, alreadyDone: false });
+        expect(await texts()).toEqual(['old*']);
+        expect(await store.importLegacyTodos([{ text: 'again' }])).toEqual({ imported: 0, skipped: 0, alreadyDone: true });
+    });
+
+    test('an exported calendar imported again updates its todos instead of adding them twice', async () => {
+        const listId = await store.createList('Work');
+        const id = await store.addTodo('Report #work', { listId, dueAt: Date.UTC(2025, 2, 1, 9), recurrence: 'FREQ=WEEKLY;BYDAY=MO' });
+        await store.addTodo('No date');
+        const todos = await store.getCalendarTodos();
+        expect(todos).toMatchObject([{ id, text: 'Report', list: 'Work', ical_uid: expect.stringMatching(/@todo-list$/) }]);
+        expect(await store.getCalendarTodos()).toEqual(todos); // The UID is kept
+
+        const tasks = parseCalendar(exportCalendar(todos));
+        tasks[0].text = 'Report, edited in the calendar';
+        tasks[0].completed = true;
+        tasks.push({ ...tasks[0], uid: 'new@example.com', text: 'From the calendar', list: 'Calendar' });
+        expect(await store.importCalendarTodos(tasks)).toEqual({ added: [expect.any(Number)], updated: [id] });
+        expect(await store.getTodos(listId)).toMatchObject([{ id, text: 'Report, edited in the calendar', completed: 1, tags: ['work'], recurrence: 'FREQ=WEEKLY;BYDAY=MO' }]);
+        const calendar = (await store.getLists()).find(list => list.name === 'Calendar');
+        expect(await store.getTodos(calendar.id)).toMatchObject([{ text: 'From the calendar', ical_uid: 'new@example.com' }]);
+        expect(await store.getCalendarUids()).toEqual(new Set([todos[0].ical_uid, 'new@example.com']));
+    });
+
+    test('getExportTodos names the list of every todo', async () => {
+        const listId = await store.createList('Work');
+        await store.addTodo('inbox #a');
+        await store.addTodo('work', { listId });
+        expect(await store.getExportTodos()).toMatchObject([{ text: 'inbox', list: 'Inbox', tags: ['a'] }, { text: 'work', list: 'Work' }]);
+        expect(await store.getExportTodos(listId)).toMatchObject([{ text: 'work' }]);
+    });
+});
+
+describe('transaction', () => {
+    test('rolls back everything when the work fails', async () => {
+        await expect(store.transaction(async () => {
+            await store.dbRun("INSERT INTO lists (name, created_at) VALUES ('Half done', 0)");
+            throw new Error('stop');
+        })).rejects.toThrow('stop');
+        expect((await store.getLists()).map(list => list.name)).toEqual(['Inbox']);
+    });
+
+    test('a read through queued() waits for an open transaction and never sees what it rolled back', async () => {
+        let inside;
+        let fail;
+        const started = new Promise(resolve => { inside = resolve; });
+        const failed = store.transaction(async () => {
+            for (let i = 1; i <= 10; i++) {
+                await store.dbRun('INSERT INTO todos (text, completed, created_at, updated_at, list_id, position) VALUES (?, 0, 0, 0, ?, ?)',
+                    [`todo ${i}`, INBOX_LIST_ID, i]);
+            }
+            inside();
+            await new Promise((resolve, reject) => { fail = reject; });
+        });
+        await started;
+        expect(await store.getTodos(INBOX_LIST_ID)).toHaveLength(10); // The connection is shared: a read outside the queue sees them
+
+        const read = store.queued(() => store.getTodos(INBOX_LIST_ID));
+        fail(new Error('stop'));
+        await expect(failed).rejects.toThrow('stop');
+        expect(await read).toEqual([]);
+    });
+});
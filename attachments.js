@@ -0,0 +1,113 @@
+// Author: Daniel
+
+/* Files attached to todos (main process)
+ *
+ * An attached file is copied into an "attachments" folder next to todos.db, so the todo keeps it even when
+ * the original is moved or deleted. The copy is named with a random UUID and the original's extension
+ * (see ATTACHMENT_FILE), the extension lets shell.openPath pick the right app; the attachments table
+ * (see migration 15 and todo_store.js) remembers the original name.
+ *  - copyIn() makes a copy, remove() deletes copies (an attachment the user took off a todo).
+ *  - The copies of a deleted todo go to a "trash" folder inside it instead of being deleted straight away, so undo
+ *    (restoreTodo) can bring them back with the todo. The trash is emptied when the app quits and when it starts.
+ *  - cleanUp() at startup also deletes the copies nothing refers to any more, e.g. those of a list deleted together
+ *    with its todos.
+ * The todos in the archive ("Clear completed") keep their copies where they are.
+ */
+
+const path = require('node:path');
+const fs = require('node:fs');
+const crypto = require('node:crypto');
+
+// Names of the copies, e.g. 3b241101-e2bb-4255-8caf-4136c566a962.pdf; nothing else is ever opened or deleted
+const ATTACHMENT_FILE = /^[0-9a-f]{8}-(?:[0-9a-f]{4}-){3}[0-9a-f]{12}(?:\.[A-Za-z0-9_-]{1,16})?$/;
+
+// Extensions kept on a copy; anything else (e.g. a name ending in a dot) is dropped
+const EXTENSION = /^\.[A-Za-z0-9_-]{1,16}$/;
+
+class AttachmentFolder {
+    // folder: where the copies go (created when needed)
+    constructor(folder) {
+        this.folder = folder;
+        this.trashFolder = path.join(folder, 'trash');
+    }
+
+    // Copy a file into the folder; resolves with { name, file, size } for addAttachments in todo_store.js
+    async copyIn(sourcePath) {
+        const stats = await fs.promises.stat(sourcePath);
+        if (!stats.isFile()) {
+            throw new Error(`${path.basename(sourcePath)} is not a file`);
+        }
+        const extension = path.extname(sourcePath);
+        const file = `${crypto.randomUUID()}${EXTENSION.test(extension) ? extension : ''}`;
+        await fs.promises.mkdir(this.folder, { recursive: true });
+        await fs.promises.copyFile(sourcePath, path.join(this.folder, file), fs.constants.COPYFILE_EXCL);
+        return { name: path.basename(sourcePath), file, size: stats.size };
+    }
+
+    // The path of a copy
+    pathOf(file) {
+        if (!ATTACHMENT_FILE.test(file)) {
+            throw new Error(`Not an attachment: ${file}`);
+        }
+        return path.join(this.folder, file);
+    }
+
+    // Delete copies; one that is already gone is fine
+    async remove(files) {
+        for (const file of files) {
+            await fs.promises.unlink(this.pathOf(file)).catch(ignoreMissing);
+        }
+    }
+
+    // Move the copies of a deleted todo (see attachmentFiles) to the trash, and back again when it is restored
+    trash(files) {
+        return this.move(files, this.folder, this.trashFolder);
+    }
+
+    untrash(files) {
+        return this.move(files, this.trashFolder, this.folder);
+    }
+
+    async move(files, from, to) {
+        if (files.length === 0) return;
+        await fs.promises.mkdir(to, { recursive: true });
+        for (const file of files) {
+            this.pathOf(file); // Checks the name
+            await fs.promises.rename(path.join(from, file), path.join(to, file)).catch(ignoreMissing);
+        }
+    }
+
+    // Delete the copies in the trash; synchronous, so it can run while the app quits
+    emptyTrash() {
+        fs.rmSync(this.trashFolder, { recursive: true, force: true });
+    }
+
+    /* Empty the trash and delete every copy whose name is not in kept (a Set, see getAttachmentFiles in todo_store.js).
+     * Resolves with how many were deleted.
+     */
+    async cleanUp(kept) {
+        this.emptyTrash();
+        let names;
+        try {
+            names = await fs.promises.readdir(this.folder);
+        } catch (err) {
+            if (err.code === 'ENOENT') return 0; // Nothing attached yet
+            throw err;
+        }
+        const orphans = names.filter(name => ATTACHMENT_FILE.test(name) && !kept.has(name));
+        await this.remove(orphans);
+        return orphans.length;
+    }
+}
+
+// The names of the copies of a todo as takeTodo returns it, and of its subtasks
+function attachmentFiles(todo) {
+    if (!todo) return [];
+    return [...(todo.attachments || []).map(attachment => attachment.file), ...(todo.subtasks || []).flatMap(attachmentFiles)];
+}
+
+function ignoreMissing(err) {
+    if (err.code !== 'ENOENT') throw err;
+}
+
+module.exports = { AttachmentFolder, attachmentFiles, ATTACHMENT_FILE };
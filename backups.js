@@ -0,0 +1,170 @@
+// Author: Daniel
+
+/* Automatic backups of todos.db (main process)
+ *
+ * Backups are made with SQLite's online backup API (Database#backup in sqlite3), which copies the
+ * database page by page through its own connection, so a backup is always a consistent database
+ * even while the app keeps writing (copying todos.db with fs could catch it half-written).
+ *  - The scheduler makes one backup when the app starts, before the migrations run, and then one
+ *    every BACKUP_INTERVAL_MS while the app is open.
+ *  - Backups go to a "backups" folder next to todos.db, named todos-<local date and time>.db so they
+ *    sort by age; only the newest BACKUPS_KEPT are kept.
+ *  - checkBackup() runs PRAGMA integrity_check on a backup, and restoreDatabase()
+ *    copies it back into the open database (File > Restore from Backup, see restoreFromBackup in main.js).
+ */
+
+const path = require('node:path');
+const fs = require('node:fs');
+const sqlite3 = require('sqlite3');
+const { getSchemaVersion, LATEST_VERSION } = require('./migrations');
+
+// How often a backup is made while the app runs, and how many backup files are kept
+const BACKUP_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const BACKUPS_KEPT = 10;
+
+// Names of the backup files, e.g. todos-2025-03-01T09-30-00.db; they sort oldest first
+const BACKUP_FILE = /^todos-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}\.db$/;
+
+// Thrown for a file that cannot be restored; the message can be shown to the user
+class BackupError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BackupError';
+    }
+}
+
+class BackupScheduler {
+    /* db: the sqlite3 Database to back up
+     * folder: where the backup files go (created when needed)
+     * exclusive: function(work) that runs work() while no transaction is open on db; a backup taken
+     *            in the middle of one would contain its uncommitted changes (see transaction in todo_store.js)
+     */
+    constructor(db, folder, { interval = BACKUP_INTERVAL_MS, keep = BACKUPS_KEPT, exclusive = work => work() } = {}) {
+        this.db = db;
+        this.folder = folder;
+        this.exclusive = exclusive;
+        this.interval = interval;
+        this.keep = keep;
+        this.timer = null;
+        this.queue = Promise.resolve(); // Backups run one after another
+    }
+
+    /* Make the startup backup and start the timer for the next ones.
+     * Resolves once the startup backup is written; a failed backup is logged, it never stops the app.
+     */
+    start() {
+        this.stop();
+        this.timer = setInterval(() => this.backup().catch(() => {}), this.interval);
+        return this.backup().catch(() => {});
+    }
+
+    // Stop the timer (called when the app quits)
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Write a new backup and delete the oldest ones beyond the limit; resolves with the new file's path
+    backup() {
+        const result = this.queue.then(async () => {
+            try {
+                await fs.promises.mkdir(this.folder, { recursive: true });
+                const filePath = this.newFilePath(); // A second backup in the same second replaces the first
+                await this.exclusive(() => copyDatabase(this.db, filePath));
+                await this.prune();
+                console.log('Backed up todos.db to', filePath);
+                return filePath;
+            } catch (err) {
+                console.error('Error backing up todos.db:', err.message);
+                throw err;
+            }
+        });
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    // The backup files, newest first
+    async list() {
+        let names;
+        try {
+            names = await fs.promises.readdir(this.folder);
+        } catch (err) {
+            if (err.code === 'ENOENT') return []; // No backup made yet
+            throw err;
+        }
+        return names.filter(name => BACKUP_FILE.test(name)).sort().reverse().map(name => path.join(this.folder, name));
+    }
+
+    // Delete all but the newest "keep" backups
+    async prune() {
+        const old = (await this.list()).slice(this.keep);
+        for (const filePath of old) {
+            await fs.promises.unlink(filePath);
+        }
+    }
+
+    // The file for a backup made now, named after the local date and time
+    newFilePath(now = new Date()) {
+        const pad = number => String(number).padStart(2, '0');
+        const stamp = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}T${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`;
+        return path.join(this.folder, `todos-${stamp}.db`);
+    }
+}
+
+/* Copy the whole database into filePath with the online backup API (filePath is created or overwritten).
+ * toFile false copies the other way round: filePath is read into db, replacing everything in it.
+ */
+function copyDatabase(db, filePath, toFile = true) {
+    return new Promise((resolve, reject) => {
+        const backup = db.backup(filePath, 'main', 'main', toFile, (err) => {
+            if (err) return reject(err);
+            backup.step(-1, (stepErr) => { // -1: all pages in one step, so the copy is all or nothing
+                backup.finish(() => (stepErr ? reject(stepErr) : resolve()));
+            });
+        });
+    });
+}
+
+/* Replace the contents of the open database with a backup file (check it with checkBackup first).
+ * Nothing else may use the connection meanwhile, main.js runs this in its transaction queue.
+ */
+function restoreDatabase(db, filePath) {
+    return copyDatabase(db, filePath, false);
+}
+
+/* Make sure a file is a backup this app can restore: an intact SQLite database (PRAGMA integrity_check)
+ * with a schema version no newer than this build's. Resolves with { version, todos } (the schema version
+ * and the number of todos in it), rejects with a BackupError saying what is wrong.
+ */
+function checkBackup(filePath) {
+    return new Promise((resolve, reject) => {
+        // Not read-only: checking the full-text index needs write access, even though nothing is changed
+        const backup = new sqlite3.Database(filePath, sqlite3.OPEN_READWRITE, async (openErr) => {
+            if (openErr) {
+                return reject(new BackupError(`${path.basename(filePath)} cannot be opened: ${openErr.message}`));
+            }
+            let result = null;
+            let problem = null;
+            try {
+                const rows = await new Promise((done, fail) => backup.all('PRAGMA integrity_check', (err, found) => (err ? fail(err) : done(found))));
+                if (rows.length !== 1 || rows[0].integrity_check !== 'ok') {
+                    problem = `${path.basename(filePath)} is damaged: ${rows.map(row => row.integrity_check).slice(0, 3).join('; ')}`;
+                } else {
+                    const version = await getSchemaVersion(backup);
+                    if (version > LATEST_VERSION) {
+                        problem = `${path.basename(filePath)} was made by a newer version of the app (schema version ${version}). Please update the app first.`;
+                    } else {
+                        // Also works for a todos.db from before the migrations (schema version 0), it has a todos table too
+                        const row = await new Promise((done, fail) => backup.get('SELECT COUNT(*) AS count FROM todos', (err, found) => (err ? fail(err) : done(found))));
+                        result = { version, todos: row.count };
+                    }
+                }
+            } catch (err) {
+                problem = `${path.basename(filePath)} is not a todos backup: ${err.message}`;
+            }
+            backup.close(() => (problem ? reject(new BackupError(problem)) : resolve(result)));
+        });
+    });
+}
+
+module.exports = { BackupScheduler, BackupError, checkBackup, copyDatabase, restoreDatabase, BACKUP_INTERVAL_MS, BACKUPS_KEPT };
@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+// Author: Daniel
+
+/* Command line tool for the todos (plain Node, no Electron)
+ *
+ *   todo add "Buy milk #home" [--list <id>]   add a todo (to the Inbox unless a list id is given)
+ *   todo ls [--list <id>]                     show the todos of a list, subtasks indented under their todo
+ *   todo done <id>                            check a todo off (or re-open it), like clicking it
+ *   todo rm <id>                              delete a todo and its subtasks
+ *
+ * While the app runs with File > Allow Scripts on, the commands go through its local API (see local_api.js),
+ * so the open windows show the change straight away. Otherwise todos.db is opened directly with the same
+ * queries the app uses (todo_store.js), and a deleted todo's attached files and a running timer are handled
+ * like main.js does (attachments.js, timer.js); the app shows those changes the next time it loads the list.
+ * The app's data folder is found the way Electron names it; TODO_DATA_DIR points somewhere else.
+ */
+
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+const http = require('node:http');
+const sqlite3 = require('sqlite3');
+const { getSchemaVersion, LATEST_VERSION, INBOX_LIST_ID } = require('./migrations');
+const { createTodoStore } = require('./todo_store');
+const { AttachmentFolder, attachmentFiles } = require('./attachments');
+const { TodoTimer } = require('./timer');
+const { toId, toText } = require('./ipc_validation');
+const { productName, name } = require('./package.json');
+
+const USAGE = `Usage:
+  todo add "<text>" [--list <id>]
+  todo ls [--list <id>]
+  todo done <id>
+  todo rm <id>`;
+
+// Wrong command line: the usage is printed and the exit code is 2
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+// The folder Electron's app.getPath('userData') gives the app (named after productName in package.json)
+function dataFolder() {
+    if (process.env.TODO_DATA_DIR) return process.env.TODO_DATA_DIR;
+    const appName = productName || name;
+    switch (process.platform) {
+        case 'win32':
+            return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), appName);
+        case 'darwin':
+            return path.join(os.homedir(), 'Library', 'Application Support', appName);
+        default:
+            return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), appName);
+    }
+}
+
+/*
+ * Split the command line into the command, its other words and the --list option,
+ * e.g. ['add', 'Buy', 'milk', '--list', '2'] -> { command: 'add', words: ['Buy', 'milk'], listId: 2 }
+ */
+function parseArguments(argv) {
+    const [command, ...rest] = argv;
+    const words = [];
+    let listId;
+    for (let index = 0; index < rest.length; index++) {
+        if (rest[index] === '--list') {
+            listId = Number(rest[++index]);
+            if (!Number.isInteger(listId) || listId <= 0) throw new UsageError('--list needs a list id');
+        } else {
+            words.push(rest[index]);
+        }
+    }
+    return { command, words, listId };
+}
+
+/*
+ * The four operations through the running app's local API.
+ * Resolves with null when the app is not reachable (no api.json, or it is left over from an app that has quit).
+ */
+async function apiClient(folder) {
+    let info;
+    try {
+        info = JSON.parse(await fs.promises.readFile(path.join(folder, 'api.json'), 'utf8'));
+    } catch (err) {
+        return null;
+    }
+    const request = (method, urlPath, body) => new Promise((resolve, reject) => {
+        const json = body === undefined ? '' : JSON.stringify(body);
+        const req = http.request({
+            host: '127.0.0.1', port: info.port, method, path: urlPath,
+            headers: { Authorization: `Bearer ${info.token}`, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(json) }
+        }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                let value;
+                try {
+                    value = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                } catch (err) {
+                    // An empty reply, or something other than the app listening on its port
+                    const notJson = new Error(`The local API on port ${info.port} did not answer with JSON (HTTP ${res.statusCode}) - is the app running?`);
+                    notJson.status = res.statusCode;
+                    return reject(notJson);
+                }
+                if (res.statusCode < 300) return resolve(value);
+                const err = new Error(value.error);
+                err.status = res.statusCode;
+                reject(err);
+            });
+        });
+        req.on('error', reject);
+        req.end(json);
+    });
+    try {
+        await request('GET', '/ping');  // Is anyone there?
+    } catch (err) {
+        if (err.code === 'ECONNREFUSED') return null;
+        throw err;
+    }
+    return {
+        getTodos: listId => request('GET', `/todos?list=${listId}`),
+        addTodo: (text, listId) => request('POST', '/todos', { text, listId }).then(({ id }) => id),
+        toggleTodo: id => request('POST', `/todos/${id}/toggle`),
+        removeTodo: id => request('DELETE', `/todos/${id}`).catch(err => (err.status === 404 ? null : Promise.reject(err))),
+        close: () => Promise.resolve()
+    };
+}
+
+// The four operations on todos.db itself, for when the app is not running
+async function databaseClient(folder) {
+    const dbPath = path.join(folder, 'todos.db');
+    const db = await new Promise((resolve, reject) => {
+        const opened = new sqlite3.Database(dbPath, sqlite3.OPEN_READWRITE, err => (err ? reject(new Error(`Cannot open ${dbPath}: ${err.message}`)) : resolve(opened)));
+    });
+    const close = () => new Promise(resolve => db.close(() => resolve()));
+    const version = await getSchemaVersion(db);
+    if (version !== LATEST_VERSION) {
+        await close();
+        throw new Error(`${dbPath} has schema version ${version}, this tool needs ${LATEST_VERSION}. Start the app once to update it.`);
+    }
+    db.configure('busyTimeout', 5000);  // The app may be writing at the same moment
+    await new Promise((resolve, reject) => db.run('PRAGMA foreign_keys = ON', err => (err ? reject(err) : resolve())));
+    const store = createTodoStore(db);
+    // The same copies of attached files and the same timer as main.js, without the windows to tell
+    const attachments = new AttachmentFolder(path.join(folder, 'attachments'));
+    const timer = new TodoTimer(store, {
+        lengths: async () => {
+            const settings = await store.getUserSettings();
+            return { work: settings.pomodoroMinutes, pause: settings.breakMinutes };
+        },
+        notify: () => {},
+        onChange: () => {}
+    });
+    // Stop the timer that ran in the app if its todo is now completed (or gone), see sync in timer.js
+    const syncTimer = async () => {
+        try {
+            await timer.resume();
+            await timer.sync();
+        } finally {
+            timer.close();  // No Pomodoro session is waited for here, the app picks it up again
+        }
+    };
+    return {
+        getTodos: listId => store.getTodos(listId),
+        addTodo: (text, listId) => store.addTodo(toText(text), { listId }),
+        toggleTodo: async (id) => {
+            const previous = await store.toggleTodo(id);
+            await syncTimer();
+            return previous;
+        },
+        removeTodo: async (id) => {
+            const todo = await store.removeTodo(id);  // Its time entry ends with it (see takeTodo in todo_store.js)
+            // There is no undo here, but the app empties the trash when it starts, like after a delete in a window
+            await attachments.trash(attachmentFiles(todo)).catch(err => console.error('Error moving attachments to the trash:', err.message));
+            return todo;
+        },
+        close
+    };
+}
+
+// One line per todo: "  12 [x] Text #tag", subtasks indented under their todo
+function formatTodos(todos) {
+    const lines = [];
+    const width = String(Math.max(0, ...todos.map(todo => todo.id))).length;
+    const show = (parentId, depth) => {
+        todos.filter(todo => todo.parent_id === parentId).forEach(todo => {
+            const tags = todo.tags.map(tag => ` #${tag}`).join('');
+            lines.push(`${String(todo.id).padStart(width)} ${'  '.repeat(depth)}[${todo.completed ? 'x' : ' '}] ${todo.text}${tags}`);
+            show(todo.id, depth + 1);
+        });
+    };
+    show(null, 0);
+    return lines.join('\n');
+}
+
+// Run one command; resolves with the text to print
+async function run(argv) {
+    const { command, words, listId = INBOX_LIST_ID } = parseArguments(argv);
+    if (!['add', 'ls', 'done', 'rm'].includes(command)) {
+        throw new UsageError(command ? `Unknown command: ${command}` : 'No command given');
+    }
+    if (command === 'add' && words.length === 0) throw new UsageError('add needs the text of the todo');
+    if ((command === 'done' || command === 'rm') && (words.length !== 1 || !/^\d+$/.test(words[0]))) {
+        throw new UsageError(`${command} needs the id of one todo`);
+    }
+    const id = command === 'done' || command === 'rm' ? toId(Number(words[0]), 'todo id') : null;
+    const folder = dataFolder();
+    const client = (await apiClient(folder)) || (await databaseClient(folder));
+    try {
+        if (command === 'add') {
+            return `Added todo ${await client.addTodo(words.join(' '), listId)}`;
+        }
+        if (command === 'ls') {
+            const todos = await client.getTodos(listId);
+            return todos.length > 0 ? formatTodos(todos) : 'No todos in this list';
+        }
+        if (command === 'done') {
+            const own = (await client.toggleTodo(id)).find(state => state.id === id);  // The state it had before
+            return own.recurred ? `Todo ${id} moved on to its next occurrence` : own.completed ? `Re-opened todo ${id}` : `Completed todo ${id}`;
+        }
+        if (!await client.removeTodo(id)) throw new Error(`Todo ${id} does not exist`);
+        return `Deleted todo ${id}`;
+    } finally {
+        await client.close();
+    }
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2)).then((output) => {
+        console.log(output);
+    }, (err) => {
+        console.error(err instanceof UsageError ? `${err.message}\n\n${USAGE}` : err.message);
+        process.exitCode = err instanceof UsageError ? 2 : 1;
+    });
+}
+
+module.exports = { run, parseArguments, formatTodos, dataFolder };
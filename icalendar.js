@@ -0,0 +1,284 @@
+// Author: Daniel
+
+/* iCalendar (.ics) export and import of todos (main process)
+ *
+ * Export: the todos with a due date, either as tasks (VTODO, for Apple Reminders, Thunderbird, ...) or as events
+ * (VEVENT, for calendars that do not show tasks, such as Google Calendar and Outlook), chosen in main.js.
+ *  - A todo due at 23:59 (a day without a time, see quick_add.js) is a whole-day item, any other due time is kept.
+ *  - The repeat rule goes out as RRULE as it is: recurrence.js already stores a part of the RRULE syntax.
+ *  - A completed todo is STATUS:COMPLETED as a task; events have no such status, so its event title starts with "✓".
+ *  - Every todo keeps the UID it is exported with (todos.ical_uid, see getCalendarTodos in todo_store.js).
+ * Import: the tasks (VTODO) of a file; events are left out. A task whose UID a todo already has updates that todo
+ * (see importCalendarTodos in todo_store.js), so importing the same calendar again does not add it twice.
+ * Parsed tasks have the shape
+ *   { uid, text, notes, completed, list, tags, due_at, priority, recurrence, created_at, updated_at }
+ * with everything but text, completed, tags and priority possibly null.
+ *
+ * Like import_export.js this is plain string work; the dialogs are in main.js, the database part in todo_store.js.
+ */
+
+const { normalizeRecurrence, RecurrenceError } = require('./recurrence');
+const { ImportError } = require('./import_export');
+
+const PRODUCT_ID = '-//Daniel//Todo-List//EN';
+const CALENDAR_KINDS = ['VTODO', 'VEVENT'];
+const EVENT_MINUTES = 30; // How long the event of a todo with a due time lasts
+const LIST_PROPERTY = 'X-TODO-LIST'; // The name of the todo's list, read back when the task is imported as a new todo
+
+// Our priorities (0 none .. 4 urgent) and iCalendar's (0 none, 1 highest .. 9 lowest)
+const ICAL_PRIORITIES = [0, 9, 5, 3, 1];
+
+/* ==========================
+ * Export
+ * ==========================
+ * todos are rows of getCalendarTodos in todo_store.js: with ical_uid, "list" (list name) and "tags" (array).
+ */
+function exportCalendar(todos, { kind = 'VTODO', name = 'Todos', now = Date.now() } = {}) {
+    if (!CALENDAR_KINDS.includes(kind)) {
+        throw new Error(`Unknown calendar item: ${kind}`);
+    }
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH', `X-WR-CALNAME:${escapeText(name)}`];
+    todos.filter(todo => todo.due_at !== null && todo.due_at !== undefined).forEach(todo => {
+        lines.push(...(kind === 'VTODO' ? taskLines(todo, now) : eventLines(todo, now)));
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// The properties a task and an event share
+function commonLines(todo, now) {
+    const lines = [`UID:${todo.ical_uid}`, `DTSTAMP:${formatUtc(now)}`];
+    if (todo.created_at) lines.push(`CREATED:${formatUtc(todo.created_at)}`);
+    if (todo.updated_at) lines.push(`LAST-MODIFIED:${formatUtc(todo.updated_at)}`);
+    return lines;
+}
+
+// The properties that come after the dates
+function detailLines(todo) {
+    const lines = [];
+    if (todo.recurrence) lines.push(`RRULE:${todo.recurrence}`);
+    if (todo.notes) lines.push(`DESCRIPTION:${escapeText(todo.notes)}`);
+    if (todo.tags && todo.tags.length > 0) lines.push(`CATEGORIES:${todo.tags.map(escapeText).join(',')}`);
+    if (todo.list) lines.push(`${LIST_PROPERTY}:${escapeText(todo.list)}`);
+    return lines;
+}
+
+function taskLines(todo, now) {
+    const due = formatDue(todo.due_at);
+    const lines = ['BEGIN:VTODO', ...commonLines(todo, now), `SUMMARY:${escapeText(todo.text)}`];
+    if (todo.recurrence) lines.push(`DTSTART${due}`); // A repeating item counts from DTSTART
+    lines.push(`DUE${due}`);
+    if (todo.priority) lines.push(`PRIORITY:${ICAL_PRIORITIES[todo.priority]}`);
+    if (todo.completed) {
+        lines.push('STATUS:COMPLETED', 'PERCENT-COMPLETE:100');
+        if (todo.updated_at) lines.push(`COMPLETED:${formatUtc(todo.updated_at)}`); // When it was last changed, the closest we know
+    } else {
+        lines.push('STATUS:NEEDS-ACTION');
+    }
+    return [...lines, ...detailLines(todo), 'END:VTODO'];
+}
+
+function eventLines(todo, now) {
+    const wholeDay = isEndOfDay(todo.due_at);
+    const end = wholeDay ? dayAfter(todo.due_at) : todo.due_at + EVENT_MINUTES * 60 * 1000;
+    return [
+        'BEGIN:VEVENT', ...commonLines(todo, now),
+        `SUMMARY:${escapeText(`${todo.completed ? '\u2713 ' : ''}${todo.text}`)}`,
+        `DTSTART${formatDue(todo.due_at)}`,
+        wholeDay ? `DTEND;VALUE=DATE:${formatDate(end)}` : `DTEND:${formatUtc(end)}`,
+        'TRANSP:TRANSPARENT', // A todo does not make the user busy
+        ...detailLines(todo), 'END:VEVENT'
+    ];
+}
+
+// ";VALUE=DATE:20250301" for a whole day, ":20250301T083000Z" for a due time (a property name goes in front)
+function formatDue(ms) {
+    return isEndOfDay(ms) ? `;VALUE=DATE:${formatDate(ms)}` : `:${formatUtc(ms)}`;
+}
+
+// Whether a due date is 23:59 local time, the end of a day without a time
+function isEndOfDay(ms) {
+    const date = new Date(ms);
+    return date.getHours() === 23 && date.getMinutes() === 59;
+}
+
+function dayAfter(ms) {
+    const date = new Date(ms);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+}
+
+// Milliseconds -> 20250301T083000Z
+function formatUtc(ms) {
+    return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Milliseconds -> 20250301, the local day
+function formatDate(ms) {
+    const date = new Date(ms);
+    return `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Backslashes, semicolons, commas and line breaks are escaped in text values (RFC 5545, 3.3.11)
+function escapeText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 bytes go on over several lines, each after the first starting with a space
+function foldLine(line) {
+    if (Buffer.byteLength(line) <= 75) return line;
+    const parts = [];
+    let part = '';
+    for (const char of line) { // Never in the middle of a character
+        if (Buffer.byteLength(part + char) > (parts.length === 0 ? 75 : 74)) {
+            parts.push(part);
+            part = '';
+        }
+        part += char;
+    }
+    parts.push(part);
+    return parts.join('\r\n ');
+}
+
+/* ==========================
+ * Import
+ * ==========================
+ */
+function parseCalendar(content) {
+    const text = String(content).replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, ''); // Join the folded lines
+    if (!/^BEGIN:VCALENDAR\s*$/im.test(text)) {
+        throw new ImportError('Not an iCalendar file: it has no BEGIN:VCALENDAR');
+    }
+    const tasks = [];
+    const open = []; // The components we are in, innermost last
+    let task = null;
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) return;
+        const property = parseLine(line, index + 1);
+        if (property.name === 'BEGIN') {
+            open.push(property.value.toUpperCase());
+            if (property.value.toUpperCase() === 'VTODO') task = new Map();
+        } else if (property.name === 'END') {
+            if (open.pop() === 'VTODO' && task) {
+                const parsed = fromTask(task, `Task ${tasks.length + 1}`);
+                if (parsed) tasks.push(parsed);
+                task = null;
+            }
+        } else if (task && open[open.length - 1] === 'VTODO') { // Not the properties of an alarm inside the task
+            if (!task.has(property.name)) task.set(property.name, []);
+            task.get(property.name).push(property);
+        }
+    });
+    return tasks;
+}
+
+// "DUE;TZID=Europe/Berlin:20250301T090000" -> { name: 'DUE', params: { TZID: 'Europe/Berlin' }, value: '20250301T090000' }
+function parseLine(line, number) {
+    const match = /^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:]*))*):(.*)$/.exec(line);
+    if (!match) {
+        throw new ImportError(`Line ${number} is not an iCalendar property: ${line.slice(0, 60)}`);
+    }
+    const params = {};
+    for (const param of match[2].matchAll(/;([A-Za-z0-9-]+)=("[^"]*"|[^";:]*)/g)) {
+        params[param[1].toUpperCase()] = param[2].replace(/^"|"$/g, '');
+    }
+    return { name: match[1].toUpperCase(), params, value: match[3] };
+}
+
+// The todo of a VTODO's properties (a Map of name -> [property]), null for one without a summary
+function fromTask(properties, where) {
+    const first = name => (properties.get(name) || [])[0] || null;
+    const value = name => (first(name) ? first(name).value : null);
+    const text = unescapeText(value('SUMMARY') || '').replace(/\s+/g, ' ').trim();
+    if (!text) return null;
+
+    const status = (value('STATUS') || '').toUpperCase();
+    const due = first('DUE') || first('DTSTART'); // A task without DUE is due when it starts
+    const dueAt = due ? parseDate(due, where) : null;
+    const notes = unescapeText(value('DESCRIPTION') || '').trim();
+    const list = unescapeText(value(LIST_PROPERTY) || '').trim();
+    return {
+        uid: value('UID') ? value('UID').trim() || null : null,
+        text,
+        notes: notes || null,
+        // CANCELLED counts as done: either way nothing is left to do
+        completed: ['COMPLETED', 'CANCELLED'].includes(status) || first('COMPLETED') !== null || value('PERCENT-COMPLETE') === '100',
+        list: list || null,
+        tags: (properties.get('CATEGORIES') || []).flatMap(property => splitList(property.value)).map(toTag).filter(Boolean),
+        due_at: dueAt,
+        priority: fromIcalPriority(Number(value('PRIORITY'))),
+        recurrence: dueAt === null ? null : toRecurrence(value('RRULE'), dueAt),
+        created_at: first('CREATED') ? parseDate(first('CREATED'), where) : null,
+        updated_at: first('LAST-MODIFIED') ? parseDate(first('LAST-MODIFIED'), where) : null
+    };
+}
+
+/* A date or date-time property -> milliseconds
+ * 20250301T083000Z is UTC, with TZID it is the time in that zone, without either the local time.
+ * A day without a time is due at its end (23:59), the way quick add reads a day.
+ */
+function parseDate(property, where) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(property.value.trim());
+    if (!match) {
+        throw new ImportError(`${where}: "${property.value}" is not a valid date for ${property.name}`);
+    }
+    const [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map(Number);
+    if (match[4] === undefined) {
+        return new Date(year, month - 1, day, 23, 59).getTime();
+    }
+    if (match[7]) {
+        return Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    }
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    if (property.params.TZID) {
+        try {
+            const guess = wallClock - zoneOffset(wallClock, property.params.TZID);
+            return wallClock - zoneOffset(guess, property.params.TZID); // Again, in case the guess crossed a daylight saving change
+        } catch (err) {
+            if (!(err instanceof RangeError)) throw err; // A zone Intl does not know (e.g. a Windows name): local time
+        }
+    }
+    return new Date(year, month - 1, day, hours, minutes, seconds).getTime();
+}
+
+// How far the clocks of a time zone are ahead of UTC at a moment, in milliseconds
+function zoneOffset(ms, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(ms));
+    const part = type => Number(parts.find(item => item.type === type).value);
+    return Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second')) - Math.floor(ms / 1000) * 1000;
+}
+
+function fromIcalPriority(priority) {
+    if (!Number.isInteger(priority) || priority < 1 || priority > 9) return 0;
+    if (priority <= 2) return 4;
+    if (priority <= 4) return 3;
+    return priority === 5 ? 2 : 1;
+}
+
+// The repeat rule if recurrence.js can repeat it, otherwise null (the task is imported without repeating); monthly rules keep the day of dueAt
+function toRecurrence(rule, dueAt) {
+    if (!rule) return null;
+    try {
+        return normalizeRecurrence(rule.split(';').filter(part => !/^WKST=/i.test(part)).join(';'), dueAt); // The first day of the week does not matter here
+    } catch (err) {
+        if (err instanceof RecurrenceError) return null; // COUNT, UNTIL, FREQ=YEARLY, ...
+        throw err;
+    }
+}
+
+// A category as a tag: spaces become dashes, anything a tag cannot hold is dropped
+function toTag(category) {
+    return category.trim().replace(/\s+/g, '-').replace(/^#/, '').replace(/[^\p{L}\p{N}_-]/gu, '');
+}
+
+// Split a comma separated value, leaving escaped commas alone
+function splitList(value) {
+    return value.split(/(?<!\\),/).map(unescapeText);
+}
+
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+module.exports = { exportCalendar, parseCalendar, CALENDAR_KINDS };
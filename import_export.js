@@ -0,0 +1,300 @@
+// Author: Daniel
+
+/* Import / export formats for todos (main process)
+ *
+ * Three formats are supported, chosen by file extension:
+ *  - .json  { "version": 1, "todos": [ { text, completed, list, tags, due_at, priority, created_at, updated_at, remind_at, recurrence, notes } ] }
+ *  - .csv   one todo per row with the same columns, dates as ISO 8601 strings, tags separated by spaces
+ *  - .md    Markdown task list: "- [ ] text #tag" / "- [x] text 📅 2025-03-01", a "## Heading" starts a new list;
+ *           only the text, state, tags and due date (the day) are kept
+ * Subtasks are exported as todos of their own, in their parent's list, and come back as top-level todos. Attachments,
+ * time entries and the finished occurrences of recurring todos are not exported (backups keep everything, see backups.js).
+ *
+ * The time recorded on todos (see timer.js) is exported as CSV too, see timeEntriesToCsv.
+ *
+ * Everything here is plain string <-> array-of-objects work; the dialogs live in main.js and the
+ * database transaction in todo_store.js (importTodos). Parsed todos always have the shape
+ *   { text, completed, list, tags, due_at, priority, created_at, updated_at, remind_at, recurrence, notes }
+ * with list/due_at/created_at/updated_at/remind_at/recurrence/notes possibly null. The list name, tags, repeat rule
+ * and notes are checked by main.js with the helpers of ipc_validation.js, like everything else that gets into the database.
+ */
+
+const path = require('node:path');
+
+const FORMATS = ['json', 'csv', 'md'];
+const CSV_COLUMNS = ['text', 'completed', 'list', 'tags', 'due_at', 'priority', 'created_at', 'updated_at', 'remind_at', 'recurrence', 'notes'];
+const TIME_CSV_COLUMNS = ['todo', 'list', 'kind', 'started_at', 'ended_at', 'minutes'];
+
+// Thrown for files that cannot be read as todos; the message is shown to the user as is
+class ImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImportError';
+    }
+}
+
+// Pick the format from a file name ('todos.md' -> 'md'), null if it is not one we know
+function formatFromPath(filePath) {
+    const extension = path.extname(filePath).slice(1).toLowerCase();
+    if (extension === 'markdown') return 'md';
+    return FORMATS.includes(extension) ? extension : null;
+}
+
+/* ==========================
+ * Export
+ * ==========================
+ * todos are rows from the database with an extra "list" (list name) and "tags" (array) field.
+ */
+function exportTodos(todos, format) {
+    switch (format) {
+        case 'json': return toJson(todos);
+        case 'csv': return toCsv(todos);
+        case 'md': return toMarkdown(todos);
+        default: throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+// Milliseconds -> ISO 8601 string (or null)
+const toIso = (ms) => (ms === null || ms === undefined ? null : new Date(ms).toISOString());
+
+// The portable form of a todo, shared by JSON and CSV
+function toRecord(todo) {
+    return {
+        text: todo.text,
+        completed: Boolean(todo.completed),
+        list: todo.list || null,
+        tags: todo.tags || [],
+        due_at: toIso(todo.due_at),
+        priority: todo.priority || 0,
+        created_at: toIso(todo.created_at),
+        updated_at: toIso(todo.updated_at),
+        remind_at: toIso(todo.remind_at),
+        recurrence: todo.recurrence || null,
+        notes: todo.notes || null
+    };
+}
+
+function toJson(todos) {
+    return JSON.stringify({ version: 1, exported_at: new Date().toISOString(), todos: todos.map(toRecord) }, null, 2) + '\n';
+}
+
+// Quote a CSV field when it contains a comma, quote or line break (RFC 4180)
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(todos) {
+    const rows = todos.map(toRecord).map(record => CSV_COLUMNS.map(column => {
+        if (column === 'tags') return csvField(record.tags.join(' '));
+        if (column === 'completed') return record.completed ? '1' : '0';
+        return csvField(record[column]);
+    }).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/* The time entries of getTimeEntries in todo_store.js, one per row: the todo's text and list, 'timer' or 'pomodoro',
+ * start and end as ISO 8601 strings and the minutes in between (to one decimal), for adding up in a spreadsheet.
+ */
+function timeEntriesToCsv(entries) {
+    const rows = entries.map(entry => [
+        entry.text, entry.list, entry.kind, toIso(entry.started_at), toIso(entry.ended_at), ((entry.ended_at - entry.started_at) / 60000).toFixed(1)
+    ].map(csvField).join(','));
+    return [TIME_CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// "YYYY-MM-DD" in local time, used for due dates in Markdown ("📅 2025-03-01")
+function toLocalDate(ms) {
+    const date = new Date(ms);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function toMarkdownLine(todo) {
+    const parts = [`- [${todo.completed ? 'x' : ' '}]`, todo.text.replace(/\r?\n/g, ' ')];
+    (todo.tags || []).forEach(tag => parts.push(`#${tag}`));
+    if (todo.due_at) parts.push(`📅 ${toLocalDate(todo.due_at)}`);
+    return parts.join(' ');
+}
+
+// One "## List" section per list, in the order the lists first appear
+function toMarkdown(todos) {
+    const sections = new Map();
+    todos.forEach(todo => {
+        const list = todo.list || 'Inbox';
+        if (!sections.has(list)) sections.set(list, []);
+        sections.get(list).push(toMarkdownLine(todo));
+    });
+    return [...sections].map(([list, lines]) => `## ${list}\n\n${lines.join('\n')}\n`).join('\n');
+}
+
+/* ==========================
+ * Import
+ * ==========================
+ */
+function parseTodos(content, format) {
+    const text = String(content).replace(/^\uFEFF/, ''); // Drop a byte order mark written by some editors
+    switch (format) {
+        case 'json': return parseJson(text);
+        case 'csv': return parseCsv(text);
+        case 'md': return parseMarkdown(text);
+        default: throw new ImportError(`Unknown import format: ${format}`);
+    }
+}
+
+// ISO string, number of milliseconds or empty -> milliseconds or null
+function toMs(value, field, line) {
+    if (value === null || value === undefined || value === '') return null;
+    const ms = typeof value === 'number' ? value : Date.parse(value);
+    if (!Number.isFinite(ms)) throw new ImportError(`${line}: "${value}" is not a valid date for ${field}`);
+    return ms;
+}
+
+function toTagList(value) {
+    const tags = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+    return tags.map(tag => String(tag).replace(/^#/, '')).filter(tag => /^[\p{L}\p{N}_-]+$/u.test(tag));
+}
+
+// Turn one loosely typed record (from JSON or CSV) into a parsed todo
+function fromRecord(record, line) {
+    const text = typeof record.text === 'string' ? record.text.trim() : '';
+    if (!text) throw new ImportError(`${line}: a todo needs a text`);
+    const completed = record.completed === true || ['1', 'true', 'yes', 'x'].includes(String(record.completed).toLowerCase());
+    const priority = Number(record.priority) || 0;
+    return {
+        text,
+        completed,
+        list: record.list ? String(record.list).trim() || null : null,
+        tags: toTagList(record.tags),
+        due_at: toMs(record.due_at, 'due_at', line),
+        priority: Number.isInteger(priority) && priority >= 0 && priority <= 4 ? priority : 0,
+        created_at: toMs(record.created_at, 'created_at', line),
+        updated_at: toMs(record.updated_at, 'updated_at', line),
+        remind_at: toMs(record.remind_at, 'remind_at', line),
+        recurrence: record.recurrence ? String(record.recurrence).trim() || null : null,
+        notes: typeof record.notes === 'string' && record.notes.trim() ? record.notes : null
+    };
+}
+
+function parseJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new ImportError(`Not a valid JSON file: ${err.message}`);
+    }
+    // Accept both our own { todos: [...] } export and a bare array of todos
+    const records = Array.isArray(data) ? data : data && Array.isArray(data.todos) ? data.todos : null;
+    if (!records) throw new ImportError('The JSON file does not contain a list of todos');
+    return records.map((record, index) => fromRecord(record || {}, `Todo ${index + 1}`));
+}
+
+// Split CSV text into rows of fields, handling quoted fields with commas, quotes and line breaks
+function csvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) throw new ImportError('The CSV file ends inside a quoted field');
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(fields => fields.some(value => value.trim() !== '')); // Skip blank lines
+}
+
+function parseCsv(text) {
+    const [header, ...rows] = csvRows(text);
+    if (!header) return [];
+    const columns = header.map(column => column.trim().toLowerCase());
+    if (!columns.includes('text')) throw new ImportError('The CSV file needs a "text" column');
+    return rows.map((fields, index) => {
+        const record = {};
+        columns.forEach((column, i) => { record[column] = fields[i]; });
+        return fromRecord(record, `Row ${index + 2}`); // +2: rows count from 1 and the header is row 1
+    });
+}
+
+/* Markdown: every "- [ ]" / "- [x]" (or "*" / "+") line is a todo.
+ * "#tags" and a trailing "📅 YYYY-MM-DD" are picked out of the text, "# / ## Heading" names the list of the todos under it.
+ */
+function parseMarkdown(text) {
+    const todos = [];
+    let list = null;
+    text.split(/\r?\n/).forEach(line => {
+        const heading = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+        if (heading) {
+            list = heading[1];
+            return;
+        }
+        const task = line.match(/^\s*[-*+]\s+\[([ xX])\]\s+(.*)$/);
+        if (!task) return;
+
+        let body = task[2];
+        let due = null;
+        body = body.replace(/\s*📅\s*(\d{4}-\d{2}-\d{2})\s*$/u, (match, date) => {
+            due = new Date(`${date}T00:00`).getTime(); // Local midnight, the time of day is not kept in Markdown
+            return '';
+        });
+        const tags = [];
+        body = body.replace(/(^|\s)#([\p{L}\p{N}_-]+)/gu, (match, space, tag) => {
+            tags.push(tag);
+            return space;
+        });
+        const todoText = body.replace(/\s+/g, ' ').trim();
+        if (!todoText) return;
+        todos.push({
+            text: todoText, completed: task[1] !== ' ', list, tags, due_at: due, priority: 0, created_at: null, updated_at: null, remind_at: null, recurrence: null, notes: null
+        });
+    });
+    return todos;
+}
+
+/* Split parsed todos into new ones and duplicates.
+ * A todo is a duplicate when its list already has (or the file already had) a todo with the same text,
+ * ignoring case and surrounding spaces.
+ * existing: rows with { text, list } already in the database.
+ */
+function findDuplicates(todos, existing, defaultList) {
+    const key = (list, text) => `${(list || defaultList).toLowerCase()}\n${text.trim().toLowerCase()}`;
+    const seen = new Set(existing.map(todo => key(todo.list, todo.text)));
+    const fresh = [];
+    const duplicates = [];
+    todos.forEach(todo => {
+        const todoKey = key(todo.list, todo.text);
+        if (seen.has(todoKey)) {
+            duplicates.push(todo);
+        } else {
+            seen.add(todoKey);
+            fresh.push(todo);
+        }
+    });
+    return { fresh, duplicates };
+}
+
+module.exports = { exportTodos, timeEntriesToCsv, parseTodos, findDuplicates, formatFromPath, ImportError, FORMATS };
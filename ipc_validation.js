@@ -0,0 +1,368 @@
+// Author: Daniel
+
+/* Checks for everything that reaches the main process over IPC (main process)
+ *
+ * The renderer is treated as untrusted: it runs web content, and with contextIsolation it can only
+ * talk to us through the window.api bridge in preload.js. Every ipcMain.handle in main.js therefore
+ *  1. checks that the message comes from the top frame of one of our own pages (assertTrustedSender), and
+ *  2. runs its arguments through the to...() helpers below before they go anywhere near SQL.
+ * Anything unexpected is rejected with an IpcValidationError. Its message is shown to the user as is
+ * for the everyday cases (an empty todo, a list without a name).
+ */
+
+const path = require('node:path');
+const { fileURLToPath } = require('node:url');
+const { normalizeRecurrence, RecurrenceError } = require('./recurrence');
+const { MAX_TAG_LENGTH } = require('./search');
+const { MAX_TEXT_LENGTH, MAX_NOTES_LENGTH } = require('./limits');  // Shared with storage.js in the renderer
+const { ATTACHMENT_FILE } = require('./attachments');
+const { TIMER_MODES } = require('./timer');
+
+// Longest list name and search query we accept (tag names: MAX_TAG_LENGTH in search.js, the same as typed in a todo)
+const MAX_NAME_LENGTH = 100;
+const MAX_QUERY_LENGTH = 500;
+
+// Longest file name of an attachment and link opened from the notes (the longest todo text and notes are in limits.js)
+const MAX_FILE_NAME_LENGTH = 255;
+const MAX_LINK_LENGTH = 2000;
+
+// Longest calendar UID of a todo (see icalendar.js); ours are a UUID and "@todo-list"
+const MAX_UID_LENGTH = 255;
+
+// The links in the notes that may be opened, in the user's browser or mail program (see markdown.js)
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Most ids accepted in one call (reorderTodos)
+const MAX_ID_LIST_LENGTH = 10000;
+
+// Deepest nesting of subtasks accepted by restoreTodo
+const MAX_SUBTASK_DEPTH = 50;
+
+// The pages allowed to call the IPC handlers: the main window and the quick add window
+const TRUSTED_PAGES = [path.join(__dirname, 'index.html'), path.join(__dirname, 'quick_add.html')];
+
+// Thrown for a message from an unknown sender or with arguments of the wrong kind
+class IpcValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'IpcValidationError';
+    }
+}
+
+/* Refuse messages that do not come from the top frame of one of TRUSTED_PAGES
+ * (an iframe, a page the window navigated to, or a frame that is already gone).
+ * The query string is ignored, index.html?storage=... is still index.html.
+ */
+function assertTrustedSender(event, pages = TRUSTED_PAGES) {
+    const frame = event.senderFrame;
+    if (!frame || frame !== event.sender.mainFrame) {
+        throw new IpcValidationError('IPC messages are only accepted from the main frame');
+    }
+    let page = null;
+    try {
+        const url = new URL(frame.url);
+        page = url.protocol === 'file:' ? fileURLToPath(url) : null;
+    } catch (err) {
+        page = null;
+    }
+    if (!page || !pages.includes(page)) {
+        throw new IpcValidationError(`IPC messages are not accepted from ${frame.url}`);
+    }
+}
+
+// A database id: a positive integer
+function toId(value, what = 'id') {
+    if (!Number.isInteger(value) || value <= 0) {
+        throw new IpcValidationError(`Invalid ${what}: ${value}`);
+    }
+    return value;
+}
+
+// A list of distinct database ids (e.g. the new order of a list's todos)
+function toIdList(value, what = 'ids') {
+    if (!Array.isArray(value) || value.length > MAX_ID_LIST_LENGTH) {
+        throw new IpcValidationError(`Invalid ${what}: expected an array of ids`);
+    }
+    value.forEach(id => toId(id, what.replace(/s$/, '')));
+    if (new Set(value).size !== value.length) {
+        throw new IpcValidationError(`Invalid ${what}: the same id appears twice`);
+    }
+    return value;
+}
+
+// The text of a todo: a non-empty string of at most MAX_TEXT_LENGTH characters, trimmed
+function toText(value) {
+    if (typeof value !== 'string') {
+        throw new IpcValidationError('A todo text must be a string');
+    }
+    const text = value.trim();
+    if (!text) {
+        throw new IpcValidationError('You must write something!');  // Same message as the add button
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+        throw new IpcValidationError(`A todo can be at most ${MAX_TEXT_LENGTH} characters long`);
+    }
+    return text;
+}
+
+// An options / fields argument: a plain object (undefined counts as empty)
+function toObject(value, what = 'options') {
+    if (value === undefined || value === null) {
+        return {};
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        throw new IpcValidationError(`Invalid ${what}: expected an object`);
+    }
+    return value;
+}
+
+/*
+ * Normalise a due date / reminder time coming from the renderer.
+ * Accepts null/undefined (no date) or a number of milliseconds since the epoch.
+ */
+function toTimestamp(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (!Number.isFinite(value)) {
+        throw new IpcValidationError(`Invalid timestamp: ${value}`);
+    }
+    return Math.round(value);
+}
+
+// Check tag names coming from the renderer (a leading "#" is allowed and dropped)
+function toTagNames(tags) {
+    if (!Array.isArray(tags)) {
+        throw new IpcValidationError('Tags must be an array of names');
+    }
+    return tags.map(tag => {
+        const name = typeof tag === 'string' ? tag.replace(/^#/, '') : '';
+        if (!/^[\p{L}\p{N}_-]+$/u.test(name) || name.length > MAX_TAG_LENGTH) {
+            throw new IpcValidationError(`Invalid tag name: ${tag}`);
+        }
+        return name;
+    });
+}
+
+// Trim a list name coming from the renderer and make sure it is usable
+function toListName(name) {
+    const listName = typeof name === 'string' ? name.trim() : '';
+    if (!listName) {
+        throw new IpcValidationError('A list needs a name');
+    }
+    if (listName.length > MAX_NAME_LENGTH) {
+        throw new IpcValidationError(`A list name can be at most ${MAX_NAME_LENGTH} characters long`);
+    }
+    return listName;
+}
+
+// The search box text (may be empty)
+function toSearchQuery(query) {
+    if (typeof query !== 'string' || query.length > MAX_QUERY_LENGTH) {
+        throw new IpcValidationError(`A search must be a string of at most ${MAX_QUERY_LENGTH} characters`);
+    }
+    return query;
+}
+
+// A priority: 0 (none) to 4 (urgent)
+function toPriority(value) {
+    if (!Number.isInteger(value) || value < 0 || value > 4) {
+        throw new IpcValidationError(`Invalid priority: ${value}`);
+    }
+    return value;
+}
+
+// A repeat rule (see recurrence.js) in its standard form, or null for a todo that does not repeat
+function toRecurrence(value) {
+    try {
+        return normalizeRecurrence(value);
+    } catch (err) {
+        if (err instanceof RecurrenceError) throw new IpcValidationError(err.message);
+        throw err;
+    }
+}
+
+// A page of a long list (getTodos): offset (0 or more) and limit (1 or more), counted in top-level todos
+function toPage(offset, limit) {
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw new IpcValidationError(`Invalid offset: ${offset}`);
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new IpcValidationError(`Invalid limit: ${limit}`);
+    }
+    return { offset, limit };
+}
+
+// true or false, nothing else
+function toBoolean(value, what) {
+    if (typeof value !== 'boolean') {
+        throw new IpcValidationError(`Invalid ${what}: expected true or false`);
+    }
+    return value;
+}
+
+// One of a fixed set of values, e.g. the delete mode of a list
+function toChoice(value, choices, what) {
+    if (!choices.includes(value)) {
+        throw new IpcValidationError(`Unknown ${what}: ${value}`);
+    }
+    return value;
+}
+
+// The notes of a todo: Markdown of at most MAX_NOTES_LENGTH characters, kept as written; empty notes are null
+function toNotes(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (typeof value !== 'string' || value.length > MAX_NOTES_LENGTH) {
+        throw new IpcValidationError(`Notes must be a text of at most ${MAX_NOTES_LENGTH} characters`);
+    }
+    return value.trim() ? value : null;
+}
+
+// A link from the notes to open outside the app: an absolute http, https or mailto URL, nothing that could run a program
+function toLink(value) {
+    let url = null;
+    try {
+        url = typeof value === 'string' && value.length <= MAX_LINK_LENGTH ? new URL(value) : null;
+    } catch (err) {
+        url = null;
+    }
+    if (!url || !LINK_PROTOCOLS.includes(url.protocol)) {
+        throw new IpcValidationError(`Only web and mail links can be opened: ${String(value).slice(0, 100)}`);
+    }
+    return url.href;
+}
+
+/*
+ * An attachment of a todo sent back to restoreTodo: { id, name, file, size, added_at } as takeTodo returns it.
+ * file must be the name of a copy in the attachments folder (see attachments.js), never a path.
+ */
+function toAttachmentRecord(attachment) {
+    const { id, name, file, size, added_at } = toObject(attachment, 'attachment');
+    if (typeof name !== 'string' || !name || name.length > MAX_FILE_NAME_LENGTH) {
+        throw new IpcValidationError('Invalid attachment name');
+    }
+    if (typeof file !== 'string' || !ATTACHMENT_FILE.test(file)) {
+        throw new IpcValidationError('Invalid attachment file');
+    }
+    if (!(size === null || size === undefined || (Number.isSafeInteger(size) && size >= 0))) {
+        throw new IpcValidationError('Invalid attachment size');
+    }
+    return { id: toId(id, 'attachment id'), name, file, size: size === undefined ? null : size, added_at: toTimestamp(added_at) || Date.now() };
+}
+
+/*
+ * A time entry of a todo sent back to restoreTodo: { id, kind, started_at, ended_at } as takeTodo returns it (always ended).
+ */
+function toTimeEntryRecord(entry) {
+    const { id, kind, started_at, ended_at } = toObject(entry, 'time entry');
+    const start = toTimestamp(started_at);
+    const end = toTimestamp(ended_at);
+    if (start === null || end === null || end < start) {
+        throw new IpcValidationError('Invalid time entry: it needs started_at and a later ended_at');
+    }
+    return { id: toId(id, 'time entry id'), kind: toChoice(kind, TIMER_MODES, 'time entry kind'), started_at: start, ended_at: end };
+}
+
+/*
+ * Check the fields passed to updateTodo and convert them to column values.
+ * Unknown fields are refused rather than ignored so a typo in the renderer shows up straight away.
+ */
+function toTodoFields(fields) {
+    const changes = {};
+    Object.keys(toObject(fields, 'fields')).forEach(field => {
+        const value = fields[field];
+        switch (field) {
+            case 'text':
+                changes.text = toText(value);
+                break;
+            case 'completed':
+            case 'collapsed':
+                changes[field] = value ? 1 : 0;
+                break;
+            case 'due_at':
+            case 'remind_at':
+                changes[field] = toTimestamp(value);
+                break;
+            case 'priority':
+                changes.priority = toPriority(value);
+                break;
+            case 'recurrence':
+                changes.recurrence = toRecurrence(value);
+                break;
+            case 'notes':
+                changes.notes = toNotes(value);
+                break;
+            default:
+                throw new IpcValidationError(`Unknown todo field: ${field}`);
+        }
+    });
+    return changes;
+}
+
+/*
+ * Check a whole todo row sent back by the renderer (restoreTodo puts back what removeTodo returned).
+ * The known columns are checked like everywhere else; any other column only has to hold
+ * a plain value (null, a number or a short string), putTodoBack in todo_store.js only inserts real column names.
+ * "subtasks" holds the removed subtasks in the same form, at most MAX_SUBTASK_DEPTH levels deep,
+ * "history" the completed occurrences of a recurring todo ({ due_at, remind_at, reminded_at, completed_at })
+ * and "attachments" its attached files (see toAttachmentRecord); "notes" may be longer than the other texts.
+ * The priority is one of the five, the position a whole number and the calendar UID a short text or null.
+ */
+function toTodoRecord(todo, depth = 0) {
+    const record = { ...toObject(todo, 'todo') };
+    record.id = toId(record.id, 'todo id');
+    record.text = toText(record.text);
+    record.tags = toTagNames(record.tags || []);
+    if ('list_id' in record) record.list_id = toId(record.list_id, 'list id');
+    if ('parent_id' in record && record.parent_id !== null) record.parent_id = toId(record.parent_id, 'parent id');
+    if ('completed' in record) record.completed = record.completed ? 1 : 0;
+    if (!Array.isArray(record.subtasks || []) || (record.subtasks && record.subtasks.length > 0 && depth >= MAX_SUBTASK_DEPTH)) {
+        throw new IpcValidationError('Invalid subtasks');
+    }
+    record.subtasks = (record.subtasks || []).map(subtask => toTodoRecord(subtask, depth + 1));
+    if (!Array.isArray(record.history || []) || (record.history || []).length > MAX_ID_LIST_LENGTH) {
+        throw new IpcValidationError('Invalid history');
+    }
+    record.history = (record.history || []).map(entry => {
+        const { due_at, remind_at, reminded_at, completed_at } = toObject(entry, 'history entry');
+        if (completed_at === null || completed_at === undefined) {
+            throw new IpcValidationError('Invalid history entry: it needs completed_at');
+        }
+        return { due_at: toTimestamp(due_at), remind_at: toTimestamp(remind_at), reminded_at: toTimestamp(reminded_at), completed_at: toTimestamp(completed_at) };
+    });
+    if (!Array.isArray(record.attachments || []) || (record.attachments || []).length > MAX_ID_LIST_LENGTH) {
+        throw new IpcValidationError('Invalid attachments');
+    }
+    record.attachments = (record.attachments || []).map(toAttachmentRecord);
+    if (!Array.isArray(record.time_entries || []) || (record.time_entries || []).length > MAX_ID_LIST_LENGTH) {
+        throw new IpcValidationError('Invalid time entries');
+    }
+    record.time_entries = (record.time_entries || []).map(toTimeEntryRecord);
+    if ('recurrence' in record) record.recurrence = toRecurrence(record.recurrence);
+    if ('notes' in record) record.notes = toNotes(record.notes);
+    if ('priority' in record) record.priority = toPriority(record.priority);
+    if ('position' in record && !Number.isSafeInteger(record.position)) {
+        throw new IpcValidationError(`Invalid position: ${record.position}`);
+    }
+    if ('ical_uid' in record && record.ical_uid !== null && (typeof record.ical_uid !== 'string' || !record.ical_uid || record.ical_uid.length > MAX_UID_LENGTH)) {
+        throw new IpcValidationError('Invalid calendar UID');
+    }
+    Object.keys(record).forEach(column => {
+        const value = record[column];
+        if (['tags', 'text', 'subtasks', 'history', 'attachments', 'time_entries', 'notes'].includes(column)) return;
+        if (column.endsWith('_at')) {
+            record[column] = toTimestamp(value);
+        } else if (!(value === null || Number.isFinite(value) || (typeof value === 'string' && value.length <= MAX_TEXT_LENGTH))) {
+            throw new IpcValidationError(`Invalid value for ${column}`);
+        }
+    });
+    return record;
+}
+
+module.exports = {
+    IpcValidationError, assertTrustedSender, toId, toIdList, toText, toObject, toTimestamp, toTagNames, toListName,
+    toSearchQuery, toPriority, toRecurrence, toPage, toBoolean, toChoice, toNotes, toLink, toTodoFields, toTodoRecord, toAttachmentRecord,
+    toTimeEntryRecord, MAX_TEXT_LENGTH, MAX_NOTES_LENGTH, TRUSTED_PAGES
+};
@@ -0,0 +1,43 @@
+// Author: Daniel
+
+/* Limits and user settings shared by the main process and the renderer
+ * index.html loads this file as a classic script for MemoryStorage in storage.js; in the main process it is require()d
+ * (ipc_validation.js, settings.js, todo_store.js), like search.js and recurrence.js. Both sides read the same values
+ * from here, so the in-memory storage refuses what main.js refuses.
+ */
+
+// Longest todo text, and longest notes of a todo (Markdown)
+const MAX_TEXT_LENGTH = 1000;
+const MAX_NOTES_LENGTH = 100000;
+
+// The Today view takes the open todos of this priority (high) or above along with the overdue and due today ones,
+// and shows at most TODAY_LIMIT of them (see getTodayTodos in todo_store.js)
+const TODAY_MIN_PRIORITY = 3;
+const TODAY_LIMIT = 500;
+
+/* The user settings, each with its default and its allowed values: "choices" lists them, "maxMinutes" allows
+ * a whole number of minutes from 1 to it, "shortcut" a global shortcut of at most "maxLength" characters (its keys are
+ * only checked by settings.js).
+ * "name" is what an error message calls the setting. settings.js builds the checks of the setSetting handler from these.
+ */
+const SETTING_VALUES = {
+    // Where a new todo goes in its list: 'top' or 'bottom'
+    newTodoPosition: { default: 'bottom', choices: ['top', 'bottom'], name: 'new todo position' },
+    // Complete a todo by itself once all of its subtasks are done
+    autoCompleteParent: { default: false, choices: [false, true], name: 'auto-complete setting' },
+    // Which todos the list shows: 'all', 'active' (open) or 'completed'
+    todoFilter: { default: 'all', choices: ['all', 'active', 'completed'], name: 'todo filter' },
+    // How the list is sorted: 'manual' (drag and drop order), 'created' (newest first), 'text', 'due' or 'priority'
+    todoSort: { default: 'manual', choices: ['manual', 'created', 'text', 'due', 'priority'], name: 'todo sort' },
+    // Global shortcut that opens the quick add window, as an Electron accelerator ('' for none)
+    quickAddShortcut: { default: 'CommandOrControl+Shift+Space', shortcut: true, maxLength: 100, name: 'shortcut' },
+    // Keep running in the tray once the last window is closed, instead of quitting
+    keepInTray: { default: false, choices: [false, true], name: 'tray setting' },
+    // Length of a Pomodoro work session and of the break after it, in minutes (see timer.js)
+    pomodoroMinutes: { default: 25, maxMinutes: 120, name: 'Pomodoro length' },
+    breakMinutes: { default: 5, maxMinutes: 60, name: 'break length' }
+};
+
+if (typeof module !== 'undefined') {
+    module.exports = { MAX_TEXT_LENGTH, MAX_NOTES_LENGTH, TODAY_MIN_PRIORITY, TODAY_LIMIT, SETTING_VALUES };
+}
@@ -0,0 +1,199 @@
+// Author: Daniel
+
+/* Local HTTP API for scripts (main process)
+ *
+ * An opt-in REST server (File > Allow Scripts) so other programs, and cli.js, can read and add todos
+ * while the app runs. It offers the same operations as the IPC handlers of the same names: every request
+ * goes through those handlers (see callHandler in main.js), so arguments are checked the same way and
+ * the open windows show the change straight away.
+ *  - It only listens on 127.0.0.1, nothing outside this computer can reach it.
+ *  - Every request needs the header "Authorization: Bearer <token>". While the server runs, its port and
+ *    token are in api.json in the app's user data folder, a file only the user can read.
+ *
+ *   GET    /ping                              -> 200 { ok: true }       whether the app listens and the token is right (cli.js)
+ *   GET    /todos?list=<id>       getTodos    -> 200 [todo]             (the Inbox without ?list)
+ *   POST   /todos                 addTodo     -> 201 { id }             body: { text, listId, parentId, dueAt, remindAt, recurrence }
+ *   POST   /todos/<id>/toggle     toggleTodo  -> 200 [{ id, completed }]
+ *   DELETE /todos/<id>            removeTodo  -> 200 todo               the removed todo, with its subtasks
+ *
+ * Errors are answered with { error: message }: 400 for invalid arguments, 401 without the right token,
+ * 404 for an unknown todo or path, 405 for a method the path does not take, 413 for a body over MAX_BODY_BYTES and 500 for anything else.
+ */
+
+const http = require('node:http');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const { IpcValidationError } = require('./ipc_validation');
+const { NotFoundError } = require('./todo_store');
+
+// Port the server tries first; when it is taken any free port is used (cli.js reads the port from api.json)
+const LOCAL_API_PORT = 47321;
+
+// Largest request body accepted, a todo is at most 1000 characters
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Thrown while answering a request; status is the HTTP status code sent back
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+    }
+}
+
+/* The routes: method, path pattern and run(call, match, url, body), which turns the request into an IPC handler call
+ * (call(channel, ...args) runs the handler; match is the path matched against the pattern, body the JSON body of a POST).
+ * /ping calls no handler, so it answers without touching the database.
+ */
+const ROUTES = [
+    { method: 'GET', path: /^\/ping$/, run: () => ({ ok: true }) },
+    { method: 'GET', path: /^\/todos$/, run: (call, match, url) => call('getTodos', url.searchParams.has('list') ? toNumber(url.searchParams.get('list')) : undefined) },
+    {
+        method: 'POST', path: /^\/todos$/, status: 201,
+        run: (call, match, url, body) => {
+            const { text, ...options } = body;
+            return call('addTodo', text, options);
+        }
+    },
+    { method: 'POST', path: /^\/todos\/(\d+)\/toggle$/, run: (call, match) => call('toggleTodo', toNumber(match[1])) },
+    {
+        method: 'DELETE', path: /^\/todos\/(\d+)$/,
+        run: async (call, match) => {
+            const todo = await call('removeTodo', toNumber(match[1]));
+            if (!todo) throw new NotFoundError(`Todo ${match[1]} does not exist`);
+            return todo;
+        }
+    }
+];
+
+// A number from the path or query string; the IPC handler decides whether it is a valid id
+function toNumber(text) {
+    return /^\d+$/.test(text) ? Number(text) : text;
+}
+
+class LocalApiServer {
+    /* call: function(channel, ...args) that runs an IPC handler and resolves with its result
+     * infoFile: where the port and token are written while the server runs (api.json)
+     */
+    constructor(call, infoFile) {
+        this.call = call;
+        this.infoFile = infoFile;
+        this.server = null;
+        this.token = null;
+    }
+
+    // Whether the server is listening
+    get running() {
+        return this.server !== null;
+    }
+
+    // Start listening with this token (a running server is restarted); resolves with the port
+    async start(token, port = LOCAL_API_PORT) {
+        await this.stop();
+        const server = http.createServer((request, response) => this.answer(request, response));
+        try {
+            await listen(server, port);
+        } catch (err) {
+            if (err.code !== 'EADDRINUSE') throw err;
+            await listen(server, 0);  // Another program has our port, let the system pick one
+        }
+        this.server = server;
+        this.token = token;
+        const { port: actualPort } = server.address();
+        fs.rmSync(this.infoFile, { force: true });  // mode only applies to a new file
+        fs.writeFileSync(this.infoFile, JSON.stringify({ port: actualPort, token, pid: process.pid }), { mode: 0o600 });
+        console.log('Local API listening on http://127.0.0.1:' + actualPort);
+        return actualPort;
+    }
+
+    // Stop listening and remove api.json (synchronously, so it also happens while the app quits)
+    stop() {
+        const server = this.server;
+        this.server = null;
+        this.token = null;
+        fs.rmSync(this.infoFile, { force: true });
+        if (!server) return Promise.resolve();
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+
+    // Answer one request, see the routes above
+    async answer(request, response) {
+        let status = 200;
+        let result;
+        try {
+            this.authorize(request);
+            const url = new URL(request.url, 'http://127.0.0.1');
+            const candidates = ROUTES.filter(route => route.path.test(url.pathname));
+            const route = candidates.find(candidate => candidate.method === request.method);
+            if (!route) {
+                throw candidates.length > 0 ? new ApiError(405, `${request.method} is not allowed on ${url.pathname}`) : new ApiError(404, `Unknown path: ${url.pathname}`);
+            }
+            const body = request.method === 'POST' ? await readJson(request) : {};
+            result = await route.run(this.call, url.pathname.match(route.path), url, body);
+            status = route.status || 200;
+        } catch (err) {
+            status = err instanceof ApiError ? err.status
+                : err instanceof IpcValidationError ? 400
+                    : err instanceof NotFoundError ? 404
+                        : 500;
+            if (status === 500) console.error('Local API error:', err.message);
+            result = { error: err.message };
+        }
+        const json = JSON.stringify(result === undefined ? null : result);
+        response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(json) });
+        response.end(json);
+    }
+
+    // Refuse requests without the token (compared in constant time)
+    authorize(request) {
+        const given = Buffer.from(String(request.headers.authorization || ''));
+        const expected = Buffer.from(`Bearer ${this.token}`);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            throw new ApiError(401, 'Missing or wrong token, see api.json in the app data folder');
+        }
+    }
+}
+
+// server.listen as a promise, on the loopback interface only
+function listen(server, port) {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+            server.off('error', reject);
+            resolve();
+        });
+    });
+}
+
+// Read a JSON object from the request body (an empty body counts as {})
+function readJson(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new ApiError(413, `The request body is larger than ${MAX_BODY_BYTES} bytes`));  // The rest is read and dropped
+            } else {
+                chunks.push(chunk);
+            }
+        });
+        request.on('end', () => {
+            if (size > MAX_BODY_BYTES) return;
+            const text = Buffer.concat(chunks).toString('utf8');
+            try {
+                const value = text.trim() ? JSON.parse(text) : {};
+                if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                    throw new Error('expected an object');
+                }
+                resolve(value);
+            } catch (err) {
+                reject(new ApiError(400, `The request body is not a JSON object: ${err.message}`));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+module.exports = { LocalApiServer, ApiError, LOCAL_API_PORT };
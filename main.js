@@ -1,38 +1,226 @@
 // Author: Daniel
 
 // Import necessary modules from Electron, Node, and sqlite3
-const { app, BrowserWindow, ipcMain } = require('electron');  // Electron modules to control the app lifecycle, create windows, and communicate via IPC
+const { app, BrowserWindow, ipcMain, dialog, Notification, Menu, globalShortcut, screen, shell } = require('electron');  // Electron modules to control the app lifecycle, create windows and menus, show dialogs and notifications, register global shortcuts, open files and links, and communicate via IPC
 const path = require('node:path');                            // Node's path module for handling file paths
+const crypto = require('node:crypto');                        // Node's crypto module for the local API token
+const fs = require('node:fs');                                // Node's file system module for reading and writing import / export files
 const sqlite3 = require('sqlite3');                           // SQLite3 module for working with a SQLite database
+const { migrate, INBOX_LIST_ID } = require('./migrations');   // Versioned schema migrations for todos.db
+const { ReminderScheduler, MAX_INDIVIDUAL_NOTIFICATIONS } = require('./reminders');  // Fires notifications when a todo's reminder is due
+const { BackupScheduler, checkBackup, restoreDatabase } = require('./backups');  // Rotating backups of todos.db and restoring them
+const { LocalApiServer } = require('./local_api');  // Opt-in HTTP API for scripts and cli.js
+const { TodoTray } = require('./tray');  // Tray icon with the open / overdue counts and today's todos
+const { AttachmentFolder, attachmentFiles } = require('./attachments');  // Copies of the files attached to todos
+const { TodoTimer, TIMER_MODES } = require('./timer');  // Timers and the Pomodoro timer on todos
+const { exportTodos, timeEntriesToCsv, parseTodos, findDuplicates, formatFromPath, ImportError } = require('./import_export');  // JSON / CSV / Markdown import and export
+const { exportCalendar, parseCalendar } = require('./icalendar');  // .ics export and import of dated todos
+const { toSettingValue } = require('./settings');  // Settings the user can change (e.g. where new todos go)
+const { createTodoStore } = require('./todo_store');  // All the SQL on todos.db, shared with cli.js
+const {
+    assertTrustedSender, toId, toIdList, toText, toObject, toTimestamp, toTagNames, toListName, toSearchQuery, toPriority, toRecurrence, toChoice,
+    toPage, toNotes, toLink, toTodoFields, toTodoRecord, IpcValidationError, MAX_TEXT_LENGTH
+} = require('./ipc_validation');  // Sender and argument checks for the IPC handlers
 
 // Determine if the platform is macOS since behavior may differ between macOS and other OSes
 const MacOS = process.platform === 'darwin';
 
 // Build the database file path
-// Currently, the database is stored in the same folder as the main.js file
-const dbPath = path.join(__dirname, 'todos.db');   
+// The database is stored in the user's app data folder (e.g. %APPDATA%\<app name> on Windows): the folder of main.js
+// is read-only inside a packaged app and is replaced by every reinstall, so nothing can be kept there
+// TODO_DATA_DIR points somewhere else, as for cli.js (the end-to-end tests give every run a fresh folder)
+if (process.env.TODO_DATA_DIR) app.setPath('userData', process.env.TODO_DATA_DIR);
+const dataPath = app.getPath('userData');
+const dbPath = path.join(dataPath, 'todos.db');
 console.log('DB path:', dbPath);  // Log the database path to the console for debugging
 
+// Where earlier versions kept todos.db, next to main.js
+const legacyDbPath = path.join(__dirname, 'todos.db');
+
+// Automatic backups go to a folder next to the database
+const backupPath = path.join(dataPath, 'backups');
+
+// and so do the copies of the files attached to todos
+const attachmentPath = path.join(dataPath, 'attachments');
+
 // Build the preload script path using __dirname and path.join
 const preloadPath = path.join(__dirname, 'preload.js');
 console.log('preload:', preloadPath);  // Log the database path to the console for debugging
 
+/*
+ * First start after the database moved to the app data folder: bring over the todos.db of an earlier version.
+ * It is copied rather than moved, the old folder may well be read-only.
+ */
+function copyLegacyDatabase() {
+    fs.mkdirSync(dataPath, { recursive: true });  // SQLite does not create missing folders
+    if (!fs.existsSync(dbPath) && fs.existsSync(legacyDbPath)) {
+        fs.copyFileSync(legacyDbPath, dbPath);
+        console.log('Copied the todos of an earlier version from', legacyDbPath);
+    }
+}
+copyLegacyDatabase();
+
 // Open (or create) the SQLite database located at dbPath
 const db = new sqlite3.Database(dbPath, err => {
     if (err) {  // If there is an error opening/creating the database, log the error message
         console.error('Error opening database:', err.message);
     } else {
         // Database opened successfully; log the connection
+        // The tables themselves are created by the migrations in migrations.js (see app.whenReady below)
         console.log('Connected to SQLite database at', dbPath);
-        // Run SQL statement to create "todos" table if it doesn't already exist
-        db.run(`CREATE TABLE IF NOT EXISTS todos (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            text TEXT NOT NULL,
-            completed INTEGER NOT NULL DEFAULT 0
-        )`);
+        // SQLite leaves foreign keys off by default; we need them for "ON DELETE CASCADE" on todos.list_id
+        db.run('PRAGMA foreign_keys = ON');
+    }
+});
+
+// The queries on todos.db (see todo_store.js), used below as if they were defined here. The writes are transactions;
+// every read goes through queued() so it never runs in the middle of one and sees rows that may still be rolled back.
+const {
+    queued, getSetting, setSetting, getUserSettings,
+    getTodos, countTodos, addTodo, toggleTodo, removeTodo, getDueToday, getTodayTodos,
+    getTodosById, updateTodo, setTodoTags, searchTodos, setTodoDue, reopenOccurrence, restoreTodo, moveTodo, reorderTodos,
+    clearCompleted, getArchivedTodos, restoreArchivedTodos, getLists, getList, createList, renameList, deleteList,
+    getAttachments, getAttachment, addAttachments, removeAttachment, getAttachmentFiles,
+    getRunningTimeEntry, startTimeEntry, stopTimeEntry, getTimeEntries,
+    getExportTodos, getTodoTexts, importTodos, importLegacyTodos, getCalendarTodos, getCalendarUids, importCalendarTodos
+} = createTodoStore(db);
+
+// Scheduler for due date reminders, started once the database is migrated
+const reminders = new ReminderScheduler(db, showReminders, { exclusive: queued });
+
+// Scheduler for the automatic backups, started before the migrations so there is a copy from before them
+const backups = new BackupScheduler(db, backupPath, { exclusive: queued });
+
+// The copies of attached files, cleaned up once the database is migrated
+const attachments = new AttachmentFolder(attachmentPath);
+
+// HTTP API for scripts, only started when the user allows it (see setLocalApi); api.json tells cli.js where to find it
+const localApi = new LocalApiServer(callHandler, path.join(dataPath, 'api.json'));
+
+// Tray icon, started with the first window; checking a todo off in its menu goes through the toggleTodo handler like a click in the list
+const tray = new TodoTray(() => queued(() => getDueToday()), {
+    quickAdd: () => showQuickAdd(),
+    show: () => showTodos(),
+    toggle: id => callHandler('toggleTodo', id).catch(err => console.error('Error completing a todo from the tray:', err.message)),
+    quit: () => app.quit()
+});
+
+// The timer or Pomodoro on a todo (see timer.js); every window hears when it changes, and todos it added time to are refreshed
+const timer = new TodoTimer({
+    getRunningTimeEntry: () => queued(() => getRunningTimeEntry()),
+    getTodosById: ids => queued(() => getTodosById(ids)),
+    startTimeEntry, stopTimeEntry
+}, {
+    lengths: async () => {
+        const settings = await queued(() => getUserSettings());
+        return { work: settings.pomodoroMinutes, pause: settings.breakMinutes };
+    },
+    notify: (title, body) => {
+        if (Notification.isSupported()) showNotification(title, body);
+    },
+    onChange: (state, ids) => {
+        BrowserWindow.getAllWindows().forEach(win => win.webContents.send('timer-changed', state));
+        if (ids.length > 0) broadcastChange(null, { ids }).catch(err => console.error('Error sending the tracked time:', err.message));
     }
 });
 
+// The quick add window while it is open, the global shortcut that opens it ('' for none),
+// and whether the app keeps running in the tray without windows (the quickAddShortcut and keepInTray settings)
+let quickAddWindow = null;
+let quickAddShortcut = '';
+let keepInTray = false;
+
+/*
+ * Show the notification(s) for todos whose reminder time has been reached,
+ * then tell every open window (Main to renderer) so the list refreshes its overdue highlighting.
+ * "missed" is true for reminders that came due while the app was closed.
+ */
+function showReminders(todos, { missed }) {
+    if (Notification.isSupported()) {
+        if (todos.length > MAX_INDIVIDUAL_NOTIFICATIONS) {
+            // Too many to show one by one (e.g. after a long time closed), summarise them instead
+            showNotification(missed ? `You missed ${todos.length} reminders` : `${todos.length} todos are due`,
+                todos.map(todo => todo.text).join('\n'));
+        } else {
+            todos.forEach(todo => {
+                showNotification(missed ? 'Missed reminder' : 'Reminder', todo.text);
+            });
+        }
+    }
+
+    BrowserWindow.getAllWindows().forEach(win => {
+        win.webContents.send('reminder-fired', todos.map(todo => todo.id));  // Send the ids of the todos that fired
+    });
+}
+
+/*
+ * Keeping several windows in sync (Main to renderer)
+ * After every change the other windows get a "todos-changed" message saying what changed, so they can
+ * update what they show without fetching everything again (see applyChange in mvc.js):
+ *   { todos, removed, lists, settings, all }
+ *  - todos:    the new or changed todos, in the same form as getTodos returns them
+ *  - removed:  ids of the todos that are gone (deleted or archived)
+ *  - lists:    true if lists were created or renamed, so the sidebar must be fetched again
+ *  - settings: all user settings, after one of them changed (otherwise null)
+ *  - all:      true when too much changed to list (a deleted list, an import): fetch everything again
+ * source is the webContents that made the change; it is skipped, the handler hands it the same change
+ * in its answer instead (see Changed below). Resolves with the change; if the changed todos cannot be
+ * read it says "all", so every window fetches everything again. The tray icon is refreshed too.
+ */
+async function broadcastChange(source, { ids = [], lists = false, settings = null, all = false } = {}) {
+    tray.refresh();  // The counts may have changed, even with no window open
+    let change;
+    try {
+        const unique = [...new Set(ids)];
+        const todos = await queued(() => getTodosById(unique));  // Read between two transactions, never in the middle of one
+        change = {
+            todos,
+            removed: unique.filter(id => !todos.some(todo => todo.id === id)),
+            lists, settings, all
+        };
+    } catch (err) {
+        console.error('Error reading a change for the windows:', err.message);
+        change = { todos: [], removed: [], lists: true, settings, all: true };
+    }
+    BrowserWindow.getAllWindows()
+        .filter(win => win.webContents !== source)
+        .forEach(win => win.webContents.send('todos-changed', change));
+    return change;
+}
+
+/*
+ * What a handler that changed something resolves with: its own result and the change (see broadcastChange).
+ * The window that asked gets both as { result, change } and puts the changed todos on screen straight away,
+ * without asking for the whole list again (see IpcStorage in storage.js); callHandler passes on just the result.
+ */
+class Changed {
+    constructor(result, change) {
+        this.result = result;
+        this.change = change;
+    }
+}
+
+// The change of a handler that ended up changing nothing (e.g. a cancelled file dialog); it is not broadcast
+const NO_CHANGE = { todos: [], removed: [], lists: false, settings: null, all: false };
+
+// Ids of a todo taken by takeTodo (or sent back to restoreTodo) and of all its subtasks
+function recordIds(todo) {
+    return todo ? [todo.id, ...todo.subtasks.flatMap(recordIds)] : [];
+}
+
+// Show a single notification; clicking it brings the app window to the front
+function showNotification(title, body) {
+    const notification = new Notification({ title, body });
+    notification.on('click', () => {
+        const [win] = todoWindows();
+        if (win) {
+            if (win.isMinimized()) win.restore();
+            win.focus();
+        }
+    });
+    notification.show();
+}
+
 /* 
  * function that create the main window with width and height
  * Looping the render with 
@@ -43,11 +231,17 @@ const win = new BrowserWindow({
   width: 800,    // Set the window width to 800 pixels
   height: 600,   // Set the window height to 600 pixels
     webPreferences: {
-    nodeIntegration: true,   // Enable Node integration in the renderer process
-      contextIsolation: false  // Disable context isolation so that the renderer can access Node APIs
+      preload: preloadPath,    // preload.js exposes window.api, the only way the page can reach the main process
+      nodeIntegration: false,  // No require() or other Node APIs in the page
+      contextIsolation: true,  // The preload script and the page run in separate JavaScript worlds
+      sandbox: true            // The renderer process runs in Chromium's sandbox
     }
 });
 
+  // The window only ever shows our own page: no navigating away, no pop-up windows
+  win.webContents.on('will-navigate', (event) => event.preventDefault());
+  win.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+
   // Load the index.html file into the window
   win.loadFile(path.join(__dirname, './index.html'));   // Provide the path to the index.html file
 
@@ -55,79 +249,873 @@ const win = new BrowserWindow({
   win.webContents.openDevTools();  // Open Developer Tools for the window
 }
 
+// The windows showing the todos: every window except the quick add window
+function todoWindows() {
+    return BrowserWindow.getAllWindows().filter(win => win !== quickAddWindow);
+}
+
+// Bring a window with the todos to the front, or open one (tray menu, and a click on the tray icon)
+function showTodos() {
+    const [win] = todoWindows();
+    if (!win) return createWindow();
+    if (win.isMinimized()) win.restore();
+    win.show();
+    win.focus();
+}
+
+/*
+ * Quick add window: a small frameless line in the upper middle of the screen the mouse is on, opened by the
+ * global shortcut or from the tray menu. The page (quick_add.html) adds the todo through the addTodo
+ * handler and closes itself; it also closes when another window takes the focus.
+ */
+function showQuickAdd() {
+    if (quickAddWindow) {
+        quickAddWindow.focus();
+        return;
+    }
+    const width = 520;
+    const height = 90;
+    const { workArea } = screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+    const win = new BrowserWindow({
+        width,
+        height,
+        x: Math.round(workArea.x + (workArea.width - width) / 2),
+        y: Math.round(workArea.y + workArea.height / 4),
+        frame: false,
+        resizable: false,
+        alwaysOnTop: true,
+        skipTaskbar: true,
+        show: false,  // Shown once the page is ready, no white flash
+        webPreferences: {
+            preload: preloadPath,  // The same window.api as the main window, and the same sandbox
+            nodeIntegration: false,
+            contextIsolation: true,
+            sandbox: true
+        }
+    });
+    win.webContents.on('will-navigate', (event) => event.preventDefault());
+    win.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+    win.once('ready-to-show', () => win.show());
+    win.on('blur', () => win.close());
+    win.on('closed', () => {
+        quickAddWindow = null;
+    });
+    quickAddWindow = win;
+    win.loadFile(path.join(__dirname, './quick_add.html'));
+}
+
+/*
+ * Register the global shortcut of the quick add window ('' for none), replacing the previous one.
+ * The new shortcut is registered before the old one is let go, so when another program already has it
+ * this throws and the old shortcut keeps working.
+ */
+function setQuickAddShortcut(accelerator) {
+    if (accelerator === quickAddShortcut) return;
+    if (accelerator && !globalShortcut.register(accelerator, showQuickAdd)) {
+        throw new Error(`The shortcut ${accelerator} is taken by another program, please choose another one`);
+    }
+    if (quickAddShortcut) globalShortcut.unregister(quickAddShortcut);
+    quickAddShortcut = accelerator;
+    tray.setShortcut(accelerator);  // Shown next to "Quick Add…"
+}
+
 /*
  * "app.whenReady()" function is called only after Electron is fully initialized
  * ".then()"" function is called after the "app.whenReady()" function is called to create the main window
  * "app.on()" function is specific only to MacOS, it is triggered when the application is activated
  * "BrowserWindow.getAllWindows().length" function is called to check if there are no open windows in the application. On MacOS, it is common or the app to remain active in the dock even when all windows are closed. This ensures that a new window is created when the app is reactivated.
  * "createWindow()" function is called to create the main window
+ *
+ * Before anything can talk to the database, todos.db is backed up and migrate() brings it up to the schema this build expects.
+ * The IPC handlers are only registered once that has finished, so the renderer never sees a half-migrated table.
+ * If the database was written by a newer version of the app (or a migration fails) we show the error and quit.
+ * The attachments folder is cleaned up (see attachments.js) before anything can attach a new file.
  */
-app.whenReady().then(() => {
+app.whenReady().then(() => backups.start()).then(() => migrate(db)).then(async ({ from, to }) => {
+  console.log(`Database schema version: ${from} -> ${to}`);  // Log which migrations were applied
+  await cleanUpAttachments();
+  registerIpcHandlers();  // Expose the database to the renderer now that the schema is up to date
+  buildMenu();  // Replace the default menu with ours (File > Import / Export)
   createWindow();  // Create the main window when the app is ready
+  reminders.start();  // Catch up on reminders missed while the app was closed and schedule the next one
+  timer.resume().catch(err => console.error('Error resuming the timer:', err.message));  // A timer that ran when the app was closed
+  tray.start();  // Open / overdue counts and today's todos
+  queued(() => getUserSettings()).then((settings) => {
+    keepInTray = settings.keepInTray;
+    setQuickAddShortcut(settings.quickAddShortcut);
+  }).catch(err => console.error('Error registering the quick add shortcut:', err.message));  // The app works without it
+  queued(() => getSetting('localApi')).then(saved => saved && saved.enabled && setLocalApi(true))  // Scripts were allowed last time
+    .catch(err => console.error('Error restoring the local API:', err.message));
 
   // On macOS, re-create the window when the dock icon is clicked and there are no open windows
 app.on('activate', () => {
-    if (BrowserWindow.getAllWindows().length === 0) {  // Check if there are no open windows
+    if (todoWindows().length === 0) {  // Check if there are no open windows (the quick add window does not count)
       createWindow();  // Create a new window if none are open
     }
 });
+}).catch(err => {
+    console.error('Error preparing database:', err.message);
+    dialog.showErrorBox('Unable to open the todo database', err.message);  // Tell the user why the app will not start
+    app.quit();
+});
+
+// Stop the reminder and backup timers and the local API so they do not keep the process alive while quitting,
+// and give the global shortcut and the tray icon back
+app.on('will-quit', () => {
+    reminders.stop();
+    timer.close();
+    backups.stop();
+    localApi.stop();
+    globalShortcut.unregisterAll();
+    tray.stop();
+    try {
+        attachments.emptyTrash();  // Deleted todos can no longer be undone
+    } catch (err) {
+        console.error('Error emptying the attachment trash:', err.message);
+    }
 });
 
-// Quit the app when all windows are closed (except on macOS)
+// Delete the copies of attached files nothing needs any more; a failure is logged, the app works without it
+async function cleanUpAttachments() {
+    try {
+        const count = await attachments.cleanUp(await queued(() => getAttachmentFiles()));
+        if (count > 0) console.log(`Deleted ${count} attachments of deleted todos`);
+    } catch (err) {
+        console.error('Error cleaning up the attachments:', err.message);
+    }
+}
+
+// Quit the app when all windows are closed (except on macOS, and when the user keeps it in the tray: Quit is in its menu)
 app.on('window-all-closed', () => {
-    if (!MacOS) { // If the platform is not macOS, quit the app
+    if (!MacOS && !keepInTray) { // If the platform is not macOS, quit the app
         app.quit();
     }
 });
 
-// IPC Handlers for SQLite operations
-ipcMain.handle('getTodos', () => {
-    console.log('Preload for getTodos status - O.K') // this is to check preload script is executed or not
-    return new Promise((resolve, reject) => {
-         // Run a SQL query to select all records from the todos table
-         db.all('SELECT * FROM todos', (err, rows) => {
-              err ? reject(err) : resolve(rows);  // If there is an error, reject the promise; otherwise, resolve it with the rows
+/*
+ * Application menu
+ * The File menu holds "New Window" (any number of windows, kept in sync by broadcastChange), the import / export and backup commands; Edit, View and Window are Electron's standard menus.
+ * "Export Current List" asks the focused window which list it shows (Main to renderer), the renderer
+ * then calls the exportTodos IPC handler with that list id. "Export to Calendar" is "Export All Todos" with .ics picked.
+ * "Allow Scripts" turns the local API on and off (see setLocalApi); the menu is built again to show its state.
+ */
+function buildMenu() {
+    const template = [
+        ...(MacOS ? [{ role: 'appMenu' }] : []),  // macOS keeps the app name menu first
+        {
+            label: 'File',
+            submenu: [
+                { label: 'New Window', accelerator: 'CmdOrCtrl+N', click: () => createWindow() },
+                { type: 'separator' },
+                { label: 'Import Todos…', accelerator: 'CmdOrCtrl+O', click: (item, win) => importTodosFromFile(win) },
+                { type: 'separator' },
+                { label: 'Export All Todos…', accelerator: 'CmdOrCtrl+E', click: (item, win) => exportTodosToFile(win, null) },
+                { label: 'Export Current List…', accelerator: 'CmdOrCtrl+Shift+E', click: (item, win) => win && win.webContents.send('menu-export-list') },
+                { label: 'Export to Calendar (.ics)…', click: (item, win) => exportTodosToFile(win, null, 'ics') },
+                { label: 'Export Time Entries (CSV)…', click: (item, win) => exportTimeEntriesToFile(win) },
+                { type: 'separator' },
+                { label: 'Restore from Backup…', click: (item, win) => restoreFromBackup(win) },
+                { type: 'separator' },
+                { label: 'Allow Scripts (Local API)', type: 'checkbox', checked: localApi.running, click: (item) => setLocalApi(item.checked) },
+                { type: 'separator' },
+                MacOS ? { role: 'close' } : { role: 'quit' }
+            ]
+        },
+        { role: 'editMenu' },
+        { role: 'viewMenu' },
+        { role: 'windowMenu' }
+    ];
+    Menu.setApplicationMenu(Menu.buildFromTemplate(template));
+}
+
+// File types offered by the import / export dialogs; the chosen extension decides the format
+const FILE_FILTERS = [
+    { name: 'JSON', extensions: ['json'] },
+    { name: 'CSV', extensions: ['csv'] },
+    { name: 'Markdown checklist', extensions: ['md'] },
+    { name: 'iCalendar (todos with a due date)', extensions: ['ics'] }
+];
+
+/*
+ * Export all todos (listId null) or the todos of one list to a JSON, CSV, Markdown or iCalendar file.
+ * extension is the one the save dialog suggests. Resolves with { filePath, count }, or null if the user cancelled.
+ */
+async function exportTodosToFile(win, listId, extension = 'json') {
+    try {
+        const list = listId ? await queued(() => getList(listId)) : null;
+        const { canceled, filePath } = await dialog.showSaveDialog(win, {
+            title: list ? `Export "${list.name}"` : 'Export all todos',
+            defaultPath: `${list ? list.name : 'todos'}.${extension}`,
+            filters: extension === 'ics' ? [FILE_FILTERS[FILE_FILTERS.length - 1], ...FILE_FILTERS.slice(0, -1)] : FILE_FILTERS
         });
+        if (canceled || !filePath) {
+            return null;
+        }
+        if (path.extname(filePath).toLowerCase() === '.ics') {
+            return await exportCalendarFile(win, list, filePath);
+        }
+        const format = formatFromPath(filePath) || 'json';  // No or unknown extension: JSON
+        const todos = await queued(() => getExportTodos(listId));
+        await fs.promises.writeFile(filePath, exportTodos(todos, format), 'utf8');
+        console.log(`Exported ${todos.length} todos to`, filePath);
+        return { filePath, count: todos.length };
+    } catch (err) {
+        console.error('Error exporting todos:', err.message);
+        dialog.showErrorBox('Export failed', err.message);
+        return null;
+    }
+}
+
+/*
+ * Export the todos with a due date to an .ics file (see icalendar.js), as tasks or as events: the user picks.
+ * Todos exported for the first time get a UID (see getCalendarTodos), so importing the file later updates them.
+ */
+async function exportCalendarFile(win, list, filePath) {
+    const { response } = await dialog.showMessageBox(win, {
+        type: 'question',
+        title: 'Export to calendar',
+        message: 'Export the todos with a due date as tasks or as events?',
+        detail: 'Tasks (VTODO) show up in to-do apps such as Apple Reminders and Thunderbird, and can be imported again.\n'
+            + 'Events (VEVENT) show up in calendars without tasks, such as Google Calendar and Outlook.',
+        buttons: ['Tasks', 'Events', 'Cancel'],
+        defaultId: 0,
+        cancelId: 2
     });
-});
+    if (response === 2) {
+        return null;
+    }
+    const todos = await getCalendarTodos(list ? list.id : null);
+    if (todos.length === 0) {
+        throw new Error(`${list ? `No todo in "${list.name}"` : 'No todo'} has a due date, there is nothing to put in a calendar`);
+    }
+    await fs.promises.writeFile(filePath, exportCalendar(todos, { kind: response === 0 ? 'VTODO' : 'VEVENT', name: list ? list.name : 'Todos' }), 'utf8');
+    console.log(`Exported ${todos.length} todos to`, filePath);
+    return { filePath, count: todos.length };
+}
 
-// Insert a new todo using the provided text
-ipcMain.handle('addTodo', (event, todoText) => {
-    console.log('Preload for addTodo status - O.K')
-    return new Promise((resolve, reject) => {
-         // Run a SQL INSERT statement; set completed as 0 (false) by default
-        db.run('INSERT INTO todos (text, completed) VALUES (?, ?)', [todoText, 0], function(err) {
-              err ? reject(err) : resolve({ id: this.lastID });  // Return the new todo's id upon success
+/*
+ * Export the time recorded on todos (see timer.js) to a CSV file, one row per timer run or Pomodoro work session
+ * (see timeEntriesToCsv). Resolves with { filePath, count }, or null if the user cancelled the save dialog.
+ */
+async function exportTimeEntriesToFile(win) {
+    try {
+        const { canceled, filePath } = await dialog.showSaveDialog(win, {
+            title: 'Export time entries',
+            defaultPath: 'time entries.csv',
+            filters: [{ name: 'CSV', extensions: ['csv'] }]
         });
-    });
-});
+        if (canceled || !filePath) {
+            return null;
+        }
+        const entries = await queued(() => getTimeEntries());
+        await fs.promises.writeFile(filePath, timeEntriesToCsv(entries), 'utf8');
+        console.log(`Exported ${entries.length} time entries to`, filePath);
+        return { filePath, count: entries.length };
+    } catch (err) {
+        console.error('Error exporting time entries:', err.message);
+        dialog.showErrorBox('Export failed', err.message);
+        return null;
+    }
+}
 
-// Toggle the completion state of a todo (switch between 0 and 1)
-ipcMain.handle('toggleTodo', (event, id) => {
-    console.log('Preload for toggleTodo status - O.K')
-    return new Promise((resolve, reject) => {
-        // Retrieve the current completed state of the todo with the given id
-        db.get('SELECT completed FROM todos WHERE id = ?', [id], (err, row) => {
-            if (err) {
-                 return reject(err);  // Reject promise if error occurs reading row
+/*
+ * Import todos from a JSON, CSV, Markdown or iCalendar file (.ics files: see importCalendarFile).
+ * 1. The file is parsed completely first; a file that cannot be read is refused before anything is written.
+ * 2. A preview shows how many todos are new and how many are already in the lists (same text in the same list),
+ *    and lets the user skip the duplicates, import everything or cancel.
+ * 3. All todos, and any lists named in the file that do not exist yet, are inserted in a single transaction,
+ *    so a problem half-way through leaves todos.db untouched.
+ * Todos without a list go to the Inbox.
+ */
+async function importTodosFromFile(win) {
+    try {
+        const { canceled, filePaths } = await dialog.showOpenDialog(win, {
+            title: 'Import todos',
+            properties: ['openFile'],
+            filters: [{ name: 'Todo files', extensions: ['json', 'csv', 'md', 'markdown', 'ics'] }, ...FILE_FILTERS]
+        });
+        if (canceled || filePaths.length === 0) {
+            return;
+        }
+        const filePath = filePaths[0];
+        if (path.extname(filePath).toLowerCase() === '.ics') {
+            await importCalendarFile(win, filePath);
+            return;
+        }
+        const format = formatFromPath(filePath);
+        if (!format) {
+            throw new ImportError('Only .json, .csv, .md and .ics files can be imported');
+        }
+        const todos = parseTodos(await fs.promises.readFile(filePath, 'utf8'), format);
+        if (todos.length === 0) {
+            throw new ImportError('No todos were found in this file');
+        }
+        todos.forEach((todo, index) => {
+            if (todo.text.length > MAX_TEXT_LENGTH) {
+                throw new ImportError(`Todo ${index + 1} is longer than ${MAX_TEXT_LENGTH} characters`);
             }
-             // Calculate the new completed state (flip 0 to 1 or 1 to 0)
-            const newCompletedState = row.completed === 0 ? 1 : 0;
-             // Update the todo's completed state in the database
-            db.run('UPDATE todos SET completed = ? WHERE id = ?', [newCompletedState, id], err => {
-                    err ? reject(err) : resolve();  // Resolve promise if update succeeds, otherwise reject
-            });
+            try {  // The same checks as a todo typed in the app, so importTodos never creates what the app would refuse
+                todo.list = todo.list === null ? null : toListName(todo.list);
+                todo.tags = toTagNames(todo.tags);
+                todo.recurrence = toRecurrence(todo.recurrence);
+                todo.notes = toNotes(todo.notes);
+            } catch (err) {
+                throw new ImportError(`Todo ${index + 1} ("${todo.text}"): ${err.message}`);
+            }
+        });
+
+        // Preview with duplicate detection
+        const [inbox, texts] = await queued(async () => [await getList(INBOX_LIST_ID), await getTodoTexts()]);
+        const { fresh, duplicates } = findDuplicates(todos, texts, inbox.name);
+        const sample = todos.slice(0, 10).map(todo => `${todo.completed ? '[x]' : '[ ]'} ${todo.text}${todo.list ? `  (${todo.list})` : ''}`);
+        if (todos.length > sample.length) sample.push(`… and ${todos.length - sample.length} more`);
+        const buttons = duplicates.length > 0 ? ['Import new only', 'Import all', 'Cancel'] : ['Import', 'Cancel'];
+        const { response } = await dialog.showMessageBox(win, {
+            type: 'question',
+            title: 'Import todos',
+            message: `Import ${todos.length} todos from ${path.basename(filePath)}?`,
+            detail: `${fresh.length} new, ${duplicates.length} already in your lists.\n\n${sample.join('\n')}`,
+            buttons,
+            defaultId: 0,
+            cancelId: buttons.length - 1
+        });
+        if (response === buttons.length - 1) {
+            return;
+        }
+        const toImport = duplicates.length > 0 && response === 0 ? fresh : todos;
+
+        const count = await importTodos(toImport);  // One transaction, new lists included
+
+        console.log(`Imported ${count} todos from`, filePath);
+        tray.refresh();  // The counts and today's todos may have changed
+        reminders.reschedule();  // Imported todos may have reminders of their own
+        BrowserWindow.getAllWindows().forEach(window => {
+            window.webContents.send('todos-imported', count);  // Main to renderer: refresh the lists
         });
+    } catch (err) {
+        console.error('Error importing todos:', err.message);
+        dialog.showErrorBox('Import failed', `${err.message}\n\nNothing was imported.`);
+    }
+}
+
+/*
+ * Import the tasks (VTODO) of an .ics file, parsed completely first like any other import (see parseCalendar in icalendar.js).
+ * The preview tells how many tasks are new and how many update a todo with the same UID: one exported to a calendar
+ * or imported before. Everything is written in one transaction (importCalendarTodos); errors go to importTodosFromFile.
+ */
+async function importCalendarFile(win, filePath) {
+    const tasks = parseCalendar(await fs.promises.readFile(filePath, 'utf8'));
+    if (tasks.length === 0) {
+        throw new ImportError('No tasks were found in this file (calendar events are not imported)');
+    }
+    tasks.forEach((task, index) => {
+        if (task.text.length > MAX_TEXT_LENGTH) {
+            throw new ImportError(`Task ${index + 1} is longer than ${MAX_TEXT_LENGTH} characters`);
+        }
+        try {
+            task.notes = toNotes(task.notes);
+            task.tags = toTagNames(task.tags);
+        } catch (err) {
+            throw new ImportError(`Task ${index + 1} ("${task.text}"): ${err.message}`);
+        }
     });
-});
 
-// Remove a todo from the database by id
-ipcMain.handle('removeTodo', (event, id) => {
-    console.log('Preload for removeTodo status - O.K')
-    return new Promise((resolve, reject) => {
-         // Run a SQL DELETE statement to remove the todo with the specified id
-        db.run('DELETE FROM todos WHERE id = ?', [id], err => {
-             err ? reject(err) : resolve();  // Resolve promise if delete is successful, otherwise reject
+    const known = await queued(() => getCalendarUids());
+    const updates = tasks.filter(task => task.uid && known.has(task.uid)).length;
+    const sample = tasks.slice(0, 10).map(task => `${task.completed ? '[x]' : '[ ]'} ${task.text}${task.due_at ? `  (due ${new Date(task.due_at).toLocaleString()})` : ''}`);
+    if (tasks.length > sample.length) sample.push(`… and ${tasks.length - sample.length} more`);
+    const { response } = await dialog.showMessageBox(win, {
+        type: 'question',
+        title: 'Import todos',
+        message: `Import ${tasks.length} tasks from ${path.basename(filePath)}?`,
+        detail: `${tasks.length - updates} new, ${updates} update todos exported or imported before.\n\n${sample.join('\n')}`,
+        buttons: ['Import', 'Cancel'],
+        defaultId: 0,
+        cancelId: 1
+    });
+    if (response === 1) {
+        return;
+    }
+
+    const { added, updated } = await importCalendarTodos(tasks);  // One transaction, new lists included
+
+    console.log(`Imported ${added.length} new and ${updated.length} updated todos from`, filePath);
+    tray.refresh();  // Due dates may have changed
+    BrowserWindow.getAllWindows().forEach(window => {
+        window.webContents.send('todos-imported', added.length + updated.length);  // Main to renderer: refresh the lists
+    });
+}
+
+/*
+ * Replace all todos with a backup (File > Restore from Backup).
+ * 1. The chosen file is checked first (checkBackup: integrity check and schema version); a bad file is refused.
+ * 2. After the user confirms, the current todos are backed up, so the restore itself can be undone by restoring that backup.
+ * 3. The backup is copied into the open database, brought up to the current schema (it may be older than the app)
+ *    and the windows reload to show it.
+ */
+async function restoreFromBackup(win) {
+    let replaced = false;  // Whether todos.db has been touched yet, for the error message
+    try {
+        const { canceled, filePaths } = await dialog.showOpenDialog(win, {
+            title: 'Restore from backup',
+            defaultPath: backupPath,
+            properties: ['openFile'],
+            filters: [{ name: 'Todo backups', extensions: ['db'] }]
+        });
+        if (canceled || filePaths.length === 0) {
+            return;
+        }
+        const filePath = filePaths[0];
+        if (path.resolve(filePath) === path.resolve(dbPath)) {
+            throw new Error('This is the database the app is using, choose one of the backups');
+        }
+        const { todos } = await checkBackup(filePath);
+        const { response } = await dialog.showMessageBox(win, {
+            type: 'warning',
+            title: 'Restore from backup',
+            message: `Replace all your todos with the ${todos} todos in ${path.basename(filePath)}?`,
+            detail: 'Your current todos are backed up first, so you can go back to them with Restore from Backup.',
+            buttons: ['Restore', 'Cancel'],
+            defaultId: 1,
+            cancelId: 1
+        });
+        if (response !== 0) {
+            return;
+        }
+
+        const safetyCopy = await backups.backup();
+        await queued(async () => {  // No other query runs between the restore and the migrations, or against the old schema
+            await restoreDatabase(db, filePath);  // All or nothing
+            replaced = true;
+            await migrate(db);
         });
+        console.log('Restored the backup', filePath, '- the todos from before are in', safetyCopy);
+        reminders.reschedule();  // The restored todos have reminders of their own
+        BrowserWindow.getAllWindows().forEach(window => window.webContents.reload());
+    } catch (err) {
+        console.error('Error restoring backup:', err.message);
+        dialog.showErrorBox('Restore failed', replaced ? err.message : `${err.message}\n\nYour todos were not changed.`);
+    }
+}
+
+/*
+ * Turn the local API for scripts on or off (File > Allow Scripts, see local_api.js).
+ * The choice and the token are kept in the "localApi" setting, so the API comes back with the same token
+ * at the next start and scripts that saved it keep working.
+ */
+async function setLocalApi(enabled) {
+    try {
+        const saved = await queued(() => getSetting('localApi', { enabled: false, token: null }));
+        const token = saved.token || crypto.randomBytes(32).toString('hex');
+        await setSetting('localApi', { enabled, token });
+        if (enabled) {
+            await localApi.start(token);
+        } else {
+            await localApi.stop();
+        }
+    } catch (err) {
+        console.error('Error switching the local API:', err.message);
+        dialog.showErrorBox('Allow Scripts', err.message);
+    }
+    buildMenu();  // The checkbox shows whether the server really runs
+}
+
+/*
+ * Register an IPC handler that only answers our own pages (see assertTrustedSender in ipc_validation.js).
+ * The arguments are checked by each handler itself, anything invalid rejects with an IpcValidationError.
+ * A handler that changed something resolves with a Changed, which goes to the window as { result, change }.
+ */
+const ipcListeners = new Map();  // The listener of each channel, for callHandler
+function handle(channel, listener) {
+    ipcListeners.set(channel, listener);
+    ipcMain.handle(channel, async (event, ...args) => {
+        assertTrustedSender(event);
+        const value = await listener(event, ...args);
+        return value instanceof Changed ? { result: value.result, change: value.change } : value;
+    });
+}
+
+// Run an IPC handler for the local API (local_api.js); no window sent it, so every window hears about the change
+async function callHandler(channel, ...args) {
+    const value = await ipcListeners.get(channel)({ sender: null }, ...args);
+    return value instanceof Changed ? value.result : value;
+}
+
+/*
+ * IPC Handlers for SQLite operations
+ * Registered from app.whenReady() after the schema migrations have run
+ */
+function registerIpcHandlers() {
+    // Get the todos of one list (the Inbox if no list id is given); with an offset and limit only that page of
+    // top-level todos, each with its subtasks (see getTodos in todo_store.js)
+    handle('getTodos', (event, listId = INBOX_LIST_ID, offset = 0, limit = null) => {
+        console.log('Preload for getTodos status - O.K') // this is to check preload script is executed or not
+        toId(listId, 'list id');
+        if (limit === null) return queued(() => getTodos(listId));  // With their tag names, in the user's order
+        const page = toPage(offset, limit);
+        return queued(() => getTodos(listId, page.offset, page.limit));
+    });
+
+    // The number of top-level todos in a list, so the renderer knows how long the list is before it has loaded all of it
+    handle('countTodos', (event, listId) => {
+        console.log('Preload for countTodos status - O.K')
+        toId(listId, 'list id');
+        return queued(() => countTodos(listId));
+    });
+
+    /*
+     * Insert a new todo using the provided text, optionally with a list, due date, reminder time, priority (0 to 4) and repeat rule (options.recurrence).
+     * "#tags" written in the text are stored as tags and removed from the text ('Buy milk #home' -> 'Buy milk' tagged home).
+     * With options.parentId the todo becomes a subtask of that todo, in the parent's list.
+     */
+    handle('addTodo', async (event, todoText, options = {}) => {
+        console.log('Preload for addTodo status - O.K')
+        const { dueAt: due, remindAt: remind, listId: list, parentId: parent, recurrence: rule, priority: level = 0 } = toObject(options);
+        const dueAt = toTimestamp(due);  // null when the todo has no due date
+        const remindAt = toTimestamp(remind);  // null when no reminder was requested
+        const listId = list === undefined || list === null ? INBOX_LIST_ID : toId(list, 'list id');  // New todos go to the Inbox unless a list is given
+        const parentId = parent === undefined || parent === null ? null : toId(parent, 'parent id');
+        const recurrence = toRecurrence(rule);  // null when the todo does not repeat
+        const priority = toPriority(level);  // 0 (none) unless a priority was given
+        const id = await addTodo(toText(todoText), { dueAt, remindAt, listId, parentId, recurrence, priority });
+        if (remindAt !== null) reminders.reschedule();  // The new reminder may be the next one to fire
+        return new Changed({ id }, await broadcastChange(event.sender, { ids: [id] }));  // The new todo's id upon success
+    });
+
+    /*
+     * Update some fields of a todo, e.g. updateTodo(3, { text: 'New text' }).
+     * Editable fields: text, completed, collapsed, due_at, remind_at, priority, recurrence and notes (see toTodoFields).
+     * "#tags" in a new text are added to the todo's tags, like when adding a todo.
+     * Resolves with the updated row.
+     */
+    handle('updateTodo', async (event, id, fields = {}) => {
+        console.log('Preload for updateTodo status - O.K')
+        toId(id, 'todo id');
+        const changes = toTodoFields(fields);
+        const todo = await updateTodo(id, changes);
+        if ('due_at' in changes || 'remind_at' in changes || 'completed' in changes) {
+            reminders.reschedule();
+        }
+        return new Changed(todo, await broadcastChange(event.sender, { ids: [id] }));
+    });
+
+    // Replace the tags of a todo with the given tag names
+    handle('setTodoTags', async (event, id, tags) => {
+        console.log('Preload for setTodoTags status - O.K')
+        toId(id, 'todo id');
+        await setTodoTags(id, toTagNames(tags));
+        return new Changed(undefined, await broadcastChange(event.sender, { ids: [id] }));
+    });
+
+    /*
+     * Search every list with the search box syntax (see search.js): words, "phrases", #tag, is:done, is:open.
+     * Resolves with { todos, terms }; the renderer uses terms to highlight the matches.
+     */
+    handle('searchTodos', (event, query) => {
+        console.log('Preload for searchTodos status - O.K')
+        const checked = toSearchQuery(query);
+        return queued(() => searchTodos(checked));
+    });
+
+    // The Today view: overdue, due today and high priority open todos of every list, ranked (see getTodayTodos)
+    handle('getTodayTodos', () => {
+        console.log('Preload for getTodayTodos status - O.K')
+        return queued(() => getTodayTodos());
+    });
+
+    // Set or clear (null) the due date and reminder time of an existing todo
+    handle('setTodoDue', async (event, id, dueAt, remindAt) => {
+        console.log('Preload for setTodoDue status - O.K')
+        toId(id, 'todo id');
+        await setTodoDue(id, toTimestamp(dueAt), toTimestamp(remindAt));  // The reminder fires again at its new time
+        reminders.reschedule();
+        return new Changed(undefined, await broadcastChange(event.sender, { ids: [id] }));
+    });
+
+    // Toggle the completion state of a todo (switch between 0 and 1), with its subtasks; recurring todos move on
+    // to their next occurrence instead (see toggleTodo in todo_store.js). Resolves with the previous states, for undo
+    handle('toggleTodo', async (event, id) => {
+        console.log('Preload for toggleTodo status - O.K')
+        const previous = await toggleTodo(toId(id, 'todo id'));
+        reminders.reschedule();  // Completed todos no longer remind, re-opened ones do again
+        await timer.sync();  // Nor do they run a timer
+        return new Changed(previous, await broadcastChange(event.sender, { ids: previous.map(state => state.id) }));
+    });
+
+    /*
+     * Undo the last completion of a recurring todo: it goes back to the due date and reminder of that occurrence,
+     * which is taken out of its history again. Its subtasks are left as they are (toggleTodo lists them separately).
+     */
+    handle('reopenOccurrence', async (event, id) => {
+        console.log('Preload for reopenOccurrence status - O.K')
+        toId(id, 'todo id');
+        await reopenOccurrence(id);
+        reminders.reschedule();  // The reminder is back at its old time
+        return new Changed(undefined, await broadcastChange(event.sender, { ids: [id] }));
+    });
+
+    // Remove a todo from the database by id, its subtasks go with it (ON DELETE CASCADE, see migration 10)
+    // Resolves with the deleted row (including its tags, the "history" of a recurring todo, its "attachments" and,
+    // in "subtasks", its deleted subtasks) so the renderer can undo the delete with restoreTodo.
+    // The copies of its attached files go to the trash until then (see attachments.js)
+    handle('removeTodo', async (event, id) => {
+        console.log('Preload for removeTodo status - O.K')
+        const todo = await removeTodo(toId(id, 'todo id'));
+        await attachments.trash(attachmentFiles(todo)).catch(err => console.error('Error moving attachments to the trash:', err.message));
+        await timer.sync();  // Its timer stopped with it (see takeTodo)
+        return new Changed(todo || null, await broadcastChange(event.sender, { ids: recordIds(todo) }));
+    });
+
+    /*
+     * Put a deleted todo back exactly as removeTodo returned it: same id, same fields, same tags, same subtasks, same history.
+     * Used by undo. If its list has been deleted in the meantime it goes to the Inbox,
+     * and if its parent is gone it comes back as a todo of its own.
+     */
+    handle('restoreTodo', async (event, removed) => {
+        console.log('Preload for restoreTodo status - O.K')
+        const todo = toTodoRecord(removed);
+        await restoreTodo(todo);
+        await attachments.untrash(attachmentFiles(todo)).catch(err => console.error('Error taking attachments out of the trash:', err.message));
+        reminders.reschedule();  // The restored todo may have a pending reminder
+        return new Changed(undefined, await broadcastChange(event.sender, { ids: recordIds(todo) }));
     });
-});
\ No newline at end of file
+
+    /*
+     * Archive
+     * "Clear completed" moves the completed todos of a list into archived_todos instead of deleting them (see clearCompleted in todo_store.js).
+     */
+
+    // Archive the completed todos of a list, each with its subtasks; resolves with { ids } of the archived todos (for undo)
+    handle('clearCompleted', async (event, listId) => {
+        console.log('Preload for clearCompleted status - O.K')
+        const taken = await clearCompleted(toId(listId, 'list id'));
+        reminders.reschedule();  // Archived todos no longer remind
+        await timer.sync();
+        return new Changed({ ids: taken.map(todo => todo.id) }, await broadcastChange(event.sender, { ids: taken.flatMap(recordIds) }));
+    });
+
+    // The archived todos of all lists, the most recently archived first ({ id, text, list_id, list_name, archived_at })
+    handle('getArchivedTodos', () => {
+        console.log('Preload for getArchivedTodos status - O.K')
+        return queued(() => getArchivedTodos());
+    });
+
+    // Put archived todos back where they were, like restoreTodo (the Inbox if their list is gone)
+    handle('restoreArchivedTodos', async (event, ids) => {
+        console.log('Preload for restoreArchivedTodos status - O.K')
+        const restored = await restoreArchivedTodos(toIdList(ids, 'todo ids'));
+        reminders.reschedule();  // Restored todos may have pending reminders
+        return new Changed(undefined, await broadcastChange(event.sender, { ids: restored.flatMap(recordIds) }));
+    });
+
+    /*
+     * Notes and attachments (the detail pane of a todo)
+     * The notes are a todo field (updateTodo with { notes }); attached files are copied into the attachments folder
+     * (see attachments.js). Links in the notes open in the user's browser, the window itself never navigates.
+     */
+
+    // The attachments of a todo, the oldest first ({ id, todo_id, name, size, added_at })
+    handle('getAttachments', (event, todoId) => {
+        console.log('Preload for getAttachments status - O.K')
+        toId(todoId, 'todo id');
+        return queued(() => getAttachments(todoId));
+    });
+
+    // Ask for files and attach copies of them to a todo; resolves with the new attachments ([] if the user cancelled)
+    handle('addAttachments', async (event, todoId) => {
+        console.log('Preload for addAttachments status - O.K')
+        toId(todoId, 'todo id');
+        const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+            title: 'Attach files',
+            properties: ['openFile', 'multiSelections']
+        });
+        if (canceled || filePaths.length === 0) {
+            return new Changed([], NO_CHANGE);
+        }
+        const copies = [];
+        let added;
+        try {
+            for (const filePath of filePaths) {
+                copies.push(await attachments.copyIn(filePath));
+            }
+            added = await addAttachments(todoId, copies);
+        } catch (err) {
+            await attachments.remove(copies.map(copy => copy.file));  // Attach all of them or none
+            throw err;
+        }
+        console.log(`Attached ${added.length} files to todo ${todoId}`);
+        return new Changed(added, await broadcastChange(event.sender, { ids: [todoId] }));
+    });
+
+    // Take an attachment off its todo and delete its copy (there is no undo, the renderer asks first)
+    handle('removeAttachment', async (event, id) => {
+        console.log('Preload for removeAttachment status - O.K')
+        const { file, ...attachment } = await removeAttachment(toId(id, 'attachment id'));
+        await attachments.remove([file]);
+        return new Changed(attachment, await broadcastChange(event.sender, { ids: [attachment.todo_id] }));
+    });
+
+    // Open an attachment in the app the system uses for its kind of file
+    handle('openAttachment', async (event, id) => {
+        console.log('Preload for openAttachment status - O.K')
+        toId(id, 'attachment id');
+        const attachment = await queued(() => getAttachment(id));
+        const error = await shell.openPath(attachments.pathOf(attachment.file));  // '' when it worked
+        if (error) {
+            throw new Error(`${attachment.name} cannot be opened: ${error}`);
+        }
+    });
+
+    // Open a link from the notes (http, https or mailto only) in the user's browser or mail program
+    handle('openLink', (event, url) => {
+        console.log('Preload for openLink status - O.K')
+        return shell.openExternal(toLink(url));
+    });
+
+    /*
+     * Time tracking (see timer.js)
+     * The timer runs here; every window is told when it starts, stops or moves on to a break ("timer-changed", Main to renderer).
+     */
+
+    // The timer that runs ({ todoId, text, mode, phase, startedAt, endsAt, cycle }), or null
+    handle('getTimer', () => {
+        console.log('Preload for getTimer status - O.K')
+        return timer.getState();
+    });
+
+    // Start a timer or a Pomodoro (mode 'timer' or 'pomodoro') on a todo, stopping the one that ran; resolves with the new timer
+    handle('startTimer', async (event, todoId, mode) => {
+        console.log('Preload for startTimer status - O.K')
+        const { state, ids } = await timer.start(toId(todoId, 'todo id'), toChoice(mode, TIMER_MODES, 'timer mode'));
+        return new Changed(state, await broadcastChange(event.sender, { ids }));  // The stopped todo's tracked time grew
+    });
+
+    // Stop the timer; its time is added to its todo
+    handle('stopTimer', async (event) => {
+        console.log('Preload for stopTimer status - O.K')
+        const { ids } = await timer.stop();
+        return new Changed(null, await broadcastChange(event.sender, { ids }));
+    });
+
+    /*
+     * Lists
+     * Every todo belongs to one list; the Inbox (INBOX_LIST_ID) always exists.
+     */
+
+    // Get all lists with the number of open todos in each, Inbox first then alphabetical
+    handle('getLists', () => {
+        console.log('Preload for getLists status - O.K')
+        return queued(() => getLists());
+    });
+
+    // Create a new list, list names are unique (case-insensitive)
+    handle('createList', async (event, name) => {
+        console.log('Preload for createList status - O.K')
+        const id = await createList(toListName(name));
+        return new Changed({ id }, await broadcastChange(event.sender, { lists: true }));
+    });
+
+    // Rename a list (the Inbox included)
+    handle('renameList', async (event, id, name) => {
+        console.log('Preload for renameList status - O.K')
+        toId(id, 'list id');
+        await renameList(id, toListName(name));
+        return new Changed(undefined, await broadcastChange(event.sender, { lists: true }));
+    });
+
+    /*
+     * Delete a list. "mode" decides what happens to its todos:
+     *  - 'move':    the todos are moved to the Inbox first
+     *  - 'cascade': the todos are deleted together with the list (ON DELETE CASCADE)
+     */
+    handle('deleteList', async (event, id, mode) => {
+        console.log('Preload for deleteList status - O.K')
+        toId(id, 'list id');
+        await deleteList(id, toChoice(mode, ['move', 'cascade'], 'delete mode'));
+        reminders.reschedule();  // Deleted todos may have had pending reminders
+        await timer.sync();
+        return new Changed(undefined, await broadcastChange(event.sender, { all: true }));
+    });
+
+    /*
+     * One-time import of the todos saved by the older localStorage build (see IpcStorage.migrateLegacyTodos in storage.js).
+     * items: the parsed localStorage['todos'] array ({ id, text, completed }).
+     * The todos go into the Inbox keeping their completed state. The "legacyImport" setting is written
+     * in the same transaction, so the import happens at most once even if the renderer asks again.
+     * Resolves with { imported, skipped, alreadyDone }.
+     */
+    handle('importLegacyTodos', async (event, items) => {
+        console.log('Preload for importLegacyTodos status - O.K')
+        if (!Array.isArray(items)) {
+            throw new IpcValidationError('importLegacyTodos needs an array of todos');
+        }
+        const result = await importLegacyTodos(items);
+        if (result.imported > 0) broadcastChange(event.sender, { all: true });
+        return result;
+    });
+
+    // Export the todos of one list to a file (asked for by the renderer after File > Export Current List)
+    handle('exportTodos', (event, listId) => {
+        console.log('Preload for exportTodos status - O.K')
+        toId(listId, 'list id');
+        return exportTodosToFile(BrowserWindow.fromWebContents(event.sender), listId);
+    });
+
+    // Move a todo to another list
+    handle('moveTodo', async (event, id, listId) => {
+        console.log('Preload for moveTodo status - O.K')
+        toId(id, 'todo id');
+        toId(listId, 'list id');
+        const moved = await moveTodo(id, listId);  // With its subtasks
+        return new Changed(undefined, await broadcastChange(event.sender, { ids: moved }));
+    });
+
+    /*
+     * Save a new manual order for the todos of a list, e.g. reorderTodos(1, [5, 3, 4]) after a drag and drop.
+     * ids may be just the todos on screen: they swap places among the positions they already hold,
+     * so todos that are not shown stay where they are. Every position is rewritten in one transaction.
+     */
+    handle('reorderTodos', async (event, listId, ids) => {
+        console.log('Preload for reorderTodos status - O.K')
+        toId(listId, 'list id');
+        const reordered = await reorderTodos(listId, toIdList(ids, 'todo ids'));
+        return new Changed(undefined, await broadcastChange(event.sender, { ids: reordered }));  // Every position may have been rewritten
+    });
+
+    /*
+     * Settings
+     * getSettings resolves with every user setting (see settings.js); setSetting changes one of them
+     * and resolves with all of them again.
+     */
+    handle('getSettings', () => {
+        console.log('Preload for getSettings status - O.K')
+        return queued(() => getUserSettings());
+    });
+
+    handle('setSetting', async (event, key, value) => {
+        console.log('Preload for setSetting status - O.K')
+        const checked = toSettingValue(key, value);
+        const previousShortcut = quickAddShortcut;
+        if (key === 'quickAddShortcut') {
+            setQuickAddShortcut(checked);  // Before saving: a shortcut that cannot be registered is not kept
+        }
+        try {
+            await setSetting(key, checked);
+        } catch (err) {
+            // Not saved, so the shortcut in use stays the one in the database
+            if (key === 'quickAddShortcut') {
+                try {
+                    setQuickAddShortcut(previousShortcut);
+                } catch (restoreErr) {
+                    console.error('Error restoring the quick add shortcut:', restoreErr.message);
+                    setQuickAddShortcut('');  // Taken meanwhile: rather none than one the settings do not show
+                }
+            }
+            throw err;
+        }
+        if (key === 'keepInTray') keepInTray = checked;
+        const settings = await queued(() => getUserSettings());
+        return new Changed(settings, await broadcastChange(event.sender, { settings }));
+    });
+}
+
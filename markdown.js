@@ -0,0 +1,174 @@
+// Author: Daniel
+
+/* Markdown for the notes of a todo (renderer)
+ * The detail pane shows a todo's notes rendered with renderMarkdown. index.html loads this file before mvc.js,
+ * in Node it is require()d (the unit tests run it under jsdom).
+ *
+ * The notes never go through innerHTML: everything is built with createElement and text nodes, so HTML written
+ * in the notes shows up as the text it is, and nothing the page's Content Security Policy forbids (inline
+ * scripts, event handler attributes) can come out of it.
+ * Understood:
+ *  - # Heading to ###### Heading
+ *  - paragraphs, separated by an empty line; a single line break is kept
+ *  - **bold**, *italic* (or _italic_), `code`, \* for a literal character
+ *  - - / * / + bullet lists, 1. numbered lists, - [ ] / - [x] checklists
+ *  - > quotes, ``` fenced code blocks, --- lines
+ *  - [text](https://example.com), <https://example.com> and bare https:// addresses. Only http, https and mailto
+ *    links become links (see safeLink); anything else (javascript:, file:, ...) stays plain text.
+ * Nested lists, tables, images and HTML are not.
+ */
+
+// The only links made from the notes, opened outside the app (see View.bindOpenLink in mvc.js and toLink in ipc_validation.js)
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/* One inline element; the groups are, in order: a backslash escape, `code`, [text](link), **bold**, __bold__,
+ * *italic*, _italic_, <link> and a bare address. Underscores inside words (snake_case) are left alone.
+ */
+const MARKDOWN_INLINE = new RegExp([
+    /\\([\\`*_[\]()#+\-.!>])/,
+    /`([^`]+)`/,
+    /\[([^\]]+)\]\(([^()\s]+)\)/,
+    /\*\*(?=\S)(.+?)\*\*/,
+    /(?<!\w)__(?=\S)(.+?)__(?!\w)/,
+    /\*(?=\S)(.+?)\*/,
+    /(?<!\w)_(?=\S)(.+?)_(?!\w)/,
+    /<((?:https?|mailto):[^\s>]+)>/,
+    /\b(https?:\/\/[^\s<]*[^\s<.,;:!?'")\]])/
+].map(part => part.source).join('|'), 'g');
+
+const MARKDOWN_FENCE = /^\s*(```|~~~)/; // Starts (and ends) a code block
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/; // "## Title", closing #s dropped
+const MARKDOWN_RULE = /^\s*([-*_])(\s*\1){2,}\s*$/; // "---", "* * *"
+const MARKDOWN_LIST_ITEM = /^\s*([-*+]|\d{1,9}[.)])\s+(.*)$/; // "- item", "1. item"
+const MARKDOWN_TASK = /^\[([ xX])\]\s+(.*)$/; // "[x] done" at the start of a list item
+
+// The link for href if it may be one (an absolute http, https or mailto URL), otherwise null
+function safeLink(href) {
+    try {
+        const url = new URL(href);
+        return LINK_PROTOCOLS.includes(url.protocol) ? url.href : null;
+    } catch (err) {
+        return null; // Relative or not a URL at all
+    }
+}
+
+// Render Markdown into a DocumentFragment of the given document
+function renderMarkdown(source, doc = document) {
+    const fragment = doc.createDocumentFragment();
+    appendMarkdownBlocks(fragment, String(source || '').replace(/\r\n?/g, '\n').split('\n'), doc);
+    return fragment;
+}
+
+// Whether a line starts a block of its own, ending the paragraph above it
+function startsMarkdownBlock(line) {
+    return MARKDOWN_FENCE.test(line) || MARKDOWN_HEADING.test(line) || MARKDOWN_RULE.test(line) || /^\s*>/.test(line) || MARKDOWN_LIST_ITEM.test(line);
+}
+
+// Append the blocks (headings, lists, quotes, code, paragraphs) of some lines to parent
+function appendMarkdownBlocks(parent, lines, doc) {
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        let match = null;
+        if (!line.trim()) {
+            i++;
+        } else if ((match = MARKDOWN_FENCE.exec(line))) { // Code as it is, up to the closing fence (or the end)
+            const code = [];
+            for (i++; i < lines.length && !lines[i].trim().startsWith(match[1]); i++) code.push(lines[i]);
+            i++;
+            const pre = doc.createElement('PRE');
+            pre.appendChild(textElement(doc, 'CODE', code.join('\n')));
+            parent.appendChild(pre);
+        } else if ((match = MARKDOWN_HEADING.exec(line))) {
+            const heading = doc.createElement(`H${match[1].length}`);
+            appendMarkdownInline(heading, match[2], doc);
+            parent.appendChild(heading);
+            i++;
+        } else if (MARKDOWN_RULE.test(line)) {
+            parent.appendChild(doc.createElement('HR'));
+            i++;
+        } else if (/^\s*>/.test(line)) { // The quoted lines are Markdown of their own
+            const quoted = [];
+            for (; i < lines.length && /^\s*>/.test(lines[i]); i++) quoted.push(lines[i].replace(/^\s*> ?/, ''));
+            const quote = doc.createElement('BLOCKQUOTE');
+            appendMarkdownBlocks(quote, quoted, doc);
+            parent.appendChild(quote);
+        } else if ((match = MARKDOWN_LIST_ITEM.exec(line))) { // Items of the same kind (bullets or numbers) make one list
+            const ordered = /\d/.test(match[1]);
+            const list = doc.createElement(ordered ? 'OL' : 'UL');
+            if (ordered && parseInt(match[1], 10) !== 1) list.start = parseInt(match[1], 10);
+            for (; i < lines.length && (match = MARKDOWN_LIST_ITEM.exec(lines[i])) && /\d/.test(match[1]) === ordered; i++) {
+                const item = doc.createElement('LI');
+                const task = MARKDOWN_TASK.exec(match[2]);
+                if (task) {
+                    const box = doc.createElement('INPUT');
+                    box.type = 'checkbox';
+                    box.checked = task[1] !== ' ';
+                    box.disabled = true; // Shows the state, the notes are edited as text
+                    item.className = 'task';
+                    item.append(box, ' ');
+                }
+                appendMarkdownInline(item, task ? task[2] : match[2], doc);
+                list.appendChild(item);
+            }
+            parent.appendChild(list);
+        } else { // A paragraph: the lines up to an empty one or the start of another block
+            const paragraph = doc.createElement('P');
+            const first = i;
+            for (; i < lines.length && lines[i].trim() && (i === first || !startsMarkdownBlock(lines[i])); i++) {
+                if (i > first) paragraph.appendChild(doc.createElement('BR'));
+                appendMarkdownInline(paragraph, lines[i].trim(), doc);
+            }
+            parent.appendChild(paragraph);
+        }
+    }
+}
+
+// Append a line of text to parent, with its bold, italic, code and links as elements
+function appendMarkdownInline(parent, text, doc) {
+    let last = 0;
+    const appendText = (value) => {
+        if (value) parent.appendChild(doc.createTextNode(value));
+    };
+    for (const match of text.matchAll(MARKDOWN_INLINE)) {
+        const [whole, escaped, code, label, href, bold, boldUnderscores, italic, italicUnderscores, bracketed, bare] = match;
+        appendText(text.slice(last, match.index));
+        last = match.index + whole.length;
+        if (escaped) {
+            appendText(escaped);
+        } else if (code) {
+            parent.appendChild(textElement(doc, 'CODE', code));
+        } else if (bold || boldUnderscores || italic || italicUnderscores) {
+            const element = doc.createElement(bold || boldUnderscores ? 'STRONG' : 'EM');
+            appendMarkdownInline(element, bold || boldUnderscores || italic || italicUnderscores, doc);
+            parent.appendChild(element);
+        } else {
+            const url = safeLink(label ? href : bracketed || bare);
+            if (!url) {
+                appendText(whole); // Not a link we make, shown as written
+                continue;
+            }
+            const link = doc.createElement('A');
+            link.href = url;
+            link.title = url;
+            link.rel = 'noopener noreferrer';
+            if (label) {
+                appendMarkdownInline(link, label, doc);
+            } else {
+                link.textContent = bracketed || bare;
+            }
+            parent.appendChild(link);
+        }
+    }
+    appendText(text.slice(last));
+}
+
+function textElement(doc, tagName, text) {
+    const element = doc.createElement(tagName);
+    element.textContent = text;
+    return element;
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { renderMarkdown, safeLink, LINK_PROTOCOLS };
+}
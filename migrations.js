@@ -0,0 +1,340 @@
+// Author: Daniel
+
+/* Schema migrations for todos.db
+ *
+ * The database remembers which schema it is on through SQLite's "PRAGMA user_version"
+ * (0 for a brand new file or a todos.db created by the older builds).
+ * At startup main.js calls migrate(db), which applies every migration whose version
+ * is higher than the stored one, in order, each inside its own transaction.
+ * If the stored version is higher than the newest migration below, the database was
+ * written by a newer build of the app and we refuse to touch it.
+ *
+ * Adding a column or table:
+ *  - Append a new entry to the "migrations" array with the next version number.
+ *  - Never edit or reorder a migration that has already shipped, users' databases
+ *    have already run it.
+ */
+
+/* Timestamps are stored as INTEGER milliseconds since the epoch (same as Date.now())
+ * so the renderer can hand them straight to new Date().
+ */
+const NOW_MS = "CAST(strftime('%s', 'now') AS INTEGER) * 1000";
+
+/* ==========================
+ * Migrations
+ * ==========================
+ */
+const migrations = [
+    {
+        version: 1,
+        description: 'Create the todos table',
+        // "IF NOT EXISTS" because todos.db files from the older builds already have this table
+        up: `
+            CREATE TABLE IF NOT EXISTS todos (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                text TEXT NOT NULL,
+                completed INTEGER NOT NULL DEFAULT 0
+            );
+        `
+    },
+    {
+        version: 2,
+        description: 'Add created_at / updated_at timestamps',
+        // ALTER TABLE cannot use a non-constant default, so existing rows are back-filled with the migration time
+        up: `
+            ALTER TABLE todos ADD COLUMN created_at INTEGER;
+            ALTER TABLE todos ADD COLUMN updated_at INTEGER;
+            UPDATE todos SET created_at = ${NOW_MS}, updated_at = ${NOW_MS};
+        `
+    },
+    {
+        version: 3,
+        description: 'Add an optional due date',
+        up: `
+            ALTER TABLE todos ADD COLUMN due_at INTEGER;
+            CREATE INDEX IF NOT EXISTS idx_todos_due_at ON todos (due_at);
+        `
+    },
+    {
+        version: 4,
+        description: 'Add a priority level (0 = none)',
+        up: `
+            ALTER TABLE todos ADD COLUMN priority INTEGER NOT NULL DEFAULT 0;
+        `
+    },
+    {
+        version: 5,
+        description: 'Add reminders (remind_at / reminded_at)',
+        // reminded_at is set once the notification has been shown, so each reminder fires only once
+        up: `
+            ALTER TABLE todos ADD COLUMN remind_at INTEGER;
+            ALTER TABLE todos ADD COLUMN reminded_at INTEGER;
+            CREATE INDEX IF NOT EXISTS idx_todos_remind_at ON todos (remind_at);
+        `
+    },
+    {
+        version: 6,
+        description: 'Add named lists with an Inbox, and todos.list_id',
+        // The Inbox always has id 1 (INBOX_LIST_ID) and every existing todo moves into it
+        up: `
+            CREATE TABLE lists (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                created_at INTEGER
+            );
+            INSERT INTO lists (id, name, created_at) VALUES (1, 'Inbox', ${NOW_MS});
+            ALTER TABLE todos ADD COLUMN list_id INTEGER REFERENCES lists (id) ON DELETE CASCADE;
+            UPDATE todos SET list_id = 1;
+            CREATE INDEX IF NOT EXISTS idx_todos_list_id ON todos (list_id);
+        `
+    },
+    {
+        version: 7,
+        description: 'Add tags and the todos_fts full-text index',
+        /* todos_fts holds one row per todo (rowid = todos.id) with its text and its tag names
+         * separated by spaces. The triggers keep it in step with todos and todo_tags,
+         * so the app code never writes to it directly.
+         */
+        up: `
+            CREATE TABLE tags (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE COLLATE NOCASE
+            );
+            CREATE TABLE todo_tags (
+                todo_id INTEGER NOT NULL REFERENCES todos (id) ON DELETE CASCADE,
+                tag_id INTEGER NOT NULL REFERENCES tags (id) ON DELETE CASCADE,
+                PRIMARY KEY (todo_id, tag_id)
+            );
+            CREATE INDEX idx_todo_tags_tag_id ON todo_tags (tag_id);
+
+            CREATE VIRTUAL TABLE todos_fts USING fts5 (text, tags, tokenize = 'unicode61 remove_diacritics 2');
+            INSERT INTO todos_fts (rowid, text, tags) SELECT id, text, '' FROM todos;
+
+            CREATE TRIGGER todos_fts_insert AFTER INSERT ON todos BEGIN
+                INSERT INTO todos_fts (rowid, text, tags) VALUES (new.id, new.text, '');
+            END;
+            CREATE TRIGGER todos_fts_update AFTER UPDATE OF text ON todos BEGIN
+                UPDATE todos_fts SET text = new.text WHERE rowid = new.id;
+            END;
+            CREATE TRIGGER todos_fts_delete AFTER DELETE ON todos BEGIN
+                DELETE FROM todos_fts WHERE rowid = old.id;
+            END;
+            CREATE TRIGGER todo_tags_fts_insert AFTER INSERT ON todo_tags BEGIN
+                UPDATE todos_fts SET tags = (
+                    SELECT group_concat(tags.name, ' ') FROM todo_tags JOIN tags ON tags.id = todo_tags.tag_id
+                    WHERE todo_tags.todo_id = new.todo_id
+                ) WHERE rowid = new.todo_id;
+            END;
+            CREATE TRIGGER todo_tags_fts_delete AFTER DELETE ON todo_tags BEGIN
+                UPDATE todos_fts SET tags = coalesce((
+                    SELECT group_concat(tags.name, ' ') FROM todo_tags JOIN tags ON tags.id = todo_tags.tag_id
+                    WHERE todo_tags.todo_id = old.todo_id
+                ), '') WHERE rowid = old.todo_id;
+            END;
+        `
+    },
+    {
+        version: 8,
+        description: 'Add the settings table',
+        // Key/value store for app settings and one-time markers; values are JSON encoded
+        up: `
+            CREATE TABLE settings (
+                key TEXT PRIMARY KEY,
+                value TEXT
+            );
+        `
+    },
+    {
+        version: 9,
+        description: 'Add todos.position for manual ordering',
+        // Positions count from 1 within each list; existing todos keep the order they were added in
+        up: `
+            ALTER TABLE todos ADD COLUMN position INTEGER;
+            UPDATE todos SET position = (
+                SELECT COUNT(*) FROM todos AS earlier WHERE earlier.list_id = todos.list_id AND earlier.id <= todos.id
+            );
+            CREATE INDEX idx_todos_list_position ON todos (list_id, position);
+        `
+    },
+    {
+        version: 10,
+        description: 'Add subtasks (todos.parent_id) and todos.collapsed',
+        // Deleting a todo deletes its subtasks with it; collapsed remembers whether its subtasks are hidden
+        up: `
+            ALTER TABLE todos ADD COLUMN parent_id INTEGER REFERENCES todos (id) ON DELETE CASCADE;
+            ALTER TABLE todos ADD COLUMN collapsed INTEGER NOT NULL DEFAULT 0;
+            CREATE INDEX idx_todos_parent_id ON todos (parent_id);
+        `
+    },
+    {
+        version: 11,
+        description: 'Add recurring todos (todos.recurrence) and their history (todo_completions)',
+        // recurrence holds a repeat rule (see recurrence.js), NULL for a todo that does not repeat.
+        // Every completed occurrence of a recurring todo gets a row in todo_completions with the due date
+        // and reminder it had, so completing it can be undone and the history shown.
+        up: `
+            ALTER TABLE todos ADD COLUMN recurrence TEXT;
+            CREATE TABLE todo_completions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                todo_id INTEGER NOT NULL REFERENCES todos (id) ON DELETE CASCADE,
+                due_at INTEGER,
+                remind_at INTEGER,
+                reminded_at INTEGER,
+                completed_at INTEGER NOT NULL
+            );
+            CREATE INDEX idx_todo_completions_todo_id ON todo_completions (todo_id, completed_at);
+        `
+    },
+    {
+        version: 12,
+        description: 'Add the archive of cleared completed todos (archived_todos)',
+        // "Clear completed" moves todos here instead of deleting them. id is the todo's own id, record
+        // the whole todo as JSON (the way removeTodo returns it, with tags, subtasks and history)
+        // and text a copy of its text for the archive view.
+        up: `
+            CREATE TABLE archived_todos (
+                id INTEGER PRIMARY KEY,
+                list_id INTEGER NOT NULL REFERENCES lists (id) ON DELETE CASCADE,
+                text TEXT NOT NULL,
+                archived_at INTEGER NOT NULL,
+                record TEXT NOT NULL
+            );
+            CREATE INDEX idx_archived_todos_list_id ON archived_todos (list_id, archived_at);
+        `
+    },
+    {
+        version: 13,
+        description: 'Index the open todos by due date and by priority (the Today view)',
+        // getTodayTodos in todo_store.js picks the open todos that are overdue, due today or of high priority.
+        // Partial indexes on the open todos let it read only those rows, however many completed todos pile up.
+        up: `
+            CREATE INDEX idx_todos_open_due_at ON todos (due_at) WHERE completed = 0;
+            CREATE INDEX idx_todos_open_priority ON todos (priority) WHERE completed = 0;
+        `
+    },
+    {
+        version: 14,
+        description: 'Index the top-level todos of each list in their manual order (paged getTodos)',
+        // A long list is fetched a page of top-level todos at a time (getTodos(listId, offset, limit) in todo_store.js)
+        // and countTodos counts them; without subtasks in the index neither has to skip over those.
+        up: `
+            CREATE INDEX idx_todos_list_top_position ON todos (list_id, position) WHERE parent_id IS NULL;
+        `
+    },
+    {
+        version: 15,
+        description: 'Add notes to todos (todos.notes) and files attached to todos (attachments)',
+        // notes holds the Markdown written in a todo's detail pane, NULL for none. An attached file is copied into the
+        // attachments folder next to todos.db (see attachments.js): file is the name of the copy, name the original's.
+        up: `
+            ALTER TABLE todos ADD COLUMN notes TEXT;
+            CREATE TABLE attachments (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                todo_id INTEGER NOT NULL REFERENCES todos (id) ON DELETE CASCADE,
+                name TEXT NOT NULL,
+                file TEXT NOT NULL,
+                size INTEGER,
+                added_at INTEGER NOT NULL
+            );
+            CREATE INDEX idx_attachments_todo_id ON attachments (todo_id);
+        `
+    },
+    {
+        version: 16,
+        description: 'Remember the iCalendar UID of a todo (todos.ical_uid)',
+        // A todo gets a UID when it is first exported to an .ics file, or keeps the one of the task it was imported from
+        // (see icalendar.js); importing a task with a known UID updates that todo instead of adding another one.
+        up: `
+            ALTER TABLE todos ADD COLUMN ical_uid TEXT;
+            CREATE UNIQUE INDEX idx_todos_ical_uid ON todos (ical_uid);
+        `
+    },
+    {
+        version: 17,
+        description: 'Record the time spent on todos (time_entries)',
+        // One row per timer run or Pomodoro work session on a todo (see timer.js): kind is 'timer' or 'pomodoro',
+        // ended_at is NULL while it runs. timer.js lets one run at a time. A todo shows the total of its finished ones.
+        up: `
+            CREATE TABLE time_entries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                todo_id INTEGER NOT NULL REFERENCES todos (id) ON DELETE CASCADE,
+                kind TEXT NOT NULL DEFAULT 'timer',
+                started_at INTEGER NOT NULL,
+                ended_at INTEGER
+            );
+            CREATE INDEX idx_time_entries_todo_id ON time_entries (todo_id);
+        `
+    }
+];
+
+// Id of the built-in Inbox list created by migration 6; it can be renamed but never deleted
+const INBOX_LIST_ID = 1;
+
+// The schema version this build of the app expects
+const LATEST_VERSION = migrations[migrations.length - 1].version;
+
+/* Thrown when todos.db was created by a newer version of the app.
+ * Running an older app against it could silently drop data, so startup is aborted instead.
+ */
+class SchemaVersionError extends Error {
+    constructor(dbVersion, appVersion) {
+        super(`todos.db uses schema version ${dbVersion}, but this version of the app only supports up to ${appVersion}. Please update the app.`);
+        this.name = 'SchemaVersionError';
+        this.dbVersion = dbVersion;
+        this.appVersion = appVersion;
+    }
+}
+
+// Read the schema version stored in the database file header
+function getSchemaVersion(db) {
+    return new Promise((resolve, reject) => {
+        db.get('PRAGMA user_version', (err, row) => {
+            err ? reject(err) : resolve(row.user_version);
+        });
+    });
+}
+
+/* Apply a single migration.
+ * The SQL and the version bump run in one transaction, so a failing migration
+ * leaves the database exactly as it was before.
+ */
+function applyMigration(db, migration) {
+    return new Promise((resolve, reject) => {
+        const sql = `BEGIN;\n${migration.up}\nPRAGMA user_version = ${migration.version};\nCOMMIT;`;
+        db.exec(sql, err => {
+            if (!err) {
+                return resolve();
+            }
+            // Undo whatever part of the migration already ran, then report the original error
+            db.exec('ROLLBACK', () => {
+                err.message = `Migration ${migration.version} (${migration.description}) failed: ${err.message}`;
+                reject(err);
+            });
+        });
+    });
+}
+
+/* Bring the database up to LATEST_VERSION.
+ * Resolves with { from, to } so the caller can log what happened.
+ * Rejects with a SchemaVersionError if the database is newer than the app.
+ */
+async function migrate(db, list = migrations) {
+    const latest = list.length > 0 ? list[list.length - 1].version : 0;
+    const current = await getSchemaVersion(db);
+
+    if (current > latest) {
+        throw new SchemaVersionError(current, latest);
+    }
+
+    // Apply the pending migrations one after another, in version order
+    for (const migration of list) {
+        if (migration.version > current) {
+            console.log(`Applying migration ${migration.version}: ${migration.description}`);
+            await applyMigration(db, migration);
+        }
+    }
+
+    return { from: current, to: latest };
+}
+
+module.exports = { migrate, getSchemaVersion, migrations, LATEST_VERSION, INBOX_LIST_ID, SchemaVersionError };
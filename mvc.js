@@ -1,237 +1,2564 @@
 // Author: Daniel
 
-/* 
+/* Introduction of MVC pattern
+ *
  * Model-View-Controller (MVC) Architecture for a To-Do List Application
  * 
- * - Model: Manages the data (to-do list) and handles persistence using localStorage.
+ * - Model: Manages the data (to-do list) and handles persistence (a storage adapter from storage.js).
  * - View: Handles rendering the UI and user interactions.
  * - Controller: Connects the Model and View, managing the app's logic.
  */
 
-/* Model:
- * The Model is responsible for managing the data (e.g., the to-do list)
-   and persisting it (e.g., using localStorage).
-   While the Model can store and manipulate the data, 
-   it does not handle rendering the data to the user or 
-   responding to user interactions.
+/* Key take aways:
+ * 
+ * Further explanation of using 3 difference paterns of "Renderer to main (one-way)", 
+ * "Renderer to main (two-way)" and "Main to renderer" can be very varies.
+ * 
+ * Renderer to main (one-way):
+ * To fire a one-way IPC message from a renderer process to the main process, 
+ * use the "ipcRenderer.send" API to send a message that is then received by the "ipcMain.on" API.
+ * 
+ * Renderer to main (two-way): (Being used in this example)
+ * A common application for two-way IPC is calling a main process module from the renderer process code 
+ * and waiting for a result. This can be done by using "ipcRenderer.invoke" paired with "ipcMain.handle".
+ * The page itself cannot reach ipcRenderer (contextIsolation is on), it calls the window.api
+ * functions that preload.js wraps around "ipcRenderer.invoke" (see IpcStorage in storage.js).
+ * 
+ * Main to renderer (reverse only):
+ * When sending a message from the main process to a renderer process, it is necessary to specify which 
+ * renderer is receiving the message. Messages need to be sent to a renderer process via 
+ * its WebContents instance. This WebContents instance contains a send method that 
+ * can be used in the same way as ipcRenderer.send.
+ * This app uses it for the File menu, reminders and for keeping several windows in sync: after every change
+ * main.js sends "todos-changed" to the other windows, and Controller.applyChange puts the changed todos in place.
+ * The window that made the change gets the same change in the answer to its invoke (see IpcStorage in storage.js).
+ */
+
+const TOAST_DURATION = 5000; // Milliseconds a toast message (e.g. "Deleted ... Undo") stays on screen
+const DOUBLE_CLICK_DELAY = 250; // Milliseconds a click on a todo waits before toggling, in case it is a double-click (edit)
+const ROW_HEIGHT = 46; // Pixels a todo is taken to need before it has been on screen (one line, see "ul li" in header.css)
+const OVERSCAN = 10; // Todos rendered above and below the visible ones, so scrolling does not show blank space
+const PAGE_SIZE = 200; // Top-level todos fetched at a time from a long list (getTodos with an offset and limit)
+
+// Model: the storage adapter from storage.js
+/* The Model is responsible for managing the data (e.g., the to-do list)
+    and persisting it (SQLite over IPC, localStorage or just memory).
+    While the Model can store and manipulate the data, 
+    it does not handle rendering the data to the user or 
+    responding to user interactions.
+    Every back end offers the same async interface (see the top of storage.js),
+    so the View and Controller below work unchanged with any of them.
+ */
+
+/* ==========================
+ * Date helpers for due dates
+ * ==========================
+ * Due dates travel as milliseconds since the epoch; <input type="datetime-local">
+ * works with local "YYYY-MM-DDTHH:MM" strings, so these convert between the two.
+ */
+const pad = (number) => String(number).padStart(2, '0'); // 7 -> "07"
+
+// Milliseconds -> "YYYY-MM-DDTHH:MM" in local time (value for a datetime-local input)
+function toInputValue(ms) {
+    const date = new Date(ms);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// "YYYY-MM-DDTHH:MM" (local time) -> milliseconds, or null if the input is empty
+function fromInputValue(value) {
+    return value ? new Date(value).getTime() : null;
+}
+
+// True if both timestamps fall on the same local calendar day
+function isSameDay(a, b) {
+    return new Date(a).toDateString() === new Date(b).toDateString();
+}
+
+// Short label for a due date: "Today 14:30", "Tomorrow 09:00" or "Mon 3 Mar 2025 09:00"
+function formatDue(ms, now = Date.now()) {
+    const date = new Date(ms);
+    const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    if (isSameDay(ms, now)) return `Today ${time}`;
+    if (isSameDay(ms, now + 24 * 60 * 60 * 1000)) return `Tomorrow ${time}`;
+    return `${date.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })} ${time}`;
+}
+
+/* Append text to an element with every occurrence of the search terms wrapped in <mark>.
+ * Only text nodes are created, so todo text can never inject HTML.
+ */
+function appendHighlighted(element, text, terms) {
+    const words = terms.flatMap(term => term.split(/\s+/)).filter(Boolean);
+    if (words.length === 0) {
+        element.appendChild(document.createTextNode(text));
+        return;
+    }
+    // Escape regex characters in the terms, longest first so "report" wins over "rep"
+    const pattern = new RegExp(`(${words.sort((a, b) => b.length - a.length).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'giu');
+    text.split(pattern).forEach((part, index) => {
+        if (!part) return;
+        if (index % 2 === 1) { // split() puts the captured matches at the odd indexes
+            const mark = document.createElement('mark');
+            mark.textContent = part;
+            element.appendChild(mark);
+        } else {
+            element.appendChild(document.createTextNode(part));
+        }
+    });
+}
+
+// Size of an attached file for the detail pane: "512 B", "34 KB", "1.2 MB"
+function formatSize(bytes) {
+    if (bytes === null || bytes === undefined) return '';
+    if (bytes < 1024) return `${bytes} B`;
+    const units = ['KB', 'MB', 'GB'];
+    let size = bytes / 1024;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return `${size < 10 ? size.toFixed(1) : Math.round(size)} ${units[unit]}`;
+}
+
+// Time tracked on a todo: "12 min", "1 h 05 min" ('' for none)
+function formatDuration(ms) {
+    if (!ms) return '';
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return '< 1 min';
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${pad(minutes % 60)} min`;
+}
+
+// Clock of a timer (see timer.js): the time left of a Pomodoro session or break, the time a plain timer has run ("04:59", "1:02:03")
+function timerClock(timer, now = Date.now()) {
+    const seconds = Math.max(Math.floor((timer.endsAt !== null ? timer.endsAt - now : now - timer.startedAt) / 1000), 0);
+    const clock = `${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+    return seconds >= 3600 ? `${Math.floor(seconds / 3600)}:${clock}` : clock;
+}
+
+// Look up the subtasks of a todo among todos without searching all of them: returns id -> its subtasks, in the order of todos
+function childrenOf(todos) {
+    const children = new Map();
+    todos.forEach((todo) => {
+        if (!children.has(todo.parent_id)) children.set(todo.parent_id, []);
+        children.get(todo.parent_id).push(todo);
+    });
+    return id => children.get(id) || [];
+}
+
+// Work out whether an open todo is overdue or due today ('overdue', 'due-today' or null)
+function dueState(todo, now = Date.now()) {
+    if (todo.completed || todo.due_at === null || todo.due_at === undefined) return null;
+    if (todo.due_at < now) return 'overdue';
+    if (isSameDay(todo.due_at, now)) return 'due-today';
+    return null;
+}
+
+// Names of the priority levels, by level (0 to 4; the todos.priority column)
+const PRIORITY_NAMES = ['None', 'Low', 'Medium', 'High', 'Urgent'];
+
+/* Keys that open an editor of the focused todo, by the class of the button in its list item they stand in for
+ * (see View.enableKeyboardNavigation): the due date, tags, repeat rule, priority, a new subtask, the detail pane and the timer.
+ */
+const TODO_KEYS = { d: 'due', t: 'editTags', r: 'repeat', p: 'priority', s: 'addSubtask', o: 'openDetails', w: 'timer' };
+
+/* What the "Show" buttons keep on screen (the todoFilter setting)
+ * and the orders of the "Sort by" menu (the todoSort setting): 'manual' keeps the drag and drop order,
+ * and todos that compare equal keep their manual order too (Array.prototype.sort is stable).
+ */
+const TODO_FILTERS = {
+    all: () => true,
+    active: todo => !todo.completed,
+    completed: todo => Boolean(todo.completed)
+};
+const TODO_SORTS = {
+    manual: () => 0,
+    created: (a, b) => b.created_at - a.created_at, // Newest first
+    text: (a, b) => a.text.localeCompare(b.text, undefined, { sensitivity: 'base' }),
+    due: (a, b) => (a.due_at === null) - (b.due_at === null) || a.due_at - b.due_at, // Soonest first, no due date last
+    priority: (a, b) => (b.priority || 0) - (a.priority || 0) // Most important first, no priority last
+};
+
+/* Turn a key press into an Electron accelerator for the quick add shortcut, e.g. Ctrl+Shift+Space -> 'CommandOrControl+Shift+Space'.
+ * Ctrl (Cmd on macOS) is saved as CommandOrControl, so the setting means the same on every platform.
+ * Returns null for a key press that cannot be a shortcut: only modifiers so far, or no modifier other than Shift.
+ */
+const ACCELERATOR_KEYS = {
+    Space: 'Space', Tab: 'Tab', Backspace: 'Backspace', Delete: 'Delete', Insert: 'Insert', Enter: 'Enter', Escape: 'Escape',
+    ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right', Home: 'Home', End: 'End', PageUp: 'PageUp', PageDown: 'PageDown',
+    Minus: '-', Equal: '=', BracketLeft: '[', BracketRight: ']', Semicolon: ';', Quote: "'", Comma: ',', Period: '.', Slash: '/', Backquote: '`', Backslash: '\\'
+};
+function acceleratorFromEvent(event, isMac = /^Mac/.test(navigator.platform)) {
+    // event.code names the key itself, event.key would give '!' for Shift+1
+    const match = /^(?:Key([A-Z])|Digit(\d)|(F\d{1,2}))$/.exec(event.code);
+    const key = match ? match[1] || match[2] || match[3] : ACCELERATOR_KEYS[event.code];
+    const modifiers = [
+        (isMac ? event.metaKey : event.ctrlKey) && 'CommandOrControl',
+        (isMac ? event.ctrlKey : event.metaKey) && (isMac ? 'Control' : 'Super'),
+        event.altKey && 'Alt'
+    ].filter(Boolean);
+    if (!key || modifiers.length === 0) return null;
+    return [...modifiers, ...(event.shiftKey ? ['Shift'] : []), key].join('+');
+}
+
+// View: Handles rendering and user interaction
+/* The View is responsible for rendering the to-do list in the DOM and
+    handling user interactions (e.g., clicking the "Add" button or toggling a to-do item).
+    If the View is empty, the app will not display the to-do list or 
+    respond to user actions.
+    Selects DOM elements for the to-do list (#myUL), 
+    input field (#myInput), and add button (.addBtn).
  */
 /* ==========================
- * Model: Data Management
+ * View: User Interface
  * ==========================
  */
-class Model {
+class View {
     constructor() {
-        /* Loads the to-do list from 
-         * "localStorage" or initializes an empty array 
-            if no data exists.
+        this.todoList = document.querySelector('#myUL'); // Reference the DOM element where todos are listed (ul with id "myUL")
+        this.inputField = document.querySelector('#myInput'); // Reference the input field for new todo items (input with id "myInput")
+        this.addButton = document.querySelector('.addBtn'); // Reference the add button (element with class "addBtn")
+        this.dueField = document.querySelector('#myDue'); // Reference the optional due date input (datetime-local with id "myDue")
+        this.reminderField = document.querySelector('#myReminder'); // Reference the reminder select (minutes before the due date, or empty for none)
+        this.repeatField = document.querySelector('#myRepeat'); // Reference the repeat select (a rule from recurrence.js, or empty for none)
+        this.priorityField = document.querySelector('#myPriority'); // Reference the priority select of the new todo (0 to 4)
+        this.title = document.querySelector('#myDIV h2'); // Reference the heading, it shows the name of the selected list
+        this.searchField = document.querySelector('#mySearch'); // Reference the search box (input with id "mySearch")
+        this.listList = document.querySelector('#myLists'); // Reference the sidebar list of lists (ul with id "myLists")
+        this.todayButton = document.querySelector('#showToday'); // Reference the "Today" entry above the lists
+        this.newListField = document.querySelector('#newList'); // Reference the input used to create a new list
+        this.deleteListDialog = document.querySelector('#deleteListDialog'); // Reference the dialog asking what to do with a deleted list's todos
+        this.toast = document.querySelector('#toast'); // Reference the toast message at the bottom of the window (e.g. "Deleted ... Undo")
+        this.newTodoPositionField = document.querySelector('#newTodoPosition'); // Reference the setting for where new todos go (top or bottom)
+        this.autoCompleteParentField = document.querySelector('#autoCompleteParent'); // Reference the setting to complete a todo once its subtasks are done
+        this.quickAddShortcutField = document.querySelector('#quickAddShortcut'); // Reference the field that records the quick add shortcut
+        this.keepInTrayField = document.querySelector('#keepInTray'); // Reference the setting to keep running in the tray
+        this.pomodoroFields = document.querySelectorAll('#pomodoroMinutes, #breakMinutes'); // Reference the Pomodoro and break lengths (ids as the settings)
+        this.filterButtons = document.querySelectorAll('#todoFilter button'); // Reference the All / Active / Completed buttons
+        this.sortField = document.querySelector('#todoSort'); // Reference the "Sort by" menu
+        this.clearCompletedButton = document.querySelector('#clearCompleted'); // Reference the "Clear completed" button
+        this.archiveButton = document.querySelector('#showArchive'); // Reference the button that shows / hides the archive
+        this.archiveList = document.querySelector('#myArchive'); // Reference the list of archived todos (ul with id "myArchive")
+        this.announcer = document.querySelector('#announcer'); // Reference the hidden live region that screen readers read out
+        this.shortcutsDialog = document.querySelector('#shortcutsDialog'); // Reference the keyboard shortcut help and the "?" button opening it
+        this.shortcutsButton = document.querySelector('#showShortcuts');
+        this.detailPane = document.querySelector('#detailPane'); // Reference the pane with the notes and attachments of one todo (see showDetails)
+        this.detailTitle = document.querySelector('#detailTitle');
+        this.closeDetailsButton = document.querySelector('#closeDetails');
+        this.notesTabs = document.querySelectorAll('#notesTabs button'); // Reference the Write / Preview buttons, the notes field and the rendered notes
+        this.notesField = document.querySelector('#notesField');
+        this.notesPreview = document.querySelector('#notesPreview');
+        this.attachmentList = document.querySelector('#attachmentList'); // Reference the attached files and the "Attach files…" button
+        this.addAttachmentsButton = document.querySelector('#addAttachments');
+        this.trackedTime = document.querySelector('#trackedTime'); // Reference the time tracked on the todo in the pane and its timer buttons
+        this.timerButtons = document.querySelectorAll('#timerButtons button');
+        this.timerBar = document.querySelector('#timerBar'); // Reference the bar above the list while a timer runs: its todo, clock and Stop button
+        this.timerLabel = document.querySelector('#timerLabel');
+        this.timerClock = document.querySelector('#timerClock');
+        this.stopTimerButton = document.querySelector('#stopTimer');
+        this.timer = null; // The timer that runs (see setTimer), its todo's row shows the clock
+        this.savedNotes = ''; // The notes of the todo in the pane as they were last shown or saved, to tell whether they were edited
+        this.toastTimer = null;
+
+        /* Only the top-level todos in or near the window have a list item (see renderWindow), so a list
+         * of thousands stays quick; the others are rendered as the page scrolls or the window is resized.
          */
-        this.todos = JSON.parse(localStorage.getItem('todos')) || [];
+        this.rows = []; // The top-level todos to show, in order (see renderTodos)
+        this.total = 0; // rows.length, plus the todos of a long list not loaded yet
+        this.tree = null; // { terms, subtasksOf, allSubtasksOf } to render the rows with
+        this.rendered = new Map(); // Todo id -> { li, key } of the top-level todos in #myUL, key as from rowKey
+        this.rowHeights = new Map(); // Todo id -> height in pixels of its list item when it was last on screen
+        this.loadMoreHandler = null; // See bindLoadMore
+        this.windowFrame = null; // Pending animation frame that renders the window again
+        const update = () => {
+            if (this.windowFrame !== null) return;
+            this.windowFrame = requestAnimationFrame(() => {
+                this.windowFrame = null;
+                this.renderWindow();
+            });
+        };
+        window.addEventListener('scroll', update, { passive: true });
+        window.addEventListener('resize', update);
+
+        // Offer the repeat rules of recurrence.js in the add form and as suggestions in the repeat editor
+        const presets = document.querySelector('#recurrencePresets');
+        RECURRENCE_PRESETS.forEach(({ rule, label }) => {
+            this.repeatField.appendChild(new Option(label, rule));
+            presets.appendChild(new Option(label, rule));
+        });
+        // and the priority levels, "None" selected
+        PRIORITY_NAMES.forEach((name, level) => this.priorityField.appendChild(new Option(name, level)));
+
+        this.enableKeyboardNavigation();
     }
 
-    /* Save todos to localStorage
-     * Saves the current state of the todos array to 
-     * "localStorage".
+    /* Move around the todos with the keyboard (the help is in #shortcutsDialog):
+     * Up / Down go to the previous / next todo on screen, Home / End to the first / last one,
+     * Right shows the subtasks of a collapsed todo or goes to its first subtask, Left hides them or goes to the parent.
+     * The keys of TODO_KEYS click the matching button of the focused todo, so they open the same editors as the mouse.
+     * Anywhere outside a text field "?" opens the help, "/" goes to the search box and "n" to the new todo field.
+     * Space, Enter / F2, Delete and Alt+Up / Down are bound with their handlers (bindToggleTodo, bindEditTodo, ...).
      */
-    saveTodos() {
-        localStorage.setItem('todos', JSON.stringify(this.todos));
+    enableKeyboardNavigation() {
+        this.todoList.addEventListener('keydown', (event) => {
+            const li = event.target;
+            if (li.tagName !== 'LI' || event.altKey || event.ctrlKey || event.metaKey) return;
+            const todos = this.focusableTodos();
+            const index = todos.indexOf(li);
+            const subtasks = li.querySelector(':scope > ul.subtasks');
+            let next = null;
+            if (event.key === 'ArrowDown') {
+                next = todos[index + 1];
+            } else if (event.key === 'ArrowUp') {
+                next = todos[index - 1];
+            } else if (event.key === 'Home' || event.key === 'End') {
+                window.scrollTo(0, event.key === 'Home' ? 0 : document.documentElement.scrollHeight);
+                this.renderWindow(); // Draw the todos at that end of a long list now, not at the next animation frame
+                const shown = this.focusableTodos();
+                next = event.key === 'Home' ? shown[0] : shown[shown.length - 1];
+            } else if (event.key === 'ArrowRight' && subtasks) {
+                if (li.classList.contains('collapsed')) {
+                    li.querySelector(':scope > .twisty').click();
+                } else {
+                    next = subtasks.firstElementChild;
+                }
+            } else if (event.key === 'ArrowLeft') {
+                if (subtasks && !li.classList.contains('collapsed')) {
+                    li.querySelector(':scope > .twisty').click();
+                } else {
+                    next = li.parentElement.closest('li');
+                }
+            } else if (TODO_KEYS[event.key.toLowerCase()] && !event.shiftKey) {
+                const button = li.querySelector(`:scope > .${TODO_KEYS[event.key.toLowerCase()]}`);
+                if (button) button.click();
+            } else {
+                return;
+            }
+            event.preventDefault(); // The arrows, Home and End would scroll the page too, the letters would be typed into the editor
+            if (next) next.focus();
+        });
+
+        document.addEventListener('keydown', (event) => {
+            if (event.ctrlKey || event.metaKey || event.altKey || this.shortcutsDialog.open) return;
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+            if (event.key === '?') {
+                event.preventDefault();
+                this.showShortcuts();
+            } else if (event.key === '/') {
+                event.preventDefault();
+                this.searchField.focus();
+            } else if (event.key === 'n') {
+                event.preventDefault();
+                this.inputField.focus();
+            }
+        });
+        this.shortcutsButton.addEventListener('click', () => this.showShortcuts());
+    }
+
+    // The list items of the todos that can take the focus: every todo on screen, except the subtasks of collapsed ones
+    focusableTodos() {
+        return [...this.todoList.querySelectorAll('li')].filter(li => !li.parentElement.closest('li.collapsed'));
     }
 
-    // Returns the current list of to-dos.
-    getTodos() {
-        return this.todos;
+    // Open the keyboard shortcut help (Escape or its "Close" button closes it)
+    showShortcuts() {
+        if (!this.shortcutsDialog.open) this.shortcutsDialog.showModal();
     }
 
-    /* Adds a new to-do item to the list with a unique id, 
-     * the provided text, and a default completed state of false.
-     * Saves the updated list to localStorage.
+    /* Have screen readers read out what just happened, e.g. "Completed "Buy milk"".
+     * The message goes into a new element every time, so saying the same thing twice is read out twice.
      */
-    addTodo(todoText) {
-        const newTodo = {
-            id: this.todos.length > 0 ? this.todos[this.todos.length - 1].id + 1 : 1,
-            text: todoText,
-            completed: false,
-        };
-        this.todos.push(newTodo);
-        this.saveTodos(); // Save to localStorage
+    announce(message) {
+        const text = document.createElement('SPAN');
+        text.textContent = message;
+        this.announcer.replaceChildren(text);
     }
 
-    /* Toggles the completed state of a to-do item by its id.
-     *  Saves the updated list to localStorage.
-     */ 
-    toggleTodo(id) {
-        const todo = this.todos.find(todo => todo.id === id);
-        if (todo) {
-            todo.completed = !todo.completed;
-            this.saveTodos(); // Save to localStorage
+    /* Show a short message at the bottom of the window, optionally with an action button
+     * (e.g. "Undo"). It disappears after a few seconds or once the action is clicked.
+     */
+    showToast(message, actionLabel, onAction) {
+        clearTimeout(this.toastTimer);
+        this.toast.innerHTML = '';
+        const text = document.createElement('SPAN');
+        text.textContent = message;
+        this.toast.appendChild(text);
+        if (actionLabel) {
+            const button = document.createElement('button');
+            button.textContent = actionLabel;
+            button.addEventListener('click', () => {
+                this.hideToast();
+                onAction();
+            });
+            this.toast.appendChild(button);
         }
+        this.toast.classList.add('visible');
+        this.toastTimer = setTimeout(() => this.hideToast(), TOAST_DURATION);
     }
 
-    /* Removes a to-do item by its id.
-     * Saves the updated list to localStorage.
-     */
-    removeTodo(id) {
-        this.todos = this.todos.filter(todo => todo.id !== id);
-        this.saveTodos(); // Save to localStorage
+    hideToast() {
+        clearTimeout(this.toastTimer);
+        this.toast.classList.remove('visible');
     }
-}
 
-/*
- * View: User Interface
- *
- * The View is responsible for rendering the to-do list in the DOM and
-   handling user interactions (e.g., clicking the "Add" button or toggling a to-do item).
-   If the View is empty, the app will not display the to-do list or 
-   respond to user actions.
- * Selects DOM elements for the to-do list (#myUL), 
- * input field (#myInput), and add button (.addBtn).
- */
- /* ==========================
- * View: User Interface
- * ==========================
- */
-class View {
-    constructor() {
-        // Select DOM elements
-        this.todoList = document.querySelector('#myUL');
-        this.inputField = document.querySelector('#myInput');
-        this.addButton = document.querySelector('.addBtn');
-    }
-
-    /* Clears the current list and re-renders all todo items.
-     * For each todo, it creates a <li> eliment with the todo text
-     * and a data-id attribute for identification.
-     * Adds a "close" button (×) to remove the to-do.
-     * Adds a checked class if the to-do is completed.
-     */ 
-    renderTodos(todos) {
-        this.todoList.innerHTML = ''; // Clear the list
-        todos.forEach(todo => {
+    /* Render the lists in the sidebar
+     * Each entry shows the list name and its number of open todos, the selected one is highlighted.
+     * Every list except the Inbox gets a "close" (×) button to delete it.
+     */
+    renderLists(lists, selectedId, inboxId) {
+        const focused = this.listList.contains(document.activeElement) ? document.activeElement.closest('li') : null;
+        this.listList.innerHTML = ''; // Clear the existing entries
+        lists.forEach((list) => {
             const li = document.createElement('li');
-            li.textContent = todo.text;
-            li.dataset.id = todo.id;
+            li.dataset.id = list.id; // Store the list id for the click handlers
+            li.classList.toggle('selected', list.id === selectedId);
+            if (list.id === selectedId) li.setAttribute('aria-current', 'true');
+            li.tabIndex = 0; // Lists can take the keyboard focus (Enter shows the list, F2 renames it, Delete deletes it)
+            li.setAttribute('aria-label', list.open_count ? `${list.name}, ${list.open_count} open` : list.name);
+
+            const name = document.createElement('SPAN');
+            name.className = 'listName';
+            name.textContent = list.name;
+            li.appendChild(name);
+
+            const count = document.createElement('SPAN');
+            count.className = 'count';
+            count.textContent = list.open_count || ''; // Leave the badge empty when there is nothing open
+            li.appendChild(count);
+
+            if (list.id !== inboxId) { // The Inbox cannot be deleted
+                const span = document.createElement('SPAN');
+                span.textContent = '\u00D7';
+                span.className = 'deleteList';
+                li.appendChild(span);
+            }
+
+            this.listList.appendChild(li);
+        });
+        if (focused) { // Keep the focus on the list it was on (or in its name editor)
+            const li = this.listList.querySelector(`li[data-id="${focused.dataset.id}"]`);
+            if (li) li.focus();
+        }
+    }
+
+    // Set the heading above the todos (the list name, or "Search results")
+    setTitle(text) {
+        this.title.textContent = text;
+    }
+
+    // Put a query into the search box (e.g. after clicking a tag)
+    setSearch(query) {
+        this.searchField.value = query;
+    }
+
+    // Show an error message to the user (e.g. a duplicate list name)
+    showError(message) {
+        alert(message);
+    }
+
+    // Show the current "New todos at the top / bottom" setting
+    setNewTodoPosition(value) {
+        this.newTodoPositionField.value = value;
+    }
+
+    // Show the current "Complete a todo when its subtasks are done" setting
+    setAutoCompleteParent(value) {
+        this.autoCompleteParentField.checked = value;
+    }
+
+    // Show the current quick add shortcut ('' shows "None")
+    setQuickAddShortcut(value) {
+        this.quickAddShortcutField.value = value;
+    }
+
+    // Show the current "Keep running in the tray" setting
+    setKeepInTray(value) {
+        this.keepInTrayField.checked = value;
+    }
 
-            if (todo.completed) {
-                li.classList.add('checked');
+    // Show the current Pomodoro and break lengths (the pomodoroMinutes and breakMinutes settings)
+    setPomodoroLengths(settings) {
+        this.pomodoroFields.forEach((field) => { field.value = settings[field.id]; });
+    }
+
+    /* Show the timer that runs (null for none) in the bar above the list and on the row of its todo (see rowKey);
+     * tickTimer moves the clocks on.
+     */
+    setTimer(timer) {
+        this.timer = timer;
+        this.timerBar.hidden = !timer;
+        if (timer) {
+            const what = timer.mode !== 'pomodoro' ? '' : timer.phase === 'break' ? 'Break after ' : `Pomodoro ${timer.cycle}: `;
+            this.timerLabel.textContent = `${what}${timer.text}`;
+        }
+        this.tickTimer();
+        this.renderWindow();
+    }
+
+    // Move the clocks of the timer on (every second while one runs)
+    tickTimer(now = Date.now()) {
+        if (!this.timer) return;
+        const clock = timerClock(this.timer, now);
+        this.timerClock.textContent = clock;
+        const row = this.todoList.querySelector('.timer.running');
+        if (row) row.textContent = `\u25A0 ${clock}`;
+    }
+
+    // Highlight the current "Show" button ('all', 'active' or 'completed')
+    setFilter(value) {
+        this.filterButtons.forEach(button => button.classList.toggle('selected', button.value === value));
+    }
+
+    // Show the current "Sort by" choice
+    setSort(value) {
+        this.sortField.value = value;
+    }
+
+    // Show the archive in place of the todos, or the todos again
+    showArchive(shown) {
+        this.todoList.hidden = shown;
+        this.archiveList.hidden = !shown;
+        this.archiveButton.classList.toggle('selected', shown);
+    }
+
+    // Highlight the "Today" entry while the Today view is shown
+    showToday(shown) {
+        this.todayButton.classList.toggle('selected', shown);
+    }
+
+    // Allow or refuse manual reordering (search results and the Today view are ranked, sorted lists have their own order)
+    setSortable(sortable) {
+        this.todoList.classList.toggle('sortable', sortable);
+    }
+
+    // Give the keyboard focus to a todo, e.g. after moving it with Alt+Up/Down
+    focusTodo(id) {
+        const li = this.todoList.querySelector(`li[data-id="${id}"]`);
+        if (li) li.focus();
+    }
+
+    // The ids of a todo and its siblings on screen (the todos of the same ul), top to bottom
+    siblingIds(li) {
+        return [...li.parentElement.children].map(item => parseInt(item.dataset.id, 10));
+    }
+    /* Method to render todo items onto the page
+     * terms: search words to highlight in the text (search results only)
+     * all: every todo of the list, when todos is only part of it (the "Active" or "Completed" filter)
+     * total: how many top-level todos the list has, when only the first ones are loaded (a long list, see Controller.handleLoadMore)
+     * Search results and the Today view also carry list_name, shown as a badge so you can tell where each todo lives.
+     * A coloured marker shows the priority (see header.css); clicking it changes the priority.
+     * Subtasks are shown in a nested list under their todo (hidden while it is collapsed),
+     * and the todo shows how many of all its subtasks are done, e.g. "3/5".
+     * A todo that is on screen and looks the same as before keeps its list item, so after a change only the todos
+     * it touched are drawn again, and the focus and the scroll position stay where they were.
+     */
+    renderTodos(todos, terms = [], all = todos, total = 0) {
+        const shown = new Set(todos.map(todo => todo.id));
+        this.tree = { terms, subtasksOf: childrenOf(todos), allSubtasksOf: childrenOf(all) };
+        // A todo whose parent is not on screen (e.g. a search result) is shown at the top level
+        this.rows = todos.filter(todo => !shown.has(todo.parent_id));
+        this.total = Math.max(total, this.rows.length);
+        this.renderWindow();
+    }
+
+    // Draw every todo afresh at the next render, e.g. to drop an editor left open by a refused change
+    forgetRendered() {
+        this.rendered.forEach((row) => { row.key = null; });
+    }
+
+    /* Put the list items of the top-level todos in or near the window into #myUL, reusing the ones whose todo
+     * looks the same (see rowKey). The todos above and below them are stood in for by padding, as high as their items
+     * were (ROW_HEIGHT if they have not been on screen), so the scroll bar is as long as the whole list.
+     * Getting near the end of what is loaded of a long list asks the loadMore handler for more.
+     */
+    renderWindow() {
+        if (!this.tree) return; // Nothing rendered yet
+        const { first, last, offsets } = this.windowRange();
+        const end = Math.min(last, this.rows.length);
+        const start = Math.min(first, end);
+        const active = document.activeElement;
+        const focusedId = active && this.todoList.contains(active) ? active.closest('li').dataset.id : null; // The todo with the focus, or with an editor that has it
+
+        const { terms, subtasksOf, allSubtasksOf } = this.tree;
+        const rendered = new Map();
+        this.rows.slice(start, end).forEach((todo) => {
+            const key = this.rowKey(todo);
+            const row = this.rendered.get(todo.id);
+            rendered.set(todo.id, row && row.key === key ? row : { li: this.renderTodo(todo, terms, subtasksOf, allSubtasksOf), key });
+        });
+        this.rendered.forEach((row, id) => {
+            if (rendered.get(id) !== row) row.li.remove();
+        });
+        let next = this.todoList.firstElementChild; // Put the items in order, moving only the ones out of place
+        rendered.forEach(({ li }) => {
+            if (li === next) {
+                next = li.nextElementSibling;
+            } else {
+                this.todoList.insertBefore(li, next);
             }
+        });
+        this.rendered = rendered;
 
-            const span = document.createElement('SPAN');
-            span.textContent = '\u00D7'; // Close button
-            span.className = 'close';
-            li.appendChild(span);
+        rendered.forEach(({ li }, id) => {
+            if (li.offsetHeight > 0) this.rowHeights.set(id, li.offsetHeight); // 0 while the list is hidden
+        });
+        this.todoList.style.paddingTop = `${offsets[start]}px`;
+        this.todoList.style.paddingBottom = `${offsets[this.total] - offsets[end]}px`;
+        if (focusedId && !this.todoList.contains(document.activeElement)) {
+            this.focusTodo(focusedId); // Its item was drawn again or moved
+        }
+        if (last > this.rows.length && this.loadMoreHandler) this.loadMoreHandler(last);
+    }
+
+    /* Which rows are in or near the window: first and last (excluded) index into the rows, up to this.total,
+     * and offsets[i], how far below the top of the list row i starts.
+     * first is even, so the striped rows (nth-child) keep their colours while scrolling.
+     */
+    windowRange() {
+        const offsets = [0];
+        for (let index = 0; index < this.total; index++) {
+            const todo = this.rows[index];
+            offsets.push(offsets[index] + ((todo && this.rowHeights.get(todo.id)) || ROW_HEIGHT));
+        }
+        const top = -this.todoList.getBoundingClientRect().top; // How far the list has been scrolled up out of the window
+        const bottom = top + window.innerHeight;
+        let first = 0;
+        while (first < this.total && offsets[first + 1] <= top) first++;
+        let last = first;
+        while (last < this.total && offsets[last] < bottom) last++;
+        first = Math.max(0, first - OVERSCAN);
+        return { first: first - (first % 2), last: Math.min(this.total, last + OVERSCAN), offsets };
+    }
+
+    // Everything the list item of a top-level todo shows, as a string: while it stays the same the item is kept
+    rowKey(todo) {
+        const { terms, subtasksOf, allSubtasksOf } = this.tree;
+        const tree = [todo];
+        for (let i = 0; i < tree.length; i++) tree.push(...subtasksOf(tree[i].id));
+        const timing = item => (this.timer && this.timer.todoId === item.id ? [this.timer.phase, this.timer.cycle] : null); // Not the clock, tickTimer moves it
+        return JSON.stringify([terms, tree.map(item => [
+            item, dueState(item), item.due_at ? formatDue(item.due_at) : '', allSubtasksOf(item.id).map(subtask => subtask.completed), timing(item)
+        ])]);
+    }
+
+    // Build the list item of one todo, with its subtasks nested inside
+    renderTodo(todo, terms, subtasksOf, allSubtasksOf = subtasksOf) {
+        const li = document.createElement('li'); // Create a new list item (li) element for the todo
+        appendHighlighted(li, todo.text, terms); // Set the text of the list item to the todo's text, search matches in <mark>
+        li.dataset.id = todo.id; // Store the todo's id in a data attribute for future reference
+        li.draggable = true; // Todos can be dragged onto a list in the sidebar to move them
+        li.tabIndex = 0; // Todos can take the keyboard focus (see enableKeyboardNavigation)
+        li.setAttribute('role', 'checkbox'); // Screen readers say "checked" / "not checked"; its name is set below
+        li.setAttribute('aria-checked', String(Boolean(todo.completed)));
+
+        if (todo.completed) { // Check if the todo is marked as completed
+            li.classList.add('checked'); // If completed, add the 'checked' class to change its appearance
+        }
+
+        const priority = document.createElement('SPAN'); // Coloured marker of the priority; for todos without one a button (shown on hover) to set it
+        const level = todo.priority || 0;
+        priority.className = level ? `priority p${level}` : 'priority empty';
+        priority.textContent = '\u25CF'; // ●
+        priority.title = level ? `${PRIORITY_NAMES[level]} priority` : 'Set priority';
+        priority.dataset.priority = level;
+        li.appendChild(priority);
+
+        (todo.tags || []).forEach((tag) => { // Show each tag as a chip; clicking one searches for it
+            const chip = document.createElement('SPAN');
+            chip.className = 'tag';
+            chip.dataset.tag = tag;
+            appendHighlighted(chip, `#${tag}`, terms);
+            li.appendChild(chip);
+        });
+
+        const editTags = document.createElement('SPAN'); // "#" button (shown on hover) to edit the tags
+        editTags.className = 'editTags';
+        editTags.textContent = '#';
+        editTags.title = 'Edit tags';
+        li.appendChild(editTags);
+
+        const repeat = document.createElement('SPAN'); // How the todo repeats; for other todos a button (shown on hover) to make it repeat
+        repeat.className = todo.recurrence ? 'repeat' : 'repeat empty';
+        repeat.textContent = todo.recurrence ? `\u27F3 ${describeRecurrence(todo.recurrence)}` : '\u27F3';
+        const count = todo.completed_count || 0;
+        repeat.title = todo.recurrence ? `${todo.recurrence}, done ${count} time${count === 1 ? '' : 's'}` : 'Repeat';
+        repeat.dataset.rule = todo.recurrence || '';
+        li.appendChild(repeat);
+
+        const details = document.createElement('SPAN'); // Opens the notes and attachments: "≡" (shown on hover), or "📎 2" when files are attached
+        const attached = todo.attachment_count || 0;
+        details.className = todo.notes || attached ? 'openDetails' : 'openDetails empty';
+        details.textContent = attached ? `\u{1F4CE} ${attached}` : '\u2261';
+        details.title = 'Notes and attachments';
+        li.appendChild(details);
+
+        const timer = document.createElement('SPAN'); // Starts or stops a timer: "▶" (shown on hover), "▶ 1 h 05 min" once time was tracked, "■ 12:34" while it runs
+        const running = this.timer && this.timer.todoId === todo.id;
+        const tracked = formatDuration(todo.tracked_ms);
+        timer.className = running ? 'timer running' : tracked ? 'timer' : 'timer empty';
+        timer.textContent = running ? `\u25A0 ${timerClock(this.timer)}` : tracked ? `\u25B6 ${tracked}` : '\u25B6';
+        timer.title = running ? 'Stop the timer' : 'Start a timer';
+        li.appendChild(timer);
+
+        if (todo.list_name) { // Search results: show which list the todo is in
+            const badge = document.createElement('SPAN');
+            badge.className = 'listBadge';
+            badge.textContent = todo.list_name;
+            li.appendChild(badge);
+        }
+
+        const state = dueState(todo); // 'overdue', 'due-today' or null
+        if (state) {
+            li.classList.add(state); // Highlight overdue and due-today items
+        }
+
+        const due = document.createElement('SPAN'); // Create a span showing the due date; clicking it edits the date
+        due.className = todo.due_at ? 'due' : 'due empty';
+        due.textContent = todo.due_at ? formatDue(todo.due_at) : 'Set due date'; // The empty label only shows on hover (see header.css)
+        due.dataset.dueAt = todo.due_at || ''; // Keep the current values so the editor can start from them
+        due.dataset.remindAt = todo.remind_at || '';
+        li.appendChild(due);
+
+        const span = document.createElement('SPAN'); // Create a span element to serve as the close (delete) button
+        span.textContent = '\u00D7'; // Set its text to the multiplication symbol (×) as a visual cue for deletion
+        span.className = 'close'; // Assign the 'close' class to the span for styling
+        li.appendChild(span); // Append the close button span to the list item
+
+        const add = document.createElement('SPAN'); // "+" button (shown on hover) to add a subtask
+        add.className = 'addSubtask';
+        add.textContent = '+';
+        add.title = 'Add a subtask';
+        li.appendChild(add);
+
+        const counted = allSubtasksOf(todo.id);
+        if (counted.length > 0) {
+            const progress = document.createElement('SPAN'); // How many subtasks are done, e.g. "3/5"
+            progress.className = 'progress';
+            progress.textContent = `${counted.filter(subtask => subtask.completed).length}/${counted.length}`;
+            li.insertBefore(progress, li.querySelector('.tag, .editTags'));
+        }
+
+        const subtasks = subtasksOf(todo.id);
+        if (subtasks.length > 0) {
+            const twisty = document.createElement('SPAN'); // Arrow to show or hide the subtasks
+            twisty.className = 'twisty';
+            twisty.textContent = todo.collapsed ? '\u25B8' : '\u25BE'; // ▸ collapsed, ▾ expanded
+            twisty.title = todo.collapsed ? 'Show subtasks' : 'Hide subtasks';
+            li.insertBefore(twisty, li.firstChild);
+            li.classList.toggle('collapsed', Boolean(todo.collapsed));
+
+            const ul = document.createElement('ul');
+            ul.className = 'subtasks';
+            ul.setAttribute('role', 'list');
+            ul.setAttribute('aria-label', `Subtasks of ${todo.text}`);
+            subtasks.forEach(subtask => ul.appendChild(this.renderTodo(subtask, terms, subtasksOf, allSubtasksOf)));
+            li.appendChild(ul);
+        }
+
+        li.setAttribute('aria-label', this.describeTodo(todo, state, counted));
+        return li;
+    }
+
+    /* What a screen reader says for a todo, e.g. "Buy milk, High priority, overdue, due Today 09:00, #home, 1 of 3 subtasks done".
+     * Without it the name would be read off the item's text, buttons included ("● # ⟳ × +").
+     */
+    describeTodo(todo, state, subtasks) {
+        const parts = [todo.text];
+        if (todo.priority) parts.push(`${PRIORITY_NAMES[todo.priority]} priority`);
+        if (state) parts.push(state === 'overdue' ? 'overdue' : 'due today');
+        if (todo.due_at) parts.push(`due ${formatDue(todo.due_at)}`);
+        if (todo.recurrence) parts.push(describeRecurrence(todo.recurrence));
+        (todo.tags || []).forEach(tag => parts.push(`#${tag}`));
+        if (todo.list_name) parts.push(`in ${todo.list_name}`);
+        if (todo.notes) parts.push('has notes');
+        if (todo.attachment_count) parts.push(`${todo.attachment_count} attachment${todo.attachment_count === 1 ? '' : 's'}`);
+        if (this.timer && this.timer.todoId === todo.id) parts.push('timer running');
+        if (todo.tracked_ms) parts.push(`${formatDuration(todo.tracked_ms)} tracked`);
+        if (subtasks.length > 0) {
+            parts.push(`${subtasks.filter(subtask => subtask.completed).length} of ${subtasks.length} subtasks done${todo.collapsed ? ', hidden' : ''}`);
+        }
+        return parts.join(', ');
+    }
+
+    /* Open the detail pane on a todo: its notes (rendered, or the empty field to write them), its attachments
+     * (see renderAttachments) and the time tracked on it. The focus goes into the pane, Escape brings it back to the todo (see bindDetails).
+     */
+    showDetails(todo) {
+        this.detailPane.hidden = false;
+        this.detailPane.dataset.id = todo.id;
+        this.detailTitle.textContent = todo.text;
+        this.trackedTime.textContent = todo.tracked_ms ? `${formatDuration(todo.tracked_ms)} tracked` : 'No time tracked yet';
+        this.savedNotes = todo.notes || '';
+        this.notesField.value = this.savedNotes;
+        this.attachmentList.replaceChildren();
+        this.showNotes(this.savedNotes ? 'preview' : 'write');
+        (this.savedNotes ? this.notesTabs[0] : this.notesField).focus();
+    }
+
+    /* The todo in the pane changed (here, by undo or in another window): show its new text and notes.
+     * Notes being typed are left alone, they are saved when the field loses the focus.
+     */
+    updateDetails(todo) {
+        this.detailTitle.textContent = todo.text;
+        this.trackedTime.textContent = todo.tracked_ms ? `${formatDuration(todo.tracked_ms)} tracked` : 'No time tracked yet';
+        const notes = todo.notes || '';
+        if (notes === this.savedNotes || document.activeElement === this.notesField) return;
+        this.savedNotes = notes;
+        this.notesField.value = notes;
+        if (this.notesField.hidden) this.showNotes('preview');
+    }
+
+    // Close the detail pane
+    hideDetails() {
+        this.detailPane.hidden = true;
+        delete this.detailPane.dataset.id;
+        this.attachmentList.replaceChildren();
+    }
+
+    // Show the notes field ('write') or the notes rendered from it ('preview', see markdown.js)
+    showNotes(mode) {
+        const preview = mode === 'preview';
+        this.notesField.hidden = preview;
+        this.notesPreview.hidden = !preview;
+        this.notesTabs.forEach((button) => {
+            button.classList.toggle('selected', button.value === mode);
+            button.setAttribute('aria-pressed', String(button.value === mode));
+        });
+        if (!preview) return;
+        if (this.notesField.value.trim()) {
+            this.notesPreview.replaceChildren(renderMarkdown(this.notesField.value));
+        } else {
+            this.notesPreview.textContent = 'No notes yet';
+        }
+        this.notesPreview.classList.toggle('empty', !this.notesField.value.trim());
+    }
+
+    // Render the attachments of the todo in the pane: the name opens the file, "×" removes it
+    renderAttachments(items) {
+        this.attachmentList.replaceChildren();
+        if (items.length === 0) {
+            const li = document.createElement('li');
+            li.className = 'empty';
+            li.textContent = 'No files attached';
+            this.attachmentList.appendChild(li);
+            return;
+        }
+        items.forEach((item) => {
+            const li = document.createElement('li');
+            li.dataset.id = item.id;
+            const name = document.createElement('BUTTON');
+            name.type = 'button';
+            name.className = 'attachmentName';
+            name.textContent = item.name;
+            name.title = `Open ${item.name}`;
+            const size = document.createElement('SPAN');
+            size.className = 'attachmentSize';
+            size.textContent = formatSize(item.size);
+            const remove = document.createElement('BUTTON');
+            remove.type = 'button';
+            remove.className = 'removeAttachment';
+            remove.textContent = '\u00D7';
+            remove.setAttribute('aria-label', `Remove ${item.name}`);
+            li.append(name, size, remove);
+            this.attachmentList.appendChild(li);
+        });
+    }
+
+    /* Render the archive: each archived todo with the list it came from, when it was archived
+     * and a "Restore" button. Its subtasks are archived with it and are not listed separately.
+     */
+    renderArchive(items) {
+        this.archiveList.innerHTML = '';
+        if (items.length === 0) {
+            const li = document.createElement('li');
+            li.className = 'empty';
+            li.textContent = 'The archive is empty';
+            this.archiveList.appendChild(li);
+            return;
+        }
+        items.forEach((item) => {
+            const li = document.createElement('li');
+            li.dataset.id = item.id;
+            li.appendChild(document.createTextNode(item.text));
 
-            this.todoList.appendChild(li);
+            const badge = document.createElement('SPAN');
+            badge.className = 'listBadge';
+            badge.textContent = item.list_name;
+            li.appendChild(badge);
+
+            const archivedAt = document.createElement('SPAN');
+            archivedAt.className = 'archivedAt';
+            archivedAt.textContent = `Archived ${formatDue(item.archived_at)}`;
+            li.appendChild(archivedAt);
+
+            const restore = document.createElement('button'); // A button, so the keyboard reaches it too
+            restore.className = 'restore';
+            restore.textContent = 'Restore';
+            li.appendChild(restore);
+
+            this.archiveList.appendChild(li);
         });
     }
 
-    /* Attaches an event listener to the "Add" button.
-     * Calls the provided handler function with the input text 
-     * when the button is clicked.
-     */ 
+    // Bind the event for adding a todo item: the "Add" button, or Enter in the input field
     bindAddTodo(handler) {
-        this.addButton.addEventListener('click', () => {
-            const todoText = this.inputField.value.trim();
-            if (todoText) {
-                handler(todoText);
-                this.inputField.value = ''; // Clear the input field
+        const add = () => {
+            const todoText = this.inputField.value.trim(); // Retrieve and trim the input field value to remove extra spaces
+            if (todoText) { // Check that the trimmed input is not empty
+                const dueAt = fromInputValue(this.dueField.value); // Optional due date (null if left empty)
+                const offset = this.reminderField.value; // Minutes before the due date to remind, '' for no reminder
+                const remindAt = dueAt !== null && offset !== '' ? dueAt - Number(offset) * 60 * 1000 : null;
+                const recurrence = this.repeatField.value || null; // Repeat rule, null for a todo that does not repeat
+                const priority = Number(this.priorityField.value); // 0 (none) to 4 (urgent)
+                handler(todoText, { dueAt, remindAt, recurrence, priority }); // Call the provided handler function passing the todo text, dates, repeat rule and priority
+                this.inputField.value = ''; // Clear the input field after adding the todo
+                this.dueField.value = ''; // Clear the due date, repeat rule and priority as well
+                this.repeatField.value = '';
+                this.priorityField.value = '0';
             } else {
-                alert('You must write something!');
+                alert('You must write something!'); // Show an alert if the input is empty
             }
+        };
+        this.addButton.addEventListener('click', add); // Add a click event listener to the add button
+        this.inputField.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && !event.isComposing) add(); // Not the Enter that ends typing in an input method (e.g. Japanese)
         });
     }
 
-    /* Attaches an event listener to the to-do list.
-     * Calls the provided handler function with the id of 
-     * the clicked to-do when a list item <li> is clicked.
-     */
+    // Bind the event for toggling the completed state of a todo
+    // A double-click edits the todo instead, so a mouse click waits this long to see whether a second click follows
     bindToggleTodo(handler) {
-        this.todoList.addEventListener('click', event => {
-            if (event.target.tagName === 'LI') {
-                const id = parseInt(event.target.dataset.id, 10);
-                handler(id);
+        let pending = null; // Toggle waiting for the double-click delay to pass
+        this.todoList.addEventListener('click', (event) => { // Add an event listener to the todo list for detecting clicks
+            // Check if the clicked element is a list item (li), or a highlighted search match inside its text
+            const li = event.target.tagName === 'MARK' && event.target.parentElement.tagName === 'LI' ? event.target.parentElement : event.target;
+            if (li.tagName === 'LI') {
+                const id = parseInt(li.dataset.id, 10); // Retrieve and parse the id from the list item's data attribute
+                clearTimeout(pending);
+                if (event.detail > 1) return; // Second click of a double-click: cancel the toggle, bindEditTodo takes over
+                if (event.detail === 0) return handler(id); // Keyboard "click": no double-click possible, toggle now
+                pending = setTimeout(() => handler(id), DOUBLE_CLICK_DELAY); // Call the provided toggle handler with the id
             }
         });
+        this.todoList.addEventListener('keydown', (event) => { // Space toggles the focused todo, like a checkbox
+            if (event.key !== ' ' || event.target.tagName !== 'LI') return;
+            event.preventDefault(); // Instead of scrolling the page
+            handler(parseInt(event.target.dataset.id, 10));
+        });
     }
 
-    /* Attaches an event listener to the to-do list.
-     * Calls the provided handler function with the id of
-     * the to-do when the "close" button is clicked.
+    /* Bind the event for removing a todo item: its × button, or Delete (Backspace on a Mac keyboard) while it has the focus.
+     * The focus moves on to the next todo (the previous one at the end of the list) so the keyboard can carry on from there.
      */
     bindRemoveTodo(handler) {
-        this.todoList.addEventListener('click', event => {
-            if (event.target.className === 'close') {
-                const id = parseInt(event.target.parentElement.dataset.id, 10);
-                handler(id);
+        this.todoList.addEventListener('click', (event) => { // Listen for click events on the todo list
+            if (event.target.className === 'close') { // Check if the clicked target is the close button (has class 'close')
+                const id = parseInt(event.target.parentElement.dataset.id, 10); // Parse the id stored in the parent list item element
+                handler(id); // Invoke the removal handler with the todo id
             }
         });
+        this.todoList.addEventListener('keydown', (event) => {
+            if ((event.key !== 'Delete' && event.key !== 'Backspace') || event.target.tagName !== 'LI') return;
+            event.preventDefault();
+            const li = event.target;
+            const todos = this.focusableTodos().filter(item => item === li || !li.contains(item)); // Its subtasks go with it
+            const index = todos.indexOf(li);
+            const next = todos[index + 1] || todos[index - 1];
+            if (next) next.focus();
+            handler(parseInt(li.dataset.id, 10));
+        });
     }
-}
 
-/* Controller:
- * The Controller acts as the mediator between the Model and the View. 
-   It listens for user actions (via the View), updates the Model, and
-   then tells the View to re-render.
-   If the Controller is empty, there will be no logic to 
-   connect the Model and View, so the app will not function.
- * Initializes the app with the provided model and view.
- * Renders the initial to-do list by calling view.
-   renderTodos model.getTodos().
- * Binds the View's events to the Controller's methods.
- */
-/* ==========================
- * Controller: App Logic
- * ==========================
- */
-class Controller {
-    constructor(model, view) {
-        this.model = model;
-        this.view = view;
+    /* Bind the event for changing the due date of an existing todo
+     * Clicking the due label swaps it for a datetime-local input; the new date is saved when the input
+     * loses focus or Enter is pressed, Escape cancels. Clearing the input removes the due date.
+     * The reminder keeps the same distance from the due date as before (at the due time if there was none).
+     */
+    bindSetDue(handler) {
+        this.todoList.addEventListener('click', (event) => {
+            const label = event.target;
+            if (!label.classList.contains('due')) return; // Only react to clicks on the due label
 
-        // Initial render
-        this.view.renderTodos(this.model.getTodos());
+            const li = label.parentElement;
+            const id = parseInt(li.dataset.id, 10); // Id of the todo the label belongs to
+            const oldDue = label.dataset.dueAt ? Number(label.dataset.dueAt) : null;
+            const oldRemind = label.dataset.remindAt ? Number(label.dataset.remindAt) : null;
+            const offset = oldDue !== null && oldRemind !== null ? oldDue - oldRemind : 0; // How long before the due date the reminder was
 
-        // Bind view events to controller methods
-        this.view.bindAddTodo(this.handleAddTodo.bind(this));
-        this.view.bindToggleTodo(this.handleToggleTodo.bind(this));
-        this.view.bindRemoveTodo(this.handleRemoveTodo.bind(this));
+            const input = document.createElement('input'); // Editor that temporarily replaces the label
+            input.type = 'datetime-local';
+            input.className = 'dueEditor';
+            input.value = oldDue !== null ? toInputValue(oldDue) : '';
+            label.replaceWith(input);
+            input.focus();
+
+            let done = false; // Guard so Enter followed by blur does not save twice
+            const finish = (save) => {
+                if (done) return;
+                done = true;
+                if (!save) {
+                    input.replaceWith(label); // Escape: put the untouched label back
+                    return;
+                }
+                const dueAt = fromInputValue(input.value);
+                handler(id, dueAt, dueAt !== null ? dueAt - offset : null); // The list re-renders, removing the editor
+            };
+            input.addEventListener('keydown', (keyEvent) => {
+                if (keyEvent.key === 'Enter') finish(true);
+                if (keyEvent.key === 'Escape') {
+                    finish(false);
+                    li.focus(); // Back to the todo, for the keyboard
+                }
+            });
+            input.addEventListener('blur', () => finish(true));
+        });
     }
 
-    // Adds a new to-do to the Model and re-renders the View.
-    handleAddTodo(todoText) {
-        this.model.addTodo(todoText);
-        this.view.renderTodos(this.model.getTodos());
+    /* Bind in-place editing of a todo's text
+     * Double-click a todo, or press Enter or F2 while it has the focus, to turn its text into an input.
+     * Enter saves, Escape cancels; leaving the input saves too (or cancels if it was emptied).
+     * An empty text is refused with the same message as adding a todo.
+     */
+    bindEditTodo(handler) {
+        const startEditing = (li) => {
+            if (li.querySelector('.textEditor')) return; // Already being edited
+            const id = parseInt(li.dataset.id, 10);
+            // The text is made of text nodes, plus <mark> elements when it is a highlighted search result
+            const textNodes = [...li.childNodes].filter(node => node.nodeType === Node.TEXT_NODE || node.tagName === 'MARK');
+            const original = textNodes.map(node => node.textContent).join('');
+
+            const input = document.createElement('input');
+            input.className = 'textEditor';
+            input.value = original;
+            li.insertBefore(input, textNodes[0] || li.firstChild);
+            textNodes.forEach(node => node.remove());
+            li.draggable = false; // Let the mouse select text in the input instead of dragging the todo
+            input.focus();
+            input.select();
+
+            let done = false; // Guard so Enter followed by blur does not save twice
+            const finish = (save) => {
+                if (done) return;
+                const text = input.value.trim();
+                if (save && !text) {
+                    alert('You must write something!'); // Same rule as adding a todo, keep editing
+                    input.focus();
+                    return;
+                }
+                done = true;
+                if (save && text !== original) {
+                    handler(id, text); // The list re-renders with the new text
+                    return;
+                }
+                textNodes.forEach(node => li.insertBefore(node, input)); // Nothing changed (or cancelled): put the text back
+                input.remove();
+                li.draggable = true;
+                li.focus();
+            };
+            input.addEventListener('keydown', (keyEvent) => {
+                keyEvent.stopPropagation(); // Keys typed into the editor are not shortcuts for the list
+                if (keyEvent.key === 'Enter') finish(true);
+                if (keyEvent.key === 'Escape') finish(false);
+            });
+            input.addEventListener('blur', () => {
+                if (input.value.trim()) {
+                    finish(true);
+                } else {
+                    finish(false); // Leaving an emptied editor cancels instead of nagging
+                }
+            });
+        };
+
+        this.todoList.addEventListener('dblclick', (event) => {
+            const li = event.target.tagName === 'MARK' ? event.target.parentElement : event.target;
+            if (li.tagName === 'LI') startEditing(li);
+        });
+        this.todoList.addEventListener('keydown', (event) => {
+            if ((event.key === 'F2' || event.key === 'Enter') && event.target.tagName === 'LI') {
+                event.preventDefault(); // Or the Enter would reach the new input
+                startEditing(event.target);
+            }
+        });
     }
 
-    // Toggles the completed state of a to-do in the Model and re-renders the View.
-    handleToggleTodo(id) {
-        this.model.toggleTodo(id);
-        this.view.renderTodos(this.model.getTodos());
+    /* Bind the undo / redo shortcuts: Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes (Cmd on macOS).
+     * Inside a text field the keys are left alone so the field's own undo keeps working.
+     */
+    bindUndoRedo(undoHandler, redoHandler) {
+        document.addEventListener('keydown', (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                undoHandler();
+            } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+                event.preventDefault();
+                redoHandler();
+            }
+        });
     }
 
-    // Removes a to-do from the Model and re-renders the View.
-    handleRemoveTodo(id) {
-        this.model.removeTodo(id);
-        this.view.renderTodos(this.model.getTodos());
+    /* Bind the search box
+     * The handler is called with the query after typing pauses briefly, so a fast typist
+     * does not send one search per key press. Escape clears the search.
+     */
+    bindSearch(handler) {
+        let timer = null;
+        this.searchField.addEventListener('input', () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => handler(this.searchField.value.trim()), 150);
+        });
+        this.searchField.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                clearTimeout(timer);
+                this.searchField.value = '';
+                handler('');
+            }
+        });
     }
-}
 
-/* the app is initialized by creating instances of the Model, View, and Controller classes:
- * Adding a To-Do:
-    The user types a task in the input field and clicks the "Add" button.
-    The bindAddTodo method in the View calls handleAddTodo in the Controller.
-    The Controller updates the Model by adding the new to-do and then re-renders the View.
-    
-    Toggling a To-Do:
-    The user clicks on a to-do item in the list.
-    The bindToggleTodo method in the View calls handleToggleTodo in the Controller.
-    The Controller updates the Model by toggling the completed state of the to-do and then re-renders the View.
+    // Bind clicks on tag chips: the handler receives the tag name
+    bindTagClick(handler) {
+        this.todoList.addEventListener('click', (event) => {
+            const chip = event.target.closest('.tag');
+            if (chip) {
+                handler(chip.dataset.tag);
+            }
+        });
+    }
 
-    Removing a To-Do:
-    The user clicks the "close" button next to a to-do item.
-    The bindRemoveTodo method in the View calls handleRemoveTodo in the Controller.
-    The Controller updates the Model by removing the to-do and then re-renders the View. 
+    /* Bind the event for editing the tags of a todo
+     * The "#" button swaps in an input holding the current tags ("#work #urgent"); Enter or leaving
+     * the input saves, Escape cancels. The handler receives the todo id and the array of tag names.
+     */
+    bindSetTags(handler) {
+        this.todoList.addEventListener('click', (event) => {
+            if (!event.target.classList.contains('editTags')) return;
+            const button = event.target;
+            const li = button.parentElement;
+            const id = parseInt(li.dataset.id, 10);
+            const current = [...li.querySelectorAll(':scope > .tag')].map(chip => `#${chip.dataset.tag}`);
+
+            const input = document.createElement('input');
+            input.className = 'tagEditor';
+            input.placeholder = '#tag #another';
+            input.value = current.join(' ');
+            button.replaceWith(input);
+            input.focus();
+
+            let done = false; // Guard so Enter followed by blur does not save twice
+            const finish = (save) => {
+                if (done) return;
+                done = true;
+                const tags = (input.value.match(/#?[\p{L}\p{N}_-]+/gu) || []).map(tag => tag.replace(/^#/, ''));
+                if (save && tags.join(' ') !== current.join(' ').replace(/#/g, '')) {
+                    handler(id, tags); // The list re-renders, removing the editor
+                } else {
+                    input.replaceWith(button);
+                }
+            };
+            input.addEventListener('keydown', (keyEvent) => {
+                keyEvent.stopPropagation(); // Keys typed into the editor are not shortcuts for the list
+                if (keyEvent.key === 'Enter') finish(true);
+                if (keyEvent.key === 'Escape') {
+                    finish(false);
+                    li.focus();
+                }
+            });
+            input.addEventListener('blur', () => finish(true));
+        });
+    }
+
+    /* Bind the event for changing how a todo repeats
+     * Clicking the repeat label swaps in an input with the rule, suggesting the presets (any FREQ=... rule can be typed);
+     * Enter or leaving the input saves, Escape cancels, and an emptied input stops the todo repeating.
+     * The handler receives the todo id and the rule (null to stop repeating).
+     */
+    bindSetRecurrence(handler) {
+        this.todoList.addEventListener('click', (event) => {
+            if (!event.target.classList.contains('repeat')) return;
+            const label = event.target;
+            const li = label.parentElement;
+            const id = parseInt(li.dataset.id, 10);
+            const input = document.createElement('input');
+            input.className = 'repeatEditor';
+            input.setAttribute('list', 'recurrencePresets');
+            input.placeholder = 'FREQ=WEEKLY;BYDAY=MO';
+            input.value = label.dataset.rule;
+            label.replaceWith(input);
+            input.focus();
+
+            let done = false; // Guard so Enter followed by blur does not save twice
+            const finish = (save) => {
+                if (done) return;
+                done = true;
+                const rule = input.value.trim();
+                if (save && rule !== label.dataset.rule) {
+                    handler(id, rule || null); // The list re-renders, removing the editor
+                } else {
+                    input.replaceWith(label);
+                }
+            };
+            input.addEventListener('keydown', (keyEvent) => {
+                keyEvent.stopPropagation(); // Keys typed into the editor are not shortcuts for the list
+                if (keyEvent.key === 'Enter') finish(true);
+                if (keyEvent.key === 'Escape') {
+                    finish(false);
+                    li.focus();
+                }
+            });
+            input.addEventListener('blur', () => finish(true));
+        });
+    }
+
+    /* Bind the priority editor of a todo
+     * Clicking the marker swaps it for a menu of the levels; picking one saves it, Escape or leaving the menu cancels.
+     */
+    bindSetPriority(handler) {
+        this.todoList.addEventListener('click', (event) => {
+            if (!event.target.classList.contains('priority')) return;
+            const marker = event.target;
+            const li = marker.parentElement;
+            const id = parseInt(li.dataset.id, 10);
+            const select = document.createElement('select');
+            select.className = 'priorityEditor';
+            PRIORITY_NAMES.forEach((name, level) => select.appendChild(new Option(name, level)));
+            select.value = marker.dataset.priority;
+            marker.replaceWith(select);
+            select.focus();
+
+            let done = false; // Guard so the change followed by blur does not finish twice
+            const finish = (save) => {
+                if (done) return;
+                done = true;
+                if (save && select.value !== marker.dataset.priority) {
+                    handler(id, Number(select.value)); // The list re-renders, removing the editor
+                } else {
+                    select.replaceWith(marker);
+                }
+            };
+            select.addEventListener('change', () => finish(true));
+            select.addEventListener('keydown', (keyEvent) => {
+                keyEvent.stopPropagation(); // Keys pressed in the menu are not shortcuts for the list
+                if (keyEvent.key === 'Escape') {
+                    finish(false);
+                    li.focus();
+                }
+            });
+            select.addEventListener('blur', () => finish(false));
+        });
+    }
+
+    // Bind the "Today" entry above the lists: clicking it, or Enter / Space while it has the focus, shows the Today view
+    bindShowToday(handler) {
+        this.todayButton.addEventListener('click', () => handler());
+        this.todayButton.addEventListener('keydown', (event) => {
+            if (event.key !== 'Enter' && event.key !== ' ') return;
+            event.preventDefault();
+            handler();
+        });
+    }
+
+    // Bind the event for switching lists: clicking a list in the sidebar, or Enter / Space while it has the focus, selects it
+    bindSelectList(handler) {
+        this.listList.addEventListener('click', (event) => {
+            const li = event.target.closest('li');
+            if (li && !event.target.classList.contains('deleteList') && !li.querySelector('input')) {
+                handler(parseInt(li.dataset.id, 10)); // Call the handler with the list id
+            }
+        });
+        this.listList.addEventListener('keydown', (event) => {
+            if ((event.key !== 'Enter' && event.key !== ' ') || event.target.tagName !== 'LI') return;
+            event.preventDefault();
+            handler(parseInt(event.target.dataset.id, 10));
+        });
+    }
+
+    // Bind the event for creating a list: type a name in the "New list" input and press Enter
+    bindCreateList(handler) {
+        this.newListField.addEventListener('keydown', (event) => {
+            if (event.key !== 'Enter') return;
+            const name = this.newListField.value.trim();
+            if (name) {
+                handler(name); // Call the handler with the new list name
+                this.newListField.value = '';
+            } else {
+                alert('You must write something!'); // Same rule as adding a todo
+            }
+        });
+    }
+
+    /* Bind the event for renaming a list
+     * Double-clicking a list name (or F2 on the focused list) swaps it for an input; Enter or leaving the input saves, Escape cancels.
+     */
+    bindRenameList(handler) {
+        const startEditing = (label) => {
+            const li = label.parentElement;
+            const id = parseInt(li.dataset.id, 10);
+            const input = document.createElement('input');
+            input.className = 'listNameEditor';
+            input.value = label.textContent;
+            label.replaceWith(input);
+            input.select();
+
+            let done = false; // Guard so Enter followed by blur does not save twice
+            const finish = (save) => {
+                if (done) return;
+                done = true;
+                const name = input.value.trim();
+                if (save && name && name !== label.textContent) {
+                    handler(id, name); // The lists re-render, removing the editor
+                } else {
+                    input.replaceWith(label); // Nothing changed (or cancelled): put the label back
+                }
+            };
+            input.addEventListener('keydown', (keyEvent) => {
+                keyEvent.stopPropagation(); // Keys typed into the editor do not select or delete the list
+                if (keyEvent.key === 'Enter') finish(true);
+                if (keyEvent.key === 'Escape') {
+                    finish(false);
+                    li.focus();
+                }
+            });
+            input.addEventListener('blur', () => finish(true));
+        };
+
+        this.listList.addEventListener('dblclick', (event) => {
+            if (event.target.classList.contains('listName')) startEditing(event.target);
+        });
+        this.listList.addEventListener('keydown', (event) => {
+            if (event.key === 'F2' && event.target.tagName === 'LI') startEditing(event.target.querySelector('.listName'));
+        });
+    }
+
+    /* Bind the event for deleting a list
+     * The × button (or Delete on the focused list) opens a dialog asking whether the list's todos should be moved to the Inbox
+     * or deleted; the handler receives the list id and the chosen mode ('move' or 'cascade').
+     */
+    bindDeleteList(handler) {
+        let pendingId = null; // List waiting for the user's answer
+        const ask = (li) => {
+            pendingId = parseInt(li.dataset.id, 10);
+            this.deleteListDialog.querySelector('.dialogListName').textContent = li.querySelector('.listName').textContent;
+            this.deleteListDialog.showModal();
+        };
+        this.listList.addEventListener('click', (event) => {
+            if (event.target.classList.contains('deleteList')) ask(event.target.parentElement);
+        });
+        this.listList.addEventListener('keydown', (event) => {
+            const li = event.target;
+            if (event.key === 'Delete' && li.tagName === 'LI' && li.querySelector('.deleteList')) ask(li); // The Inbox has no × button
+        });
+        // The dialog's buttons close it with their value ('move', 'cascade' or 'cancel')
+        this.deleteListDialog.addEventListener('close', () => {
+            const mode = this.deleteListDialog.returnValue;
+            if (pendingId !== null && (mode === 'move' || mode === 'cascade')) {
+                handler(pendingId, mode);
+            }
+            pendingId = null;
+        });
+    }
+
+    /* Bind manual reordering of the todos
+     * Drag a todo up or down the list (a line shows where it will land), or press Alt+Up / Alt+Down
+     * while it has the focus. A subtask only moves among the subtasks of the same todo.
+     * The handler receives the ids of the moved todo and its siblings in their new order, and the id of the moved todo.
+     */
+    bindReorderTodos(handler) {
+        let dragged = null; // Todo being dragged, null when the drag did not start in #myUL
+        let draggedId = null;
+        const clearMarkers = () => {
+            this.todoList.querySelectorAll('.dropBefore, .dropAfter').forEach(li => li.classList.remove('dropBefore', 'dropAfter'));
+        };
+        // The sibling of the dragged todo under the mouse (the todo itself when over one of its subtasks)
+        const targetOf = (event) => {
+            let li = event.target.closest('li');
+            while (li && li.parentElement !== dragged.parentElement) li = li.parentElement.closest('li');
+            return li;
+        };
+        this.todoList.addEventListener('dragstart', (event) => {
+            dragged = event.target.tagName === 'LI' ? event.target : null;
+            draggedId = dragged ? parseInt(dragged.dataset.id, 10) : null;
+        });
+        this.todoList.addEventListener('dragend', () => {
+            dragged = null;
+            draggedId = null;
+            clearMarkers();
+        });
+        this.todoList.addEventListener('dragover', (event) => {
+            if (draggedId === null || !this.todoList.classList.contains('sortable')) return;
+            const li = targetOf(event);
+            if (!li) return;
+            event.preventDefault(); // Allow dropping here
+            const rect = li.getBoundingClientRect();
+            const after = event.clientY > rect.top + rect.height / 2; // Lower half: the todo lands below this one
+            clearMarkers();
+            li.classList.add(after ? 'dropAfter' : 'dropBefore');
+        });
+        this.todoList.addEventListener('drop', (event) => {
+            if (draggedId === null) return;
+            const li = targetOf(event);
+            if (!li) return;
+            event.preventDefault();
+            const after = li.classList.contains('dropAfter');
+            const targetId = parseInt(li.dataset.id, 10);
+            clearMarkers();
+            if (targetId === draggedId) return;
+            const ids = this.siblingIds(dragged).filter(id => id !== draggedId);
+            ids.splice(ids.indexOf(targetId) + (after ? 1 : 0), 0, draggedId);
+            handler(ids, draggedId);
+        });
+        this.todoList.addEventListener('keydown', (event) => {
+            if (!event.altKey || (event.key !== 'ArrowUp' && event.key !== 'ArrowDown')) return;
+            if (event.target.tagName !== 'LI' || !this.todoList.classList.contains('sortable')) return;
+            event.preventDefault();
+            const ids = this.siblingIds(event.target);
+            const id = parseInt(event.target.dataset.id, 10);
+            const from = ids.indexOf(id);
+            const to = from + (event.key === 'ArrowUp' ? -1 : 1);
+            if (to < 0 || to >= ids.length) return; // Already at the top / bottom
+            [ids[from], ids[to]] = [ids[to], ids[from]];
+            handler(ids, id);
+        });
+    }
+
+    // Bind the "New todos at the top / bottom" setting: the handler receives 'top' or 'bottom'
+    bindSetNewTodoPosition(handler) {
+        this.newTodoPositionField.addEventListener('change', () => handler(this.newTodoPositionField.value));
+    }
+
+    // Bind the "Complete a todo when its subtasks are done" setting: the handler receives true or false
+    bindSetAutoCompleteParent(handler) {
+        this.autoCompleteParentField.addEventListener('change', () => handler(this.autoCompleteParentField.checked));
+    }
+
+    /* Bind the quick add shortcut field: pressing keys in it records them as the shortcut, Backspace or Delete
+     * on their own remove it, Tab moves on as usual. The handler receives the accelerator, or '' for none;
+     * the field keeps showing the old shortcut until the controller sets the new one.
+     */
+    bindSetQuickAddShortcut(handler) {
+        this.quickAddShortcutField.addEventListener('keydown', (event) => {
+            const plain = !event.ctrlKey && !event.metaKey && !event.altKey;
+            if (plain && event.key === 'Tab') return;
+            event.preventDefault();
+            if (plain && !event.shiftKey && (event.key === 'Backspace' || event.key === 'Delete')) {
+                handler('');
+                return;
+            }
+            const accelerator = acceleratorFromEvent(event);
+            if (accelerator) handler(accelerator);
+        });
+    }
+
+    // Bind the "Keep running in the tray" setting: the handler receives true or false
+    bindSetKeepInTray(handler) {
+        this.keepInTrayField.addEventListener('change', () => handler(this.keepInTrayField.checked));
+    }
+
+    // Bind the All / Active / Completed buttons: the handler receives 'all', 'active' or 'completed'
+    bindSetFilter(handler) {
+        this.filterButtons.forEach(button => button.addEventListener('click', () => handler(button.value)));
+    }
+
+    // Bind the "Sort by" menu: the handler receives 'manual', 'created', 'text', 'due' or 'priority'
+    bindSetSort(handler) {
+        this.sortField.addEventListener('change', () => handler(this.sortField.value));
+    }
+
+    // Bind the "Clear completed" button
+    bindClearCompleted(handler) {
+        this.clearCompletedButton.addEventListener('click', () => handler());
+    }
+
+    // Bind the archive: the "Archive" button shows or hides it (the handler receives true to show it),
+    // and the "Restore" button of an archived todo puts it back (the handler receives its id)
+    bindArchive(showHandler, restoreHandler) {
+        this.archiveButton.addEventListener('click', () => showHandler(!this.archiveButton.classList.contains('selected')));
+        this.archiveList.addEventListener('click', (event) => {
+            if (event.target.classList.contains('restore')) {
+                restoreHandler(parseInt(event.target.parentElement.dataset.id, 10));
+            }
+        });
+    }
+
+    /* Bind opening and closing the detail pane: the "≡" button of a todo (or "O" while it has the focus) opens it,
+     * its "×" button or Escape inside it closes it. Closing puts the focus back on the todo.
+     * showHandler receives the todo id.
+     */
+    bindDetails(showHandler, closeHandler) {
+        this.todoList.addEventListener('click', (event) => {
+            if (event.target.classList.contains('openDetails')) {
+                showHandler(parseInt(event.target.parentElement.dataset.id, 10));
+            }
+        });
+        const close = () => {
+            const id = this.detailPane.dataset.id;
+            if (document.activeElement === this.notesField) this.notesField.blur(); // Saves the notes first (see bindSetNotes)
+            closeHandler();
+            if (id) this.focusTodo(id);
+        };
+        this.closeDetailsButton.addEventListener('click', close);
+        this.detailPane.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                close();
+            }
+        });
+    }
+
+    /* Bind editing the notes: they are saved when the field loses the focus (Ctrl+Enter saves and shows them rendered),
+     * if they changed. Write / Preview switch between the field and the rendered notes.
+     * The handler receives the todo id and the notes.
+     */
+    bindSetNotes(handler) {
+        const save = () => {
+            const notes = this.notesField.value;
+            if (notes === this.savedNotes || !this.detailPane.dataset.id) return;
+            this.savedNotes = notes;
+            handler(parseInt(this.detailPane.dataset.id, 10), notes);
+        };
+        this.notesField.addEventListener('blur', save);
+        this.notesField.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+                event.preventDefault();
+                save();
+                this.showNotes('preview');
+                this.notesTabs[0].focus();
+            }
+        });
+        this.notesTabs.forEach((button) => {
+            button.addEventListener('click', () => {
+                this.showNotes(button.value);
+                if (button.value === 'write') this.notesField.focus();
+            });
+        });
+    }
+
+    /* Bind the links in the rendered notes: the window itself never navigates (see createWindow in main.js),
+     * the handler receives the address to open in the browser instead.
+     */
+    bindOpenLink(handler) {
+        this.notesPreview.addEventListener('click', (event) => {
+            const link = event.target.closest('a');
+            if (!link) return;
+            event.preventDefault();
+            handler(link.href);
+        });
+    }
+
+    /* Bind the attachments of the todo in the pane: "Attach files…" (addHandler receives the todo id),
+     * a file's name opens it and "×" removes it after asking (openHandler and removeHandler receive the attachment id).
+     */
+    bindAttachments(addHandler, openHandler, removeHandler) {
+        this.addAttachmentsButton.addEventListener('click', () => {
+            if (this.detailPane.dataset.id) addHandler(parseInt(this.detailPane.dataset.id, 10));
+        });
+        this.attachmentList.addEventListener('click', (event) => {
+            const li = event.target.closest('li');
+            if (!li || !li.dataset.id) return;
+            const id = parseInt(li.dataset.id, 10);
+            if (event.target.classList.contains('attachmentName')) {
+                openHandler(id);
+            } else if (event.target.classList.contains('removeAttachment')) {
+                const name = li.querySelector('.attachmentName').textContent;
+                if (confirm(`Remove "${name}" from this todo? The copy kept by the app is deleted, this cannot be undone.`)) removeHandler(id);
+            }
+        });
+    }
+
+    /* Bind the timers: the "▶" / "■" button of a todo (or "W" while it has the focus) starts a timer on it or stops it
+     * (toggleHandler receives the todo id), "Start timer" / "Start Pomodoro" in the detail pane start one on its todo
+     * (startHandler receives the id and 'timer' or 'pomodoro'), and "Stop" in the timer bar stops it (stopHandler).
+     */
+    bindTimer(toggleHandler, startHandler, stopHandler) {
+        this.todoList.addEventListener('click', (event) => {
+            if (event.target.classList.contains('timer')) {
+                toggleHandler(parseInt(event.target.parentElement.dataset.id, 10));
+            }
+        });
+        this.timerButtons.forEach((button) => {
+            button.addEventListener('click', () => {
+                if (this.detailPane.dataset.id) startHandler(parseInt(this.detailPane.dataset.id, 10), button.value);
+            });
+        });
+        this.stopTimerButton.addEventListener('click', () => stopHandler());
+    }
+
+    // Bind the Pomodoro and break lengths: the handler receives the setting ('pomodoroMinutes' or 'breakMinutes') and the minutes
+    bindSetPomodoroLengths(handler) {
+        this.pomodoroFields.forEach((field) => {
+            field.addEventListener('change', () => handler(field.id, Number(field.value)));
+        });
+    }
+
+    /* Bind the event for adding a subtask
+     * The "+" button opens an input under the todo; Enter adds the subtask, Escape or leaving the input closes it.
+     * The handler receives the parent's id and the text.
+     */
+    bindAddSubtask(handler) {
+        this.todoList.addEventListener('click', (event) => {
+            if (!event.target.classList.contains('addSubtask')) return;
+            const li = event.target.parentElement;
+            const parentId = parseInt(li.dataset.id, 10);
+            const input = document.createElement('input');
+            input.className = 'subtaskEditor';
+            input.placeholder = 'Subtask...';
+            li.insertBefore(input, li.querySelector(':scope > ul.subtasks'));
+            input.focus();
+            input.addEventListener('keydown', (keyEvent) => {
+                keyEvent.stopPropagation(); // Keys typed into the editor are not shortcuts for the list
+                if (keyEvent.key === 'Escape') {
+                    input.remove();
+                    li.focus();
+                }
+                if (keyEvent.key !== 'Enter') return;
+                const text = input.value.trim();
+                if (text) {
+                    handler(parentId, text); // The list re-renders, removing the editor
+                } else {
+                    alert('You must write something!'); // Same rule as adding a todo
+                }
+            });
+            input.addEventListener('blur', () => input.remove());
+        });
+    }
+
+    // Bind the arrow in front of a todo with subtasks: the handler receives the todo id and whether to collapse it
+    bindToggleCollapsed(handler) {
+        this.todoList.addEventListener('click', (event) => {
+            if (!event.target.classList.contains('twisty')) return;
+            const li = event.target.parentElement;
+            handler(parseInt(li.dataset.id, 10), !li.classList.contains('collapsed'));
+        });
+    }
+
+    // Bind loading more of a long list: the handler receives how many of its top-level todos the window needs loaded
+    bindLoadMore(handler) {
+        this.loadMoreHandler = handler;
+    }
+
+    // Bind the event for moving a todo: drag it from #myUL and drop it on a list in the sidebar
+    bindMoveTodo(handler) {
+        this.todoList.addEventListener('dragstart', (event) => {
+            if (event.target.tagName === 'LI') {
+                event.dataTransfer.setData('application/x-todo-id', event.target.dataset.id); // Remember which todo is dragged
+                event.dataTransfer.effectAllowed = 'move';
+            }
+        });
+        this.listList.addEventListener('dragover', (event) => {
+            const li = event.target.closest('li');
+            if (li && event.dataTransfer.types.includes('application/x-todo-id')) {
+                event.preventDefault(); // Allow dropping todos on lists
+                li.classList.add('dropTarget');
+            }
+        });
+        this.listList.addEventListener('dragleave', (event) => {
+            const li = event.target.closest('li');
+            if (li) li.classList.remove('dropTarget');
+        });
+        this.listList.addEventListener('drop', (event) => {
+            const li = event.target.closest('li');
+            if (!li) return;
+            event.preventDefault();
+            li.classList.remove('dropTarget');
+            const todoId = parseInt(event.dataTransfer.getData('application/x-todo-id'), 10);
+            handler(todoId, parseInt(li.dataset.id, 10)); // Call the handler with the todo id and the target list id
+        });
+    }
+}
+
+/* ==========================
+ * Undo history
+ * ==========================
+ * Every change to a todo goes through a command object:
+ *   { label, do(), undo(), redo() }   (all returning promises, redo defaults to do)
+ * execute() runs a new command and remembers it; undo() and redo() walk back and forth.
+ * Commands run one at a time, so pressing Ctrl+Z quickly several times undoes in order.
+ */
+class UndoHistory {
+    constructor(limit = 100) {
+        this.undoStack = []; // Commands that can be undone, the most recent last
+        this.redoStack = []; // Commands that were undone and can be redone
+        this.limit = limit;  // How many steps are kept
+        this.queue = Promise.resolve();
+    }
+
+    // Run a new command; this clears the redo stack like in any editor
+    execute(command) {
+        return this.enqueue(async () => {
+            await command.do();
+            this.undoStack.push(command);
+            if (this.undoStack.length > this.limit) this.undoStack.shift();
+            this.redoStack = [];
+            return command;
+        });
+    }
+
+    // Undo the most recent command, resolves with it (or null if there was nothing to undo)
+    undo() {
+        return this.enqueue(async () => {
+            const command = this.undoStack.pop();
+            if (!command) return null;
+            await command.undo();
+            this.redoStack.push(command);
+            return command;
+        });
+    }
+
+    // Redo the most recently undone command, resolves with it (or null if there was nothing to redo)
+    redo() {
+        return this.enqueue(async () => {
+            const command = this.redoStack.pop();
+            if (!command) return null;
+            await (command.redo || command.do).call(command);
+            this.undoStack.push(command);
+            return command;
+        });
+    }
+
+    enqueue(step) {
+        const result = this.queue.then(step);
+        this.queue = result.catch(() => {}); // A failed step must not block the ones after it
+        return result;
+    }
+}
+
+// Controller: Connects the Model and View, and manages app logic
+class Controller {
+    constructor(model, view) {
+        this.model = model; // Save the model object
+        this.view = view;   // Save the view object
+
+        // The list shown on screen, remembered between sessions (the Inbox the first time)
+        this.listId = parseInt(localStorage.getItem('selectedListId'), 10) || INBOX_LIST_ID;
+        this.searchQuery = ''; // Text in the search box; while it is not empty the search results replace the list
+        this.searchRequest = 0; // Counter used to ignore answers to searches that were overtaken by newer ones
+        this.shownRequest = 0; // The request whose answer is on screen; while it is behind searchRequest a fetch is under way
+        this.todos = []; // The todos of the list on screen (or the search results), so handlers know a todo's old values (for undo)
+        this.total = null; // How many top-level todos the list has, while only the first of them are loaded (see isPaged)
+        this.pageLimit = PAGE_SIZE; // How many top-level todos of the list to load
+        this.loadingMore = false; // True while handleLoadMore waits for the model
+        this.refreshing = Promise.resolve(); // The latest refreshTodos
+        this.terms = []; // Search words to highlight in them
+        this.filter = 'all'; // Which of them are shown and in what order (the todoFilter / todoSort settings, loaded below)
+        this.sort = 'manual';
+        this.showingArchive = false; // True while the archive replaces the list
+        this.showingToday = false; // True while the Today view replaces the list
+        this.detailId = null; // The todo in the detail pane, null while it is closed
+        this.detailAttachments = null; // How many attachments the pane shows, to notice when they change (null until fetched)
+        this.timer = null; // The timer that runs (see timer.js), null for none
+        this.timerTicks = null; // Interval moving its clocks on
+        this.history = new UndoHistory(); // Undo / redo of every todo change
+
+        // // Previous way of binding events to the controller's handler methods
+        // /* Binding "this":
+        //  * 
+        //  * With regular functions, the context of "this" can change, 
+        //  * so it is needed to call .bind(this) to ensure your handler methods 
+        //  * refer to the Controller instance. Arrow functions, however, do not have their own 
+        //  * "this" and it will automatically capture the surrounding context.
+        //  */
+        //
+        // Bind view events to the controller's handler methods, ensuring 'this' context is preserved
+        // this.view.bindAddTodo(this.handleAddTodo.bind(this)); // Bind the add todo event to the controller's add handler
+        // this.view.bindToggleTodo(this.handleToggleTodo.bind(this)); // Bind the toggle event to the controller's toggle handler
+        // this.view.bindRemoveTodo(this.handleRemoveTodo.bind(this)); // Bind the remove event to the controller's remove handler
+
+        /* Cleaner Code:
+         *
+         *Defining handler methods as arrow functions in the class removes the need for 
+         *repetitive binding in the constructor, resulting in more concise and readable code.
+         */
+        // Bind handler methods explicitly so "this" refers to the Controller instance.
+        this.handleAddTodo = this.handleAddTodo.bind(this);
+        this.handleToggleTodo = this.handleToggleTodo.bind(this);
+        this.handleRemoveTodo = this.handleRemoveTodo.bind(this);
+        this.handleSetDue = this.handleSetDue.bind(this);
+        this.handleSelectList = this.handleSelectList.bind(this);
+        this.handleCreateList = this.handleCreateList.bind(this);
+        this.handleRenameList = this.handleRenameList.bind(this);
+        this.handleDeleteList = this.handleDeleteList.bind(this);
+        this.handleMoveTodo = this.handleMoveTodo.bind(this);
+        this.handleReorderTodos = this.handleReorderTodos.bind(this);
+        this.handleSetNewTodoPosition = this.handleSetNewTodoPosition.bind(this);
+        this.handleSetAutoCompleteParent = this.handleSetAutoCompleteParent.bind(this);
+        this.handleSetQuickAddShortcut = this.handleSetQuickAddShortcut.bind(this);
+        this.handleSetKeepInTray = this.handleSetKeepInTray.bind(this);
+        this.handleAddSubtask = this.handleAddSubtask.bind(this);
+        this.handleToggleCollapsed = this.handleToggleCollapsed.bind(this);
+        this.handleSetFilter = this.handleSetFilter.bind(this);
+        this.handleSetSort = this.handleSetSort.bind(this);
+        this.handleClearCompleted = this.handleClearCompleted.bind(this);
+        this.handleShowArchive = this.handleShowArchive.bind(this);
+        this.handleRestoreArchived = this.handleRestoreArchived.bind(this);
+        this.handleSearch = this.handleSearch.bind(this);
+        this.handleTagClick = this.handleTagClick.bind(this);
+        this.handleSetTags = this.handleSetTags.bind(this);
+        this.handleSetRecurrence = this.handleSetRecurrence.bind(this);
+        this.handleSetPriority = this.handleSetPriority.bind(this);
+        this.handleShowToday = this.handleShowToday.bind(this);
+        this.handleEditTodo = this.handleEditTodo.bind(this);
+        this.handleShowDetails = this.handleShowDetails.bind(this);
+        this.handleCloseDetails = this.handleCloseDetails.bind(this);
+        this.handleSetNotes = this.handleSetNotes.bind(this);
+        this.handleOpenLink = this.handleOpenLink.bind(this);
+        this.handleAddAttachments = this.handleAddAttachments.bind(this);
+        this.handleOpenAttachment = this.handleOpenAttachment.bind(this);
+        this.handleRemoveAttachment = this.handleRemoveAttachment.bind(this);
+        this.handleToggleTimer = this.handleToggleTimer.bind(this);
+        this.handleStartTimer = this.handleStartTimer.bind(this);
+        this.handleStopTimer = this.handleStopTimer.bind(this);
+        this.handleSetPomodoroLength = this.handleSetPomodoroLength.bind(this);
+        this.handleLoadMore = this.handleLoadMore.bind(this);
+        this.handleUndo = this.handleUndo.bind(this);
+        this.handleRedo = this.handleRedo.bind(this);
+        this.refreshTodos = this.refreshTodos.bind(this);
+        this.refreshLists = this.refreshLists.bind(this);
+        this.showTodos = this.showTodos.bind(this);
+        this.showSettings = this.showSettings.bind(this);
+        this.showTimer = this.showTimer.bind(this);
+        this.applyChange = this.applyChange.bind(this);
+        this.showError = this.showError.bind(this);
+        // Now no need to bind since arrow functions automatically bind "this"
+        this.view.bindAddTodo(this.handleAddTodo); // Bind the add todo event to the controller's add handler
+        this.view.bindToggleTodo(this.handleToggleTodo); // Bind the toggle event to the controller's toggle handler
+        this.view.bindRemoveTodo(this.handleRemoveTodo); // Bind the remove event to the controller's remove handler
+        this.view.bindSetDue(this.handleSetDue); // Bind the due date editor to the controller's due date handler
+        this.view.bindSelectList(this.handleSelectList); // Bind the sidebar lists to the controller's list handlers
+        this.view.bindCreateList(this.handleCreateList);
+        this.view.bindRenameList(this.handleRenameList);
+        this.view.bindDeleteList(this.handleDeleteList);
+        this.view.bindMoveTodo(this.handleMoveTodo); // Bind dragging todos onto a list
+        this.view.bindReorderTodos(this.handleReorderTodos); // Bind dragging todos up and down the list, and Alt+Up/Down
+        this.view.bindSetNewTodoPosition(this.handleSetNewTodoPosition);
+        this.view.bindSetAutoCompleteParent(this.handleSetAutoCompleteParent);
+        this.view.bindSetQuickAddShortcut(this.handleSetQuickAddShortcut); // Bind the quick add shortcut and tray settings
+        this.view.bindSetKeepInTray(this.handleSetKeepInTray);
+        this.view.bindSetPomodoroLengths(this.handleSetPomodoroLength);
+        this.view.bindAddSubtask(this.handleAddSubtask); // Bind the "+" button and the arrow of todos with subtasks
+        this.view.bindToggleCollapsed(this.handleToggleCollapsed);
+        this.view.bindSetFilter(this.handleSetFilter); // Bind the All / Active / Completed buttons and the "Sort by" menu
+        this.view.bindSetSort(this.handleSetSort);
+        this.view.bindClearCompleted(this.handleClearCompleted); // Bind "Clear completed" and the archive
+        this.view.bindArchive(this.handleShowArchive, this.handleRestoreArchived);
+        this.view.bindSearch(this.handleSearch); // Bind the search box, tag chips and tag editor
+        this.view.bindTagClick(this.handleTagClick);
+        this.view.bindSetTags(this.handleSetTags);
+        this.view.bindSetRecurrence(this.handleSetRecurrence); // Bind the repeat editor of a todo
+        this.view.bindSetPriority(this.handleSetPriority); // Bind the priority marker of a todo
+        this.view.bindShowToday(this.handleShowToday); // Bind the "Today" entry above the lists
+        this.view.bindEditTodo(this.handleEditTodo); // Bind in-place editing of a todo's text
+        this.view.bindDetails(this.handleShowDetails, this.handleCloseDetails); // Bind the detail pane: notes, their links and attachments
+        this.view.bindSetNotes(this.handleSetNotes);
+        this.view.bindOpenLink(this.handleOpenLink);
+        this.view.bindAttachments(this.handleAddAttachments, this.handleOpenAttachment, this.handleRemoveAttachment);
+        this.view.bindTimer(this.handleToggleTimer, this.handleStartTimer, this.handleStopTimer); // Bind the timer buttons and the timer bar
+        this.view.bindUndoRedo(this.handleUndo, this.handleRedo); // Bind Ctrl+Z / Ctrl+Shift+Z
+        this.view.bindLoadMore(this.handleLoadMore); // Bind scrolling down a long list
+
+        // Bring over todos saved by the older localStorage build (runs once, then refreshes the list)
+        this.migrateLegacyTodos();
+
+        // Initial render: Fetch the lists and todos from the model and display them in the view
+        this.refreshTodos();
+        this.model.getSettings().then(this.showSettings, this.showError);
+
+        // File menu: export the list on screen, and show what an import brought in
+        this.model.onExportListRequest(() => {
+            this.model.exportTodos(this.listId).then((result) => {
+                if (result) this.view.showToast(`Exported ${result.count} todos`);
+            }, this.showError);
+        });
+        this.model.onTodosImported((count) => {
+            this.view.showToast(`Imported ${count} todos`);
+            this.refreshTodos();
+        });
+
+        // Fetch again when a reminder fires, and re-render once a minute so "overdue" / "due today" stay accurate
+        // (only the todos whose label changed are drawn again)
+        this.model.onReminder(this.refreshTodos);
+        setInterval(this.showTodos, 60 * 1000);
+
+        // Keep up with the changes made here and in the app's other windows
+        this.model.onTodosChanged(this.applyChange);
+
+        // and with the timer, which may run on from before, or be started or stopped in another window
+        this.model.getTimer().then(this.showTimer, this.showError);
+        this.model.onTimerChanged(this.showTimer);
+    }
+
+    /* Fetch the selected list's todos (or the search results, the Today view or the archive) again and re-render them, along with the sidebar counts.
+     * A list that is loaded a page at a time (see isPaged) gets as many top-level todos as were loaded before, and how many it has in all.
+     */
+    refreshTodos() {
+        const request = ++this.searchRequest;
+        if (this.showingArchive) {
+            const archived = this.model.getArchivedTodos().then((items) => {
+                if (request === this.searchRequest) this.view.renderArchive(items);
+            }, this.showError);
+            this.refreshing = Promise.all([archived, this.refreshLists()]);
+            return this.refreshing;
+        }
+        let loaded;
+        if (this.searchQuery) {
+            loaded = this.model.searchTodos(this.searchQuery);
+        } else if (this.showingToday) {
+            loaded = this.model.getTodayTodos().then(todos => ({ todos, terms: [] })); // Picked and ranked by the model, across every list
+        } else if (this.isPaged()) {
+            loaded = Promise.all([this.model.getTodos(this.listId, 0, this.pageLimit), this.model.countTodos(this.listId)])
+                .then(([todos, total]) => ({ todos, terms: [], total }));
+        } else {
+            loaded = this.model.getTodos(this.listId).then(todos => ({ todos, terms: [] }));
+        }
+        const rendered = loaded.then(({ todos, terms, total = null }) => {
+            if (request === this.searchRequest) { // Drop answers overtaken by a newer search or list switch
+                this.shownRequest = request;
+                this.renderTodos(todos, terms, total);
+            }
+        }, this.showError);
+        this.refreshing = Promise.all([rendered, this.refreshLists()]);
+        return this.refreshing;
+    }
+
+    // Show the list again from the database, every todo drawn afresh (after a refused change, which may have left an editor open)
+    reload() {
+        this.view.forgetRendered();
+        return this.refreshTodos();
+    }
+
+    // Whether the list is loaded a page at a time: only in the manual order with every todo shown, the order the pages come in
+    isPaged() {
+        return !this.searchQuery && !this.showingToday && !this.showingArchive && this.filter === 'all' && this.sort === 'manual';
+    }
+
+    /* Handler method for scrolling near the end of what is loaded of a long list: fetch its next top-level todos,
+     * in whole pages up to count, and add them below the others
+     */
+    handleLoadMore(count) {
+        if (this.total === null || this.loadingMore || !this.isPaged() || this.shownRequest !== this.searchRequest) return;
+        const request = this.searchRequest;
+        const offset = this.todos.filter(todo => todo.parent_id === null).length;
+        const limit = Math.ceil((Math.min(count, this.total) - offset) / PAGE_SIZE) * PAGE_SIZE;
+        if (limit <= 0) return;
+        this.loadingMore = true;
+        this.model.getTodos(this.listId, offset, limit).then((todos) => {
+            this.loadingMore = false;
+            if (request !== this.searchRequest) return; // The list was fetched again meanwhile
+            const loaded = new Set(this.todos.map(todo => todo.id));
+            const added = todos.filter(todo => !loaded.has(todo.id));
+            const found = todos.filter(todo => todo.parent_id === null).length;
+            this.pageLimit = offset + limit;
+            this.renderTodos(this.todos.concat(added).sort((a, b) => a.position - b.position || a.id - b.id),
+                this.terms, found < limit ? offset + found : this.total); // Fewer than asked for: the list has got shorter
+        }, (err) => {
+            this.loadingMore = false;
+            this.showError(err);
+        });
+    }
+
+    // Bring over todos saved by the older localStorage build; only the SQLite back end has anything to do here
+    migrateLegacyTodos() {
+        this.model.migrateLegacyTodos().then(({ imported }) => {
+            if (imported > 0) {
+                this.view.showToast(`Imported ${imported} todos from the previous version`);
+                this.refreshTodos();
+            }
+        }, this.showError);
+    }
+
+    /* Bring the screen up to date with a change (see broadcastChange in main.js): one made here, which the model hands over
+     * before it resolves, or one made in another window.
+     * The changed todos of the list on screen are put in place without asking for the whole list again, and the view
+     * draws just their items again; todos that were removed or moved to another list drop out. Of a long list only the
+     * changes among the loaded todos are taken, and its length is asked again when todos may have joined or left it.
+     * Search results, the Today view and the archive depend on more than the changed rows, so they are fetched again,
+     * and so is everything while a fetch is under way (its answer could be older than the change).
+     */
+    applyChange({ todos, removed, lists, settings, all }) {
+        if (settings) this.showSettings(settings);
+        if (all || this.searchQuery || this.showingToday || this.showingArchive || this.shownRequest !== this.searchRequest) {
+            if (all || todos.length > 0 || removed.length > 0) this.refreshTodos();
+            else if (lists) this.refreshLists();
+            return;
+        }
+        if (todos.length > 0 || removed.length > 0) {
+            const changed = new Set([...removed, ...todos.map(todo => todo.id)]);
+            const kept = this.todos.filter(todo => !changed.has(todo.id));
+            let incoming = todos.filter(todo => todo.list_id === this.listId);
+            let recount = false;
+            if (this.total !== null) {
+                // Top-level todos down to the last one loaded, and the subtasks below those
+                const loadedRoots = this.todos.filter(todo => todo.parent_id === null);
+                const end = loadedRoots.reduce((max, todo) => Math.max(max, todo.position), -Infinity);
+                const taken = incoming.filter(todo => todo.parent_id === null && todo.position <= end);
+                const ids = new Set([...kept, ...taken].map(todo => todo.id));
+                for (let found = taken; found.length > 0;) {
+                    found = incoming.filter(todo => !ids.has(todo.id) && ids.has(todo.parent_id));
+                    found.forEach((todo) => { ids.add(todo.id); taken.push(todo); });
+                }
+                const gone = todo => removed.includes(todo.id) || todos.some(item => item.id === todo.id && item.list_id !== this.listId);
+                recount = incoming.some(todo => todo.parent_id === null && !loadedRoots.some(root => root.id === todo.id)) || loadedRoots.some(gone);
+                incoming = taken;
+            }
+            const merged = kept.concat(incoming).sort((a, b) => a.position - b.position || a.id - b.id); // The order of getTodos
+            this.renderTodos(merged, this.terms, this.total);
+            if (recount) {
+                const request = this.searchRequest;
+                this.model.countTodos(this.listId).then((total) => {
+                    if (request === this.searchRequest) this.renderTodos(this.todos, this.terms, total);
+                }, this.showError);
+            }
+        }
+        if (lists || todos.length > 0 || removed.length > 0) this.refreshLists(); // The open counts may have changed too
+    }
+
+    // Show the user settings (from getSettings, setSetting or another window) and apply the filter and sort
+    showSettings(settings) {
+        this.view.setNewTodoPosition(settings.newTodoPosition);
+        this.view.setAutoCompleteParent(settings.autoCompleteParent);
+        this.view.setQuickAddShortcut(settings.quickAddShortcut);
+        this.view.setKeepInTray(settings.keepInTray);
+        this.view.setPomodoroLengths(settings);
+        this.filter = settings.todoFilter;
+        this.sort = settings.todoSort;
+        this.view.setFilter(this.filter);
+        this.view.setSort(this.sort);
+        this.showTodos();
+    }
+
+    // Remember the todos of the list (or the search results) and show them; total: how many top-level todos the list has, if only some are loaded
+    renderTodos(todos, terms, total = null) {
+        this.todos = todos;
+        this.terms = terms;
+        const loaded = todos.filter(todo => todo.parent_id === null).length;
+        this.total = total !== null && total > loaded ? total : null;
+        this.showTodos();
+    }
+
+    /* Hand the todos that pass the filter to the view, in the chosen order; they can only be dragged in the manual order.
+     * Filtering or sorting needs the whole list, so a long list loaded a page at a time is fetched whole first.
+     */
+    showTodos() {
+        if (this.total !== null && !this.isPaged()) {
+            this.refreshTodos();
+            return;
+        }
+        const shown = this.todos.filter(TODO_FILTERS[this.filter]).sort(TODO_SORTS[this.sort]);
+        this.view.renderTodos(shown, this.terms, this.todos, this.total || 0);
+        this.view.setSortable(!this.searchQuery && !this.showingToday && this.sort === 'manual');
+        this.updateDetails();
+    }
+
+    /* Keep the detail pane in step with its todo: it closes once the todo is no longer on screen (deleted, or another list shown),
+     * and the attachments are fetched again when their number changed (attached or removed here or in another window).
+     */
+    updateDetails() {
+        if (this.detailId === null) return;
+        const todo = this.findTodo(this.detailId);
+        if (!todo) {
+            this.handleCloseDetails();
+            return;
+        }
+        this.view.updateDetails(todo);
+        if (this.detailAttachments !== null && (todo.attachment_count || 0) !== this.detailAttachments) this.loadAttachments();
+    }
+
+    // Fetch the attachments of the todo in the detail pane and show them
+    loadAttachments() {
+        const id = this.detailId;
+        this.detailAttachments = null;
+        this.model.getAttachments(id).then((items) => {
+            if (id !== this.detailId) return; // The pane was closed or moved on to another todo meanwhile
+            this.detailAttachments = items.length;
+            this.view.renderAttachments(items);
+        }, this.showError);
+    }
+
+    // Look up a todo currently on screen by id
+    findTodo(id) {
+        return this.todos.find(todo => todo.id === id);
+    }
+
+    /* Run a command through the undo history. The model hands every change to applyChange before it resolves,
+     * so the screen is up to date once the command is done; execute also waits for a fetch that started (e.g. of the Today view).
+     * Errors (e.g. an invalid edit) are shown to the user and the list is re-rendered from the database.
+     * Resolves with true once the command is done, or false if it failed.
+     */
+    execute(command) {
+        return this.history.execute(command).then(() => this.refreshing.then(() => true), (err) => {
+            this.showError(err);
+            this.reload();
+            return false;
+        });
+    }
+
+    // Undo the most recent change (Ctrl+Z or the toast's "Undo" button)
+    handleUndo() {
+        this.history.undo().then((command) => {
+            if (command) this.view.showToast(`Undone: ${command.label}`);
+        }, (err) => {
+            this.showError(err);
+            this.reload();
+        });
+    }
+
+    // Redo the most recently undone change (Ctrl+Shift+Z)
+    handleRedo() {
+        this.history.redo().then((command) => {
+            if (command) this.view.showToast(`Redone: ${command.label}`);
+        }, (err) => {
+            this.showError(err);
+            this.reload();
+        });
+    }
+
+    // Fetch the lists again and re-render the sidebar
+    refreshLists() {
+        return this.model.getLists().then((lists) => {
+            if (!lists.some(list => list.id === this.listId)) {
+                this.handleSelectList(INBOX_LIST_ID); // The remembered list no longer exists, fall back to the Inbox
+                return;
+            }
+            const elsewhere = this.searchQuery || this.showingToday || this.showingArchive; // No list is selected while searching, in the Today view or in the archive
+            this.view.renderLists(lists, elsewhere ? null : this.listId, INBOX_LIST_ID);
+            this.view.showToday(this.showingToday && !this.searchQuery && !this.showingArchive);
+            this.view.setTitle(this.showingArchive ? 'Archive' : this.searchQuery ? 'Search results' : this.showingToday ? 'Today' : lists.find(list => list.id === this.listId).name);
+        }, this.showError);
+    }
+
+    // Show an error coming back from the model
+    showError(err) {
+        // ipcRenderer.invoke prefixes the message with "Error invoking remote method ...: Error: "
+        this.view.showError(err.message.replace(/^Error invoking remote method '[^']+': (\w*Error: )?/, ''));
+    }
+
+    /* Handler method for adding a new todo item to the selected list (options holds the optional due date and reminder time,
+     * or the parentId of a subtask). Undo deletes the new todo; redo restores that same row so it keeps its id.
+     */
+    handleAddTodo(todoText, options) {
+        console.log('Handling add todo:', todoText); // Log the todo text for debugging purposes
+        const controller = this;
+        this.execute({
+            label: `add "${todoText}"`,
+            async do() {
+                const { id } = await controller.model.addTodo(todoText, { ...options, listId: controller.listId }); // Call the model's method to add a new todo
+                this.id = id;
+            },
+            async undo() {
+                this.removed = await controller.model.removeTodo(this.id);
+            },
+            redo() {
+                return controller.model.restoreTodo(this.removed);
+            }
+        }).then((done) => {
+            if (done) this.view.announce(`Added "${todoText}"`);
+        });
+    }
+
+    /* Handler method for toggling the completed state of a todo item
+     * The model may change its subtasks and parents too; it returns the state each changed todo had,
+     * so undo puts all of them back (a recurring todo goes back to the occurrence it was on), and redo toggles again.
+     * Completing a recurring todo moves it to its next due date, which is shown in a toast.
+     */
+    handleToggleTodo(id) {
+        const controller = this;
+        const todo = this.findTodo(id);
+        const completed = todo ? Boolean(todo.completed) : false; // State before the toggle
+        this.execute({
+            label: `${completed ? 'reopen' : 'complete'} "${todo ? todo.text : id}"`,
+            async do() {
+                this.previous = await controller.model.toggleTodo(id); // Call the model's toggle method with the todo's id
+            },
+            async undo() {
+                for (const state of [...this.previous].reverse()) {
+                    if (state.recurred) {
+                        await controller.model.reopenOccurrence(state.id);
+                    } else {
+                        await controller.model.updateTodo(state.id, { completed: Boolean(state.completed) });
+                    }
+                }
+            }
+        }).then((done) => {
+            if (!done) return;
+            this.view.announce(`${completed ? 'Reopened' : 'Completed'} "${todo ? todo.text : id}"`);
+            const next = !completed && todo && todo.recurrence ? this.findTodo(id) : null;
+            if (next && next.due_at !== todo.due_at) this.view.showToast(`"${next.text}" is due again ${formatDue(next.due_at)}`, 'Undo', this.handleUndo);
+        });
+    }
+
+    // Handler method for adding a subtask; a collapsed todo is expanded first so the new subtask shows
+    handleAddSubtask(parentId, text) {
+        const parent = this.findTodo(parentId);
+        const expanded = parent && parent.collapsed ? this.model.updateTodo(parentId, { collapsed: false }) : Promise.resolve();
+        expanded.then(() => this.handleAddTodo(text, { parentId }), this.showError);
+    }
+
+    // Handler method for showing or hiding the subtasks of a todo (remembered, but not part of the undo history)
+    handleToggleCollapsed(id, collapsed) {
+        this.model.updateTodo(id, { collapsed }).catch(this.showError);
+    }
+
+    /* Handler method for removing a todo item
+     * The deleted row is kept by the command, so undo (or the toast's "Undo" button) restores it with its original id.
+     */
+    handleRemoveTodo(id) {
+        const controller = this;
+        const todo = this.findTodo(id);
+        const text = todo ? todo.text : String(id);
+        this.execute({
+            label: `delete "${text}"`,
+            async do() {
+                this.removed = await controller.model.removeTodo(id); // Call the model's remove method with the todo's id
+            },
+            undo() {
+                return controller.model.restoreTodo(this.removed);
+            }
+        }).then((done) => {
+            if (done) this.view.showToast(`Deleted "${text}"`, 'Undo', this.handleUndo); // The toast is read out too (role="status")
+        });
+    }
+
+    // Handler method for editing the text of a todo item, undo puts back the old text and tags
+    handleEditTodo(id, text) {
+        const todo = this.findTodo(id);
+        const oldText = todo ? todo.text : '';
+        const oldTags = todo ? todo.tags : [];
+        this.execute({
+            label: `edit "${oldText}"`,
+            do: () => this.model.updateTodo(id, { text }), // #tags in the new text are added to the todo
+            undo: async () => {
+                await this.model.updateTodo(id, { text: oldText });
+                await this.model.setTodoTags(id, oldTags);
+            }
+        });
+    }
+
+    // Handler method for opening the detail pane of a todo (its "≡" button or "O")
+    handleShowDetails(id) {
+        const todo = this.findTodo(id);
+        if (!todo) return;
+        this.detailId = id;
+        this.view.showDetails(todo);
+        this.loadAttachments();
+    }
+
+    // Handler method for closing the detail pane
+    handleCloseDetails() {
+        this.detailId = null;
+        this.detailAttachments = null;
+        this.view.hideDetails();
+    }
+
+    // Handler method for saving the notes of a todo, undo puts back the old notes
+    handleSetNotes(id, notes) {
+        const todo = this.findTodo(id);
+        const oldNotes = todo ? todo.notes || null : null;
+        this.execute({
+            label: `edit the notes of "${todo ? todo.text : id}"`,
+            do: () => this.model.updateTodo(id, { notes }),
+            undo: () => this.model.updateTodo(id, { notes: oldNotes })
+        });
+    }
+
+    // Handler method for a link in the notes, opened in the browser
+    handleOpenLink(url) {
+        this.model.openLink(url).catch(this.showError);
+    }
+
+    /* Handler method for "Attach files…": the model asks for the files and copies them (the desktop app only).
+     * Attaching is not part of the undo history, and neither is removing an attachment (it asks first).
+     */
+    handleAddAttachments(id) {
+        this.model.addAttachments(id).then((added) => {
+            if (added.length > 0) this.view.announce(`Attached ${added.length} file${added.length === 1 ? '' : 's'}`);
+        }, this.showError); // The pane fetches the attachments again once the todo's count changed (see updateDetails)
+    }
+
+    // Handler method for opening an attachment in the app the system uses for it
+    handleOpenAttachment(id) {
+        this.model.openAttachment(id).catch(this.showError);
+    }
+
+    // Handler method for removing an attachment
+    handleRemoveAttachment(id) {
+        this.model.removeAttachment(id).then((attachment) => {
+            this.view.announce(`Removed "${attachment.name}"`);
+        }, this.showError);
+    }
+
+    // Show the timer (from getTimer, or whenever it starts, stops or moves between work and break), its clocks ticking every second
+    showTimer(timer) {
+        this.timer = timer;
+        this.view.setTimer(timer);
+        clearInterval(this.timerTicks);
+        this.timerTicks = timer ? setInterval(() => this.view.tickTimer(), 1000) : null;
+    }
+
+    /* Handler method for the timer button of a todo: stop the timer running on it, or start one (stopping any other).
+     * Timers are not part of the undo history; the time they ran is added to the todo (see tracked_ms in storage.js).
+     */
+    handleToggleTimer(id) {
+        if (this.timer && this.timer.todoId === id) {
+            this.handleStopTimer();
+        } else {
+            this.handleStartTimer(id, 'timer');
+        }
+    }
+
+    // Handler method for "Start timer" and "Start Pomodoro" in the detail pane (mode 'timer' or 'pomodoro')
+    handleStartTimer(id, mode) {
+        this.model.startTimer(id, mode).then((timer) => {
+            this.view.announce(`Started ${mode === 'pomodoro' ? 'a Pomodoro' : 'a timer'} on "${timer.text}"`);
+        }, this.showError);
+    }
+
+    // Handler method for stopping the timer ("Stop" in the timer bar, or the button of its todo)
+    handleStopTimer() {
+        const timer = this.timer;
+        this.model.stopTimer().then(() => {
+            if (timer) this.view.announce(`Stopped the timer on "${timer.text}"`);
+        }, this.showError);
+    }
+
+    // Handler method for changing the due date and reminder of a todo item
+    handleSetDue(id, dueAt, remindAt) {
+        this.model.setTodoDue(id, dueAt, remindAt).catch(this.showError); // The changed todo is drawn again (see applyChange)
+    }
+
+    // Handler method for the search box, an empty query goes back to the selected list (or the Today view)
+    handleSearch(query) {
+        this.searchQuery = query;
+        this.showingArchive = false;
+        this.view.showArchive(false);
+        this.refreshTodos();
+    }
+
+    // Handler method for clicking a tag chip: search for everything with that tag
+    handleTagClick(tag) {
+        this.view.setSearch(`#${tag}`);
+        this.handleSearch(`#${tag}`);
+    }
+
+    // Handler method for changing how a todo repeats (null stops it repeating)
+    handleSetRecurrence(id, rule) {
+        this.model.updateTodo(id, { recurrence: rule }).catch((err) => {
+            this.showError(err);
+            this.reload(); // Put the old rule back
+        });
+    }
+
+    // Handler method for changing the priority of a todo (0 none to 4 urgent)
+    handleSetPriority(id, priority) {
+        this.model.updateTodo(id, { priority }).catch((err) => {
+            this.showError(err);
+            this.reload(); // Put the old marker back
+        });
+    }
+
+    // Handler method for the "Today" entry: show the overdue, due today and high priority todos of every list
+    handleShowToday() {
+        this.showingToday = true;
+        this.searchQuery = '';
+        this.showingArchive = false;
+        this.view.setSearch('');
+        this.view.showArchive(false);
+        this.refreshTodos();
+    }
+
+    // Handler method for editing the tags of a todo item
+    handleSetTags(id, tags) {
+        this.model.setTodoTags(id, tags).catch(this.showError);
+    }
+
+    // Handler method for switching to another list (this also leaves the search results)
+    handleSelectList(listId) {
+        this.listId = listId;
+        this.searchQuery = '';
+        this.showingToday = false;
+        this.showingArchive = false;
+        this.pageLimit = PAGE_SIZE; // A long list starts with its first page
+        this.view.setSearch('');
+        this.view.showArchive(false);
+        localStorage.setItem('selectedListId', listId); // Remember the choice for the next start
+        this.refreshTodos();
+    }
+
+    // Handler method for creating a list, the new list is selected straight away
+    handleCreateList(name) {
+        this.model.createList(name).then(({ id }) => this.handleSelectList(id), this.showError);
+    }
+
+    // Handler method for renaming a list
+    handleRenameList(id, name) {
+        this.model.renameList(id, name).catch((err) => {
+            this.showError(err);
+            this.refreshLists(); // Put the old name back
+        });
+    }
+
+    // Handler method for deleting a list, mode is 'move' or 'cascade' as chosen in the dialog
+    handleDeleteList(id, mode) {
+        this.model.deleteList(id, mode).catch(this.showError); // Everything is fetched again; refreshLists falls back to the Inbox if the selected list was deleted
+    }
+
+    /* Handler method for a new manual order (drag and drop, or Alt+Up/Down on the focused todo)
+     * Undo puts back the order from before the move; the moved todo keeps the focus.
+     */
+    handleReorderTodos(ids, movedId) {
+        if (this.searchQuery) return; // Search results have no manual order
+        const listId = this.listId;
+        const before = this.todos.map(todo => todo.id);
+        const todo = this.findTodo(movedId);
+        this.execute({
+            label: `move "${todo ? todo.text : movedId}"`,
+            do: () => this.model.reorderTodos(listId, ids),
+            undo: () => this.model.reorderTodos(listId, before)
+        }).then((done) => {
+            this.view.focusTodo(movedId);
+            if (done) this.view.announce(`Moved "${todo ? todo.text : movedId}" to position ${ids.indexOf(movedId) + 1} of ${ids.length}`);
+        });
+    }
+
+    // Handler method for the "New todos at the top / bottom" setting
+    handleSetNewTodoPosition(value) {
+        this.model.setSetting('newTodoPosition', value).then((settings) => {
+            this.view.setNewTodoPosition(settings.newTodoPosition);
+        }, this.showError);
+    }
+
+    // Handler method for the "Complete a todo when its subtasks are done" setting
+    handleSetAutoCompleteParent(value) {
+        this.model.setSetting('autoCompleteParent', value).then((settings) => {
+            this.view.setAutoCompleteParent(settings.autoCompleteParent);
+        }, this.showError);
+    }
+
+    // Handler method for the quick add shortcut; main.js refuses a shortcut another program has taken
+    handleSetQuickAddShortcut(value) {
+        this.model.setSetting('quickAddShortcut', value).then((settings) => {
+            this.view.setQuickAddShortcut(settings.quickAddShortcut);
+        }, this.showError);
+    }
+
+    // Handler method for the "Keep running in the tray" setting
+    handleSetKeepInTray(value) {
+        this.model.setSetting('keepInTray', value).then((settings) => {
+            this.view.setKeepInTray(settings.keepInTray);
+        }, this.showError);
+    }
+
+    // Handler method for the Pomodoro and break lengths; a refused length (e.g. 0) puts the saved one back
+    handleSetPomodoroLength(key, minutes) {
+        this.model.setSetting(key, minutes).then((settings) => {
+            this.view.setPomodoroLengths(settings);
+        }, (err) => {
+            this.showError(err);
+            this.model.getSettings().then(settings => this.view.setPomodoroLengths(settings), this.showError);
+        });
+    }
+
+    // Handler method for the All / Active / Completed buttons (saved as the todoFilter setting)
+    handleSetFilter(value) {
+        this.model.setSetting('todoFilter', value).then((settings) => {
+            this.filter = settings.todoFilter;
+            this.view.setFilter(this.filter);
+            this.showTodos();
+        }, this.showError);
+    }
+
+    // Handler method for the "Sort by" menu (saved as the todoSort setting)
+    handleSetSort(value) {
+        this.model.setSetting('todoSort', value).then((settings) => {
+            this.sort = settings.todoSort;
+            this.view.setSort(this.sort);
+            this.showTodos();
+        }, this.showError);
+    }
+
+    /* Handler method for "Clear completed": the selected list's completed todos move to the archive.
+     * Undo (or the toast's "Undo" button) brings back the todos this cleared; redo clears the list again.
+     */
+    handleClearCompleted() {
+        const controller = this;
+        const listId = this.listId;
+        const command = {
+            label: 'clear completed todos',
+            async do() {
+                ({ ids: this.ids } = await controller.model.clearCompleted(listId));
+            },
+            undo() {
+                return controller.model.restoreArchivedTodos(this.ids);
+            }
+        };
+        this.execute(command).then(() => {
+            const count = command.ids ? command.ids.length : 0;
+            if (count > 0) {
+                this.view.showToast(`Archived ${count} completed todo${count === 1 ? '' : 's'}`, 'Undo', this.handleUndo);
+            } else if (command.ids) {
+                this.view.showToast('There are no completed todos to clear');
+            }
+        });
+    }
+
+    // Handler method for the "Archive" button: show the archive instead of the list, or go back to the list
+    handleShowArchive(shown) {
+        this.showingArchive = shown;
+        this.view.showArchive(shown);
+        this.refreshTodos();
+    }
+
+    // Handler method for the "Restore" button of an archived todo: it goes back to its list (the Inbox if that list is gone)
+    handleRestoreArchived(id) {
+        this.model.restoreArchivedTodos([id]).then(() => {
+            this.view.showToast('Restored from the archive');
+        }, this.showError);
+    }
+
+    // Handler method for moving a todo to another list (its subtasks go with it)
+    handleMoveTodo(id, listId) {
+        if (listId !== this.listId) {
+            this.model.moveTodo(id, listId).catch(this.showError);
+        }
+    }
+}
+
+/* the app is initialized by creating instances of the Model, View, and Controller classes:
+ * Adding a To-Do:
+    The user types a task in the input field and clicks the "Add" button (or presses Enter).
+    The bindAddTodo method in the View calls handleAddTodo in the Controller.
+    The Controller asks the Model (storage) to add the new to-do and then re-renders the View.
+
+    Toggling a To-Do:
+    The user clicks on a to-do item in the list (or presses Space while it has the focus).
+    The bindToggleTodo method in the View calls handleToggleTodo in the Controller.
+    The Controller asks the Model to toggle the completed state of the to-do and then re-renders the View.
+
+    Removing a To-Do:
+    The user clicks the "close" button next to a to-do item (or presses Delete while it has the focus).
+    The bindRemoveTodo method in the View calls handleRemoveTodo in the Controller.
+    The Controller asks the Model to remove the to-do and then re-renders the View.
+
+    Editing a To-Do:
+    The user double-clicks a to-do (or presses Enter or F2 on it), changes the text and presses Enter.
+    The bindEditTodo method in the View calls handleEditTodo in the Controller.
+    The Controller asks the Model to store the new text and then re-renders the View.
+
+    Notes and Attachments:
+    The user clicks the "≡" button of a to-do (or presses O on it) and the detail pane opens next to the list.
+    The bindDetails method in the View calls handleShowDetails, which fetches the attachments from the Model.
+    Notes are saved through handleSetNotes when the notes field loses the focus; "Attach files…" calls handleAddAttachments.
+
+    Tracking Time:
+    The user clicks the "▶" button of a to-do (or presses W on it), or "Start Pomodoro" in its detail pane.
+    The bindTimer method in the View calls handleToggleTimer or handleStartTimer, and the Model starts the timer (timer.js in the desktop app).
+    showTimer shows it in the timer bar and on the to-do's row until it is stopped; the time it ran is added to the to-do.
+
+ * Which Model is used (SQLite, localStorage or memory) is read from index.html, see createStorage in storage.js.
  */
 /* ==========================
  * Initialize the App
  * ==========================
  */
-const app = new Controller(new Model(), new View());
\ No newline at end of file
+// Initialize the app by creating a new Controller instance with the configured storage as the Model, and a View
+const app = new Controller(createStorage(configuredStorageName()), new View()); // This instantiation sets up the entire MVC flow and starts the application
\ No newline at end of file
@@ -8,21 +8,62 @@
  */
 console.log('Preload script has loaded.');
 
-// Working on progress 
-
 /* The preload script runs in the renderer before 
  * any web content loads and safely expose a limited 
  * API (via the contextBridge) to renderer code.
+ * The window runs with contextIsolation and the sandbox on (see createWindow in main.js),
+ * so window.api below is the only way the page can reach the main process.
+ * Only the functions are exposed, never ipcRenderer itself, so the page cannot invoke other channels.
  */
 
 const { contextBridge, ipcRenderer } = require('electron');
 
 // Expose a secure API to your renderer that wraps the ipcRenderer.invoke
 contextBridge.exposeInMainWorld('api', {
-    getTodos: () => ipcRenderer.invoke('getTodos'),
-    addTodo: (todoText) => ipcRenderer.invoke('addTodo', todoText),
+    getTodos: (listId, offset, limit) => ipcRenderer.invoke('getTodos', listId, offset, limit),
+    countTodos: (listId) => ipcRenderer.invoke('countTodos', listId),
+    addTodo: (todoText, options) => ipcRenderer.invoke('addTodo', todoText, options),
     toggleTodo: (id) => ipcRenderer.invoke('toggleTodo', id),
-    removeTodo: (id) => ipcRenderer.invoke('removeTodo', id)
+    removeTodo: (id) => ipcRenderer.invoke('removeTodo', id),
+    updateTodo: (id, fields) => ipcRenderer.invoke('updateTodo', id, fields),
+    restoreTodo: (todo) => ipcRenderer.invoke('restoreTodo', todo),
+    reopenOccurrence: (id) => ipcRenderer.invoke('reopenOccurrence', id),
+    setTodoDue: (id, dueAt, remindAt) => ipcRenderer.invoke('setTodoDue', id, dueAt, remindAt),
+    moveTodo: (id, listId) => ipcRenderer.invoke('moveTodo', id, listId),
+    reorderTodos: (listId, ids) => ipcRenderer.invoke('reorderTodos', listId, ids),
+    setTodoTags: (id, tags) => ipcRenderer.invoke('setTodoTags', id, tags),
+    searchTodos: (query) => ipcRenderer.invoke('searchTodos', query),
+    getTodayTodos: () => ipcRenderer.invoke('getTodayTodos'),
+    clearCompleted: (listId) => ipcRenderer.invoke('clearCompleted', listId),
+    getArchivedTodos: () => ipcRenderer.invoke('getArchivedTodos'),
+    restoreArchivedTodos: (ids) => ipcRenderer.invoke('restoreArchivedTodos', ids),
+    getAttachments: (todoId) => ipcRenderer.invoke('getAttachments', todoId),
+    addAttachments: (todoId) => ipcRenderer.invoke('addAttachments', todoId),
+    removeAttachment: (id) => ipcRenderer.invoke('removeAttachment', id),
+    openAttachment: (id) => ipcRenderer.invoke('openAttachment', id),
+    openLink: (url) => ipcRenderer.invoke('openLink', url),
+    getTimer: () => ipcRenderer.invoke('getTimer'),
+    startTimer: (todoId, mode) => ipcRenderer.invoke('startTimer', todoId, mode),
+    stopTimer: () => ipcRenderer.invoke('stopTimer'),
+    getLists: () => ipcRenderer.invoke('getLists'),
+    createList: (name) => ipcRenderer.invoke('createList', name),
+    renameList: (id, name) => ipcRenderer.invoke('renameList', id, name),
+    deleteList: (id, mode) => ipcRenderer.invoke('deleteList', id, mode),
+    exportTodos: (listId) => ipcRenderer.invoke('exportTodos', listId),
+    importLegacyTodos: (items) => ipcRenderer.invoke('importLegacyTodos', items),
+    getSettings: () => ipcRenderer.invoke('getSettings'),
+    setSetting: (key, value) => ipcRenderer.invoke('setSetting', key, value),
+    // Main to renderer: File > Export Current List was chosen
+    onExportListRequest: (callback) => ipcRenderer.on('menu-export-list', () => callback()),
+    // Main to renderer: called with the number of todos imported through File > Import
+    onTodosImported: (callback) => ipcRenderer.on('todos-imported', (event, count) => callback(count)),
+    // Main to renderer: called with the ids of the todos whose reminder just fired
+    onReminder: (callback) => ipcRenderer.on('reminder-fired', (event, ids) => callback(ids)),
+    // Main to renderer: called with the timer whenever it starts, stops or moves between work and break (see timer.js)
+    onTimerChanged: (callback) => ipcRenderer.on('timer-changed', (event, state) => callback(state)),
+    // Main to renderer: called with what another window changed, see broadcastChange in main.js
+    // (the changes this window makes come back in the answers of the handlers instead, see IpcStorage in storage.js)
+    onTodosChanged: (callback) => ipcRenderer.on('todos-changed', (event, change) => callback(change))
 });
 
 /* console.log('Preload script has finished loading.'); cannot be seen as it is load
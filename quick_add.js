@@ -0,0 +1,77 @@
+// Author: Daniel
+
+/* Inline tokens of the quick add window (renderer, quick_add.html)
+ * Loaded as a classic script by the quick add page; main.js does not need it, "#tags" are parsed there by extractTags.
+ *
+ * Words typed at the end of the todo text set its due date and priority, and are taken out of the text:
+ *  - today, tomorrow, monday ... sunday   due that day (a weekday is the next one to come, never today)
+ *  - 14:30                                 due at that time (today, or tomorrow if it has passed, unless a day is given)
+ *  - !low, !medium, !high, !urgent         priority 1 to 4
+ * A day without a time is due at the end of it (23:59). Tokens are only read among the tokens and #tags that end the text,
+ * the same words in the sentence stay there: 'Prepare the Monday meeting agenda' is not due on Monday,
+ * 'Ask Bob what he did today' not due today.
+ *
+ * Example: 'Call the bank tomorrow 9:30 !high #money' -> 'Call the bank #money', due tomorrow at 9:30, priority 3.
+ */
+
+const QUICK_ADD_PRIORITIES = { low: 1, medium: 2, high: 3, urgent: 4 };
+
+// Weekday names in Date#getDay() order
+const QUICK_ADD_WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const QUICK_ADD_CLOCK = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// Whether a word is one of the tokens above or a #tag
+function isQuickAddToken(word) {
+    const lower = word.toLowerCase();
+    return lower === 'today' || lower === 'tomorrow' || QUICK_ADD_WEEKDAYS.includes(lower) || QUICK_ADD_CLOCK.test(word) || lower.startsWith('#')
+        || (lower.startsWith('!') && Object.prototype.hasOwnProperty.call(QUICK_ADD_PRIORITIES, lower.slice(1)));
+}
+
+/* Split quick add text into { text, dueAt, priority }.
+ * dueAt is milliseconds since the epoch or null, priority 0 when no token gave one.
+ * A text made only of tokens is kept as it is, like a todo made only of tags.
+ */
+function parseQuickAdd(input, now = Date.now()) {
+    let dayOffset = null; // Days from today
+    let time = null; // [hours, minutes]
+    let priority = 0;
+    const today = new Date(now);
+    const words = String(input || '').trim().split(/\s+/);
+    let end = words.length; // Where the tokens and tags at the end of the text begin
+    while (end > 0 && isQuickAddToken(words[end - 1])) end--;
+    const rest = words.filter((word, index) => {
+        if (index < end) return true; // Part of the sentence
+        const lower = word.toLowerCase();
+        const clock = QUICK_ADD_CLOCK.exec(word);
+        if (lower === 'today') {
+            dayOffset = 0;
+        } else if (lower === 'tomorrow') {
+            dayOffset = 1;
+        } else if (QUICK_ADD_WEEKDAYS.includes(lower)) {
+            dayOffset = (QUICK_ADD_WEEKDAYS.indexOf(lower) - today.getDay() + 7) % 7 || 7;
+        } else if (clock) {
+            time = [Number(clock[1]), Number(clock[2])];
+        } else if (lower.startsWith('!') && Object.prototype.hasOwnProperty.call(QUICK_ADD_PRIORITIES, lower.slice(1))) {
+            priority = QUICK_ADD_PRIORITIES[lower.slice(1)];
+        } else {
+            return true;
+        }
+        return false;
+    });
+
+    let dueAt = null;
+    if (dayOffset !== null || time !== null) {
+        const due = new Date(today.getFullYear(), today.getMonth(), today.getDate() + (dayOffset || 0), ...(time || [23, 59]));
+        if (dayOffset === null && due.getTime() <= now) {
+            due.setDate(due.getDate() + 1); // A time that has passed today means tomorrow
+        }
+        dueAt = due.getTime();
+    }
+    const text = rest.join(' ').trim();
+    return { text: text || String(input || '').trim(), dueAt, priority };
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { parseQuickAdd, QUICK_ADD_PRIORITIES };
+}
@@ -0,0 +1,47 @@
+// Author: Daniel
+
+/* The quick add window (quick_add.html), opened by the global shortcut or the tray menu
+ * It adds the todo through the same addTodo IPC handler as the main window (window.api, see preload.js);
+ * main.js then tells the open windows about it. The window closes once the todo is added, on Escape,
+ * and when it loses the focus (see showQuickAdd in main.js).
+ */
+
+const quickInput = document.querySelector('#quickInput');
+const quickHint = document.querySelector('#quickHint');
+
+// Names of the priorities for the hint, by level
+const PRIORITY_NAMES = Object.fromEntries(Object.entries(QUICK_ADD_PRIORITIES).map(([name, level]) => [level, name]));
+
+// Show what the tokens typed so far mean, e.g. "Due Fri 7 Mar 23:59 · high priority"
+function showHint(message = null) {
+    const { dueAt, priority } = parseQuickAdd(quickInput.value);
+    const parts = [];
+    if (dueAt !== null) {
+        parts.push(`Due ${new Date(dueAt).toLocaleString(undefined, { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}`);
+    }
+    if (priority) parts.push(`${PRIORITY_NAMES[priority]} priority`);
+    quickHint.textContent = message || parts.join(' · ');
+    quickHint.classList.toggle('error', message !== null);
+}
+
+// Add the todo to the Inbox and close the window; an error (e.g. an empty text) stays on screen
+async function addQuickTodo() {
+    const { text, dueAt, priority } = parseQuickAdd(quickInput.value);
+    try {
+        await window.api.addTodo(text, { dueAt, priority });
+        window.close();
+    } catch (err) {
+        // ipcRenderer.invoke prefixes the message with "Error invoking remote method ...: Error: "
+        showHint(err.message.replace(/^Error invoking remote method '[^']+': (\w*Error: )?/, ''));
+    }
+}
+
+quickInput.addEventListener('input', () => showHint());
+quickInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        addQuickTodo();
+    } else if (event.key === 'Escape') {
+        window.close();
+    }
+});
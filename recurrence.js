@@ -0,0 +1,209 @@
+// Author: Daniel
+
+/* Repeat rules for recurring todos (main process)
+ * The renderer loads this file too, for the repeat editor in mvc.js and storage.js's MemoryStorage.
+ *
+ * A rule is a small part of the iCalendar RRULE syntax, stored as text in todos.recurrence:
+ *  - FREQ=DAILY;INTERVAL=3            every 3 days
+ *  - FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR every weekday
+ *  - FREQ=WEEKLY;INTERVAL=2;BYDAY=FR  every other Friday
+ *  - FREQ=MONTHLY;BYMONTHDAY=1        the 1st of every month (-1 is the last day of the month)
+ * FREQ is DAILY, WEEKLY or MONTHLY; INTERVAL defaults to 1. BYDAY only goes with WEEKLY, BYMONTHDAY only with MONTHLY.
+ * A monthly rule is stored with the day of the month of its todo's due date as BYMONTHDAY (see normalizeRecurrence), so the
+ * day is kept: a todo due on the 31st is due on the 30th in April and on the 31st again in May. Without a due date there is
+ * no day yet; the rule gets one once the todo has one.
+ *
+ * When a recurring todo is completed it is not checked off: it moves on to nextDueDate() and the finished
+ * occurrence is kept in its history (see toggleTodo in todo_store.js).
+ */
+
+// Weekday codes, Monday first
+const RECURRENCE_DAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const RECURRENCE_DAY_NAMES = { MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat', SU: 'Sun' };
+
+// Longest rule text and largest INTERVAL we accept
+const MAX_RULE_LENGTH = 200;
+const MAX_INTERVAL = 999;
+
+// The rules offered in the repeat menus, with their names
+const RECURRENCE_PRESETS = [
+    { rule: 'FREQ=DAILY', label: 'Every day' },
+    { rule: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR', label: 'Every weekday' },
+    { rule: 'FREQ=WEEKLY', label: 'Every week' },
+    { rule: 'FREQ=WEEKLY;INTERVAL=2', label: 'Every 2 weeks' },
+    { rule: 'FREQ=MONTHLY', label: 'Every month' },
+    { rule: 'FREQ=MONTHLY;BYMONTHDAY=1', label: 'The 1st of every month' }
+];
+
+// Thrown for a rule we do not understand; the message can be shown to the user
+class RecurrenceError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RecurrenceError';
+    }
+}
+
+/* Split a rule into { freq, interval, byDay, byMonthDay }
+ * Case and spaces do not matter and an "RRULE:" prefix is allowed ('rrule:freq=weekly; byday=fr').
+ */
+function parseRecurrence(rule) {
+    if (typeof rule !== 'string' || rule.length > MAX_RULE_LENGTH) {
+        throw new RecurrenceError('A repeat rule must be a short text such as FREQ=WEEKLY');
+    }
+    const parsed = { freq: null, interval: 1, byDay: [], byMonthDay: null };
+    const parts = rule.toUpperCase().replace(/\s+/g, '').replace(/^RRULE:/, '').split(';').filter(Boolean);
+
+    parts.forEach(part => {
+        const [key, value = ''] = part.split('=');
+        switch (key) {
+            case 'FREQ':
+                if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(value)) {
+                    throw new RecurrenceError(`Unsupported repeat frequency: ${value} (use DAILY, WEEKLY or MONTHLY)`);
+                }
+                parsed.freq = value;
+                break;
+            case 'INTERVAL':
+                parsed.interval = Number(value);
+                if (!Number.isInteger(parsed.interval) || parsed.interval < 1 || parsed.interval > MAX_INTERVAL) {
+                    throw new RecurrenceError(`INTERVAL must be a whole number from 1 to ${MAX_INTERVAL}`);
+                }
+                break;
+            case 'BYDAY':
+                parsed.byDay = value.split(',');
+                parsed.byDay.forEach(day => {
+                    if (!RECURRENCE_DAYS.includes(day)) {
+                        throw new RecurrenceError(`Unknown weekday in repeat rule: ${day} (use MO, TU, WE, TH, FR, SA or SU)`);
+                    }
+                });
+                break;
+            case 'BYMONTHDAY':
+                parsed.byMonthDay = Number(value);
+                if (!Number.isInteger(parsed.byMonthDay) || parsed.byMonthDay < -1 || parsed.byMonthDay === 0 || parsed.byMonthDay > 31) {
+                    throw new RecurrenceError('BYMONTHDAY must be a day of the month from 1 to 31, or -1 for the last day');
+                }
+                break;
+            default:
+                throw new RecurrenceError(`Unsupported part in repeat rule: ${key}`);
+        }
+    });
+
+    if (!parsed.freq) {
+        throw new RecurrenceError('A repeat rule needs a FREQ (DAILY, WEEKLY or MONTHLY)');
+    }
+    if (parsed.byDay.length > 0 && parsed.freq !== 'WEEKLY') {
+        throw new RecurrenceError('BYDAY only works with FREQ=WEEKLY');
+    }
+    if (parsed.byMonthDay !== null && parsed.freq !== 'MONTHLY') {
+        throw new RecurrenceError('BYMONTHDAY only works with FREQ=MONTHLY');
+    }
+    parsed.byDay = RECURRENCE_DAYS.filter(day => parsed.byDay.includes(day)); // Monday first, each day once
+    return parsed;
+}
+
+/* Check a rule and write it the standard way ('freq=weekly;interval=1' -> 'FREQ=WEEKLY'),
+ * so the same rule is always stored the same way. null or '' means "does not repeat" and gives null.
+ * Given the todo's due date (dueAt), a monthly rule without BYMONTHDAY gets the day of the month of that date
+ * ('FREQ=MONTHLY' due on 31 January -> 'FREQ=MONTHLY;BYMONTHDAY=31'), so a short month only moves the occurrence in it.
+ */
+function normalizeRecurrence(rule, dueAt = null) {
+    if (rule === null || rule === undefined || rule === '') {
+        return null;
+    }
+    const parsed = parseRecurrence(rule);
+    if (parsed.freq === 'MONTHLY' && parsed.byMonthDay === null && dueAt !== null && dueAt !== undefined) {
+        parsed.byMonthDay = new Date(dueAt).getDate();
+    }
+    const parts = [`FREQ=${parsed.freq}`];
+    if (parsed.interval !== 1) parts.push(`INTERVAL=${parsed.interval}`);
+    if (parsed.byDay.length > 0) parts.push(`BYDAY=${parsed.byDay.join(',')}`);
+    if (parsed.byMonthDay !== null) parts.push(`BYMONTHDAY=${parsed.byMonthDay}`);
+    return parts.join(';');
+}
+
+// A rule in words: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR' -> 'Every 2 weeks on Fri'
+function describeRecurrence(rule) {
+    const preset = RECURRENCE_PRESETS.find(item => item.rule === normalizeRecurrence(rule));
+    if (preset) return preset.label;
+
+    const parsed = parseRecurrence(rule);
+    const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[parsed.freq];
+    let text = parsed.interval === 1 ? `Every ${unit}` : `Every ${parsed.interval} ${unit}s`;
+    if (parsed.byDay.length > 0) {
+        text += ` on ${parsed.byDay.map(day => RECURRENCE_DAY_NAMES[day]).join(', ')}`;
+    }
+    if (parsed.byMonthDay !== null) {
+        text += parsed.byMonthDay === -1 ? ' on the last day' : ` on the ${ordinal(parsed.byMonthDay)}`;
+    }
+    return text;
+}
+
+/* The first occurrence of a rule after the time from (milliseconds since the epoch), at the same time of day.
+ * Dates are worked out in local time, so "every day at 09:00" stays at 09:00 across daylight saving changes.
+ */
+function nextOccurrence(rule, from) {
+    const parsed = typeof rule === 'string' ? parseRecurrence(rule) : rule;
+    const date = new Date(from);
+
+    if (parsed.freq === 'DAILY' || (parsed.freq === 'WEEKLY' && parsed.byDay.length === 0)) {
+        date.setDate(date.getDate() + parsed.interval * (parsed.freq === 'DAILY' ? 1 : 7));
+        return date.getTime();
+    }
+    if (parsed.freq === 'WEEKLY') {
+        // The next listed weekday; after the last one of a week, the first one INTERVAL weeks later
+        const startWeek = weekNumber(date);
+        for (let days = 1; days <= 7 * (parsed.interval + 1); days++) {
+            const day = new Date(from);
+            day.setDate(day.getDate() + days);
+            const code = RECURRENCE_DAYS[(day.getDay() + 6) % 7];
+            if ((weekNumber(day) - startWeek) % parsed.interval === 0 && parsed.byDay.includes(code)) {
+                return day.getTime();
+            }
+        }
+    }
+    // MONTHLY: with BYMONTHDAY the day may still be ahead this month, else it is INTERVAL months on
+    const day = parsed.byMonthDay === null ? date.getDate() : parsed.byMonthDay;
+    const thisMonth = onMonthDay(date, 0, day);
+    return parsed.byMonthDay !== null && thisMonth > from ? thisMonth : onMonthDay(date, parsed.interval, day);
+}
+
+/* The due date a recurring todo moves on to when it is completed at now:
+ * the first occurrence after its current due date that is not already over, so a todo that was
+ * left overdue for a while does not come back overdue. A todo without a due date counts from now.
+ */
+function nextDueDate(rule, dueAt, now = Date.now()) {
+    const parsed = parseRecurrence(rule);
+    let next = nextOccurrence(parsed, dueAt === null || dueAt === undefined ? now : dueAt);
+    while (next <= now) {
+        next = nextOccurrence(parsed, next);
+    }
+    return next;
+}
+
+// Number of the Monday-to-Sunday week a date falls in, counted from the epoch
+function weekNumber(date) {
+    const days = Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / (24 * 60 * 60 * 1000));
+    return Math.floor((days + 3) / 7); // 1 January 1970 was a Thursday
+}
+
+// The same time of day, months later, on the given day of the month (-1: the last day; too large: the last day)
+function onMonthDay(date, months, day) {
+    const result = new Date(date);
+    result.setDate(1);
+    result.setMonth(result.getMonth() + months);
+    const length = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+    result.setDate(day === -1 ? length : Math.min(day, length));
+    return result.getTime();
+}
+
+// 1 -> '1st', 2 -> '2nd', 11 -> '11th', 23 -> '23rd'
+function ordinal(number) {
+    const suffix = number % 100 >= 11 && number % 100 <= 13 ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th';
+    return `${number}${suffix}`;
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        parseRecurrence, normalizeRecurrence, describeRecurrence, nextOccurrence, nextDueDate,
+        RecurrenceError, RECURRENCE_PRESETS
+    };
+}
@@ -0,0 +1,113 @@
+// Author: Daniel
+
+/* Reminder scheduler (main process)
+ *
+ * Todos can carry a "remind_at" time (milliseconds since the epoch, see migrations.js).
+ * The scheduler keeps a single timer armed for the earliest pending reminder instead of polling:
+ *  - check() fires every reminder whose time has passed and that has not fired yet
+ *    (reminded_at IS NULL), then marks it as fired so it is never shown twice.
+ *  - Reminders that came due while the app was closed are caught up by the first check() in start().
+ *  - After every change to a todo's due date main.js calls reschedule() so the timer follows the data.
+ */
+
+// setTimeout cannot wait longer than ~24.8 days, and a long timer drifts when the computer sleeps,
+// so the scheduler never sleeps for more than this and simply re-checks when it wakes up.
+const MAX_WAIT_MS = 60 * 60 * 1000;
+
+// When more reminders than this were missed, show one summary notification instead of flooding the screen
+const MAX_INDIVIDUAL_NOTIFICATIONS = 3;
+
+class ReminderScheduler {
+    /* db: the sqlite3 Database
+     * notify: function(todos, { missed }) that shows the notification(s) for the todos that are due
+     * exclusive: function(work) that runs work() while no transaction is open on db (queued in todo_store.js),
+     *            so a check never reads a transaction's uncommitted changes or writes in the middle of one
+     */
+    constructor(db, notify, { exclusive = work => work() } = {}) {
+        this.db = db;
+        this.notify = notify;
+        this.exclusive = exclusive;
+        this.timer = null;
+        this.queue = Promise.resolve(); // Checks run one after another so only one timer is ever armed
+    }
+
+    // Catch up on reminders missed while the app was closed and arm the timer
+    start() {
+        return this.check({ missed: true });
+    }
+
+    // Stop the timer (called when the app quits)
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    // Re-arm the timer after a todo's due date or reminder changed
+    reschedule() {
+        return this.check({ missed: false });
+    }
+
+    /* Fire every reminder that is due, then arm the timer for the next one.
+     * "missed" is true for the startup catch-up so the notification can say so.
+     */
+    check(options) {
+        this.queue = this.queue.then(() => this.runCheck(options));
+        return this.queue;
+    }
+
+    async runCheck({ missed = false } = {}) {
+        this.stop();
+        try {
+            const { due, next } = await this.exclusive(() => this.takeDue(Date.now()));
+            if (due.length > 0) {
+                this.notify(due, { missed });
+            }
+            const wait = next === null ? MAX_WAIT_MS : Math.min(Math.max(next - Date.now(), 0), MAX_WAIT_MS);
+            this.timer = setTimeout(() => this.check(), wait);
+        } catch (err) {
+            console.error('Error checking reminders:', err.message);
+            this.timer = setTimeout(() => this.check(), MAX_WAIT_MS);  // Try again later rather than giving up for good
+        }
+    }
+
+    // The reminders due at now, marked as fired, and the time of the next one (null if there is none)
+    async takeDue(now) {
+        const due = await this.all(
+            `SELECT * FROM todos
+             WHERE remind_at IS NOT NULL AND remind_at <= ? AND reminded_at IS NULL AND completed = 0
+             ORDER BY remind_at`, [now]);
+
+        if (due.length > 0) {
+            // Mark them before they are shown so a crash in the notification code never repeats a reminder
+            await this.run(
+                `UPDATE todos SET reminded_at = ? WHERE id IN (${due.map(() => '?').join(', ')})`,
+                [now, ...due.map(todo => todo.id)]);
+        }
+
+        const row = await this.get(
+            `SELECT MIN(remind_at) AS next FROM todos
+             WHERE remind_at IS NOT NULL AND reminded_at IS NULL AND completed = 0`);
+        return { due, next: row.next };
+    }
+
+    // Small promise wrappers around the sqlite3 callback API
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, err => err ? reject(err) : resolve());
+        });
+    }
+}
+
+module.exports = { ReminderScheduler, MAX_INDIVIDUAL_NOTIFICATIONS };
@@ -0,0 +1,106 @@
+// Author: Daniel
+
+/* Search query parsing for the "searchTodos" IPC handler (main process)
+ * The renderer loads this file too, for the search in storage.js's MemoryStorage.
+ *
+ * The search box understands a small syntax on top of plain words:
+ *  - words         full-text search over the todo text and tag names (prefix match, all words must match)
+ *  - "two words"   quoted phrase
+ *  - #tag          only todos carrying that tag (exact, case-insensitive)
+ *  - is:done       only completed todos
+ *  - is:open       only todos that are not completed
+ *
+ * Example: 'report #work is:open' -> open todos tagged "work" whose text or tags contain a word starting with "report".
+ */
+
+// Results are capped so a very broad query stays fast on large databases
+const SEARCH_LIMIT = 200;
+
+// Letters, digits, "_" and "-" make up a tag name (e.g. #sprint-42); a tag starts a word, so "issue#42" is not one
+const TAG_PATTERN = /(^|\s)#([\p{L}\p{N}_-]+)/gu;
+
+// Longest tag name (toTagNames in ipc_validation.js checks tags set from the renderer against it too)
+const MAX_TAG_LENGTH = 100;
+
+/* Split a query string into { terms, tags, completed }
+ * completed is true (is:done), false (is:open) or null (either).
+ */
+function parseSearchQuery(query) {
+    const parsed = { terms: [], tags: [], completed: null };
+    // Tokens are quoted phrases or runs of non-space characters
+    const tokens = String(query || '').match(/"[^"]*"|\S+/g) || [];
+
+    tokens.forEach(token => {
+        const lower = token.toLowerCase();
+        if (lower === 'is:done') {
+            parsed.completed = true;
+        } else if (lower === 'is:open') {
+            parsed.completed = false;
+        } else if (/^#[\p{L}\p{N}_-]+$/u.test(token)) {
+            parsed.tags.push(token.slice(1));
+        } else {
+            const term = token.replace(/"/g, '').trim(); // Phrases lose their quotes, FTS quoting is added later
+            if (term) parsed.terms.push(term);
+        }
+    });
+
+    return parsed;
+}
+
+/* Turn the terms into an FTS5 MATCH expression.
+ * Every term is quoted (so characters like "-" or ":" are never read as FTS operators)
+ * and gets a "*" so "rep" finds "report".
+ */
+function toMatchExpression(terms) {
+    return terms.map(term => `"${term.replace(/"/g, '""')}"*`).join(' ');
+}
+
+/* Build the SQL for a parsed query.
+ * Returns { sql, params }; every row holds the selected todo columns plus the name of its list (list_name).
+ */
+function buildSearchQuery(parsed, { columns = 'todos.*', limit = SEARCH_LIMIT } = {}) {
+    const where = [];
+    const params = [];
+    let from = 'todos JOIN lists ON lists.id = todos.list_id';
+    let order = 'todos.updated_at DESC';
+
+    if (parsed.terms.length > 0) {
+        // Rank by relevance when there is something to rank
+        from += ' JOIN todos_fts ON todos_fts.rowid = todos.id';
+        where.push('todos_fts MATCH ?');
+        params.push(toMatchExpression(parsed.terms));
+        order = 'bm25(todos_fts)';
+    }
+    parsed.tags.forEach(tag => {
+        where.push(`todos.id IN (SELECT todo_tags.todo_id FROM todo_tags JOIN tags ON tags.id = todo_tags.tag_id WHERE tags.name = ?)`);
+        params.push(tag);
+    });
+    if (parsed.completed !== null) {
+        where.push('todos.completed = ?');
+        params.push(parsed.completed ? 1 : 0);
+    }
+
+    const sql = `SELECT ${columns}, lists.name AS list_name FROM ${from}
+                 ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+                 ORDER BY ${order} LIMIT ?`;
+    params.push(limit);
+    return { sql, params };
+}
+
+/* Pull the #tags out of a todo's text.
+ * 'Buy milk #shopping #home' -> { text: 'Buy milk', tags: ['shopping', 'home'] }
+ * A "#" inside a word and a name longer than MAX_TAG_LENGTH are left in the text.
+ */
+function extractTags(text) {
+    const tags = [];
+    const stripped = String(text).replace(TAG_PATTERN, (match, space, name) => {
+        if (name.length > MAX_TAG_LENGTH) return match;
+        if (!tags.some(tag => tag.toLowerCase() === name.toLowerCase())) tags.push(name);
+        return space;
+    });
+    return { text: stripped.replace(/\s+/g, ' ').trim(), tags };
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { parseSearchQuery, buildSearchQuery, toMatchExpression, extractTags, SEARCH_LIMIT, MAX_TAG_LENGTH };
+}
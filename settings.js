@@ -0,0 +1,59 @@
+// Author: Daniel
+
+/* User settings (main process)
+ *
+ * Settings live in the settings table as JSON values (see getSetting / setSetting in todo_store.js).
+ * USER_SETTINGS lists the ones the renderer may read and change through the getSettings / setSetting IPC handlers,
+ * each with its default and a check for new values (the values themselves are in SETTING_VALUES, limits.js). Any other key in the table
+ * (e.g. the "legacyImport" marker) is internal and never leaves the main process.
+ */
+
+const { IpcValidationError, toBoolean, toChoice } = require('./ipc_validation');
+const { SETTING_VALUES } = require('./limits');
+
+// The settings and their values are listed in limits.js, which the renderer shares; here each gets its check
+const USER_SETTINGS = Object.fromEntries(Object.entries(SETTING_VALUES).map(([key, setting]) => [key, {
+    default: setting.default,
+    check: value => checkSetting(setting, value)
+}]));
+
+// Check a value against the allowed values of a setting, with the errors of ipc_validation.js
+function checkSetting(setting, value) {
+    if (setting.shortcut) return toShortcut(value);
+    if (setting.maxMinutes) return toMinutes(value, setting.maxMinutes, setting.name);
+    return typeof setting.default === 'boolean' ? toBoolean(value, setting.name) : toChoice(value, setting.choices, setting.name);
+}
+
+// A whole number of minutes from 1 to max
+function toMinutes(value, max, name) {
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+        throw new IpcValidationError(`The ${name} must be a whole number of minutes from 1 to ${max}`);
+    }
+    return value;
+}
+
+// Modifiers and keys of a global shortcut (see Electron's Accelerator docs); it needs a modifier other than Shift,
+// or it would take a key away from every other program
+const SHORTCUT_MODIFIERS = /^(Command|Cmd|Control|Ctrl|CommandOrControl|CmdOrCtrl|Alt|Option|AltGr|Shift|Super|Meta)$/;
+const SHORTCUT_KEYS = /^([A-Z0-9]|F([1-9]|1\d|2[0-4])|Space|Tab|Backspace|Delete|Insert|Return|Enter|Up|Down|Left|Right|Home|End|PageUp|PageDown|Escape|Esc|Plus|[-=\[\];',./`\\])$/;
+
+// A global shortcut such as 'CommandOrControl+Shift+Space', or '' for none
+function toShortcut(value) {
+    if (value === '') return value;
+    const parts = typeof value === 'string' && value.length <= SETTING_VALUES.quickAddShortcut.maxLength ? value.split('+') : [];
+    const key = parts.pop();
+    if (!key || !SHORTCUT_KEYS.test(key) || !parts.some(part => part !== 'Shift') || !parts.every(part => SHORTCUT_MODIFIERS.test(part))) {
+        throw new IpcValidationError(`Invalid shortcut: ${value} (use modifiers and a key, e.g. CommandOrControl+Shift+Space)`);
+    }
+    return value;
+}
+
+// Check a new value for a user setting, refusing keys the renderer may not set
+function toSettingValue(key, value) {
+    if (!Object.prototype.hasOwnProperty.call(USER_SETTINGS, key)) {
+        throw new IpcValidationError(`Unknown setting: ${key}`);
+    }
+    return USER_SETTINGS[key].check(value);
+}
+
+module.exports = { USER_SETTINGS, toSettingValue, toShortcut };
@@ -0,0 +1,893 @@
+// Author: Daniel
+
+/* Storage back ends for the to-do app (renderer)
+ *
+ * The Controller in mvc.js never talks to a database directly. It uses one async storage
+ * interface, and any object with these methods can sit behind it (every method returns a Promise):
+ *
+ *   getTodos(listId, offset, limit)   -> [todo]             the todos of one list, in their manual order; with a limit only the top-level
+ *                                                           todos offset .. offset + limit - 1, each with all its subtasks (a page of a long list)
+ *   countTodos(listId)                -> number             how many top-level todos the list has
+ *   addTodo(text, options)            -> { id }             options: { dueAt, remindAt, listId, parentId, recurrence, priority }; "#tags" in the text become tags
+ *   toggleTodo(id)                    -> [{ id, completed }] flip completed, with the subtasks (see todo_store.js); the previous states, for undo
+ *   reopenOccurrence(id)              -> undefined          undo the last completion of a recurring todo
+ *   removeTodo(id)                    -> todo | null        the deleted todo with its deleted "subtasks" and "history", kept for undo
+ *   updateTodo(id, fields)            -> todo               fields: text, completed, collapsed, due_at, remind_at, priority, recurrence, notes
+ *   restoreTodo(todo)                 -> undefined          put back a todo returned by removeTodo (same id, same subtasks)
+ *   setTodoDue(id, dueAt, remindAt), setTodoTags(id, tags), moveTodo(id, listId)
+ *   reorderTodos(listId, ids)         -> undefined          new order for (some of) the list's todos, see todo_store.js
+ *   searchTodos(query)                -> { todos, terms }   search box syntax, see search.js
+ *   getTodayTodos()                   -> [todo]             open todos of every list that are overdue, due today or of high priority, ranked (see todo_store.js)
+ *   clearCompleted(listId)            -> { ids }            move the list's completed todos (with their subtasks) to the archive
+ *   getArchivedTodos()                -> [archived]         { id, text, list_id, list_name, archived_at }, the most recently archived first
+ *   restoreArchivedTodos(ids)         -> undefined          put archived todos back, like restoreTodo
+ *   getAttachments(todoId)            -> [attachment]       { id, todo_id, name, size, added_at }, the files attached to a todo, oldest first
+ *   addAttachments(todoId)            -> [attachment]       ask the user for files and attach copies of them ([] if cancelled)
+ *   removeAttachment(id)              -> attachment         take a file off its todo and delete the copy (no undo)
+ *   openAttachment(id), openLink(url)                       open an attachment in its app, a link in the notes in the browser
+ *   getTimer()                        -> timer | null       { todoId, text, mode, phase, startedAt, endsAt, cycle }, the timer that runs (see timer.js)
+ *   startTimer(todoId, mode)          -> timer              mode: 'timer' | 'pomodoro'; stops the timer that ran, its time goes to its todo
+ *   stopTimer()                       -> null
+ *   getLists()                        -> [list]             { id, name, open_count }, Inbox first
+ *   createList(name) -> { id },  renameList(id, name),  deleteList(id, mode)   mode: 'move' | 'cascade'
+ *   exportTodos(listId)               -> { filePath, count } | null
+ *   getSettings()                     -> settings           { newTodoPosition, autoCompleteParent, todoFilter, todoSort, quickAddShortcut, keepInTray,
+ *                                                           pomodoroMinutes, breakMinutes }, see settings.js
+ *   setSetting(key, value)            -> settings           all settings after the change
+ *   migrateLegacyTodos()              -> { imported }       one-time copy of the older build's todos
+ *   onExportListRequest(callback), onTodosImported(callback), onReminder(callback)   events from the main process
+ *   onTodosChanged(callback)          callback({ todos, removed, lists, settings, all }) after every change (see broadcastChange in main.js):
+ *                                     one made through this object, just before its promise resolves, or one made in another window
+ *   onTimerChanged(callback)          callback(timer | null) whenever the timer starts, stops or moves between work and break
+ *
+ * Todos have the columns of the todos table (see migrations.js) plus "tags", an array of tag names.
+ * A subtask has the id of its todo in parent_id and is always in the same list.
+ * A recurring todo has a repeat rule in recurrence (see recurrence.js); getTodos and searchTodos add
+ * completed_count, how many of its occurrences have been completed, attachment_count, how many files are attached,
+ * and tracked_ms, the time its finished timers and Pomodoro sessions add up to;
+ * searchTodos and getTodayTodos add list_name. notes holds the Markdown notes of a todo (see markdown.js), null for none.
+ * A refused change (an empty text, a duplicate list name, ...) rejects with an Error whose message can be shown to the user.
+ *
+ * Adapters:
+ *  - IpcStorage           SQLite in the main process, over IPC (the desktop app)
+ *  - LocalStorageStorage  everything kept in the browser's localStorage, like the older build did
+ *  - MemoryStorage        nothing is saved; for tests and for trying the UI out
+ *
+ * index.html picks one with <meta name="todo-storage" content="sqlite">, and "?storage=memory"
+ * in the page URL overrides it (see createStorage at the bottom).
+ */
+
+// limits.js, search.js and recurrence.js are shared with the main process: index.html loads them before this file, in Node they are require()d
+const limits = typeof SETTING_VALUES === 'object' ? { MAX_TEXT_LENGTH, MAX_NOTES_LENGTH, TODAY_MIN_PRIORITY, TODAY_LIMIT, SETTING_VALUES } : require('./limits');
+const searchSyntax = typeof parseSearchQuery === 'function' ? { parseSearchQuery, extractTags, SEARCH_LIMIT, MAX_TAG_LENGTH } : require('./search');
+const recurrenceRules = typeof normalizeRecurrence === 'function' ? { normalizeRecurrence, nextDueDate } : require('./recurrence');
+
+const INBOX_LIST_ID = 1; // Id of the built-in Inbox list (see INBOX_LIST_ID in migrations.js)
+const LEGACY_TODOS_KEY = 'todos'; // localStorage key used by the older localStorage build (and by LocalStorageStorage)
+const LEGACY_MIGRATED_KEY = 'todos.migratedToSqlite'; // Set once those todos have been copied into todos.db
+const LISTS_KEY = 'todos.lists'; // localStorage key for the lists of LocalStorageStorage
+const SETTINGS_KEY = 'todos.settings'; // localStorage key for the settings of LocalStorageStorage
+const COMPLETIONS_KEY = 'todos.completions'; // localStorage key for the history of recurring todos in LocalStorageStorage
+const ARCHIVE_KEY = 'todos.archive'; // localStorage key for the archived todos of LocalStorageStorage
+
+// The defaults of the user settings in limits.js, the same ones settings.js offers in the main process
+const SETTING_DEFAULTS = Object.fromEntries(Object.entries(limits.SETTING_VALUES).map(([key, setting]) => [key, setting.default]));
+
+/* ==========================
+ * SQLite over IPC
+ * ==========================
+ * Every method goes through window.api, the bridge preload.js exposes to the page
+ * (two-way "ipcRenderer.invoke" calls answered by "ipcMain.handle" in main.js),
+ * so the main process owns todos.db and the renderer only sees the results.
+ */
+class IpcStorage {
+    constructor(api) {
+        this.api = api;
+        this.changeListeners = []; // The onTodosChanged callbacks, told about the changes made through this object
+    }
+
+    getTodos(listId, offset, limit) { return this.api.getTodos(listId, offset, limit); }
+    countTodos(listId) { return this.api.countTodos(listId); }
+    addTodo(text, options) { return this.takeChange(this.api.addTodo(text, options)); }
+    toggleTodo(id) { return this.takeChange(this.api.toggleTodo(id)); }
+    removeTodo(id) { return this.takeChange(this.api.removeTodo(id)); }
+    updateTodo(id, fields) { return this.takeChange(this.api.updateTodo(id, fields)); }
+    restoreTodo(todo) { return this.takeChange(this.api.restoreTodo(todo)); }
+    reopenOccurrence(id) { return this.takeChange(this.api.reopenOccurrence(id)); }
+    setTodoDue(id, dueAt, remindAt) { return this.takeChange(this.api.setTodoDue(id, dueAt, remindAt)); }
+    setTodoTags(id, tags) { return this.takeChange(this.api.setTodoTags(id, tags)); }
+    moveTodo(id, listId) { return this.takeChange(this.api.moveTodo(id, listId)); }
+    reorderTodos(listId, ids) { return this.takeChange(this.api.reorderTodos(listId, ids)); }
+    searchTodos(query) { return this.api.searchTodos(query); }
+    getTodayTodos() { return this.api.getTodayTodos(); }
+    clearCompleted(listId) { return this.takeChange(this.api.clearCompleted(listId)); }
+    getArchivedTodos() { return this.api.getArchivedTodos(); }
+    restoreArchivedTodos(ids) { return this.takeChange(this.api.restoreArchivedTodos(ids)); }
+    getAttachments(todoId) { return this.api.getAttachments(todoId); }
+    addAttachments(todoId) { return this.takeChange(this.api.addAttachments(todoId)); }
+    removeAttachment(id) { return this.takeChange(this.api.removeAttachment(id)); }
+    openAttachment(id) { return this.api.openAttachment(id); }
+    openLink(url) { return this.api.openLink(url); }
+    getTimer() { return this.api.getTimer(); }
+    startTimer(todoId, mode) { return this.takeChange(this.api.startTimer(todoId, mode)); }
+    stopTimer() { return this.takeChange(this.api.stopTimer()); }
+    getLists() { return this.api.getLists(); }
+    createList(name) { return this.takeChange(this.api.createList(name)); }
+    renameList(id, name) { return this.takeChange(this.api.renameList(id, name)); }
+    deleteList(id, mode) { return this.takeChange(this.api.deleteList(id, mode)); }
+    exportTodos(listId) { return this.api.exportTodos(listId); }
+    getSettings() { return this.api.getSettings(); }
+    setSetting(key, value) { return this.takeChange(this.api.setSetting(key, value)); }
+
+    /* The handlers that change something answer { result, change } (see Changed in main.js):
+     * the change goes to the onTodosChanged callbacks, so the screen is up to date by the time the caller gets the result.
+     */
+    async takeChange(answer) {
+        const { result, change } = await answer;
+        this.changeListeners.forEach(callback => callback(change));
+        return result;
+    }
+
+    /* One-time migration of the todos the older build kept in localStorage['todos'].
+     * They are sent to the main process, which inserts them into todos.db and records that the import
+     * is done; the LEGACY_MIGRATED_KEY flag only saves asking again on every start.
+     * localStorage['todos'] itself is left alone, LocalStorageStorage still reads it.
+     */
+    async migrateLegacyTodos() {
+        if (localStorage.getItem(LEGACY_MIGRATED_KEY)) return { imported: 0 };
+        let items;
+        try {
+            items = JSON.parse(localStorage.getItem(LEGACY_TODOS_KEY));
+        } catch (err) {
+            console.error('Unreadable legacy todos in localStorage:', err.message);
+            items = null;
+        }
+        if (!Array.isArray(items) || items.length === 0) return { imported: 0 }; // Nothing from the older build
+
+        const { imported, alreadyDone } = await this.api.importLegacyTodos(items);
+        localStorage.setItem(LEGACY_MIGRATED_KEY, String(Date.now()));
+        return { imported: alreadyDone ? 0 : imported };
+    }
+
+    // File > Export Current List (Main to renderer)
+    onExportListRequest(callback) {
+        this.api.onExportListRequest(callback);
+    }
+    // Todos imported through File > Import, the callback receives how many (Main to renderer)
+    onTodosImported(callback) {
+        this.api.onTodosImported(callback);
+    }
+    // Reminders shown by the main process, the callback receives the todo ids (Main to renderer)
+    onReminder(callback) {
+        this.api.onReminder(callback);
+    }
+    // The timer, whenever it changes here, in another window or by itself (the end of a Pomodoro session), see timer.js (Main to renderer)
+    onTimerChanged(callback) {
+        this.api.onTimerChanged(callback);
+    }
+    // Changes made through this object (see takeChange) and in another window, see broadcastChange in main.js (Main to renderer)
+    onTodosChanged(callback) {
+        this.changeListeners.push(callback);
+        this.api.onTodosChanged(callback);
+    }
+}
+
+/* ==========================
+ * In memory
+ * ==========================
+ * Keeps the todos and lists in plain arrays and follows the same rules as the SQLite queries in todo_store.js
+ * (Inbox id 1, unique list names, #tags taken out of the text, ...), so the UI behaves the same on top of it.
+ * Callers always get copies, never the stored objects.
+ * There is no main process behind it: no reminders, no File menu export, no attachments (notes work),
+ * and only a plain timer, which is not saved (the Pomodoro runs in the main process).
+ */
+class MemoryStorage {
+    // data: optional { todos, lists, settings, completions, archive } to start from (e.g. test fixtures)
+    constructor(data = {}) {
+        this.todos = (data.todos || []).map(normalizeTodo);
+        // Completed occurrences of recurring todos: { todo_id, due_at, remind_at, reminded_at, completed_at }, oldest first
+        this.completions = data.completions || [];
+        // Cleared completed todos: { id, list_id, text, archived_at, record }, record as removeTodo returns it
+        this.archive = data.archive || [];
+        this.lists = (data.lists || []).map(list => ({ id: list.id, name: list.name, created_at: list.created_at || Date.now() }));
+        if (!this.lists.some(list => list.id === INBOX_LIST_ID)) {
+            this.lists.unshift({ id: INBOX_LIST_ID, name: 'Inbox', created_at: Date.now() });
+        }
+        this.settings = { ...SETTING_DEFAULTS, ...data.settings };
+        this.changeListeners = []; // The onTodosChanged callbacks
+        this.timer = null; // The timer that runs (see getTimer), its time goes into tracked_ms of its todo when it stops
+        this.timerListeners = []; // The onTimerChanged callbacks
+        // Todos saved before there was a manual order go below the others, in the order they were stored
+        this.todos.filter(todo => todo.position === null).forEach(todo => {
+            todo.position = this.nextPosition(todo.list_id, 'bottom');
+        });
+    }
+
+    /* Called after every change with what changed: { ids, lists, settings, all } as main.js passes to broadcastChange.
+     * The onTodosChanged callbacks get it in the same form as from main.js; LocalStorageStorage saves first.
+     */
+    changed({ ids = [], lists = false, settings = null, all = false } = {}) {
+        // Like timer.sync() in main.js: a timer stops when its todo is completed or gone
+        if (this.timer && !this.todos.some(todo => todo.id === this.timer.todoId && !todo.completed)) {
+            ids = [...ids, ...this.endTimer()];
+            this.timerChanged();
+        }
+        const unique = [...new Set(ids)];
+        const change = {
+            todos: this.todos.filter(todo => unique.includes(todo.id)).map(todo => this.withCompletedCount(todo)),
+            removed: unique.filter(id => !this.todos.some(todo => todo.id === id)),
+            lists, settings, all
+        };
+        this.changeListeners.forEach(callback => callback(change));
+    }
+
+    // A page of a long list is a number of top-level todos with all their subtasks (same as todo_store.js)
+    async getTodos(listId = INBOX_LIST_ID, offset = 0, limit = null) {
+        const todos = this.todos.filter(todo => todo.list_id === listId).sort(byPosition);
+        if (limit === null) return todos.map(todo => this.withCompletedCount(todo));
+        const page = new Set(todos.filter(todo => todo.parent_id === null).slice(offset, offset + limit).flatMap(todo => this.subtree(todo)));
+        return todos.filter(todo => page.has(todo)).map(todo => this.withCompletedCount(todo));
+    }
+
+    async countTodos(listId = INBOX_LIST_ID) {
+        return this.todos.filter(todo => todo.list_id === listId && todo.parent_id === null).length;
+    }
+
+    async addTodo(todoText, options = {}) {
+        const parsed = searchSyntax.extractTags(todoText);
+        const text = checkText(parsed.text || String(todoText).trim()); // A todo made only of tags keeps its text
+        const parentId = options.parentId || null;
+        const listId = parentId ? this.findTodo(parentId).list_id : options.listId || INBOX_LIST_ID; // A subtask lives in its parent's list
+        this.findList(listId);
+        const now = Date.now();
+        const todo = normalizeTodo({
+            id: this.nextTodoId(), text, completed: 0, list_id: listId, position: this.nextPosition(listId), created_at: now, updated_at: now,
+            due_at: toTimestamp(options.dueAt), remind_at: toTimestamp(options.remindAt), tags: parsed.tags, parent_id: parentId,
+            recurrence: recurrenceRules.normalizeRecurrence(options.recurrence, toTimestamp(options.dueAt)), priority: checkPriority(options.priority || 0)
+        });
+        this.todos.push(todo);
+        this.changed({ ids: [todo.id] });
+        return { id: todo.id };
+    }
+
+    // Completing also completes the subtasks, re-opening also re-opens the todos above,
+    // and a recurring todo moves on to its next occurrence instead (same as todo_store.js)
+    async toggleTodo(id) {
+        const todo = this.findTodo(id);
+        const completed = todo.completed ? 0 : 1;
+        if (completed && todo.recurrence) {
+            const now = Date.now();
+            const rule = recurrenceRules.normalizeRecurrence(todo.recurrence, todo.due_at); // Same as todo_store.js: the rule keeps its day of the month
+            const dueAt = recurrenceRules.nextDueDate(rule, todo.due_at, now);
+            this.completions.push({ todo_id: id, due_at: todo.due_at, remind_at: todo.remind_at, reminded_at: todo.reminded_at, completed_at: now });
+            Object.assign(todo, {
+                due_at: dueAt,
+                remind_at: todo.remind_at !== null && todo.due_at !== null ? dueAt - (todo.due_at - todo.remind_at) : todo.remind_at,
+                reminded_at: null,
+                recurrence: recurrenceRules.normalizeRecurrence(rule, dueAt),
+                updated_at: now
+            });
+            const reopened = this.setCompleted(this.subtree(todo).filter(item => item !== todo), 0); // A fresh checklist for the next occurrence
+            this.changed({ ids: [id, ...reopened.map(state => state.id)] });
+            return [{ id, completed: 0, recurred: true }, ...reopened];
+        }
+        const affected = completed ? this.subtree(todo) : [todo, ...this.parents(todo)];
+        const changed = this.setCompleted(affected, completed);
+        if (completed && this.settings.autoCompleteParent) {
+            for (const parent of this.parents(todo)) {
+                if (this.todos.some(item => item.parent_id === parent.id && !item.completed)) break;
+                changed.push(...this.setCompleted([parent], 1));
+            }
+        }
+        this.changed({ ids: changed.map(state => state.id) });
+        return changed;
+    }
+
+    // Take back the last completion of a recurring todo: its due date and reminder go back to that occurrence's
+    async reopenOccurrence(id) {
+        const todo = this.findTodo(id);
+        const last = this.completions.filter(entry => entry.todo_id === id).pop();
+        if (!last) {
+            throw new Error(`Todo ${id} has no completed occurrence`);
+        }
+        Object.assign(todo, { due_at: last.due_at, remind_at: last.remind_at, reminded_at: last.reminded_at, updated_at: Date.now() });
+        this.completions = this.completions.filter(entry => entry !== last);
+        this.changed({ ids: [id] });
+    }
+
+    async removeTodo(id) {
+        const todo = this.todos.find(item => item.id === id);
+        if (!todo) return null;
+        const removed = this.subtree(todo);
+        const history = item => this.completions.filter(entry => entry.todo_id === item.id).map(({ todo_id, ...entry }) => entry);
+        const withSubtasks = item => ({
+            ...copyTodo(item),
+            history: history(item),
+            subtasks: removed.filter(child => child.parent_id === item.id).sort(byPosition).map(withSubtasks)
+        });
+        const record = withSubtasks(todo);
+        this.todos = this.todos.filter(item => !removed.includes(item));
+        this.completions = this.completions.filter(entry => !removed.some(item => item.id === entry.todo_id));
+        this.changed({ ids: removed.map(item => item.id) });
+        return record;
+    }
+
+    async updateTodo(id, fields = {}) {
+        const todo = this.findTodo(id);
+        const changes = {};
+        Object.keys(fields).forEach(field => {
+            const value = fields[field];
+            switch (field) {
+                case 'text': {
+                    const parsed = searchSyntax.extractTags(checkText(value));
+                    changes.text = parsed.text || value.trim(); // A text made only of tags is kept as it is
+                    changes.tags = mergeTags(todo.tags, parsed.tags);
+                    break;
+                }
+                case 'completed':
+                case 'collapsed':
+                    changes[field] = value ? 1 : 0;
+                    break;
+                case 'due_at':
+                case 'remind_at':
+                    changes[field] = toTimestamp(value);
+                    changes.reminded_at = null; // A moved reminder fires again at its new time
+                    break;
+                case 'priority':
+                    changes.priority = checkPriority(value);
+                    break;
+                case 'recurrence':
+                    changes.recurrence = recurrenceRules.normalizeRecurrence(value);
+                    break;
+                case 'notes':
+                    changes.notes = checkNotes(value);
+                    break;
+                default:
+                    throw new TypeError(`Unknown todo field: ${field}`);
+            }
+        });
+        Object.assign(todo, changes, { updated_at: Date.now() });
+        todo.recurrence = recurrenceRules.normalizeRecurrence(todo.recurrence, todo.due_at); // A monthly rule keeps the day of the due date (same as todo_store.js)
+        this.changed({ ids: [id] });
+        return copyTodo(todo);
+    }
+
+    /* Put back a removed todo with its id and its subtasks. Its list may have been deleted since,
+     * then it goes to the Inbox; if its parent is gone it comes back as a todo of its own.
+     */
+    async restoreTodo(todo) {
+        const restored = [];
+        const history = [];
+        const collect = (item, listId, parentId) => {
+            if (!item || !Number.isInteger(item.id) || item.id <= 0) {
+                throw new TypeError('restoreTodo needs a todo with an id');
+            }
+            if (this.todos.some(other => other.id === item.id) || restored.some(other => other.id === item.id)) {
+                throw new Error(`Todo ${item.id} already exists`);
+            }
+            restored.push(normalizeTodo({ ...item, list_id: listId, parent_id: parentId }));
+            (item.history || []).forEach(entry => history.push({ ...entry, todo_id: item.id }));
+            (item.subtasks || []).forEach(subtask => collect(subtask, listId, item.id));
+        };
+        const parent = todo && this.todos.find(item => item.id === todo.parent_id);
+        const listId = parent ? parent.list_id : todo && this.lists.some(list => list.id === todo.list_id) ? todo.list_id : INBOX_LIST_ID;
+        collect(todo, listId, parent ? parent.id : null);
+        this.todos.push(...restored);
+        this.completions.push(...history);
+        this.changed({ ids: restored.map(item => item.id) });
+    }
+
+    async setTodoDue(id, dueAt, remindAt) {
+        const todo = this.findTodo(id);
+        Object.assign(todo, { due_at: toTimestamp(dueAt), remind_at: toTimestamp(remindAt), reminded_at: null, updated_at: Date.now() });
+        todo.recurrence = recurrenceRules.normalizeRecurrence(todo.recurrence, todo.due_at);
+        this.changed({ ids: [id] });
+    }
+
+    async setTodoTags(id, tags) {
+        if (!Array.isArray(tags)) {
+            throw new TypeError('Tags must be an array of names');
+        }
+        const todo = this.findTodo(id);
+        todo.tags = mergeTags([], tags.map(tag => String(tag).replace(/^#/, '')));
+        todo.updated_at = Date.now();
+        this.changed({ ids: [id] });
+    }
+
+    // The todo leaves its parent and takes its subtasks along (same as todo_store.js)
+    async moveTodo(id, listId) {
+        this.findList(listId);
+        const todo = this.findTodo(id);
+        const subtasks = this.subtree(todo).filter(item => item !== todo).sort(byPosition);
+        todo.position = this.nextPosition(listId); // Joins the list like a new todo would
+        todo.list_id = listId;
+        todo.parent_id = null;
+        todo.updated_at = Date.now();
+        subtasks.forEach(subtask => {
+            subtask.position = this.nextPosition(listId, 'bottom');
+            subtask.list_id = listId;
+            subtask.updated_at = todo.updated_at;
+        });
+        this.changed({ ids: [id, ...subtasks.map(subtask => subtask.id)] });
+    }
+
+    // The given todos swap places among the positions they hold, the list's other todos stay put (same as todo_store.js)
+    async reorderTodos(listId, ids) {
+        const current = this.todos.filter(todo => todo.list_id === listId).sort(byPosition);
+        if (!Array.isArray(ids) || new Set(ids).size !== ids.length) {
+            throw new TypeError('reorderTodos needs an array of distinct todo ids');
+        }
+        if (ids.some(id => !current.some(todo => todo.id === id))) {
+            throw new Error('Some of these todos are no longer in this list');
+        }
+        let next = 0;
+        const reordered = current.map(todo => (ids.includes(todo.id) ? this.findTodo(ids[next++]) : todo));
+        reordered.forEach((todo, index) => { todo.position = index + 1; });
+        this.changed({ ids: reordered.map(todo => todo.id) }); // Every position may have been rewritten
+    }
+
+    /* Same syntax as the FTS search in todo_store.js: every word must start a word of the text or a tag,
+     * #tag and is:done / is:open filter. Without ranking the newest changes come first.
+     */
+    async searchTodos(query) {
+        const parsed = searchSyntax.parseSearchQuery(query);
+        const words = parsed.terms.map(term => term.toLowerCase());
+        const todos = this.todos.filter(todo => {
+            if (parsed.completed !== null && Boolean(todo.completed) !== parsed.completed) return false;
+            const tags = todo.tags.map(tag => tag.toLowerCase());
+            if (!parsed.tags.every(tag => tags.includes(tag.toLowerCase()))) return false;
+            const haystack = ` ${todo.text.toLowerCase()} ${tags.join(' ')}`;
+            return words.every(word => haystack.includes(` ${word}`));
+        });
+        return {
+            todos: todos.sort((a, b) => b.updated_at - a.updated_at).slice(0, searchSyntax.SEARCH_LIMIT)
+                .map(todo => ({ ...this.withCompletedCount(todo), list_name: this.findList(todo.list_id).name })),
+            terms: parsed.terms
+        };
+    }
+
+    // Same selection and order as getTodayTodos in todo_store.js: overdue, then due today, then the other high priority todos
+    async getTodayTodos(now = Date.now()) {
+        const endOfToday = new Date(now);
+        endOfToday.setHours(24, 0, 0, 0);
+        const group = todo => (todo.due_at === null ? 2 : todo.due_at < now ? 0 : todo.due_at < endOfToday.getTime() ? 1 : 2);
+        return this.todos
+            .filter(todo => !todo.completed && ((todo.due_at !== null && todo.due_at < endOfToday.getTime()) || todo.priority >= limits.TODAY_MIN_PRIORITY))
+            .sort((a, b) => group(a) - group(b) || b.priority - a.priority || (a.due_at === null) - (b.due_at === null) || a.due_at - b.due_at || a.id - b.id)
+            .slice(0, limits.TODAY_LIMIT)
+            .map(todo => ({ ...this.withCompletedCount(todo), list_name: this.findList(todo.list_id).name }));
+    }
+
+    // Completed todos go to the archive with their subtasks, except subtasks of a completed todo: they go along with it (same as todo_store.js)
+    async clearCompleted(listId) {
+        this.findList(listId);
+        const roots = this.todos.filter(todo => {
+            const parent = this.todos.find(item => item.id === todo.parent_id);
+            return todo.list_id === listId && todo.completed && !(parent && parent.completed);
+        }).sort(byPosition);
+        const now = Date.now();
+        const archived = []; // Ids of the archived todos and their subtasks
+        for (const todo of roots) {
+            const record = await this.removeTodo(todo.id);
+            this.archive.push({ id: record.id, list_id: listId, text: record.text, archived_at: now, record });
+            archived.push(...recordIds(record));
+        }
+        this.changed({ ids: archived }); // All at once, like main.js
+        return { ids: roots.map(todo => todo.id) };
+    }
+
+    async getArchivedTodos() {
+        return [...this.archive]
+            .sort((a, b) => b.archived_at - a.archived_at || b.id - a.id)
+            .map(({ id, text, list_id, archived_at }) => ({ id, text, list_id, list_name: this.findList(list_id).name, archived_at }));
+    }
+
+    async restoreArchivedTodos(ids) {
+        if (!Array.isArray(ids)) {
+            throw new TypeError('restoreArchivedTodos needs an array of todo ids');
+        }
+        const restored = []; // Ids of the restored todos and their subtasks
+        for (const id of ids) {
+            const archived = this.archive.find(item => item.id === id);
+            if (!archived) {
+                throw new Error(`Todo ${id} is not in the archive`);
+            }
+            await this.restoreTodo(archived.record);
+            this.archive = this.archive.filter(item => item !== archived);
+            restored.push(...recordIds(archived.record));
+        }
+        this.changed({ ids: restored }); // All at once, like main.js
+    }
+
+    async getLists() {
+        const inboxFirst = (a, b) => (b.id === INBOX_LIST_ID) - (a.id === INBOX_LIST_ID) || a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+        return [...this.lists].sort(inboxFirst).map(list => ({
+            id: list.id,
+            name: list.name,
+            open_count: this.todos.filter(todo => todo.list_id === list.id && !todo.completed).length
+        }));
+    }
+
+    async createList(name) {
+        const listName = this.checkListName(name);
+        const list = { id: nextId(this.lists), name: listName, created_at: Date.now() };
+        this.lists.push(list);
+        this.changed({ lists: true });
+        return { id: list.id };
+    }
+
+    async renameList(id, name) {
+        const listName = this.checkListName(name, id);
+        this.findList(id).name = listName;
+        this.changed({ lists: true });
+    }
+
+    async deleteList(id, mode) {
+        if (id === INBOX_LIST_ID) {
+            throw new Error('The Inbox cannot be deleted');
+        }
+        if (mode !== 'move' && mode !== 'cascade') {
+            throw new Error(`Unknown delete mode: ${mode}`);
+        }
+        if (mode === 'move') {
+            this.todos.filter(todo => todo.list_id === id).sort(byPosition).forEach(todo => {
+                todo.position = this.nextPosition(INBOX_LIST_ID, 'bottom'); // Below the Inbox's own todos, keeping their order
+                todo.list_id = INBOX_LIST_ID;
+                todo.updated_at = Date.now();
+            });
+            this.archive.filter(item => item.list_id === id).forEach(item => { item.list_id = INBOX_LIST_ID; });
+        } else {
+            this.todos = this.todos.filter(todo => todo.list_id !== id); // Subtasks are in the same list, they go too
+            this.completions = this.completions.filter(entry => this.todos.some(todo => todo.id === entry.todo_id));
+            this.archive = this.archive.filter(item => item.list_id !== id);
+        }
+        this.lists = this.lists.filter(list => list.id !== id);
+        this.changed({ all: true });
+    }
+
+    // Exporting to a file needs the main process
+    async exportTodos() {
+        return null;
+    }
+
+    // So do attachments: files are copied into the app's data folder (see attachments.js); nothing is ever attached here
+    async getAttachments() {
+        return [];
+    }
+
+    async addAttachments() {
+        throw new Error('Attaching files needs the desktop app (SQLite storage)');
+    }
+
+    async removeAttachment(id) {
+        throw new Error(`Attachment ${id} does not exist`);
+    }
+
+    async openAttachment(id) {
+        throw new Error(`Attachment ${id} does not exist`);
+    }
+
+    async getTimer() {
+        return this.timer && { ...this.timer };
+    }
+
+    async startTimer(todoId, mode) {
+        if (mode === 'pomodoro') {
+            throw new Error('The Pomodoro timer needs the desktop app (SQLite storage)');
+        }
+        const todo = this.findTodo(todoId);
+        const stopped = this.endTimer();
+        this.timer = { todoId, text: todo.text, mode: 'timer', phase: 'work', startedAt: Date.now(), endsAt: null, cycle: 0 };
+        this.timerChanged();
+        this.changed({ ids: stopped });
+        return { ...this.timer };
+    }
+
+    async stopTimer() {
+        const stopped = this.endTimer();
+        this.timerChanged();
+        this.changed({ ids: stopped });
+        return null;
+    }
+
+    // Stop the timer, adding its time to its todo; the ids of the todos whose tracked time changed (the callers tell the listeners)
+    endTimer() {
+        if (!this.timer) return [];
+        const todo = this.todos.find(item => item.id === this.timer.todoId);
+        const elapsed = Math.max(Date.now() - this.timer.startedAt, 0);
+        this.timer = null;
+        if (!todo) return [];
+        todo.tracked_ms += elapsed;
+        return [todo.id];
+    }
+
+    timerChanged() {
+        this.timerListeners.forEach(callback => callback(this.timer && { ...this.timer }));
+    }
+
+    // Links in the notes open in a new tab, like target="_blank" would (the same protocols as toLink in ipc_validation.js)
+    async openLink(url) {
+        if (!/^(https?|mailto):/i.test(url)) {
+            throw new TypeError(`Only web and mail links can be opened: ${url}`);
+        }
+        window.open(url, '_blank', 'noopener');
+    }
+
+    async getSettings() {
+        return { ...this.settings };
+    }
+
+    async setSetting(key, value) {
+        if (!Object.prototype.hasOwnProperty.call(limits.SETTING_VALUES, key)) {
+            throw new TypeError(`Unknown setting: ${key}`);
+        }
+        if (!isSettingValue(limits.SETTING_VALUES[key], value)) {
+            throw new TypeError(`Unknown ${key}: ${value}`);
+        }
+        this.settings[key] = value;
+        this.changed({ settings: { ...this.settings } });
+        return { ...this.settings };
+    }
+
+    // The older build's todos are only brought over into SQLite
+    async migrateLegacyTodos() {
+        return { imported: 0 };
+    }
+
+    // No main process, so these events never fire
+    onExportListRequest() {}
+    onTodosImported() {}
+    onReminder() {}
+
+    // The changes made here (see changed)
+    onTodosChanged(callback) {
+        this.changeListeners.push(callback);
+    }
+
+    // The timer started or stopped here (see startTimer)
+    onTimerChanged(callback) {
+        this.timerListeners.push(callback);
+    }
+
+    // Position for a todo joining a list; place is 'top' or 'bottom', the newTodoPosition setting by default
+    nextPosition(listId, place = this.settings.newTodoPosition) {
+        const positions = this.todos.filter(todo => todo.list_id === listId && todo.position !== null).map(todo => todo.position);
+        if (positions.length === 0) return 1;
+        return place === 'top' ? Math.min(...positions) - 1 : Math.max(...positions) + 1;
+    }
+
+    // Like AUTOINCREMENT in main.js: archived todos keep their ids, so a new todo must not take one of them
+    nextTodoId() {
+        const archived = [];
+        const collect = record => { archived.push(record.id); (record.subtasks || []).forEach(collect); };
+        this.archive.forEach(item => collect(item.record));
+        return Math.max(nextId(this.todos), ...archived.map(id => id + 1));
+    }
+
+    // A copy of a todo for the caller, with the number of its completed occurrences like in todo_store.js
+    withCompletedCount(todo) {
+        return { ...copyTodo(todo), completed_count: this.completions.filter(entry => entry.todo_id === todo.id).length };
+    }
+
+    // A todo and all the subtasks below it, at any depth
+    subtree(todo) {
+        const tree = [todo];
+        for (let i = 0; i < tree.length; i++) {
+            tree.push(...this.todos.filter(item => item.parent_id === tree[i].id));
+        }
+        return tree;
+    }
+
+    // The todos above a todo: its parent, the parent's parent, ...
+    parents(todo) {
+        const parents = [];
+        for (let parent = this.todos.find(item => item.id === todo.parent_id); parent; parent = this.todos.find(item => item.id === parent.parent_id)) {
+            parents.push(parent);
+        }
+        return parents;
+    }
+
+    // Set completed on some todos; returns [{ id, completed }] as they were before, for the ones that changed
+    setCompleted(todos, completed) {
+        const changed = todos.filter(todo => todo.completed !== completed);
+        const now = Date.now();
+        const previous = changed.map(todo => ({ id: todo.id, completed: todo.completed }));
+        changed.forEach(todo => Object.assign(todo, { completed, updated_at: now }));
+        return previous;
+    }
+
+    findTodo(id) {
+        const todo = this.todos.find(item => item.id === id);
+        if (!todo) {
+            throw new Error(`Todo ${id} does not exist`);
+        }
+        return todo;
+    }
+
+    findList(id) {
+        const list = this.lists.find(item => item.id === id);
+        if (!list) {
+            throw new Error(`List ${id} does not exist`);
+        }
+        return list;
+    }
+
+    // Trim a list name and make sure no other list (other than exceptId) uses it, ignoring case
+    checkListName(name, exceptId = null) {
+        const listName = typeof name === 'string' ? name.trim() : '';
+        if (!listName) {
+            throw new Error('A list needs a name');
+        }
+        if (this.lists.some(list => list.id !== exceptId && list.name.toLowerCase() === listName.toLowerCase())) {
+            throw new Error(`A list named "${listName}" already exists`);
+        }
+        return listName;
+    }
+}
+
+/* ==========================
+ * localStorage
+ * ==========================
+ * The in-memory adapter, saved to localStorage after every change.
+ * The todos stay under the older build's 'todos' key, as an array of { id, text, completed, ... },
+ * so todos saved by that build show up here unchanged.
+ */
+class LocalStorageStorage extends MemoryStorage {
+    constructor(storage = localStorage) {
+        super({
+            todos: readJson(storage, LEGACY_TODOS_KEY), lists: readJson(storage, LISTS_KEY),
+            settings: readJson(storage, SETTINGS_KEY), completions: readJson(storage, COMPLETIONS_KEY),
+            archive: readJson(storage, ARCHIVE_KEY)
+        });
+        this.storage = storage;
+    }
+
+    changed(change) {
+        this.storage.setItem(LEGACY_TODOS_KEY, JSON.stringify(this.todos));
+        this.storage.setItem(LISTS_KEY, JSON.stringify(this.lists));
+        this.storage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+        this.storage.setItem(COMPLETIONS_KEY, JSON.stringify(this.completions));
+        this.storage.setItem(ARCHIVE_KEY, JSON.stringify(this.archive));
+        super.changed(change);
+    }
+}
+
+/* ==========================
+ * Helpers
+ * ==========================
+ */
+
+// Fill in the fields a todo from an older build (or a test fixture) may lack
+function normalizeTodo(todo) {
+    const now = Date.now();
+    return {
+        id: todo.id,
+        text: String(todo.text),
+        completed: todo.completed ? 1 : 0,
+        list_id: todo.list_id || INBOX_LIST_ID,
+        position: Number.isFinite(todo.position) ? todo.position : null,
+        parent_id: todo.parent_id || null,
+        collapsed: todo.collapsed ? 1 : 0,
+        created_at: todo.created_at || now,
+        updated_at: todo.updated_at || todo.created_at || now,
+        due_at: todo.due_at ?? null,
+        priority: todo.priority || 0,
+        remind_at: todo.remind_at ?? null,
+        reminded_at: todo.reminded_at ?? null,
+        recurrence: todo.recurrence || null,
+        notes: todo.notes || null,
+        tracked_ms: todo.tracked_ms || 0,
+        tags: Array.isArray(todo.tags) ? [...todo.tags] : []
+    };
+}
+
+// Sort order of a list: manual position, then id
+function byPosition(a, b) {
+    return a.position - b.position || a.id - b.id;
+}
+
+function copyTodo(todo) {
+    return { ...todo, tags: [...todo.tags] };
+}
+
+// Ids of a todo as removeTodo returns it and of all its subtasks (like recordIds in main.js)
+function recordIds(record) {
+    return [record.id, ...(record.subtasks || []).flatMap(recordIds)];
+}
+
+// One more than the highest id in use
+function nextId(items) {
+    return items.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+}
+
+// Same rules as main.js: not empty, not too long
+function checkText(value) {
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (!text) {
+        throw new Error('You must write something!');
+    }
+    if (text.length > limits.MAX_TEXT_LENGTH) {
+        throw new Error(`A todo can be at most ${limits.MAX_TEXT_LENGTH} characters long`);
+    }
+    return text;
+}
+
+// Notes are kept as written, up to limits.MAX_NOTES_LENGTH characters; empty notes are null (same as toNotes in ipc_validation.js)
+function checkNotes(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value !== 'string' || value.length > limits.MAX_NOTES_LENGTH) {
+        throw new Error(`Notes must be a text of at most ${limits.MAX_NOTES_LENGTH} characters`);
+    }
+    return value.trim() ? value : null;
+}
+
+// One of the allowed values of a user setting in limits.js; main.js checks the keys of a shortcut, nothing uses it here
+function isSettingValue(setting, value) {
+    if (setting.shortcut) return typeof value === 'string' && value.length <= setting.maxLength;
+    if (setting.maxMinutes) return Number.isInteger(value) && value >= 1 && value <= setting.maxMinutes;
+    return setting.choices.includes(value);
+}
+
+// Add tag names that are not there yet (ignoring case), refusing anything that is not a tag name
+function mergeTags(tags, names) {
+    const merged = [...tags];
+    names.forEach(name => {
+        if (!/^[\p{L}\p{N}_-]+$/u.test(name) || name.length > searchSyntax.MAX_TAG_LENGTH) {
+            throw new TypeError(`Invalid tag name: ${name}`);
+        }
+        if (!merged.some(tag => tag.toLowerCase() === name.toLowerCase())) merged.push(name);
+    });
+    return merged;
+}
+
+// A priority: 0 (none) to 4 (urgent)
+function checkPriority(value) {
+    if (!Number.isInteger(value) || value < 0 || value > 4) {
+        throw new TypeError(`Invalid priority: ${value}`);
+    }
+    return value;
+}
+
+// null/undefined or milliseconds since the epoch
+function toTimestamp(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (!Number.isFinite(value)) {
+        throw new TypeError(`Invalid timestamp: ${value}`);
+    }
+    return Math.round(value);
+}
+
+// Parse a JSON value from localStorage, or undefined if it is missing or unreadable
+function readJson(storage, key) {
+    try {
+        return JSON.parse(storage.getItem(key)) || undefined;
+    } catch (err) {
+        console.error(`Unreadable ${key} in localStorage:`, err.message);
+        return undefined;
+    }
+}
+
+/* Create the storage adapter named in the configuration:
+ * 'sqlite' (the default), 'localStorage' or 'memory'.
+ */
+function createStorage(name = 'sqlite') {
+    switch (name) {
+        case 'sqlite': return new IpcStorage(window.api);
+        case 'localStorage': return new LocalStorageStorage();
+        case 'memory': return new MemoryStorage();
+        default: throw new Error(`Unknown storage back end: ${name}`);
+    }
+}
+
+// The configured back end: "?storage=..." in the page URL, else <meta name="todo-storage"> in index.html
+function configuredStorageName() {
+    const fromUrl = new URLSearchParams(window.location.search).get('storage');
+    const meta = document.querySelector('meta[name="todo-storage"]');
+    return fromUrl || (meta && meta.content) || 'sqlite';
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { IpcStorage, MemoryStorage, LocalStorageStorage, createStorage, configuredStorageName, INBOX_LIST_ID };
+}
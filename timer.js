@@ -0,0 +1,159 @@
+// Author: Daniel
+
+/* Timers and the Pomodoro timer on todos (main process)
+ *
+ * One timer runs at a time, on one todo; starting another one stops it. It is either
+ *  - a plain timer ('timer'), counting up until it is stopped, or
+ *  - a Pomodoro ('pomodoro'): work for pomodoroMinutes, a break of breakMinutes, work again, ... until it is stopped
+ *    (the settings of the same name, 25 and 5 by default). A notification says when a work session or a break is over.
+ * The time worked goes into time_entries (see migration 17 and todo_store.js): one entry from start to stop for a timer,
+ * one per work session for a Pomodoro; breaks are not recorded.
+ * The timer runs here rather than in a window, so it goes on while the windows are hidden or closed to the tray.
+ * The running entry is in todos.db, so it also outlives the app: resume() picks it up at the next start, and a work
+ * session that should have ended meanwhile ends at its time (the break after it is skipped).
+ *
+ * What the windows are told (see main.js), null when no timer runs:
+ *   { todoId, text, mode, phase, startedAt, endsAt, cycle }
+ * mode is 'timer' or 'pomodoro', phase 'work' or 'break' (a plain timer is always at work), endsAt is null for a
+ * plain timer, cycle counts the work sessions of a Pomodoro (1, 2, ...).
+ */
+
+const TIMER_MODES = ['timer', 'pomodoro'];
+
+const MINUTE_MS = 60 * 1000;
+
+// Like the reminders, never sleep for longer than this: a long setTimeout drifts when the computer sleeps
+const MAX_WAIT_MS = MINUTE_MS;
+
+class TodoTimer {
+    /* store: getRunningTimeEntry, startTimeEntry, stopTimeEntry and getTodosById of todo_store.js
+     * lengths: async function resolving with { work, pause }, the pomodoroMinutes and breakMinutes settings
+     * notify: function(title, body) that shows a notification
+     * onChange: function(state, ids) called whenever the state changes; ids are the todos whose tracked time changed
+     *   by themselves (a work session that ended), start() and stop() resolve with theirs instead
+     */
+    constructor(store, { lengths, notify, onChange }) {
+        this.store = store;
+        this.lengths = lengths;
+        this.notify = notify;
+        this.onChange = onChange;
+        this.state = null;
+        this.timeout = null;
+        this.queue = Promise.resolve(); // Changes run one after another, so a session ending never races a click on Stop
+    }
+
+    // Pick up the timer that ran when the app was closed (called once at startup)
+    resume() {
+        return this.run(async () => {
+            const running = await this.store.getRunningTimeEntry();
+            if (!running) return;
+            if (running.kind !== 'pomodoro') {
+                this.setState({ todoId: running.todo_id, text: running.text, mode: 'timer', phase: 'work', startedAt: running.started_at, endsAt: null, cycle: 0 });
+                return;
+            }
+            const { work } = await this.lengths();
+            const endsAt = running.started_at + work * MINUTE_MS;
+            if (endsAt <= Date.now()) {
+                const ended = await this.store.stopTimeEntry(endsAt);
+                this.setState(null, ended.map(entry => entry.todo_id));
+            } else {
+                this.setState({ todoId: running.todo_id, text: running.text, mode: 'pomodoro', phase: 'work', startedAt: running.started_at, endsAt, cycle: 1 });
+            }
+        });
+    }
+
+    /* Start a timer or a Pomodoro (mode) on a todo, stopping the one that ran.
+     * Resolves with { state, ids }: the new state and the todos whose tracked time changed (the one stopped).
+     */
+    start(todoId, mode) {
+        return this.run(async () => {
+            const now = Date.now();
+            const { work } = await this.lengths();
+            const { entry, ended } = await this.store.startTimeEntry(todoId, mode, now);
+            const pomodoro = mode === 'pomodoro';
+            this.setState({ todoId, text: entry.text, mode, phase: 'work', startedAt: now, endsAt: pomodoro ? now + work * MINUTE_MS : null, cycle: pomodoro ? 1 : 0 });
+            return { state: this.state, ids: ended.map(item => item.todo_id) };
+        });
+    }
+
+    // Stop the timer; resolves with { state: null, ids } like start()
+    stop() {
+        return this.run(async () => {
+            const ended = await this.store.stopTimeEntry(Date.now());
+            this.setState(null);
+            return { state: null, ids: ended.map(entry => entry.todo_id) };
+        });
+    }
+
+    // Stop the timer if its todo is gone (deleted, archived, in a deleted list) or completed; main.js calls it after those
+    sync() {
+        return this.run(async () => {
+            if (!this.state) return;
+            const [todo] = await this.store.getTodosById([this.state.todoId]);
+            if (todo && !todo.completed) return;
+            const ended = await this.store.stopTimeEntry(Date.now()); // Nothing left to end if the entry went with its todo
+            this.setState(null, ended.map(entry => entry.todo_id));
+        });
+    }
+
+    // The current state (see the top of this file)
+    getState() {
+        return this.state;
+    }
+
+    // Stop waiting for the end of a session (called when the app quits); the running entry stays for resume()
+    close() {
+        clearTimeout(this.timeout);
+        this.timeout = null;
+    }
+
+    run(work) {
+        const result = this.queue.then(work);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    setState(state, ids = []) {
+        this.state = state;
+        this.arm();
+        this.onChange(state, ids);
+    }
+
+    // Wait for the end of the Pomodoro session or break
+    arm() {
+        this.close();
+        if (!this.state || this.state.endsAt === null) return;
+        const wait = Math.min(Math.max(this.state.endsAt - Date.now(), 0), MAX_WAIT_MS);
+        this.timeout = setTimeout(() => this.run(() => this.tick()), wait);
+    }
+
+    // A session or break may be over: go on to the next one
+    async tick() {
+        const state = this.state;
+        if (!state || state.endsAt === null) return;
+        if (Date.now() < state.endsAt) {
+            this.arm(); // Woke up early, see MAX_WAIT_MS
+            return;
+        }
+        try {
+            const { work, pause } = await this.lengths();
+            const [todo] = await this.store.getTodosById([state.todoId]);
+            const text = todo ? todo.text : state.text;
+            const now = Date.now();
+            if (state.phase === 'work') {
+                const ended = await this.store.stopTimeEntry(state.endsAt); // At its time, even if the computer slept through it
+                this.notify('Pomodoro done', `${text}\nTime for a ${pause} minute break.`);
+                this.setState({ ...state, text, phase: 'break', startedAt: now, endsAt: now + pause * MINUTE_MS }, ended.map(entry => entry.todo_id));
+            } else {
+                await this.store.startTimeEntry(state.todoId, 'pomodoro', now);
+                this.notify('Break over', `Back to ${text} for ${work} minutes.`);
+                this.setState({ ...state, text, phase: 'work', startedAt: now, endsAt: now + work * MINUTE_MS, cycle: state.cycle + 1 });
+            }
+        } catch (err) {
+            console.error('Error in the Pomodoro timer:', err.message); // E.g. the todo was deleted during the break
+            this.setState(null);
+        }
+    }
+}
+
+module.exports = { TodoTimer, TIMER_MODES };
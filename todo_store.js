@@ -0,0 +1,935 @@
+// Author: Daniel
+
+/* The todo database (main process, and cli.js when the app is not running)
+ *
+ * createTodoStore(db) wraps an open sqlite3 Database, already migrated and with foreign keys on,
+ * and returns plain functions that main.js calls as if they were its own:
+ *  - dbRun / dbGet / dbAll and transaction / queued: promise wrappers and the queue all writes go through;
+ *  - getSetting / setSetting / getUserSettings: the settings table;
+ *  - getTodos / addTodo / toggleTodo / removeTodo: the everyday operations, shared by the IPC handlers,
+ *    the local API (local_api.js) and cli.js; getDueToday: the counts and todos of the tray icon (tray.js);
+ *  - getTodayTodos: the Today view, ranked here rather than in the renderer;
+ *  - countTodos and getTodos(listId, offset, limit): a long list a page at a time;
+ *  - the other todo operations, lists, the archive, attachments, time entries and import / export (.ics files included), one function per IPC handler
+ *    of the same name wherever there is one;
+ *  - the helpers those are built from: subtasks, recurring todos, tags,
+ *    and taking todos out of the database and putting them back.
+ * Nothing here knows about windows or notifications; the callers take care of those after a change.
+ */
+
+const crypto = require('node:crypto');
+const { INBOX_LIST_ID } = require('./migrations');
+const { USER_SETTINGS } = require('./settings');
+const { parseSearchQuery, buildSearchQuery, extractTags } = require('./search');
+const { normalizeRecurrence, nextDueDate } = require('./recurrence');
+const { toTodoRecord } = require('./ipc_validation');
+const { MAX_TEXT_LENGTH, TODAY_MIN_PRIORITY, TODAY_LIMIT } = require('./limits');
+const { attachmentFiles } = require('./attachments');
+
+/*
+ * The Today view (getTodayTodos): open todos that are overdue, due today or at least TODAY_MIN_PRIORITY (high or urgent),
+ * at most TODAY_LIMIT of them (both in limits.js). MemoryStorage in storage.js follows the same rules.
+ */
+
+// Thrown for a todo id that is not in the database (the local API answers it with 404)
+class NotFoundError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NotFoundError';
+    }
+}
+
+// Adds "completed_count" to a SELECT on todos: how many occurrences of a recurring todo have been completed
+const COMPLETED_COUNT_COLUMN = '(SELECT COUNT(*) FROM todo_completions WHERE todo_completions.todo_id = todos.id) AS completed_count';
+
+// Adds "attachment_count" to a SELECT on todos: how many files are attached to the todo (see migration 15)
+const ATTACHMENT_COUNT_COLUMN = '(SELECT COUNT(*) FROM attachments WHERE attachments.todo_id = todos.id) AS attachment_count';
+
+// Adds "tracked_ms" to a SELECT on todos: the time recorded on the todo, in milliseconds (finished time entries, see migration 17)
+const TRACKED_COLUMN = '(SELECT COALESCE(SUM(ended_at - started_at), 0) FROM time_entries WHERE time_entries.todo_id = todos.id AND ended_at IS NOT NULL) AS tracked_ms';
+
+/*
+ * Tags
+ * TAGS_COLUMN adds a "tags" column (space separated tag names) to a SELECT on todos,
+ * withTagArray turns it into an array before the row is sent to the renderer.
+ */
+const TAGS_COLUMN = `(SELECT group_concat(tags.name, ' ') FROM todo_tags JOIN tags ON tags.id = todo_tags.tag_id
+                      WHERE todo_tags.todo_id = todos.id) AS tags`;
+
+function withTagArray(row) {
+    return { ...row, tags: row.tags ? row.tags.split(' ') : [] };
+}
+
+function createTodoStore(db) {
+    /*
+     * Promise wrappers around the sqlite3 callback API
+     * dbRun resolves with { lastID, changes } from the statement.
+     */
+    function dbRun(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            db.run(sql, params, function(err) {
+                err ? reject(err) : resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    function dbGet(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    function dbAll(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+        });
+    }
+
+    /*
+     * Settings (key/value pairs in the settings table, values stored as JSON)
+     * getSetting resolves with the fallback when the key has never been set. Like the other reads it can run
+     * inside a transaction; on its own wrap it in queued(). setSetting is a transaction of its own,
+     * writeSetting is what a transaction that also changes a setting calls.
+     */
+    async function getSetting(key, fallback = null) {
+        const row = await dbGet('SELECT value FROM settings WHERE key = ?', [key]);
+        return row ? JSON.parse(row.value) : fallback;
+    }
+
+    function setSetting(key, value) {
+        return transaction(() => writeSetting(key, value));
+    }
+
+    function writeSetting(key, value) {
+        return dbRun('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value',
+            [key, JSON.stringify(value)]);
+    }
+
+    // All user settings (see settings.js), with the defaults filled in for the ones never changed
+    async function getUserSettings() {
+        const settings = {};
+        for (const key of Object.keys(USER_SETTINGS)) {
+            settings[key] = await getSetting(key, USER_SETTINGS[key].default);
+        }
+        return settings;
+    }
+
+    /*
+     * Position for a todo joining a list (todos are shown in position order, see migration 9).
+     * place is 'top' or 'bottom'; it defaults to the user's newTodoPosition setting.
+     */
+    async function nextPosition(listId, place = null) {
+        const where = place || await getSetting('newTodoPosition', USER_SETTINGS.newTodoPosition.default);
+        const row = await dbGet(`SELECT ${where === 'top' ? 'MIN(position) - 1' : 'MAX(position) + 1'} AS position FROM todos WHERE list_id = ?`, [listId]);
+        return row.position === null ? 1 : row.position;
+    }
+
+    /*
+     * Run work() inside a single SQLite transaction: committed if it resolves, rolled back if it throws.
+     * Transactions are queued one after another because they all share the same connection.
+     */
+    let transactionQueue = Promise.resolve();
+    function transaction(work) {
+        return queued(async () => {
+            await dbRun('BEGIN IMMEDIATE');
+            try {
+                const value = await work();
+                await dbRun('COMMIT');
+                return value;
+            } catch (err) {
+                await dbRun('ROLLBACK');
+                throw err;
+            }
+        });
+    }
+
+    // Run work() once the transactions before it are done, with the connection to itself (e.g. restoring a backup)
+    function queued(work) {
+        const result = transactionQueue.then(work);
+        transactionQueue = result.catch(() => {});  // A failed transaction must not block the ones after it
+        return result;
+    }
+
+    /*
+     * The everyday todo operations behind the getTodos / addTodo / toggleTodo / removeTodo IPC handlers
+     * (and so the local API and cli.js). Their arguments have already been checked (see ipc_validation.js).
+     */
+
+    /* The todos of one list, with their tag names, in the user's order.
+     * With a limit only one page of it: the top-level todos offset to offset + limit - 1, each with all the subtasks
+     * below it, so a long list can be shown without loading all of it (see the View in mvc.js).
+     */
+    async function getTodos(listId, offset = 0, limit = null) {
+        if (limit === null) {
+            const rows = await dbAll(`SELECT todos.*, ${TAGS_COLUMN}, ${COMPLETED_COUNT_COLUMN}, ${ATTACHMENT_COUNT_COLUMN}, ${TRACKED_COLUMN} FROM todos WHERE list_id = ? ORDER BY position, id`, [listId]);
+            return rows.map(withTagArray);
+        }
+        const rows = await dbAll(`WITH RECURSIVE page(id) AS (
+                                      SELECT id FROM todos WHERE list_id = ? AND parent_id IS NULL ORDER BY position, id LIMIT ? OFFSET ?
+                                  ), tree(id) AS (
+                                      SELECT id FROM page UNION ALL SELECT todos.id FROM todos JOIN tree ON todos.parent_id = tree.id
+                                  )
+                                  SELECT todos.*, ${TAGS_COLUMN}, ${COMPLETED_COUNT_COLUMN}, ${ATTACHMENT_COUNT_COLUMN}, ${TRACKED_COLUMN} FROM todos
+                                  WHERE todos.id IN (SELECT id FROM tree) ORDER BY position, id`, [listId, limit, offset]);
+        return rows.map(withTagArray);
+    }
+
+    // How many top-level todos a list has (the pages getTodos can return)
+    async function countTodos(listId) {
+        const row = await dbGet('SELECT COUNT(*) AS count FROM todos WHERE list_id = ? AND parent_id IS NULL', [listId]);
+        return row.count;
+    }
+
+    /*
+     * Insert a new todo and resolve with its id (options as for the addTodo IPC handler, see main.js).
+     * "#tags" written in the text are stored as tags and removed from the text ('Buy milk #home' -> 'Buy milk' tagged home).
+     * With parentId the todo becomes a subtask of that todo, in the parent's list.
+     */
+    function addTodo(todoText, { dueAt = null, remindAt = null, listId = INBOX_LIST_ID, parentId = null, recurrence = null, priority = 0 } = {}) {
+        const parsed = extractTags(todoText);
+        const text = parsed.text || todoText;  // A todo made only of tags keeps its text
+        return transaction(async () => {
+            let todoListId = listId;
+            if (parentId !== null) {
+                const parentTodo = await dbGet('SELECT list_id FROM todos WHERE id = ?', [parentId]);
+                if (!parentTodo) {
+                    throw new NotFoundError(`Todo ${parentId} does not exist`);
+                }
+                todoListId = parentTodo.list_id;  // A subtask always lives in its parent's list
+            }
+            const now = Date.now();  // created_at and updated_at start out the same
+            const position = await nextPosition(todoListId);  // Top or bottom of the list, as the user chose
+             // Run a SQL INSERT statement; set completed as 0 (false) by default
+            const { lastID } = await dbRun('INSERT INTO todos (text, completed, created_at, updated_at, due_at, remind_at, list_id, position, parent_id, recurrence, priority) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                [text, 0, now, now, dueAt, remindAt, todoListId, position, parentId, normalizeRecurrence(recurrence, dueAt), priority]);
+            await setTags(lastID, parsed.tags);
+            return lastID;
+        });
+    }
+
+    /*
+     * Flip the completed state of a todo, together with its subtasks:
+     *  - completing a todo completes all of its subtasks, and with the autoCompleteParent setting on,
+     *    a parent whose last open subtask this was is completed too (and so on upwards);
+     *  - re-opening a todo re-opens the todos above it, a done parent cannot have open subtasks;
+     *  - completing a recurring todo moves it on to its next occurrence instead (see completeOccurrence).
+     * Resolves with [{ id, completed }], the state each changed todo had before, so the renderer can undo;
+     * a recurring todo that moved on is listed as { id, completed: 0, recurred: true } and is undone with reopenOccurrence.
+     */
+    function toggleTodo(id) {
+        return transaction(async () => {
+            // Retrieve the current completed state of the todo with the given id
+            const row = await dbGet('SELECT * FROM todos WHERE id = ?', [id]);
+            if (!row) {
+                throw new NotFoundError(`Todo ${id} does not exist`);
+            }
+            if (row.completed === 0 && row.recurrence) {
+                return completeOccurrence(row);
+            }
+             // Calculate the new completed state (flip 0 to 1 or 1 to 0)
+            const newCompletedState = row.completed === 0 ? 1 : 0;
+            const ids = newCompletedState ? await subtaskIds(id) : [id, ...await parentIds(id)];
+            const changed = await setCompleted(ids, newCompletedState);
+            if (newCompletedState && await getSetting('autoCompleteParent', USER_SETTINGS.autoCompleteParent.default)) {
+                // Walk up while the parent has no open subtask left
+                let parentId = row.parent_id;
+                while (parentId !== null) {
+                    const open = await dbGet('SELECT COUNT(*) AS count FROM todos WHERE parent_id = ? AND completed = 0', [parentId]);
+                    if (open.count > 0) break;
+                    changed.push(...await setCompleted([parentId], 1));
+                    parentId = (await dbGet('SELECT parent_id FROM todos WHERE id = ?', [parentId])).parent_id;
+                }
+            }
+            return changed;
+        });
+    }
+
+    // Delete a todo and its subtasks; resolves with the deleted todo as takeTodo returns it, or null if there is no such todo
+    function removeTodo(id) {
+        return transaction(() => takeTodo(id));
+    }
+
+    /*
+     * What the tray shows (see tray.js): the number of open todos, how many of them are overdue,
+     * and the open todos due before the end of today, overdue ones included, soonest first.
+     */
+    async function getDueToday(now = Date.now()) {
+        const endOfToday = new Date(now);
+        endOfToday.setHours(24, 0, 0, 0);
+        const counts = await dbGet('SELECT COUNT(*) AS open, COALESCE(SUM(due_at < ?), 0) AS overdue FROM todos WHERE completed = 0', [now]);
+        const todos = await dbAll('SELECT id, text, due_at FROM todos WHERE completed = 0 AND due_at < ? ORDER BY due_at, id', [endOfToday.getTime()]);
+        return { open: counts.open, overdue: counts.overdue, todos };
+    }
+
+    /*
+     * The Today view: the open todos of every list that are overdue, due before the end of today or of high priority,
+     * with the name of their list. Overdue ones come first, then the ones due today, then the other high priority ones;
+     * within each group the most important first, then the soonest due.
+     * The two halves of the IN are separate so each reads its own index (see migration 13), an OR would read every todo.
+     */
+    async function getTodayTodos(now = Date.now()) {
+        const endOfToday = new Date(now);
+        endOfToday.setHours(24, 0, 0, 0);
+        const rows = await dbAll(`SELECT todos.*, ${TAGS_COLUMN}, ${COMPLETED_COUNT_COLUMN}, ${ATTACHMENT_COUNT_COLUMN}, ${TRACKED_COLUMN}, lists.name AS list_name
+                                  FROM todos JOIN lists ON lists.id = todos.list_id
+                                  WHERE todos.id IN (SELECT id FROM todos WHERE completed = 0 AND due_at < ?
+                                                     UNION ALL SELECT id FROM todos WHERE completed = 0 AND priority >= ?)
+                                  ORDER BY CASE WHEN todos.due_at < ? THEN 0 WHEN todos.due_at < ? THEN 1 ELSE 2 END,
+                                           todos.priority DESC, todos.due_at IS NULL, todos.due_at, todos.id
+                                  LIMIT ?`, [endOfToday.getTime(), TODAY_MIN_PRIORITY, now, endOfToday.getTime(), TODAY_LIMIT]);
+        return rows.map(withTagArray);
+    }
+
+    /*
+     * The other todo operations behind the IPC handlers of the same names (see main.js).
+     * Their arguments have been checked too; main.js reschedules the reminders and tells the windows afterwards.
+     */
+
+    // The todos with these ids, in the same form as getTodos returns them (ids that are gone are left out)
+    async function getTodosById(ids) {
+        if (ids.length === 0) return [];
+        const rows = await dbAll(`SELECT todos.*, ${TAGS_COLUMN}, ${COMPLETED_COUNT_COLUMN}, ${ATTACHMENT_COUNT_COLUMN}, ${TRACKED_COLUMN} FROM todos WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+        return rows.map(withTagArray);
+    }
+
+    /*
+     * Change some fields of a todo (checked by toTodoFields) and resolve with the updated todo.
+     * "#tags" in a new text are added to the todo's tags, like when adding a todo,
+     * and a moved due date or reminder lets the reminder fire again.
+     */
+    function updateTodo(id, fields) {
+        const changes = { ...fields };
+        let newTags = [];
+        if ('text' in changes) {
+            const parsed = extractTags(changes.text);
+            changes.text = parsed.text || changes.text;  // A text made only of tags is kept as it is
+            newTags = parsed.tags;
+        }
+        if ('due_at' in changes || 'remind_at' in changes) {
+            changes.reminded_at = null;  // A moved reminder fires again at its new time
+        }
+        changes.updated_at = Date.now();
+
+        const columns = Object.keys(changes);
+        return transaction(async () => {
+            const { changes: updated } = await dbRun(`UPDATE todos SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...columns.map(column => changes[column]), id]);
+            if (updated === 0) {
+                throw new NotFoundError(`Todo ${id} does not exist`);
+            }
+            if ('recurrence' in changes || 'due_at' in changes) await anchorRecurrence(id);
+            await addTags(id, newTags);
+            return withTagArray(await dbGet(`SELECT todos.*, ${TAGS_COLUMN} FROM todos WHERE id = ?`, [id]));
+        });
+    }
+
+    // Replace the tags of a todo with these tag names
+    function setTodoTags(id, names) {
+        return transaction(async () => {
+            await setTags(id, names);
+            await dbRun('UPDATE todos SET updated_at = ? WHERE id = ?', [Date.now(), id]);
+        });
+    }
+
+    // Search every list with the search box syntax (see search.js); resolves with { todos, terms }
+    async function searchTodos(query) {
+        const parsed = parseSearchQuery(query);
+        const { sql, params } = buildSearchQuery(parsed, { columns: `todos.*, ${TAGS_COLUMN}, ${COMPLETED_COUNT_COLUMN}, ${ATTACHMENT_COUNT_COLUMN}, ${TRACKED_COLUMN}` });
+        const rows = await dbAll(sql, params);
+        return { todos: rows.map(withTagArray), terms: parsed.terms };
+    }
+
+    // Set or clear (null) the due date and reminder time of a todo; reminded_at is cleared so a moved reminder fires again
+    function setTodoDue(id, dueAt, remindAt) {
+        return transaction(async () => {
+            await dbRun('UPDATE todos SET due_at = ?, remind_at = ?, reminded_at = NULL, updated_at = ? WHERE id = ?', [dueAt, remindAt, Date.now(), id]);
+            await anchorRecurrence(id);
+        });
+    }
+
+    // Undo the last completion of a recurring todo: back to the due date and reminder of that occurrence, which leaves its history
+    function reopenOccurrence(id) {
+        return transaction(async () => {
+            const last = await dbGet('SELECT * FROM todo_completions WHERE todo_id = ? ORDER BY completed_at DESC, id DESC LIMIT 1', [id]);
+            if (!last) {
+                throw new NotFoundError(`Todo ${id} has no completed occurrence`);
+            }
+            await dbRun('UPDATE todos SET due_at = ?, remind_at = ?, reminded_at = ?, updated_at = ? WHERE id = ?',
+                [last.due_at, last.remind_at, last.reminded_at, Date.now(), id]);
+            await dbRun('DELETE FROM todo_completions WHERE id = ?', [last.id]);
+        });
+    }
+
+    // Put back a todo removeTodo returned (checked with toTodoRecord), see putTodoBack
+    function restoreTodo(todo) {
+        return transaction(() => putTodoBack(todo));
+    }
+
+    /*
+     * Move a todo to another list, like a new todo joins it (at its top or bottom); it leaves its parent,
+     * and its subtasks come along below the list's todos, in the order they had. Resolves with the ids of all moved todos.
+     */
+    function moveTodo(id, listId) {
+        return transaction(async () => {
+            const list = await dbGet('SELECT id FROM lists WHERE id = ?', [listId]);
+            if (!list) {
+                throw new NotFoundError(`List ${listId} does not exist`);
+            }
+            const ids = await subtaskIds(id);
+            if (ids.length === 0) {
+                throw new NotFoundError(`Todo ${id} does not exist`);
+            }
+            const now = Date.now();
+            await dbRun('UPDATE todos SET list_id = ?, position = ?, parent_id = NULL, updated_at = ? WHERE id = ?', [listId, await nextPosition(listId), now, id]);
+            const subtasks = await dbAll(`SELECT id FROM todos WHERE id IN (${ids.map(() => '?').join(', ')}) AND id != ? ORDER BY position, id`, [...ids, id]);
+            for (const subtask of subtasks) {
+                await dbRun('UPDATE todos SET list_id = ?, position = ?, updated_at = ? WHERE id = ?', [listId, await nextPosition(listId, 'bottom'), now, subtask.id]);
+            }
+            return ids;
+        });
+    }
+
+    /*
+     * Save a new manual order for (some of) the todos of a list: the todos in order swap places among
+     * the positions they already hold, so the others stay where they are. Resolves with the whole list's new order.
+     */
+    function reorderTodos(listId, order) {
+        return transaction(async () => {
+            const rows = await dbAll('SELECT id, position FROM todos WHERE list_id = ? ORDER BY position, id', [listId]);
+            const current = rows.map(row => row.id);
+            const moving = new Set(order);
+            if (order.some(id => !current.includes(id))) {
+                throw new Error('Some of these todos are no longer in this list');
+            }
+            let next = 0;
+            const newOrder = current.map(id => (moving.has(id) ? order[next++] : id));
+            for (const [index, id] of newOrder.entries()) {
+                if (id !== current[index] || rows[index].position !== index + 1) {  // Skip the rows that keep their place
+                    await dbRun('UPDATE todos SET position = ? WHERE id = ?', [index + 1, id]);
+                }
+            }
+            return newOrder;
+        });
+    }
+
+    /*
+     * Archive
+     * "Clear completed" moves the completed todos of a list into archived_todos (see migration 12) instead of deleting them.
+     * Each one is kept the way takeTodo returns it, with its subtasks, tags and history, so it comes back unchanged.
+     */
+
+    // Archive the completed todos of a list, each with its subtasks; resolves with the archived todos as takeTodo returned them
+    function clearCompleted(listId) {
+        return transaction(async () => {
+            // Completed todos, except subtasks of a completed todo: those go along with it
+            const rows = await dbAll(`SELECT todos.id FROM todos LEFT JOIN todos AS parent ON parent.id = todos.parent_id
+                                      WHERE todos.list_id = ? AND todos.completed = 1 AND (parent.id IS NULL OR parent.completed = 0)
+                                      ORDER BY todos.position, todos.id`, [listId]);
+            const now = Date.now();
+            const todos = [];
+            for (const { id } of rows) {
+                const todo = await takeTodo(id);
+                await dbRun('INSERT INTO archived_todos (id, list_id, text, archived_at, record) VALUES (?, ?, ?, ?, ?)',
+                    [todo.id, listId, todo.text, now, JSON.stringify(todo)]);
+                todos.push(todo);
+            }
+            return todos;
+        });
+    }
+
+    // The archived todos of all lists, the most recently archived first ({ id, text, list_id, list_name, archived_at })
+    function getArchivedTodos() {
+        return dbAll(`SELECT archived_todos.id, archived_todos.text, archived_todos.list_id, lists.name AS list_name, archived_todos.archived_at
+                      FROM archived_todos LEFT JOIN lists ON lists.id = archived_todos.list_id
+                      ORDER BY archived_todos.archived_at DESC, archived_todos.id DESC`);
+    }
+
+    // Put archived todos back where they were (the Inbox if their list is gone); resolves with the restored todos
+    function restoreArchivedTodos(ids) {
+        return transaction(async () => {
+            const todos = [];
+            for (const id of ids) {
+                const row = await dbGet('SELECT record FROM archived_todos WHERE id = ?', [id]);
+                if (!row) {
+                    throw new NotFoundError(`Todo ${id} is not in the archive`);
+                }
+                const todo = toTodoRecord(JSON.parse(row.record));
+                await putTodoBack(todo);
+                await dbRun('DELETE FROM archived_todos WHERE id = ?', [id]);
+                todos.push(todo);
+            }
+            return todos;
+        });
+    }
+
+    /*
+     * Attachments
+     * The files attached to a todo are copies in the attachments folder (see attachments.js); the attachments table
+     * (see migration 15) holds their original names. "file", the name of the copy, never leaves the main process.
+     */
+
+    // The attachments of a todo, the oldest first ({ id, todo_id, name, size, added_at })
+    function getAttachments(todoId) {
+        return dbAll('SELECT id, todo_id, name, size, added_at FROM attachments WHERE todo_id = ? ORDER BY id', [todoId]);
+    }
+
+    // One attachment, with the name of its copy
+    async function getAttachment(id) {
+        const attachment = await dbGet('SELECT * FROM attachments WHERE id = ?', [id]);
+        if (!attachment) {
+            throw new NotFoundError(`Attachment ${id} does not exist`);
+        }
+        return attachment;
+    }
+
+    // Attach copies made by attachments.js ({ name, file, size }) to a todo; resolves with the new attachments, as getAttachments
+    function addAttachments(todoId, files) {
+        return transaction(async () => {
+            if (!await dbGet('SELECT id FROM todos WHERE id = ?', [todoId])) {
+                throw new NotFoundError(`Todo ${todoId} does not exist`);
+            }
+            const now = Date.now();
+            const ids = [];
+            for (const { name, file, size } of files) {
+                const { lastID } = await dbRun('INSERT INTO attachments (todo_id, name, file, size, added_at) VALUES (?, ?, ?, ?, ?)',
+                    [todoId, name, file, size, now]);
+                ids.push(lastID);
+            }
+            return dbAll(`SELECT id, todo_id, name, size, added_at FROM attachments WHERE id IN (${ids.map(() => '?').join(', ')}) ORDER BY id`, ids);
+        });
+    }
+
+    // Take an attachment off its todo; resolves with it, with the name of the copy to delete
+    function removeAttachment(id) {
+        return transaction(async () => {
+            const attachment = await getAttachment(id);
+            await dbRun('DELETE FROM attachments WHERE id = ?', [id]);
+            return attachment;
+        });
+    }
+
+    // The names of every copy still needed (a Set): those of the attachments, and of the todos in the archive
+    async function getAttachmentFiles() {
+        const files = new Set((await dbAll('SELECT file FROM attachments')).map(row => row.file));
+        const archived = await dbAll('SELECT record FROM archived_todos');
+        archived.forEach(row => attachmentFiles(JSON.parse(row.record)).forEach(file => files.add(file)));
+        return files;
+    }
+
+    /*
+     * Time tracking
+     * A timer or Pomodoro work session on a todo (see timer.js) is a row of time_entries (see migration 17);
+     * the one that runs has no ended_at. Starting an entry ends the one that ran, so at most one runs at a time.
+     */
+
+    // The entry that runs, with the text of its todo, or null
+    async function getRunningTimeEntry() {
+        const row = await dbGet(`SELECT time_entries.*, todos.text FROM time_entries JOIN todos ON todos.id = time_entries.todo_id
+                                 WHERE ended_at IS NULL ORDER BY started_at DESC LIMIT 1`);
+        return row || null;
+    }
+
+    /* Start an entry ('timer' or 'pomodoro') on a todo, ending the one that ran.
+     * Resolves with { entry, ended }: the new entry with the text of its todo, and the entries that ended (as endTimeEntries).
+     */
+    function startTimeEntry(todoId, kind, startedAt = Date.now()) {
+        return transaction(async () => {
+            const todo = await dbGet('SELECT id, text FROM todos WHERE id = ?', [todoId]);
+            if (!todo) {
+                throw new NotFoundError(`Todo ${todoId} does not exist`);
+            }
+            const ended = await endTimeEntries(startedAt);
+            const { lastID } = await dbRun('INSERT INTO time_entries (todo_id, kind, started_at) VALUES (?, ?, ?)', [todoId, kind, startedAt]);
+            return { entry: { id: lastID, todo_id: todoId, kind, started_at: startedAt, ended_at: null, text: todo.text }, ended };
+        });
+    }
+
+    // End the entry that runs; resolves with the entries that ended (none if nothing ran)
+    function stopTimeEntry(endedAt = Date.now()) {
+        return transaction(() => endTimeEntries(endedAt));
+    }
+
+    // End the running entries at endedAt, never before they started (call inside a transaction)
+    async function endTimeEntries(endedAt) {
+        const running = await dbAll('SELECT * FROM time_entries WHERE ended_at IS NULL');
+        await dbRun('UPDATE time_entries SET ended_at = MAX(started_at, ?) WHERE ended_at IS NULL', [endedAt]);
+        return running.map(entry => ({ ...entry, ended_at: Math.max(entry.started_at, endedAt) }));
+    }
+
+    // The finished entries of one list, or of all lists (listId null), with the text and list name of their todo, oldest first
+    function getTimeEntries(listId = null) {
+        return dbAll(`SELECT time_entries.*, todos.text, lists.name AS list
+                      FROM time_entries JOIN todos ON todos.id = time_entries.todo_id JOIN lists ON lists.id = todos.list_id
+                      WHERE ended_at IS NOT NULL ${listId ? 'AND todos.list_id = ?' : ''}
+                      ORDER BY time_entries.started_at, time_entries.id`, listId ? [listId] : []);
+    }
+
+    /*
+     * Lists
+     * Every todo belongs to one list; the Inbox (INBOX_LIST_ID) always exists. List names are unique (case-insensitive).
+     */
+
+    // All lists with the number of open todos in each, Inbox first then alphabetical
+    function getLists() {
+        return dbAll(`SELECT lists.id, lists.name, COUNT(todos.id) AS open_count
+                      FROM lists LEFT JOIN todos ON todos.list_id = lists.id AND todos.completed = 0
+                      GROUP BY lists.id
+                      ORDER BY lists.id = ? DESC, lists.name COLLATE NOCASE`, [INBOX_LIST_ID]);
+    }
+
+    // One list ({ id, name }), undefined if there is no such list
+    function getList(id) {
+        return dbGet('SELECT id, name FROM lists WHERE id = ?', [id]);
+    }
+
+    // Create a list and resolve with its id
+    function createList(name) {
+        return transaction(async () => {
+            await assertListNameFree(name);
+            const { lastID } = await dbRun('INSERT INTO lists (name, created_at) VALUES (?, ?)', [name, Date.now()]);
+            return lastID;
+        });
+    }
+
+    // Rename a list (the Inbox included)
+    function renameList(id, name) {
+        return transaction(async () => {
+            await assertListNameFree(name, id);
+            const { changes } = await dbRun('UPDATE lists SET name = ? WHERE id = ?', [name, id]);
+            if (changes === 0) {
+                throw new NotFoundError(`List ${id} does not exist`);
+            }
+        });
+    }
+
+    /*
+     * Delete a list (never the Inbox). mode decides what happens to its todos:
+     *  - 'move':    the todos, and their archived todos, are moved to the Inbox first, below its own todos
+     *  - 'cascade': the todos are deleted together with the list (ON DELETE CASCADE)
+     */
+    function deleteList(id, mode) {
+        if (id === INBOX_LIST_ID) {
+            return Promise.reject(new Error('The Inbox cannot be deleted'));
+        }
+        return transaction(async () => {
+            if (mode === 'move') {
+                // The moved todos go below the Inbox's own todos, keeping their order
+                const { last } = await dbGet('SELECT COALESCE(MAX(position), 0) AS last FROM todos WHERE list_id = ?', [INBOX_LIST_ID]);
+                const { first } = await dbGet('SELECT COALESCE(MIN(position), 1) AS first FROM todos WHERE list_id = ?', [id]);
+                await dbRun('UPDATE todos SET list_id = ?, position = position + ?, updated_at = ? WHERE list_id = ?',
+                    [INBOX_LIST_ID, last + 1 - first, Date.now(), id]);
+                await dbRun('UPDATE archived_todos SET list_id = ? WHERE list_id = ?', [INBOX_LIST_ID, id]);
+            }
+            await dbRun('DELETE FROM lists WHERE id = ?', [id]);
+        });
+    }
+
+    // Reject with a readable message if another list (other than exceptId) already uses the name
+    async function assertListNameFree(name, exceptId = null) {
+        const existing = await dbGet('SELECT id FROM lists WHERE name = ? AND id IS NOT ?', [name, exceptId]);
+        if (existing) {
+            throw new Error(`A list named "${name}" already exists`);
+        }
+    }
+
+    // Id of the list with this name (case-insensitive), creating it if needed (call inside a transaction)
+    async function findOrCreateList(name, cache) {
+        const key = name.toLowerCase();
+        if (!cache.has(key)) {
+            const list = await dbGet('SELECT id FROM lists WHERE name = ?', [name]);
+            cache.set(key, list ? list.id : (await dbRun('INSERT INTO lists (name, created_at) VALUES (?, ?)', [name, Date.now()])).lastID);
+        }
+        return cache.get(key);
+    }
+
+    /*
+     * Import and export (the files themselves are read and written by import_export.js and main.js)
+     */
+
+    // The todos of one list, or of all lists (listId null), for exporting: with their list's name in "list", list by list
+    async function getExportTodos(listId = null) {
+        const rows = await dbAll(`SELECT todos.*, lists.name AS list, ${TAGS_COLUMN}
+                                  FROM todos JOIN lists ON lists.id = todos.list_id
+                                  ${listId ? 'WHERE todos.list_id = ?' : ''}
+                                  ORDER BY lists.id = ? DESC, lists.name COLLATE NOCASE, todos.position, todos.id`,
+                                  listId ? [listId, INBOX_LIST_ID] : [INBOX_LIST_ID]);
+        return rows.map(withTagArray);
+    }
+
+    // The text and list name of every todo, to find the duplicates in a file being imported (see findDuplicates)
+    function getTodoTexts() {
+        return dbAll('SELECT todos.text, lists.name AS list FROM todos JOIN lists ON lists.id = todos.list_id');
+    }
+
+    /*
+     * Insert todos read from a file (see parseTodos in import_export.js) in one transaction, at the bottom of their lists
+     * in the order of the file. Lists named in the file that do not exist yet are created; todos without one go to the Inbox.
+     * Resolves with the number of todos imported.
+     */
+    function importTodos(todos) {
+        return transaction(async () => {
+            const listIds = new Map();  // list name (lower case) -> id, filled as we go
+            for (const todo of todos) {
+                const listId = todo.list ? await findOrCreateList(todo.list, listIds) : INBOX_LIST_ID;
+                const now = Date.now();
+                const position = await nextPosition(listId, 'bottom');
+                const { lastID } = await dbRun(`INSERT INTO todos (text, completed, created_at, updated_at, due_at, remind_at, priority, recurrence, notes, list_id, position)
+                                                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [todo.text, todo.completed ? 1 : 0, todo.created_at || now, todo.updated_at || now, todo.due_at, todo.remind_at || null, todo.priority,
+                        normalizeRecurrence(todo.recurrence, todo.due_at), todo.notes || null, listId, position]);
+                await addTags(lastID, todo.tags);
+            }
+            return todos.length;
+        });
+    }
+
+    /*
+     * The todos with a due date, of one list or of all lists (listId null), for an .ics file (see exportCalendar in icalendar.js).
+     * A todo exported for the first time gets its UID here, in the same transaction, so later exports of it and
+     * importing the file again (importCalendarTodos) use the same one.
+     */
+    function getCalendarTodos(listId = null) {
+        return transaction(async () => {
+            const missing = await dbAll(`SELECT id FROM todos WHERE due_at IS NOT NULL AND ical_uid IS NULL ${listId ? 'AND list_id = ?' : ''}`,
+                listId ? [listId] : []);
+            for (const { id } of missing) {
+                await dbRun('UPDATE todos SET ical_uid = ? WHERE id = ?', [`${crypto.randomUUID()}@todo-list`, id]);
+            }
+            return (await getExportTodos(listId)).filter(todo => todo.due_at !== null);
+        });
+    }
+
+    // The UIDs todos have, to tell the tasks of an .ics file that update a todo from the new ones
+    async function getCalendarUids() {
+        return new Set((await dbAll('SELECT ical_uid FROM todos WHERE ical_uid IS NOT NULL')).map(row => row.ical_uid));
+    }
+
+    /*
+     * Import tasks read from an .ics file (see parseCalendar in icalendar.js) in one transaction.
+     * A task with the UID of a todo updates its text, notes, state, due date, priority, repeat rule and tags; the todo stays
+     * in its list with its subtasks and reminder. Any other task is added at the bottom of its list, like importTodos does,
+     * and keeps its UID. Resolves with the ids of the todos { added, updated }.
+     */
+    function importCalendarTodos(tasks) {
+        return transaction(async () => {
+            const listIds = new Map();  // list name (lower case) -> id, filled as we go
+            const added = [];
+            const updated = [];
+            for (const task of tasks) {
+                const existing = task.uid ? await dbGet('SELECT id FROM todos WHERE ical_uid = ?', [task.uid]) : null;
+                const now = Date.now();
+                if (existing) {
+                    await dbRun('UPDATE todos SET text = ?, notes = ?, completed = ?, due_at = ?, priority = ?, recurrence = ?, updated_at = ? WHERE id = ?',
+                        [task.text, task.notes, task.completed ? 1 : 0, task.due_at, task.priority, task.recurrence, now, existing.id]);
+                    await setTags(existing.id, task.tags);
+                    updated.push(existing.id);
+                    continue;
+                }
+                const listId = task.list ? await findOrCreateList(task.list, listIds) : INBOX_LIST_ID;
+                const position = await nextPosition(listId, 'bottom');
+                const { lastID } = await dbRun(`INSERT INTO todos (text, notes, completed, created_at, updated_at, due_at, priority, recurrence, list_id, position, ical_uid)
+                                                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [task.text, task.notes, task.completed ? 1 : 0, task.created_at || now, task.updated_at || now, task.due_at, task.priority,
+                        task.recurrence, listId, position, task.uid]);
+                await addTags(lastID, task.tags);
+                added.push(lastID);
+            }
+            return { added, updated };
+        });
+    }
+
+    /*
+     * One-time import of the todos saved by the older localStorage build (items: { id, text, completed }).
+     * They go into the Inbox keeping their completed state; anything that is not a usable todo is skipped.
+     * The "legacyImport" setting is written in the same transaction, so the import happens at most once.
+     * Resolves with { imported, skipped, alreadyDone }.
+     */
+    function importLegacyTodos(items) {
+        return transaction(async () => {
+            if (await getSetting('legacyImport')) {
+                return { imported: 0, skipped: 0, alreadyDone: true };
+            }
+            let imported = 0;
+            for (const item of items) {
+                const text = item && typeof item.text === 'string' ? item.text.trim() : '';
+                if (!text || text.length > MAX_TEXT_LENGTH) continue;
+                const now = Date.now();
+                await dbRun('INSERT INTO todos (text, completed, created_at, updated_at, list_id, position) VALUES (?, ?, ?, ?, ?, ?)',
+                    [text, item.completed ? 1 : 0, Number.isFinite(item.created_at) ? item.created_at : now,
+                        Number.isFinite(item.updated_at) ? item.updated_at : now, INBOX_LIST_ID, await nextPosition(INBOX_LIST_ID, 'bottom')]);
+                imported++;
+            }
+            await writeSetting('legacyImport', { at: Date.now(), imported });
+            return { imported, skipped: items.length - imported, alreadyDone: false };
+        });
+    }
+
+    /*
+     * Completing todos: subtasks and recurring todos
+     * todos.parent_id points at the todo a subtask belongs to (see migration 10); a subtask is always in its parent's list.
+     * todos.recurrence holds the repeat rule of a recurring todo (see migration 11 and recurrence.js).
+     */
+
+    // Ids of a todo and of all the subtasks below it, at any depth (empty if there is no such todo)
+    async function subtaskIds(id) {
+        const rows = await dbAll(`WITH RECURSIVE tree (id) AS (
+                                      SELECT id FROM todos WHERE id = ?
+                                      UNION SELECT todos.id FROM todos JOIN tree ON todos.parent_id = tree.id
+                                  ) SELECT id FROM tree`, [id]);
+        return rows.map(row => row.id);
+    }
+
+    // Ids of the todos above a todo: its parent, the parent's parent, ...
+    async function parentIds(id) {
+        const rows = await dbAll(`WITH RECURSIVE parents (id) AS (
+                                      SELECT parent_id FROM todos WHERE id = ?
+                                      UNION SELECT todos.parent_id FROM todos JOIN parents ON todos.id = parents.id
+                                  ) SELECT id FROM parents WHERE id IS NOT NULL`, [id]);
+        return rows.map(row => row.id);
+    }
+
+    /*
+     * Move a recurring todo on to its next occurrence instead of checking it off (call inside a transaction).
+     * The finished occurrence goes into todo_completions, the due date moves on (see nextDueDate in recurrence.js)
+     * and the reminder keeps the same distance from it. Subtasks are a checklist for each occurrence, so they are re-opened.
+     * Resolves with the previous states, like toggleTodo.
+     */
+    async function completeOccurrence(todo) {
+        const now = Date.now();
+        const rule = normalizeRecurrence(todo.recurrence, todo.due_at);  // Rules saved before they kept their day of the month get it here
+        const dueAt = nextDueDate(rule, todo.due_at, now);
+        const recurrence = normalizeRecurrence(rule, dueAt);  // A todo without a due date has one now
+        const remindAt = todo.remind_at !== null && todo.due_at !== null ? dueAt - (todo.due_at - todo.remind_at) : todo.remind_at;
+        await dbRun('INSERT INTO todo_completions (todo_id, due_at, remind_at, reminded_at, completed_at) VALUES (?, ?, ?, ?, ?)',
+            [todo.id, todo.due_at, todo.remind_at, todo.reminded_at, now]);
+        await dbRun('UPDATE todos SET due_at = ?, remind_at = ?, reminded_at = NULL, recurrence = ?, updated_at = ? WHERE id = ?',
+            [dueAt, remindAt, recurrence, now, todo.id]);
+        const subtasks = (await subtaskIds(todo.id)).filter(subtaskId => subtaskId !== todo.id);
+        return [{ id: todo.id, completed: 0, recurred: true }, ...await setCompleted(subtasks, 0)];
+    }
+
+    /* Give a monthly rule without a day of the month the day of the todo's due date (see normalizeRecurrence),
+     * once the todo has both (call inside a transaction). Rules that already have their day are left alone.
+     */
+    async function anchorRecurrence(id) {
+        const row = await dbGet('SELECT recurrence, due_at FROM todos WHERE id = ?', [id]);
+        const anchored = row ? normalizeRecurrence(row.recurrence, row.due_at) : null;
+        if (row && anchored !== row.recurrence) {
+            await dbRun('UPDATE todos SET recurrence = ? WHERE id = ?', [anchored, id]);
+        }
+    }
+
+    // Set completed on some todos (call inside a transaction); resolves with [{ id, completed }] as they were before, for the ones that changed
+    async function setCompleted(ids, completed) {
+        const placeholders = ids.map(() => '?').join(', ');
+        const changed = await dbAll(`SELECT id, completed FROM todos WHERE id IN (${placeholders}) AND completed != ?`, [...ids, completed]);
+        await dbRun(`UPDATE todos SET completed = ?, updated_at = ? WHERE id IN (${placeholders}) AND completed != ?`, [completed, Date.now(), ...ids, completed]);
+        return changed;
+    }
+
+    /*
+     * Taking todos out of the database and putting them back (removeTodo / restoreTodo, and the archive)
+     * A taken todo is a plain object: its row with "tags", the "history" of a recurring todo, its "attachments"
+     * ({ id, name, file, size, added_at }, the copies themselves stay in the attachments folder, see attachments.js)
+     * and its "subtasks" in the same form, so it can be sent to the renderer or stored as JSON.
+     */
+
+    // Delete a todo and its subtasks, resolving with the taken todo, or null if there is no such todo (call inside a transaction)
+    async function takeTodo(id) {
+        const ids = await subtaskIds(id);
+        if (ids.length === 0) return null;
+        const placeholders = ids.map(() => '?').join(', ');
+        const rows = (await dbAll(`SELECT todos.*, ${TAGS_COLUMN} FROM todos WHERE id IN (${placeholders}) ORDER BY position, id`, ids))
+            .map(row => ({ ...withTagArray(row), subtasks: [], history: [], attachments: [], time_entries: [] }));
+        const history = await dbAll(`SELECT * FROM todo_completions WHERE todo_id IN (${placeholders}) ORDER BY id`, ids);
+        history.forEach(({ todo_id, due_at, remind_at, reminded_at, completed_at }) => {
+            rows.find(row => row.id === todo_id).history.push({ due_at, remind_at, reminded_at, completed_at });
+        });
+        const attachments = await dbAll(`SELECT * FROM attachments WHERE todo_id IN (${placeholders}) ORDER BY id`, ids);
+        attachments.forEach(({ todo_id, ...attachment }) => {
+            rows.find(row => row.id === todo_id).attachments.push(attachment);
+        });
+        const now = Date.now();
+        const entries = await dbAll(`SELECT * FROM time_entries WHERE todo_id IN (${placeholders}) ORDER BY id`, ids);
+        entries.forEach(({ todo_id, ...entry }) => {  // A timer still running stops with its todo
+            rows.find(row => row.id === todo_id).time_entries.push({ ...entry, ended_at: entry.ended_at === null ? Math.max(entry.started_at, now) : entry.ended_at });
+        });
+        rows.forEach(row => {
+            const parent = rows.find(item => item.id === row.parent_id);
+            if (parent && row.id !== id) parent.subtasks.push(row);
+        });
+         // Run a SQL DELETE statement to remove the todo with the specified id, its subtasks go with it (ON DELETE CASCADE)
+        await dbRun('DELETE FROM todos WHERE id = ?', [id]);
+        return rows.find(row => row.id === id);
+    }
+
+    /* Insert a taken todo again, checked with toTodoRecord (call inside a transaction).
+     * It keeps its id; it goes to the Inbox if its list is gone, and to the top level if its parent is gone.
+     * Its subtasks follow it into its list.
+     */
+    async function putTodoBack(todo) {
+        const columns = (await dbAll('PRAGMA table_info(todos)')).map(column => column.name);
+        const insert = async (record, listId, parentId) => {
+            if (await dbGet('SELECT id FROM todos WHERE id = ?', [record.id])) {
+                throw new Error(`Todo ${record.id} already exists`);
+            }
+            const row = { ...record, list_id: listId, parent_id: parentId };
+            if (row.ical_uid && await dbGet('SELECT id FROM todos WHERE ical_uid = ?', [row.ical_uid])) {
+                row.ical_uid = null;  // Imported again from an .ics file while this one was gone: that todo keeps the UID
+            }
+            const used = columns.filter(column => column in row);  // Only real columns, whatever migrations added
+            await dbRun(`INSERT INTO todos (${used.join(', ')}) VALUES (${used.map(() => '?').join(', ')})`, used.map(column => row[column]));
+            await addTags(record.id, record.tags);
+            for (const entry of record.history) {
+                await dbRun('INSERT INTO todo_completions (todo_id, due_at, remind_at, reminded_at, completed_at) VALUES (?, ?, ?, ?, ?)',
+                    [record.id, entry.due_at, entry.remind_at, entry.reminded_at, entry.completed_at]);
+            }
+            for (const attachment of record.attachments) {
+                await dbRun('INSERT INTO attachments (id, todo_id, name, file, size, added_at) VALUES (?, ?, ?, ?, ?, ?)',
+                    [attachment.id, record.id, attachment.name, attachment.file, attachment.size, attachment.added_at]);
+            }
+            for (const entry of record.time_entries) {
+                await dbRun('INSERT INTO time_entries (id, todo_id, kind, started_at, ended_at) VALUES (?, ?, ?, ?, ?)',
+                    [entry.id, record.id, entry.kind, entry.started_at, entry.ended_at]);
+            }
+            for (const subtask of record.subtasks) {
+                await insert(subtask, listId, record.id);
+            }
+        };
+        const parent = todo.parent_id ? await dbGet('SELECT list_id FROM todos WHERE id = ?', [todo.parent_id]) : null;
+        const list = await dbGet('SELECT id FROM lists WHERE id = ?', [todo.list_id]);
+        const listId = parent ? parent.list_id : (list ? list.id : INBOX_LIST_ID);
+        await insert(todo, listId, parent ? todo.parent_id : null);
+    }
+
+    // Tags (see TAGS_COLUMN above)
+
+    // Replace the tags of a todo (call inside a transaction); unknown tag names are created on the fly
+    async function setTags(todoId, names) {
+        await dbRun('DELETE FROM todo_tags WHERE todo_id = ?', [todoId]);
+        await addTags(todoId, names);
+    }
+
+    // Add tags to a todo, keeping the ones it already has (call inside a transaction)
+    async function addTags(todoId, names) {
+        for (const name of names) {
+            await dbRun('INSERT OR IGNORE INTO tags (name) VALUES (?)', [name]);
+            const tag = await dbGet('SELECT id FROM tags WHERE name = ?', [name]);
+            await dbRun('INSERT OR IGNORE INTO todo_tags (todo_id, tag_id) VALUES (?, ?)', [todoId, tag.id]);
+        }
+    }
+
+    return {
+        dbRun, dbGet, dbAll, transaction, queued, getSetting, setSetting, getUserSettings, nextPosition,
+        getTodos, countTodos, addTodo, toggleTodo, removeTodo, getDueToday, getTodayTodos,
+        getTodosById, updateTodo, setTodoTags, searchTodos, setTodoDue, reopenOccurrence, restoreTodo, moveTodo, reorderTodos,
+        clearCompleted, getArchivedTodos, restoreArchivedTodos,
+        getAttachments, getAttachment, addAttachments, removeAttachment, getAttachmentFiles,
+        getRunningTimeEntry, startTimeEntry, stopTimeEntry, getTimeEntries,
+        getLists, getList, createList, renameList, deleteList,
+        getExportTodos, getTodoTexts, importTodos, importLegacyTodos, getCalendarTodos, getCalendarUids, importCalendarTodos,
+        subtaskIds, parentIds, completeOccurrence, setCompleted, takeTodo, putTodoBack, setTags, addTags
+    };
+}
+
+module.exports = { createTodoStore, NotFoundError, TAGS_COLUMN, COMPLETED_COUNT_COLUMN, ATTACHMENT_COUNT_COLUMN, TRACKED_COLUMN, withTagArray, TODAY_MIN_PRIORITY, TODAY_LIMIT };
@@ -0,0 +1,94 @@
+// Author: Daniel
+
+/* Tray icon (main process)
+ *
+ * Shown while the app runs. Its tooltip (and on macOS the title next to it) says how many todos are open
+ * and how many of those are overdue; its menu opens the quick add window or the todos, and lists the todos
+ * due today, overdue ones first. Clicking one of those checks it off, the same as clicking it in the list.
+ * main.js refreshes it after every change (see broadcastChange), and it refreshes itself once a minute
+ * because todos become overdue without anything changing.
+ */
+
+const path = require('node:path');
+const { Tray, Menu, nativeImage } = require('electron');
+
+const ICON_PATH = path.join(__dirname, 'tray.png');
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+// Most todos listed in the menu, and the longest text shown for one
+const MAX_MENU_TODOS = 15;
+const MAX_LABEL_LENGTH = 60;
+
+class TodoTray {
+    /* summary: function() resolving with { open, overdue, todos } (getDueToday in todo_store.js)
+     * actions: { quickAdd(), show(), toggle(id), quit() }, what the menu items do
+     */
+    constructor(summary, actions) {
+        this.summary = summary;
+        this.actions = actions;
+        this.tray = null;
+        this.timer = null;
+        this.shortcut = '';
+    }
+
+    // Create the icon and keep it up to date; resolves once it shows the first counts
+    start() {
+        this.stop();
+        this.tray = new Tray(nativeImage.createFromPath(ICON_PATH));
+        this.tray.on('click', () => this.actions.show()); // Windows and Linux: the menu is on the right button
+        this.timer = setInterval(() => this.refresh(), REFRESH_INTERVAL_MS);
+        return this.refresh();
+    }
+
+    // Remove the icon (called when the app quits)
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.tray) {
+            this.tray.destroy();
+            this.tray = null;
+        }
+    }
+
+    // The quick add shortcut shown next to "Quick Add…" ('' for none)
+    setShortcut(accelerator) {
+        this.shortcut = accelerator;
+        return this.refresh();
+    }
+
+    // Read the counts again and rebuild the tooltip and menu; errors are logged, the old ones stay
+    async refresh() {
+        if (!this.tray) return;
+        try {
+            const { open, overdue, todos } = await this.summary();
+            if (!this.tray) return; // Stopped meanwhile
+            this.tray.setToolTip(`Todos: ${open} open, ${overdue} overdue`);
+            this.tray.setTitle(overdue > 0 ? `${open} (${overdue} overdue)` : String(open));
+            this.tray.setContextMenu(Menu.buildFromTemplate(this.menuTemplate(todos)));
+        } catch (err) {
+            console.error('Error updating the tray icon:', err.message);
+        }
+    }
+
+    // The menu: Quick Add…, Show Todos, today's todos (overdue ones marked with ⚠) and Quit
+    menuTemplate(todos, now = Date.now()) {
+        const shown = todos.slice(0, MAX_MENU_TODOS);
+        const label = todo => {
+            const text = todo.text.length > MAX_LABEL_LENGTH ? `${todo.text.slice(0, MAX_LABEL_LENGTH - 1)}…` : todo.text;
+            return todo.due_at < now ? `⚠ ${text}` : text;
+        };
+        return [
+            // registerAccelerator false: the shortcut is global already, the menu only shows it
+            { label: 'Quick Add…', accelerator: this.shortcut || undefined, registerAccelerator: false, click: () => this.actions.quickAdd() },
+            { label: 'Show Todos', click: () => this.actions.show() },
+            { type: 'separator' },
+            { label: todos.length > 0 ? `Today (${todos.length})` : 'Nothing due today', enabled: false },
+            ...shown.map(todo => ({ label: label(todo), type: 'checkbox', checked: false, click: () => this.actions.toggle(todo.id) })),
+            ...(todos.length > shown.length ? [{ label: `… and ${todos.length - shown.length} more`, enabled: false }] : []),
+            { type: 'separator' },
+            { label: 'Quit', click: () => this.actions.quit() }
+        ];
+    }
+}
+
+module.exports = { TodoTray };